@@ -0,0 +1,145 @@
+import dotenv from 'dotenv';
+import { getProvider } from '../providers/index.js';
+
+dotenv.config();
+
+/**
+ * Generation settings per mode. Providers translate these into their own
+ * request format (Gemini generationConfig, OpenAI chat parameters, ...).
+ */
+const MODE_CONFIGS = {
+  // Q&A Mode: Maximum accuracy (temperature 0.1)
+  qa: {
+    temperature: 0.1,
+    topP: 0.8,
+    topK: 20,
+    maxOutputTokens: 2048,
+  },
+  // Dialogue Mode: Slightly more natural (temperature 0.3)
+  dialogue: {
+    temperature: 0.3,
+    topP: 0.8,
+    topK: 20,
+    maxOutputTokens: 2048,
+  },
+  // Summary Mode: Deterministic JSON (temperature 0.0)
+  summary: {
+    temperature: 0.0,
+    topP: 0.8,
+    topK: 20,
+    maxOutputTokens: 4096,
+    responseMimeType: 'application/json',
+  },
+  // Suggestion Mode: JSON output (temperature 0.2)
+  suggest: {
+    temperature: 0.2,
+    topP: 0.8,
+    topK: 20,
+    maxOutputTokens: 2048,
+    responseMimeType: 'application/json',
+  },
+  // Flashcard Mode: JSON cards, close to the material (temperature 0.2)
+  flashcards: {
+    temperature: 0.2,
+    topP: 0.8,
+    topK: 20,
+    maxOutputTokens: 4096,
+    responseMimeType: 'application/json',
+  },
+  // Quiz Mode: JSON questions with some variety (temperature 0.3)
+  quiz: {
+    temperature: 0.3,
+    topP: 0.8,
+    topK: 20,
+    maxOutputTokens: 8192,
+    responseMimeType: 'application/json',
+  },
+  // Grading Mode: Deterministic rubric marking (temperature 0.0)
+  grading: {
+    temperature: 0.0,
+    topP: 0.8,
+    topK: 20,
+    maxOutputTokens: 4096,
+    responseMimeType: 'application/json',
+  },
+  // Exam Blueprint Mode: Deterministic reading of a past paper's structure (temperature 0.0)
+  examBlueprint: {
+    temperature: 0.0,
+    topP: 0.8,
+    topK: 20,
+    maxOutputTokens: 4096,
+    responseMimeType: 'application/json',
+  },
+  // Mock Exam Mode: JSON paper following a blueprint (temperature 0.4)
+  mockExam: {
+    temperature: 0.4,
+    topP: 0.8,
+    topK: 20,
+    maxOutputTokens: 8192,
+    responseMimeType: 'application/json',
+  },
+  // Concepts Mode: Deterministic topic list for learning analytics (temperature 0.0)
+  concepts: {
+    temperature: 0.0,
+    topP: 0.8,
+    topK: 20,
+    maxOutputTokens: 2048,
+    responseMimeType: 'application/json',
+  },
+};
+
+/**
+ * Resolve which provider serves a mode.
+ * LLM_PROVIDER_<MODE> (e.g. LLM_PROVIDER_QA=mock) overrides LLM_PROVIDER,
+ * which defaults to gemini.
+ */
+export function getProviderName(mode) {
+  const override = process.env[`LLM_PROVIDER_${mode.toUpperCase()}`];
+  return (override || process.env.LLM_PROVIDER || 'gemini').trim().toLowerCase();
+}
+
+/**
+ * Create a model for the given mode from its configured provider.
+ * Every model exposes the Gemini-shaped generateContent/generateContentStream API.
+ */
+export function getModelForMode(mode) {
+  const generationConfig = MODE_CONFIGS[mode];
+  if (!generationConfig) {
+    throw new Error(`Unknown model mode: ${mode}`);
+  }
+  const provider = getProvider(getProviderName(mode));
+  return provider.createModel(mode, generationConfig);
+}
+
+export const getQAModel = () => getModelForMode('qa');
+
+export const getDialogueModel = () => getModelForMode('dialogue');
+
+export const getSummaryModel = () => getModelForMode('summary');
+
+export const getSuggestModel = () => getModelForMode('suggest');
+
+export const getFlashcardsModel = () => getModelForMode('flashcards');
+
+export const getQuizModel = () => getModelForMode('quiz');
+
+export const getGradingModel = () => getModelForMode('grading');
+
+export const getExamBlueprintModel = () => getModelForMode('examBlueprint');
+
+export const getMockExamModel = () => getModelForMode('mockExam');
+
+export const getConceptsModel = () => getModelForMode('concepts');
+
+/**
+ * Embed texts with EMBEDDING_PROVIDER (defaults to the Q&A provider).
+ * @returns {Promise<number[][]>}
+ */
+export async function embedTexts(texts) {
+  const name = (process.env.EMBEDDING_PROVIDER || getProviderName('qa')).trim().toLowerCase();
+  const provider = getProvider(name);
+  if (typeof provider.embed !== 'function') {
+    throw new Error(`LLM provider "${name}" does not support embeddings`);
+  }
+  return provider.embed(texts);
+}
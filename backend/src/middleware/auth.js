@@ -0,0 +1,44 @@
+import storage from '../services/storage.js';
+import { authenticate, isAdmin } from '../services/authService.js';
+
+/**
+ * Extract the bearer token from the Authorization header.
+ */
+export function getBearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Reject requests without a valid login session. Attaches:
+ *   - req.user: the authenticated user
+ *   - req.sessionId: the login session id
+ *   - req.store: NotebookScope for the session's active notebook
+ */
+export function requireAuth(req, res, next) {
+  const auth = authenticate(getBearerToken(req));
+  if (!auth) {
+    const error = new Error('Authentication required');
+    error.statusCode = 401;
+    return next(error);
+  }
+
+  req.user = auth.user;
+  req.sessionId = auth.session.id;
+  req.store = storage.forSession({ sessionId: auth.session.id, ownerId: auth.user.id });
+  next();
+}
+
+/**
+ * Reject authenticated users who are not admins (see ADMIN_EMAILS).
+ * Must run after requireAuth.
+ */
+export function requireAdmin(req, res, next) {
+  if (!isAdmin(req.user)) {
+    const error = new Error('Admin access required');
+    error.statusCode = 403;
+    return next(error);
+  }
+  next();
+}
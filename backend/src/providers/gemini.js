@@ -0,0 +1,55 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+// Model name - using gemini-2.5-flash (gemini-1.5-flash is no longer available)
+// Available models: gemini-2.5-flash, gemini-2.0-flash, gemini-2.5-pro
+const DEFAULT_MODEL_NAME = 'gemini-2.5-flash';
+const DEFAULT_EMBEDDING_MODEL = 'text-embedding-004';
+const EMBED_BATCH_SIZE = 100;
+
+let genAI = null;
+
+/**
+ * Lazily create the client so the server can boot without a key when
+ * another provider is selected.
+ */
+function getClient() {
+  if (genAI) return genAI;
+
+  const apiKey = process.env.GEMINI_API_KEY;
+  if (!apiKey || apiKey === 'your_gemini_api_key_here' || apiKey.trim() === '') {
+    throw new Error(
+      'GEMINI_API_KEY is not set or is using placeholder value. ' +
+      'Please set a valid API key in your .env file. ' +
+      'Get your key from: https://makersuite.google.com/app/apikey'
+    );
+  }
+
+  genAI = new GoogleGenerativeAI(apiKey);
+  return genAI;
+}
+
+const geminiProvider = {
+  name: 'gemini',
+  createModel(mode, generationConfig) {
+    return getClient().getGenerativeModel({
+      model: process.env.GEMINI_MODEL || DEFAULT_MODEL_NAME,
+      generationConfig,
+    });
+  },
+  async embed(texts) {
+    const model = getClient().getGenerativeModel({
+      model: process.env.GEMINI_EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL,
+    });
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+      const batch = texts.slice(i, i + EMBED_BATCH_SIZE);
+      const result = await model.batchEmbedContents({
+        requests: batch.map((text) => ({ content: { role: 'user', parts: [{ text }] } })),
+      });
+      vectors.push(...result.embeddings.map((e) => e.values));
+    }
+    return vectors;
+  },
+};
+
+export default geminiProvider;
@@ -0,0 +1,35 @@
+import geminiProvider from './gemini.js';
+import mockProvider from './mock.js';
+import openaiCompatibleProvider from './openaiCompatible.js';
+
+/**
+ * LLM provider registry.
+ *
+ * A provider is `{ name, createModel(mode, generationConfig) }`. The model it
+ * returns must implement the subset of the Gemini GenerativeModel API used by
+ * the services:
+ *   - model: string
+ *   - generateContent(request) -> { response: { text() } }
+ *   - generateContentStream(request) -> { stream: AsyncIterable<{ text() }>, response }
+ * where request is a prompt string or `{ contents: [{ role, parts }] }`.
+ * Providers may also implement `embed(texts) -> number[][]` for retrieval.
+ */
+const providers = {
+  [geminiProvider.name]: geminiProvider,
+  [mockProvider.name]: mockProvider,
+  [openaiCompatibleProvider.name]: openaiCompatibleProvider,
+};
+
+export function getProvider(name) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(
+      `Unknown LLM provider "${name}". Available: ${Object.keys(providers).join(', ')}`,
+    );
+  }
+  return provider;
+}
+
+export function listProviders() {
+  return Object.keys(providers);
+}
@@ -0,0 +1,414 @@
+import { requestToParts, textResult } from './utils.js';
+
+/**
+ * Deterministic offline provider.
+ *
+ * Answers by extracting the sentences of the prompt's own study material that
+ * best overlap the question, so it needs no network and always returns the
+ * same output for the same prompt. Intended for CI, local development and
+ * demos without an API key.
+ */
+
+const REFUSAL = 'I don\'t have information about this topic in the provided study material.';
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one',
+  'our', 'out', 'has', 'have', 'his', 'how', 'its', 'may', 'new', 'now', 'see', 'who', 'did', 'yes',
+  'this', 'that', 'with', 'from', 'they', 'will', 'would', 'there', 'their', 'what', 'when', 'where',
+  'which', 'while', 'about', 'into', 'than', 'then', 'them', 'these', 'those', 'been', 'were', 'does',
+  'each', 'also', 'such', 'some', 'more', 'most', 'other', 'only', 'over', 'very', 'your', 'explain',
+  'describe', 'define', 'tell', 'please', 'material', 'source', 'page', 'physical', 'youtube',
+]);
+
+function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter((t) => t.length > 2 && !STOPWORDS.has(t));
+}
+
+function splitSentences(text) {
+  return String(text || '')
+    .replace(/\s+/g, ' ')
+    .split(/(?<=[.!?])\s+/)
+    .map((s) => s.trim())
+    .filter((s) => s.length > 20);
+}
+
+/**
+ * Split the prompt's text parts into `=== SOURCE: name (location) ===` blocks.
+ */
+function extractSources(parts) {
+  const text = parts.filter((p) => typeof p.text === 'string').map((p) => p.text).join('\n');
+  const header = /^=== SOURCE: (.+?)(?: \((.*)\))? ===$/gm;
+  const sources = [];
+  let match;
+  let last = null;
+  while ((match = header.exec(text)) !== null) {
+    if (last) last.text = text.slice(last.start, match.index);
+    last = { name: match[1].trim(), location: match[2] || '', start: header.lastIndex, text: '' };
+    sources.push(last);
+  }
+  if (last) last.text = text.slice(last.start);
+  // Locally extracted PDFs mark their pages inline with `[Page N]`
+  const located = sources.flatMap((s) => {
+    const pieces = s.text.split(/^\[Page (\d+)\]$/m);
+    if (pieces.length === 1) return [s];
+    const pages = [];
+    for (let i = 1; i < pieces.length; i += 2) {
+      pages.push({ name: s.name, location: `Page ${pieces[i]} (Physical)`, text: pieces[i + 1] });
+    }
+    return pages;
+  });
+  return located.map((s) => ({
+    name: s.name,
+    location: s.location,
+    sentences: splitSentences(s.text.split(/\n(?:Conversation so far:|Student Question:|New student message:|Task:)/)[0]),
+  }));
+}
+
+/**
+ * Citation line in the format the system prompt asks for.
+ */
+function citeSentence(source, sentence) {
+  // Transcript lines start with their own `[MM:SS]` stamp
+  const stamp = sentence.match(/^\[(\d{1,2}(?::\d{2}){1,2})\]\s*/);
+  const quote = sentence.slice(stamp ? stamp[0].length : 0).split(/\s+/).slice(0, 8).join(' ').replace(/["“”]/g, '');
+  const page = source.location.match(/^Page \d+ \(Physical\)$/);
+  const range = source.location.match(/^\d{1,2}(?::\d{2}){1,2} – \d{1,2}(?::\d{2}){1,2}$/);
+  const audioRange = source.location.match(/^(\d{1,2}(?::\d{2}){1,2} – \d{1,2}(?::\d{2}){1,2}) \(Audio\)$/);
+  if (page || /^(Slide \d+|Chapter \d+|Sheet ".+"|Section ".+")$/.test(source.location)) return `📄 Source: "${source.name}", ${source.location} — "${quote}"`;
+  if (range) return `🎥 Source: "${source.name}", ${source.location} (YouTube) — "${quote}"`;
+  if (audioRange) return `🎙 Source: "${source.name}", ${audioRange[1]} (Audio) — "${quote}"`;
+  if (stamp && source.location === 'Audio Transcript') {
+    return `🎙 Source: "${source.name}", ${stamp[1]} – ${stamp[1]} (Audio) — "${quote}"`;
+  }
+  if (stamp) return `🎥 Source: "${source.name}", ${stamp[1]} – ${stamp[1]} (YouTube) — "${quote}"`;
+  return `📄 Source: "${source.name}" — "${quote}"`;
+}
+
+function extractQuery(parts) {
+  const text = parts.filter((p) => typeof p.text === 'string').map((p) => p.text).join('\n');
+  const match =
+    text.match(/Student Question:\s*([\s\S]*?)$/) ||
+    text.match(/New student message:\s*(.*)/);
+  return match ? match[1].trim() : '';
+}
+
+/**
+ * Rank every sentence in the material by overlap with the query terms.
+ */
+function rankSentences(sources, queryTerms) {
+  const terms = new Set(queryTerms);
+  const ranked = [];
+  sources.forEach((source) => {
+    source.sentences.forEach((sentence, position) => {
+      const score = tokenize(sentence).filter((t) => terms.has(t)).length;
+      if (score > 0) ranked.push({ source, sentence, score, position });
+    });
+  });
+  return ranked.sort((a, b) => b.score - a.score || a.position - b.position);
+}
+
+function keywordCounts(sources) {
+  const counts = new Map();
+  sources.forEach((s) => s.sentences.forEach((sentence) => {
+    tokenize(sentence).forEach((t) => counts.set(t, (counts.get(t) || 0) + 1));
+  }));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+}
+
+function groundedAnswer(sources, query, limit) {
+  const ranked = rankSentences(sources, tokenize(query)).slice(0, limit);
+  if (ranked.length === 0) return REFUSAL;
+
+  // One section per source passage, closed by its citation
+  const byBlock = new Map();
+  ranked.forEach((r) => {
+    if (!byBlock.has(r.source)) byBlock.set(r.source, []);
+    byBlock.get(r.source).push(r.sentence);
+  });
+
+  const sections = [...byBlock.entries()].map(
+    ([source, sentences]) => `${sentences.join(' ')}\n\n${citeSentence(source, sentences[0])}`,
+  );
+  return `## Key Concepts\n\n${sections.join('\n\n')}`;
+}
+
+/**
+ * Cloze cards: a key term of a material sentence blanked out on the front.
+ */
+function flashcards(parts) {
+  const text = parts.filter((p) => typeof p.text === 'string').map((p) => p.text).join('\n');
+  const count = Number(text.match(/Create exactly (\d+) flashcards/)?.[1]) || 5;
+  const topic = text.match(/^Topic: (.*)$/m)?.[1] || '';
+  const deck = new Set((text.split('Cards already in the deck (do not repeat):')[1] || '')
+    .split('\n').map((line) => line.replace(/^- /, '').trim()).filter(Boolean));
+  const sources = extractSources(parts);
+  const counts = new Map(keywordCounts(sources));
+  const terms = topic ? tokenize(topic) : [...counts.keys()].slice(0, 20);
+
+  const cards = [];
+  for (const { source, sentence } of rankSentences(sources, terms)) {
+    if (cards.length >= count) break;
+    // Blank the sentence's most frequent term
+    const term = tokenize(sentence).sort((a, b) => (counts.get(b) || 0) - (counts.get(a) || 0))[0];
+    const front = sentence.replace(new RegExp(`\\b${term}\\b`, 'i'), '_____');
+    if (front === sentence || deck.has(front)) continue;
+    deck.add(front);
+    cards.push({ front, back: sentence, citation: citeSentence(source, sentence) });
+  }
+  return JSON.stringify(cards);
+}
+
+/**
+ * A question of the given type built from a material sentence, or null when
+ * the sentence has no key term to ask about. Multiple choice and true/false
+ * swap the key term for other frequent terms of the material.
+ */
+function sentenceQuestion(type, { source, sentence }, index, counts, vocabulary) {
+  const words = tokenize(sentence);
+  const term = words.slice().sort((a, b) => (counts.get(b) || 0) - (counts.get(a) || 0))[0];
+  const others = vocabulary.filter((k) => !words.includes(k)).slice(index, index + 3);
+  const blank = new RegExp(`\\b${term}\\b`, 'i');
+  if (!term || !blank.test(sentence) || others.length < 3) return null;
+  const citation = citeSentence(source, sentence);
+
+  if (type === 'multiple_choice') {
+    const answer = index % 4;
+    const options = [...others];
+    options.splice(answer, 0, term);
+    return {
+      type,
+      question: `Which term completes the statement: "${sentence.replace(blank, '_____')}"`,
+      options,
+      answer,
+      distractorRationale: options.map((o) => (o === term
+        ? `The material states: "${sentence}"`
+        : `"${o}" is not what the material says here.`)),
+      explanation: sentence,
+      citation,
+    };
+  }
+  if (type === 'true_false') {
+    const answer = index % 2 === 0;
+    return {
+      type,
+      question: answer ? sentence : sentence.replace(blank, others[0]),
+      answer,
+      explanation: sentence,
+      citation,
+    };
+  }
+  return {
+    type,
+    question: `What does the material say about ${term}?`,
+    answer: sentence,
+    rubric: words.filter((w) => w !== term).slice(0, 3).map((w) => `Mentions ${w}`),
+    explanation: sentence,
+    citation,
+  };
+}
+
+/**
+ * Quiz questions from the top-ranked material sentences, cycling through the
+ * requested types.
+ */
+function quiz(parts) {
+  const text = parts.filter((p) => typeof p.text === 'string').map((p) => p.text).join('\n');
+  const count = Number(text.match(/quiz of exactly (\d+) questions/)?.[1]) || 5;
+  const types = (text.match(/^Question types: (.*)$/m)?.[1] || 'multiple_choice').split(/,\s*/);
+  const topic = text.match(/^Topic: (.*)$/m)?.[1] || '';
+  const sources = extractSources(parts);
+  const counts = new Map(keywordCounts(sources));
+  const vocabulary = [...counts.keys()];
+  const ranked = rankSentences(sources, topic ? tokenize(topic) : vocabulary.slice(0, 20));
+
+  const questions = [];
+  for (const ranking of ranked) {
+    if (questions.length >= count) break;
+    const question = sentenceQuestion(types[questions.length % types.length], ranking, questions.length, counts, vocabulary);
+    if (question) questions.push(question);
+  }
+  return JSON.stringify(questions);
+}
+
+/**
+ * A past paper's structure: "Section"/"Part" headings, numbered questions
+ * with their marks in brackets, and the time allowed.
+ */
+function examBlueprint(parts) {
+  const text = parts.filter((p) => typeof p.text === 'string').map((p) => p.text).join('\n').split(/\nTask:/)[0];
+  const time = text.match(/(?:time allowed|duration)\D*?(\d+(?:\.\d+)?)\s*(hours?|hrs?|minutes?|mins?)/i);
+  const blocks = text.split(/^(?=(?:Section|Part)\s+[A-Z0-9]+\b)/m).filter((b) => /^(Section|Part)\s/.test(b));
+  const sections = (blocks.length > 0 ? blocks : [text]).map((block) => {
+    const lines = block.split('\n');
+    const questions = block.split(/^\s*(?:Q(?:uestion)?\s*)?\d+[.)]\s+/m).slice(1).map((q) => {
+      const marks = Number(q.match(/[[(](\d+)\s*(?:marks?)?[\])]/i)?.[1]) || 1;
+      const verb = q.trim().split(/\s+/)[0].toLowerCase();
+      let type = marks >= 6 ? 'long_answer' : 'short_answer';
+      if (/(^\s*|\()[A-D][.)]\s/m.test(q)) type = 'multiple_choice';
+      else if (/true or false/i.test(q)) type = 'true_false';
+      return { type, marks, style: `${verb} question` };
+    });
+    return {
+      title: blocks.length > 0 ? lines[0].trim() : 'Section A',
+      instructions: lines.find((l) => /^\s*answer\b/i.test(l))?.trim() || '',
+      questions,
+    };
+  });
+  const minutes = time ? Math.round(Number(time[1]) * (/^h/i.test(time[2]) ? 60 : 1)) : null;
+  const title = text.split('\n').map((l) => l.trim()).find((l) => l && !l.startsWith('=== SOURCE:')) || '';
+  return JSON.stringify({ title, durationMinutes: minutes, instructions: '', sections });
+}
+
+/**
+ * A paper with one sentence-based question per blueprint slot.
+ */
+function mockExam(parts) {
+  const text = parts.filter((p) => typeof p.text === 'string').map((p) => p.text).join('\n');
+  const blueprint = JSON.parse(text.split('Blueprint (JSON):')[1] || '[]');
+  const sources = extractSources(parts);
+  const counts = new Map(keywordCounts(sources));
+  const vocabulary = [...counts.keys()];
+  const ranked = rankSentences(sources, vocabulary.slice(0, 20));
+
+  let next = 0;
+  let index = 0;
+  const sections = blueprint.map((section) => ({
+    questions: section.questions.map((slot) => {
+      while (next < ranked.length) {
+        const question = sentenceQuestion(slot.type, ranked[next++], index, counts, vocabulary);
+        if (!question) continue;
+        index += 1;
+        if (!question.rubric) return question;
+        const { rubric, ...written } = question;
+        return { ...written, markingScheme: rubric.map((point) => ({ point, marks: 1 })) };
+      }
+      return null;
+    }),
+  }));
+  return JSON.stringify({ sections });
+}
+
+/**
+ * Rubric points are met when the answer uses their key word.
+ */
+function grading(parts) {
+  const text = parts.filter((p) => typeof p.text === 'string').map((p) => p.text).join('\n');
+  const items = JSON.parse(text.split('Answers (JSON):')[1] || '[]');
+  const sources = extractSources(parts);
+  return JSON.stringify(items.map((item) => {
+    const words = new Set(tokenize(item.studentAnswer));
+    const met = item.rubric.map((point) => tokenize(point).some((t) => words.has(t) && t !== 'mentions'));
+    const missing = item.rubric.filter((_, i) => !met[i]);
+    const [best] = rankSentences(sources, tokenize(missing.join(' ') || item.modelAnswer));
+    return {
+      id: item.id,
+      met,
+      feedback: missing.length === 0
+        ? 'Your answer covers every key point.'
+        : `Your answer misses: ${missing.join('; ')}. ${best ? best.sentence : ''}`.trim(),
+      citation: missing.length > 0 && best ? citeSentence(best.source, best.sentence) : '',
+    };
+  }));
+}
+
+const responders = {
+  qa(parts) {
+    const sources = extractSources(parts);
+    if (sources.length === 0) return 'ok';
+    return groundedAnswer(sources, extractQuery(parts), 3);
+  },
+
+  dialogue(parts) {
+    const query = extractQuery(parts);
+    if (/^(hello|hi|hey|good morning|good afternoon|good evening)\b/i.test(query)) {
+      return 'Hello! I\'m ready to help you study.';
+    }
+    return groundedAnswer(extractSources(parts), query, 2);
+  },
+
+  summary(parts) {
+    const sources = extractSources(parts);
+    const all = sources.flatMap((s) => s.sentences.map((sentence) => ({ source: s.name, sentence })));
+    const keywords = keywordCounts(sources).slice(0, 8).map(([k]) => k);
+    const concepts = rankSentences(sources, keywords)
+      .slice(0, 8)
+      .map((r) => `${r.sentence} (📄 ${r.source.name})`);
+    return JSON.stringify({
+      overview: all.slice(0, 3).map((a) => a.sentence).join(' ') || 'No study material was provided.',
+      concepts,
+      examTips: keywords.map((k) => `Be ready to define and explain "${k}" using the study material.`),
+    });
+  },
+
+  flashcards,
+
+  quiz,
+
+  grading,
+
+  examBlueprint,
+
+  mockExam,
+
+  concepts(parts) {
+    return JSON.stringify(keywordCounts(extractSources(parts)).slice(0, 10).map(([k]) => ({
+      name: k.charAt(0).toUpperCase() + k.slice(1),
+      keywords: [k],
+    })));
+  },
+
+  suggest(parts) {
+    const keywords = keywordCounts(extractSources(parts)).slice(0, 5).map(([k]) => k);
+    return JSON.stringify(keywords.map((k) => `What does the material say about ${k}?`));
+  },
+};
+
+function respond(mode, request) {
+  const parts = requestToParts(request);
+  const responder = responders[mode] || (() => 'ok');
+  return responder(parts);
+}
+
+const EMBEDDING_DIMENSIONS = 64;
+
+/**
+ * Hashed bag-of-words vector: deterministic and good enough to exercise the
+ * embedding path offline.
+ */
+function hashEmbedding(text) {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  tokenize(text).forEach((token) => {
+    let hash = 0;
+    for (let i = 0; i < token.length; i++) hash = (hash * 31 + token.charCodeAt(i)) >>> 0;
+    vector[hash % EMBEDDING_DIMENSIONS] += 1;
+  });
+  return vector;
+}
+
+const mockProvider = {
+  name: 'mock',
+  createModel(mode) {
+    return {
+      model: 'mock',
+      async generateContent(request) {
+        return textResult(respond(mode, request));
+      },
+      async generateContentStream(request) {
+        const text = respond(mode, request);
+        const pieces = text.match(/\S+\s*/g) || [];
+        async function* stream() {
+          for (const piece of pieces) {
+            yield { text: () => piece };
+          }
+        }
+        return { stream: stream(), response: Promise.resolve(textResult(text).response) };
+      },
+    };
+  },
+  async embed(texts) {
+    return texts.map(hashEmbedding);
+  },
+};
+
+export default mockProvider;
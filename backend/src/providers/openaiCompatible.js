@@ -0,0 +1,134 @@
+import axios from 'axios';
+import { requestToParts, textResult } from './utils.js';
+
+/**
+ * Provider for any OpenAI-compatible /chat/completions endpoint, e.g. a local
+ * Ollama (http://localhost:11434/v1) or llama.cpp server.
+ *
+ * Gemini File API parts cannot be sent to these servers; they are replaced by
+ * a short note so the model knows a source was omitted.
+ */
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+const DEFAULT_MODEL_NAME = 'llama3.1';
+const DEFAULT_EMBEDDING_MODEL = 'nomic-embed-text';
+
+function partsToPrompt(parts) {
+  return parts
+    .map((p) => {
+      if (typeof p.text === 'string') return p.text;
+      if (p.fileData) {
+        return `[Attached file ${p.fileData.fileUri} (${p.fileData.mimeType}) is not available to this model]`;
+      }
+      return '';
+    })
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Local models often wrap JSON in code fences even when asked not to.
+ */
+function stripCodeFences(text) {
+  return text.replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '');
+}
+
+function buildBody(modelName, generationConfig, request, stream) {
+  return {
+    model: modelName,
+    messages: [{ role: 'user', content: partsToPrompt(requestToParts(request)) }],
+    temperature: generationConfig.temperature,
+    top_p: generationConfig.topP,
+    max_tokens: generationConfig.maxOutputTokens,
+    stream,
+  };
+}
+
+function getClient() {
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.OPENAI_API_KEY) {
+    headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+  }
+  return axios.create({
+    baseURL: (process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, ''),
+    headers,
+    timeout: Number(process.env.OPENAI_TIMEOUT_MS) || 120000,
+  });
+}
+
+/**
+ * Parse an SSE body of `data: {...}` lines into content deltas.
+ */
+async function* readDeltas(body) {
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += chunk.toString('utf-8');
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) continue;
+      const data = trimmed.slice(5).trim();
+      if (data === '[DONE]') return;
+      try {
+        const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+        if (delta) yield delta;
+      } catch {
+        // ignore keep-alive or malformed frames
+      }
+    }
+  }
+}
+
+const openaiCompatibleProvider = {
+  name: 'openai',
+  createModel(mode, generationConfig) {
+    const modelName = process.env.OPENAI_MODEL || DEFAULT_MODEL_NAME;
+    const wantsJson = generationConfig.responseMimeType === 'application/json';
+
+    return {
+      model: modelName,
+      async generateContent(request) {
+        const { data } = await getClient().post(
+          '/chat/completions',
+          buildBody(modelName, generationConfig, request, false),
+        );
+        const text = data.choices?.[0]?.message?.content || '';
+        return textResult(wantsJson ? stripCodeFences(text) : text);
+      },
+      async generateContentStream(request) {
+        const response = await getClient().post(
+          '/chat/completions',
+          buildBody(modelName, generationConfig, request, true),
+          { responseType: 'stream' },
+        );
+        let full = '';
+        let resolveResponse;
+        const finalResponse = new Promise((resolve) => { resolveResponse = resolve; });
+        async function* stream() {
+          try {
+            for await (const delta of readDeltas(response.data)) {
+              full += delta;
+              yield { text: () => delta };
+            }
+          } finally {
+            resolveResponse(textResult(wantsJson ? stripCodeFences(full) : full).response);
+          }
+        }
+        return { stream: stream(), response: finalResponse };
+      },
+    };
+  },
+  async embed(texts) {
+    const { data } = await getClient().post('/embeddings', {
+      model: process.env.OPENAI_EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL,
+      input: texts,
+    });
+    return data.data
+      .slice()
+      .sort((a, b) => a.index - b.index)
+      .map((d) => d.embedding);
+  },
+};
+
+export default openaiCompatibleProvider;
@@ -0,0 +1,17 @@
+/**
+ * Flatten a Gemini-style request into a list of parts.
+ */
+export function requestToParts(request) {
+  if (typeof request === 'string') return [{ text: request }];
+  if (Array.isArray(request)) {
+    return request.map((p) => (typeof p === 'string' ? { text: p } : p));
+  }
+  return (request?.contents || []).flatMap((c) => c.parts || []);
+}
+
+/**
+ * Wrap a complete text answer as a Gemini-shaped generateContent result.
+ */
+export function textResult(text) {
+  return { response: { text: () => text } };
+}
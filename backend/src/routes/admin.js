@@ -0,0 +1,32 @@
+import express from 'express';
+import { listRemoteFiles, collectGarbage } from '../services/fileLifecycle.js';
+
+const router = express.Router();
+
+// Files uploaded to the Gemini File API, with the notebooks referencing them
+router.get('/files', async (req, res, next) => {
+  try {
+    const files = await listRemoteFiles();
+    res.json({
+      success: true,
+      files,
+      count: files.length,
+      orphaned: files.filter((f) => f.references.length === 0).length,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete remote files and local copies no notebook references
+// Pass { dryRun: true } to only report what would be deleted
+router.post('/files/gc', async (req, res, next) => {
+  try {
+    const result = await collectGarbage({ dryRun: !!req.body?.dryRun });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -1,13 +1,30 @@
 import express from 'express';
-import storage from '../services/storage.js';
-import { ingestStudyMaterials } from '../services/ingestion.js';
+import fs from 'fs';
+import { enqueueIngest } from '../services/ingestJob.js';
+import jobQueue, { toPublicJob } from '../services/jobQueue.js';
+import { parseCaptions } from '../services/transcripts.js';
+import { resolvePdfExtraction } from '../services/uploadService.js';
 import {
   askQuestion,
+  askQuestionStream,
   dialogueTurn,
   generateSummary,
   testGeminiConnection,
   generateSuggestedQuestions,
 } from '../services/geminiService.js';
+import { deleteLocalCopy, incomingDir } from '../services/fileStore.js';
+import { resolveDriveLink } from '../services/googleDrive.js';
+import { fileContentHash } from '../services/dedup.js';
+import { inspectSource } from '../services/sourceInspector.js';
+import { ingestJobKey } from '../services/ingestion.js';
+import { requireAuth, requireAdmin } from '../middleware/auth.js';
+import authRouter from './auth.js';
+import adminRouter from './admin.js';
+import flashcardsRouter from './flashcards.js';
+import quizzesRouter from './quizzes.js';
+import examsRouter from './exams.js';
+import progressRouter from './progress.js';
+import { parseSourceIds } from './params.js';
 
 const router = express.Router();
 
@@ -19,23 +36,57 @@ router.get('/health', (req, res) => {
   });
 });
 
+// Accounts: register, login, logout, me
+router.use('/auth', authRouter);
+
+// Paths of the routes below. Anything else falls through to the 404 handler
+// in server.js instead of the login check answering 401; a route missing
+// here answers 404 as well, never without a login.
+const AUTHENTICATED_PATHS = [
+  '/admin', '/flashcards', '/quizzes', '/exams', '/progress', '/notebooks', '/test-gemini', '/ingest',
+  '/upload', '/sources', '/jobs', '/ask', '/dialogue', '/summary', '/suggest-questions', '/clear-history',
+  '/history', '/stats',
+];
+router.use((req, res, next) => (
+  AUTHENTICATED_PATHS.some((p) => req.path === p || req.path.startsWith(`${p}/`)) ? next() : next('router')
+));
+
+// Every route below requires a login and operates on the caller's session
+// and active notebook
+router.use(requireAuth);
+
+// Maintenance (Gemini file cleanup); admins only
+router.use('/admin', requireAdmin, adminRouter);
+
+// Flashcard deck of the active notebook, with spaced-repetition reviews
+router.use('/flashcards', flashcardsRouter);
+
+// Generated quizzes and their grading
+router.use('/quizzes', quizzesRouter);
+
+// Mock exams modeled on the exam template, with timed attempts
+router.use('/exams', examsRouter);
+
+// Learning analytics: mastery per topic, streaks and time studied
+router.use('/progress', progressRouter);
+
 // Notebooks
 router.get('/notebooks', (req, res) => {
   res.json({
     success: true,
-    activeNotebookId: storage.getStats().activeNotebookId,
-    notebooks: storage.listNotebooks(),
+    activeNotebookId: req.store.getStats().activeNotebookId,
+    notebooks: req.store.listNotebooks(),
   });
 });
 
 router.post('/notebooks', (req, res, next) => {
   try {
     const { name } = req.body || {};
-    const nb = storage.createNotebook(name || 'Untitled Notebook');
+    const nb = req.store.createNotebook(name || 'Untitled Notebook');
     res.json({
       success: true,
       notebook: nb,
-      activeNotebookId: storage.getStats().activeNotebookId,
+      activeNotebookId: req.store.getStats().activeNotebookId,
     });
   } catch (err) {
     next(err);
@@ -45,11 +96,11 @@ router.post('/notebooks', (req, res, next) => {
 router.post('/notebooks/:id/activate', (req, res, next) => {
   try {
     const { id } = req.params;
-    storage.setActiveNotebook(id);
-    storage.clearStudyMaterial();
+    req.store.setActiveNotebook(id);
+    req.store.clearStudyMaterial();
     res.json({
       success: true,
-      activeNotebookId: storage.getStats().activeNotebookId,
+      activeNotebookId: req.store.getStats().activeNotebookId,
     });
   } catch (err) {
     next(err);
@@ -60,7 +111,7 @@ router.post('/notebooks/:id/rename', (req, res, next) => {
   try {
     const { id } = req.params;
     const { name } = req.body || {};
-    const nb = storage.renameNotebook(id, name);
+    const nb = req.store.renameNotebook(id, name);
     res.json({
       success: true,
       notebook: { id: nb.id, name: nb.name },
@@ -73,7 +124,7 @@ router.post('/notebooks/:id/rename', (req, res, next) => {
 router.delete('/notebooks/:id', (req, res, next) => {
   try {
     const { id } = req.params;
-    storage.deleteNotebook(id);
+    req.store.deleteNotebook(id);
     res.json({ success: true });
   } catch (err) {
     next(err);
@@ -91,26 +142,14 @@ router.get('/test-gemini', async (req, res, next) => {
 });
 
 // Ingest study materials (PDF + YouTube)
-router.post('/ingest', async (req, res, next) => {
+// Queues a background job; poll GET /api/jobs/:id for progress.
+router.post('/ingest', (req, res, next) => {
   try {
-    // Get sources from storage
-    const sources = storage.getSources();
-
-    // If no sources in storage, use default from env vars (backward compatibility)
-    const material = await ingestStudyMaterials(sources.length > 0 ? sources : null);
-
-    storage.setStudyMaterial(material);
-
-    // Trigger background question generation (Fire & Forget)
-    generateSuggestedQuestions({ force: true }).catch(err =>
-      console.error('[Async] Question generation failed:', err.message)
-    );
-
-    res.json({
+    const job = enqueueIngest(req.store);
+    res.status(202).json({
       success: true,
-      message: 'Study material ingested successfully',
-      stats: material.stats,
-      sources: material.sources,
+      message: 'Ingestion queued',
+      job: toPublicJob(job),
     });
   } catch (err) {
     next(err);
@@ -121,19 +160,20 @@ router.post('/ingest', async (req, res, next) => {
 router.post('/upload', async (req, res, next) => {
   try {
     const multer = (await import('multer')).default;
-    const { processUploadedFile, isValidFileType, isValidFileSize } = await import('../services/uploadService.js');
+    const { processUploadedFile, isValidFileType, isValidFileSize, maxUploadSizeMB } = await import('../services/uploadService.js');
 
-    // Configure multer for memory storage
+    // Files are spooled to disk, so large recordings are never held in memory;
+    // other types are read in only after the per-type size check below
     const upload = multer({
-      storage: multer.memoryStorage(),
+      storage: multer.diskStorage({ destination: incomingDir() }),
       limits: {
-        fileSize: 10 * 1024 * 1024, // 10MB limit
+        fileSize: maxUploadSizeMB() * 1024 * 1024, // checked per file type below
       },
       fileFilter: (req, file, cb) => {
         if (isValidFileType(file.mimetype, file.originalname)) {
           cb(null, true);
         } else {
-          cb(new Error('Invalid file type. Supported: PDF, DOCX, TXT, MD'));
+          cb(new Error('Invalid file type. Supported: PDF, DOCX, PPTX, EPUB, HTML, CSV, XLSX, TXT, MD, SRT, VTT, JPG, PNG, WEBP, MP3, M4A, WAV'));
         }
       },
     }).single('file');
@@ -141,7 +181,11 @@ router.post('/upload', async (req, res, next) => {
     // Wrap multer middleware in promise
     await new Promise((resolve, reject) => {
       upload(req, res, (err) => {
-        if (err) reject(err);
+        if (err?.code === 'LIMIT_FILE_SIZE') {
+          const error = new Error(`File size exceeds ${maxUploadSizeMB()}MB limit`);
+          error.statusCode = 413;
+          reject(error);
+        } else if (err) reject(err);
         else resolve();
       });
     });
@@ -152,70 +196,72 @@ router.post('/upload', async (req, res, next) => {
       throw error;
     }
 
-    // Validate file size
-    if (!isValidFileSize(req.file.size)) {
-      const error = new Error('File size exceeds 10MB limit');
-      error.statusCode = 400;
+    // Validate file size (recordings may be larger)
+    const maxSizeMB = maxUploadSizeMB(req.file.mimetype, req.file.originalname);
+    if (!isValidFileSize(req.file.size, maxSizeMB)) {
+      const error = new Error(`File size exceeds ${maxSizeMB}MB limit`);
+      error.statusCode = 413;
       throw error;
     }
 
-    // Process the uploaded file
-    const result = await processUploadedFile(req.file);
+    // An identical file is rejected before it is processed or uploaded
+    const hash = await fileContentHash(req.file.path);
+    req.store.assertNotDuplicate({ contentHash: hash });
+
+    // Process the uploaded file; PDFs go to Gemini or are extracted locally
+    const pdfExtraction = resolvePdfExtraction(req.body?.pdfExtraction);
+    const result = await processUploadedFile(req.file, { pdfExtraction });
 
     // Add to storage as a source
-    const source = storage.addSource({
+    const source = req.store.addSource({
       type: 'file',
       fileName: result.fileName,
       fileType: result.fileType,
+      pdfExtraction: result.pdfExtraction,
       text: result.text,
       size: result.size,
       name: result.fileName,
+      fileUri: result.fileUri,
+      mimeType: result.mimeType,
+      pages: result.pages,
+      physicalPages: result.physicalPages,
+      segments: result.segments,
+      units: result.units,
+      remoteName: result.remoteName,
+      uploadedAt: result.uploadedAt,
+      expiresAt: result.expiresAt,
+      localFile: result.localFile,
+      ocrPending: result.ocrPending,
+      // Near duplicates are reported by the ingestion job (see ingestJob.js)
+      nearDuplicatesPending: true,
+      contentHash: hash,
       metadata: result.metadata
     });
 
-    try {
-      const material = await ingestStudyMaterials(storage.getSources());
-      storage.setStudyMaterial(material);
-
-      // Trigger background question generation
-      generateSuggestedQuestions({ force: true }).catch(err =>
-        console.error('[Async] Question generation failed:', err.message)
-      );
-
-      res.json({
-        success: true,
-        message: 'File uploaded and study material ingested successfully',
-        source: {
-          id: source.id,
-          name: source.fileName,
-          type: source.fileType,
-          size: source.size,
-        },
-        stats: material.stats,
-        sources: material.sources,
-      });
-    } catch (ingestErr) {
-      res.json({
-        success: true,
-        message: 'File uploaded, but ingestion failed. Try /api/ingest.',
-        source: {
-          id: source.id,
-          name: source.fileName,
-          type: source.fileType,
-          size: source.size,
-        },
-        error: ingestErr.message,
-      });
-    }
+    const job = enqueueIngest(req.store);
+    res.status(202).json({
+      success: true,
+      message: 'File uploaded; ingestion queued',
+      source: {
+        id: source.id,
+        name: source.fileName,
+        type: source.fileType,
+        size: source.size,
+      },
+      job: toPublicJob(job),
+    });
   } catch (err) {
     next(err);
+  } finally {
+    // Recordings have been moved into the file store; anything else is read or rejected
+    if (req.file?.path) fs.rmSync(req.file.path, { force: true });
   }
 });
 
-// Add source (Google Drive, YouTube, Text)
+// Add source (Google Drive, YouTube, web page, Text)
 router.post('/sources/add', async (req, res, next) => {
   try {
-    const { type, url, content, name } = req.body || {};
+    const { type, url, content, name, captions, pdfExtraction } = req.body || {};
 
     if (!type) {
       const error = new Error('Source type is required');
@@ -223,7 +269,10 @@ router.post('/sources/add', async (req, res, next) => {
       throw error;
     }
 
-    let sourceData = { type, name: name || `${type} source` };
+    // Near duplicates are reported by the ingestion job (see ingestJob.js)
+    let sourceData = { type, name: name || `${type} source`, nearDuplicatesPending: true };
+    // The files a Drive link stands for (several for a folder)
+    let driveLink = null;
 
     if (type === 'drive' || type === 'youtube') {
       if (!url) {
@@ -232,6 +281,46 @@ router.post('/sources/add', async (req, res, next) => {
         throw error;
       }
       sourceData.url = url;
+      // Drive PDFs follow PDF_EXTRACTION unless the source asks otherwise
+      if (type === 'drive' && pdfExtraction) {
+        sourceData.pdfExtraction = resolvePdfExtraction(pdfExtraction);
+      }
+      if (type === 'drive') {
+        driveLink = await resolveDriveLink(url);
+        if (driveLink.files.length === 0) {
+          const { inaccessible } = driveLink;
+          const error = new Error(inaccessible.length > 0
+            ? inaccessible.map((file) => file.error).join('; ')
+            : 'The Drive folder has no files');
+          error.statusCode = inaccessible.length > 0 ? 403 : 400;
+          throw error;
+        }
+      }
+      // Optional .srt/.vtt text for videos whose captions cannot be fetched
+      if (type === 'youtube' && captions) {
+        const segments = parseCaptions(captions);
+        if (segments.length === 0) {
+          const error = new Error('Captions must be valid SRT or WebVTT');
+          error.statusCode = 400;
+          throw error;
+        }
+        sourceData.segments = segments;
+        sourceData.transcriptOrigin = 'upload';
+      }
+    } else if (type === 'url') {
+      let parsed = null;
+      try {
+        parsed = new URL(url);
+      } catch {
+        // reported below
+      }
+      if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        const error = new Error('A valid http(s) URL is required for url sources');
+        error.statusCode = 400;
+        throw error;
+      }
+      sourceData.url = parsed.toString();
+      sourceData.name = name || `${parsed.hostname}${parsed.pathname === '/' ? '' : parsed.pathname}`;
     } else if (type === 'text') {
       if (!content) {
         const error = new Error('Content is required for text sources');
@@ -240,47 +329,53 @@ router.post('/sources/add', async (req, res, next) => {
       }
       sourceData.content = content;
     } else {
-      const error = new Error('Invalid source type. Use: drive, youtube, or text');
+      const error = new Error('Invalid source type. Use: drive, youtube, url, or text');
       error.statusCode = 400;
       throw error;
     }
 
-    const source = storage.addSource(sourceData);
-
-    // Auto-ingest immediately so all endpoints use the latest sources
-    try {
-      const material = await ingestStudyMaterials(storage.getSources());
-      storage.setStudyMaterial(material);
-
-      // Trigger background question generation
-      generateSuggestedQuestions({ force: true }).catch(err =>
-        console.error('[Async] Question generation failed:', err.message)
-      );
-
-      res.json({
-        success: true,
-        message: 'Source added and study material ingested successfully',
-        source: {
-          id: source.id,
-          type: source.type,
-          name: source.name,
-        },
-        stats: material.stats,
-        sources: material.sources,
-      });
-    } catch (ingestErr) {
-      // If ingestion fails, still return the source addition and allow client to retry
-      res.json({
-        success: true,
-        message: 'Source added, but ingestion failed. Try /api/ingest.',
-        source: {
-          id: source.id,
-          type: source.type,
-          name: source.name,
-        },
-        error: ingestErr.message,
-      });
+    const added = [];
+    // Files of a folder that are already in the notebook
+    const duplicates = [];
+    if (driveLink) {
+      for (const file of driveLink.files) {
+        const fileData = {
+          ...sourceData,
+          url: file.url,
+          // A name given for a single file wins; files of a folder keep their own
+          name: (!driveLink.folder && name) || file.name || sourceData.name,
+        };
+        try {
+          added.push(req.store.addSource(fileData));
+        } catch (error) {
+          if (error.statusCode !== 409 || !driveLink.folder) throw error;
+          duplicates.push({ name: fileData.name, url: file.url, error: error.message });
+        }
+      }
+      if (added.length === 0) {
+        const error = new Error('Every file in this Drive folder is already in the notebook');
+        error.statusCode = 409;
+        throw error;
+      }
+    } else {
+      added.push(req.store.addSource(sourceData));
     }
+    const publicSource = (source) => ({ id: source.id, type: source.type, name: source.name });
+
+    // Re-ingest in the background so all endpoints use the latest sources
+    const job = enqueueIngest(req.store);
+    res.status(202).json({
+      success: true,
+      message: driveLink?.folder
+        ? `Added ${added.length} file(s) from the Drive folder; ingestion queued`
+        : 'Source added; ingestion queued',
+      source: publicSource(added[0]),
+      sources: added.map(publicSource),
+      // Drive files that could not be added because they are not shared publicly
+      inaccessible: driveLink?.inaccessible || [],
+      duplicates,
+      job: toPublicJob(job),
+    });
   } catch (err) {
     next(err);
   }
@@ -288,7 +383,7 @@ router.post('/sources/add', async (req, res, next) => {
 
 // Get all sources
 router.get('/sources', (req, res) => {
-  const sources = storage.getSources();
+  const sources = req.store.getSources();
   res.json({
     success: true,
     sources: sources.map(s => ({
@@ -296,92 +391,113 @@ router.get('/sources', (req, res) => {
       type: s.type,
       name: s.name,
       fileName: s.fileName,
+      fileType: s.fileType,
       size: s.size,
       addedAt: s.addedAt,
+      expiresAt: s.expiresAt || null,
+      enabled: s.enabled !== false,
+      examTemplate: !!s.examTemplate,
     })),
     count: sources.length,
   });
 });
 
+// Inspect a source: extracted text by page/slide/section/segment,
+// ingestion status and token estimates
+router.get('/sources/:id', (req, res) => {
+  const source = req.store.getSources().find((s) => s.id === req.params.id);
+  if (!source) {
+    return res.status(404).json({
+      success: false,
+      message: 'Source not found',
+    });
+  }
+
+  res.json({
+    success: true,
+    ...inspectSource(source, {
+      cacheEntry: req.store.getIngestCache()[source.id] || null,
+      activeJob: jobQueue.findActive(ingestJobKey(req.store)),
+    }),
+  });
+});
+
+// Enable or disable a source, or flag it as the notebook's exam template.
+// Disabled sources stay ingested but are left out of answers, dialogue and
+// summaries, so toggling needs no re-ingestion. A notebook has at most one
+// exam template; flagging a source unflags the others.
+router.patch('/sources/:id', (req, res, next) => {
+  try {
+    const { enabled, examTemplate } = req.body || {};
+    if (enabled === undefined && examTemplate === undefined) {
+      const error = new Error('Invalid request: send "enabled" or "examTemplate"');
+      error.statusCode = 400;
+      throw error;
+    }
+    for (const [field, value] of Object.entries({ enabled, examTemplate })) {
+      if (value !== undefined && typeof value !== 'boolean') {
+        const error = new Error(`Invalid request: "${field}" must be true or false`);
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+    const sources = req.store.getSources();
+    if (!sources.some((s) => s.id === req.params.id)) {
+      const error = new Error('Source not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    if (examTemplate) {
+      sources
+        .filter((s) => s.examTemplate && s.id !== req.params.id)
+        .forEach((s) => req.store.updateSource(s.id, { examTemplate: false }));
+    }
+    const source = req.store.updateSource(req.params.id, {
+      ...(enabled !== undefined ? { enabled } : {}),
+      ...(examTemplate !== undefined ? { examTemplate } : {}),
+    });
+    res.json({
+      success: true,
+      source: { id: source.id, name: source.name, enabled: source.enabled !== false, examTemplate: !!source.examTemplate },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // Remove a source
 router.delete('/sources/:id', (req, res) => {
   const { id } = req.params;
-  const removed = storage.removeSource(id);
-
-  if (removed) {
-    try {
-      const sources = storage.getSources();
-      if (sources.length > 0) {
-        ingestStudyMaterials(sources)
-          .then((material) => {
-            storage.setStudyMaterial(material);
-
-            // Trigger background question generation
-            generateSuggestedQuestions({ force: true }).catch(err =>
-              console.error('[Async] Question generation failed:', err.message)
-            );
-
-            res.json({
-              success: true,
-              message: 'Source removed and study material updated',
-              stats: material.stats,
-              sources: material.sources,
-            });
-          })
-          .catch(() => {
-            res.json({
-              success: true,
-              message: 'Source removed. Re-ingestion failed; try /api/ingest.',
-            });
-          });
-      } else {
-        if (storage.isDefaultActive()) {
-          ingestStudyMaterials(null)
-            .then((material) => {
-              storage.setStudyMaterial(material);
-              // Trigger background regen
-              generateSuggestedQuestions({ force: true }).catch(err => console.error(err));
-
-              res.json({
-                success: true,
-                message: 'Source removed. Default notebook loaded from environment',
-                stats: material.stats,
-                sources: material.sources,
-              });
-            })
-            .catch(() => {
-              storage.clearStudyMaterial();
-              res.json({
-                success: true,
-                message: 'Source removed. No sources available; study material cleared.',
-              });
-            });
-        } else {
-          storage.clearStudyMaterial();
-          res.json({
-            success: true,
-            message: 'Source removed. No sources in active notebook; study material cleared.',
-          });
-        }
-      }
-    } catch {
-      res.json({
-        success: true,
-        message: 'Source removed. Unable to update study material.',
-      });
-    }
-  } else {
-    res.status(404).json({
+  const source = req.store.getSources().find((s) => s.id === id);
+  const removed = req.store.removeSource(id);
+
+  if (!removed) {
+    return res.status(404).json({
       success: false,
       message: 'Source not found',
     });
   }
+
+  // The remote Gemini file goes once nothing references it (admin file GC)
+  if (source.localFile) deleteLocalCopy(source.localFile);
+
+  // Rebuild the material from what is left (or clear it) in the background
+  const job = enqueueIngest(req.store);
+  res.status(202).json({
+    success: true,
+    message: 'Source removed; study material update queued',
+    job: toPublicJob(job),
+  });
 });
 
 // Clear all sources
 router.post('/sources/clear', (req, res) => {
-  storage.clearSources();
-  storage.clearStudyMaterial();
+  req.store.getSources().forEach((s) => {
+    if (s.localFile) deleteLocalCopy(s.localFile);
+  });
+  req.store.clearSources();
+  req.store.clearStudyMaterial();
+  req.store.clearIngestCache();
   res.json({
     success: true,
     message: 'All sources cleared',
@@ -389,6 +505,71 @@ router.post('/sources/clear', (req, res) => {
 });
 
 
+/**
+ * Write a single Server-Sent Event frame.
+ */
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Find a job owned by the caller, or throw 404.
+ */
+function getOwnJob(req) {
+  const job = jobQueue.get(req.params.id);
+  if (!job || job.ownerId !== req.user.id) {
+    const error = new Error('Job not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return job;
+}
+
+// Background job status
+router.get('/jobs/:id', (req, res, next) => {
+  try {
+    res.json({ success: true, job: toPublicJob(getOwnJob(req)) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Background job progress (Server-Sent Events)
+// Emits a `progress` event with the job on every update, then `done`.
+// POST, read with fetch: EventSource cannot send the Authorization header.
+router.post('/jobs/:id/events', (req, res, next) => {
+  let job;
+  try {
+    job = getOwnJob(req);
+  } catch (err) {
+    return next(err);
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const finish = (finished) => {
+    writeEvent(res, 'done', toPublicJob(finished));
+    jobQueue.off('update', onUpdate);
+    res.end();
+  };
+  const onUpdate = (updated) => {
+    if (updated.id !== job.id) return;
+    if (updated.status === 'completed' || updated.status === 'failed') finish(updated);
+    else writeEvent(res, 'progress', toPublicJob(updated));
+  };
+
+  if (job.status === 'completed' || job.status === 'failed') return finish(job);
+  writeEvent(res, 'progress', toPublicJob(job));
+  jobQueue.on('update', onUpdate);
+  res.on('close', () => jobQueue.off('update', onUpdate));
+});
+
 // Grounded Q&A
 router.post('/ask', async (req, res, next) => {
   try {
@@ -399,7 +580,8 @@ router.post('/ask', async (req, res, next) => {
       throw error;
     }
 
-    const answer = await askQuestion(question);
+    const sourceIds = parseSourceIds(req.body.sourceIds);
+    const answer = await askQuestion(req.store, question, { sourceIds });
     res.json({
       ...answer,
       timestamp: new Date().toISOString(),
@@ -409,6 +591,62 @@ router.post('/ask', async (req, res, next) => {
   }
 });
 
+// Streaming grounded Q&A (Server-Sent Events)
+// Emits `chunk` events with partial markdown, then a final `done` event
+// carrying the enforced answer, groundingScore, citations and sources.
+// POST only, read with fetch: EventSource cannot send the Authorization header.
+router.post('/ask/stream', async (req, res, next) => {
+  const question = req.body?.question;
+  if (!question || typeof question !== 'string') {
+    const error = new Error('Invalid request: "question" is required');
+    error.statusCode = 400;
+    return next(error);
+  }
+  let sourceIds;
+  try {
+    sourceIds = parseSourceIds(req.body?.sourceIds);
+  } catch (err) {
+    return next(err);
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  let aborted = false;
+  res.on('close', () => {
+    aborted = !res.writableEnded;
+  });
+
+  try {
+    const answer = await askQuestionStream(req.store, question, {
+      onChunk: (text) => writeEvent(res, 'chunk', { text }),
+      isAborted: () => aborted,
+      sourceIds,
+    });
+    if (!aborted) {
+      writeEvent(res, 'done', {
+        ...answer,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  } catch (err) {
+    console.error('[API] Error in /ask/stream:', err.message);
+    if (!aborted) {
+      writeEvent(res, 'error', {
+        message: err.publicMessage || err.message || 'Internal server error',
+        statusCode: err.statusCode || err.status || 500,
+      });
+    }
+  } finally {
+    res.end();
+  }
+});
+
 // Voice dialogue
 router.post('/dialogue', async (req, res, next) => {
   try {
@@ -419,7 +657,8 @@ router.post('/dialogue', async (req, res, next) => {
       throw error;
     }
 
-    const entry = await dialogueTurn(message);
+    const sourceIds = parseSourceIds(req.body.sourceIds);
+    const entry = await dialogueTurn(req.store, message, { sourceIds });
     res.json({
       ...entry,
       timestamp: new Date().toISOString(),
@@ -432,7 +671,7 @@ router.post('/dialogue', async (req, res, next) => {
 // Summary endpoint
 router.post('/summary', async (req, res, next) => {
   try {
-    const result = await generateSummary();
+    const result = await generateSummary(req.store, { sourceIds: parseSourceIds(req.body?.sourceIds) });
     res.json({
       ...result,
       slideCount: 3,
@@ -449,7 +688,7 @@ router.post('/suggest-questions', async (req, res, next) => {
   try {
     // 1. If not generated yet (and not currently generating), this might return existing or trigger regen if cache empty.
     // Since we now cache, this call is fast if cached.
-    const result = await generateSuggestedQuestions();
+    const result = await generateSuggestedQuestions(req.store);
 
     // Note: If generation is still "in progress" (from background job), 
     // there isn't a lock mechanism here, so it might run twice. 
@@ -498,7 +737,7 @@ router.post('/suggest-questions', async (req, res, next) => {
 
 // Clear conversation history
 router.post('/clear-history', (req, res) => {
-  storage.clearHistory();
+  req.store.clearHistory();
   res.json({
     success: true,
     message: 'History cleared',
@@ -507,7 +746,7 @@ router.post('/clear-history', (req, res) => {
 
 // Get conversation history
 router.get('/history', (req, res) => {
-  const history = storage.getHistory();
+  const history = req.store.getHistory();
   res.json({
     success: true,
     history,
@@ -517,7 +756,7 @@ router.get('/history', (req, res) => {
 
 // Storage stats
 router.get('/stats', (req, res) => {
-  const stats = storage.getStats();
+  const stats = req.store.getStats();
   res.json(stats);
 });
 
@@ -0,0 +1,40 @@
+import express from 'express';
+import { register, login, logout, toPublicUser } from '../services/authService.js';
+import { requireAuth, getBearerToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Create an account and sign in
+router.post('/register', async (req, res, next) => {
+  try {
+    const { email, password, name } = req.body || {};
+    const session = await register({ email, password, name });
+    res.status(201).json({ success: true, ...session });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Sign in with email + password
+router.post('/login', async (req, res, next) => {
+  try {
+    const { email, password } = req.body || {};
+    const session = await login({ email, password });
+    res.json({ success: true, ...session });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Revoke the current session token
+router.post('/logout', requireAuth, (req, res) => {
+  logout(getBearerToken(req));
+  res.json({ success: true });
+});
+
+// Current user
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ success: true, user: toPublicUser(req.user) });
+});
+
+export default router;
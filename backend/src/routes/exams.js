@@ -0,0 +1,166 @@
+import express from 'express';
+import { generateMockExam, gradeShortAnswers } from '../services/geminiService.js';
+import { attemptTiming, isAttemptOpen, markExam, toMarkingScheme, toPublicExam } from '../services/exam.js';
+import { answerActivity, recordActivity } from '../services/analytics.js';
+import { parseSourceIds } from './params.js';
+
+const router = express.Router();
+
+function notFound(message) {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+}
+
+function findExam(req) {
+  const exam = req.store.getExam(req.params.id);
+  if (!exam) throw notFound('Exam not found');
+  return exam;
+}
+
+// The notebook's mock exams, newest first, without answers
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    exams: req.store.getExams().slice().reverse().map(toPublicExam),
+  });
+});
+
+// Generate a mock exam modeled on the exam template
+// Body: { durationMinutes?, sourceIds? }
+router.post('/', async (req, res, next) => {
+  try {
+    const { durationMinutes } = req.body || {};
+    if (durationMinutes !== undefined && durationMinutes !== null && !(Number(durationMinutes) > 0)) {
+      const error = new Error('Invalid request: "durationMinutes" must be a positive number');
+      error.statusCode = 400;
+      throw error;
+    }
+    const { exam, skipped } = await generateMockExam(req.store, {
+      durationMinutes,
+      sourceIds: parseSourceIds(req.body?.sourceIds),
+    });
+    res.status(201).json({ success: true, exam: toPublicExam(exam), skipped });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/:id', (req, res, next) => {
+  try {
+    res.json({ success: true, exam: toPublicExam(findExam(req)) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Answers, marking points and citations for every question; shown once an
+// attempt has been handed in, and never while one is being taken
+router.get('/:id/marking-scheme', (req, res, next) => {
+  try {
+    const exam = findExam(req);
+    if (exam.attempts.some((a) => isAttemptOpen(a))) {
+      const error = new Error('The marking scheme is hidden while an attempt is in progress');
+      error.statusCode = 409;
+      throw error;
+    }
+    if (!exam.attempts.some((a) => a.submittedAt)) {
+      const error = new Error('Submit an attempt to see the marking scheme');
+      error.statusCode = 403;
+      throw error;
+    }
+    res.json({ success: true, markingScheme: toMarkingScheme(exam) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Start a timed attempt; the clock runs on the server
+router.post('/:id/attempts', (req, res, next) => {
+  try {
+    const exam = findExam(req);
+    const startedAt = new Date();
+    const attempt = req.store.addExamAttempt(exam.id, {
+      startedAt: startedAt.toISOString(),
+      endsAt: new Date(startedAt.getTime() + exam.durationMinutes * 60 * 1000).toISOString(),
+      submittedAt: null,
+    });
+    res.status(201).json({ success: true, attempt, exam: toPublicExam(exam) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Hand in an attempt: { answers: { [questionId]: option index | true/false | text } }
+// Returns the marks per section; answers after the time allowed are
+// still marked but flagged as overtime
+router.post('/:id/attempts/:attemptId/submit', async (req, res, next) => {
+  try {
+    const exam = findExam(req);
+    const attempt = exam.attempts.find((a) => a.id === req.params.attemptId);
+    if (!attempt) throw notFound('Attempt not found');
+    if (attempt.submittedAt) {
+      const error = new Error('This attempt has already been submitted');
+      error.statusCode = 409;
+      throw error;
+    }
+    const answers = req.body?.answers;
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+      const error = new Error('Invalid request: "answers" must map question ids to answers');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Hand the attempt in before marking it, so a second submit arriving
+    // while the model marks (auto-submit plus a click) gets the 409
+    const submittedAt = new Date();
+    req.store.updateExamAttempt(exam.id, attempt.id, {
+      answers,
+      submittedAt: submittedAt.toISOString(),
+      ...attemptTiming(attempt, submittedAt),
+    });
+    let report;
+    try {
+      // Feedback cites the sources the exam was written from, as far as they are still enabled
+      const sourceIds = exam.sourceIds.filter((id) => req.store.getSources().some((s) => s.id === id && s.enabled !== false));
+      report = await markExam(exam, answers, (items) => gradeShortAnswers(req.store, items, {
+        sourceIds: sourceIds.length > 0 ? sourceIds : undefined,
+      }));
+    } catch (err) {
+      // Reopen the attempt so it can be submitted again
+      req.store.updateExamAttempt(exam.id, attempt.id, { answers: undefined, submittedAt: null, timeTakenSeconds: undefined, overtime: undefined });
+      throw err;
+    }
+    const updated = req.store.updateExamAttempt(exam.id, attempt.id, report);
+    recordActivity(req.store, answerActivity('exam', report.sections.flatMap((s) => s.results), {
+      at: updated.submittedAt,
+      seconds: updated.timeTakenSeconds,
+      ref: exam.id,
+    }));
+    res.json({ success: true, attempt: updated });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// A submitted attempt's report
+router.get('/:id/attempts/:attemptId', (req, res, next) => {
+  try {
+    const attempt = findExam(req).attempts.find((a) => a.id === req.params.attemptId);
+    if (!attempt) throw notFound('Attempt not found');
+    res.json({ success: true, attempt });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/:id', (req, res, next) => {
+  try {
+    req.store.removeExam(findExam(req).id);
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,93 @@
+import express from 'express';
+import { generateFlashcards } from '../services/geminiService.js';
+import { deckStats, dueCards, parseGrade, reviewSchedule } from '../services/spacedRepetition.js';
+import { recordActivity, reviewActivity } from '../services/analytics.js';
+import { parseSourceIds } from './params.js';
+
+const router = express.Router();
+
+function findCard(req) {
+  const card = req.store.getFlashcards().find((c) => c.id === req.params.id);
+  if (!card) {
+    const error = new Error('Flashcard not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return card;
+}
+
+// The whole deck, due cards first
+router.get('/', (req, res) => {
+  const cards = req.store.getFlashcards();
+  res.json({
+    success: true,
+    cards: cards.slice().sort((a, b) => Date.parse(a.schedule.due) - Date.parse(b.schedule.due)),
+    stats: deckStats(cards),
+  });
+});
+
+// Generate grounded cards from the notebook's material and add them to the deck
+// Body: { count?, topic?, sourceIds? }
+router.post('/generate', async (req, res, next) => {
+  try {
+    const { count, topic } = req.body || {};
+    if (topic !== undefined && topic !== null && typeof topic !== 'string') {
+      const error = new Error('Invalid request: "topic" must be a string');
+      error.statusCode = 400;
+      throw error;
+    }
+    const result = await generateFlashcards(req.store, {
+      count,
+      topic: topic?.trim() || null,
+      sourceIds: parseSourceIds(req.body?.sourceIds),
+    });
+    res.status(201).json({
+      success: true,
+      ...result,
+      stats: deckStats(req.store.getFlashcards()),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Cards due for review now, the longest overdue first (at most ?limit=, default 20)
+router.get('/review', (req, res) => {
+  const limit = Math.max(1, Number(req.query.limit) || 20);
+  const due = dueCards(req.store.getFlashcards());
+  res.json({
+    success: true,
+    cards: due.slice(0, limit),
+    remaining: Math.max(0, due.length - limit),
+  });
+});
+
+// Record a review and reschedule the card
+// Body: { grade: 0-5 | "again" | "hard" | "good" | "easy" }
+router.post('/:id/grade', (req, res, next) => {
+  try {
+    const card = findCard(req);
+    const grade = parseGrade(req.body?.grade);
+    if (grade === null) {
+      const error = new Error('Invalid request: "grade" must be 0-5 or again, hard, good or easy');
+      error.statusCode = 400;
+      throw error;
+    }
+    const updated = req.store.updateFlashcard(card.id, { schedule: reviewSchedule(card.schedule, grade) });
+    recordActivity(req.store, [reviewActivity(updated, grade, updated.schedule.lastReviewedAt)]);
+    res.json({ success: true, card: updated, stats: deckStats(req.store.getFlashcards()) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/:id', (req, res, next) => {
+  try {
+    req.store.removeFlashcard(findCard(req).id);
+    res.json({ success: true, stats: deckStats(req.store.getFlashcards()) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
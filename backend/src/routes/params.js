@@ -0,0 +1,19 @@
+/**
+ * Request parameters shared by several routers.
+ */
+
+/**
+ * The optional `sourceIds` filter of a question, dialogue, summary or
+ * flashcard request: an array of source ids, or a comma-separated string.
+ * @returns {Array<string>|null} null when absent
+ */
+export function parseSourceIds(value) {
+  if (value === undefined || value === null) return null;
+  const ids = typeof value === 'string' ? value.split(',').map((id) => id.trim()).filter(Boolean) : value;
+  if (!Array.isArray(ids) || ids.length === 0 || !ids.every((id) => typeof id === 'string')) {
+    const error = new Error('Invalid request: "sourceIds" must be a non-empty array of source ids');
+    error.statusCode = 400;
+    throw error;
+  }
+  return ids;
+}
@@ -0,0 +1,36 @@
+import express from 'express';
+import { extractConcepts } from '../services/geminiService.js';
+import { buildProgress, importHistory, tagConcepts } from '../services/analytics.js';
+
+const router = express.Router();
+
+// Learning progress of the notebook: mastery per topic, weak topics,
+// streaks, time studied and activity counts.
+// Query: tzOffset (minutes, as Date.getTimezoneOffset) for day boundaries
+router.get('/', async (req, res, next) => {
+  try {
+    const tzOffset = req.query.tzOffset === undefined ? 0 : Number(req.query.tzOffset);
+    if (!Number.isInteger(tzOffset) || Math.abs(tzOffset) > 14 * 60) {
+      const error = new Error('Invalid request: "tzOffset" must be a whole number of minutes');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    importHistory(req.store);
+    try {
+      await extractConcepts(req.store);
+    } catch (err) {
+      // Ingestion or the model failed: progress is shown against the last
+      // concept list, and extraction is tried again next time
+      console.error('[Analytics] Could not refresh concepts:', err.message);
+    }
+    const { concepts } = req.store.getLearning();
+    req.store.retagActivity((entry) => tagConcepts(entry.text, concepts));
+
+    res.json({ success: true, progress: buildProgress(req.store.getLearning(), { tzOffset }) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,95 @@
+import express from 'express';
+import { generateQuiz, gradeShortAnswers } from '../services/geminiService.js';
+import { QUESTION_TYPES, gradeSubmission, toPublicQuiz } from '../services/quiz.js';
+import { answerActivity, recordActivity } from '../services/analytics.js';
+import { parseSourceIds } from './params.js';
+
+const router = express.Router();
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function findQuiz(req) {
+  const quiz = req.store.getQuiz(req.params.id);
+  if (!quiz) {
+    const error = new Error('Quiz not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return quiz;
+}
+
+// The notebook's quizzes, newest first, without answers
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    quizzes: req.store.getQuizzes().slice().reverse().map(toPublicQuiz),
+  });
+});
+
+// Generate a quiz from the notebook's material
+// Body: { count?, types?, topic?, sourceIds? }
+router.post('/', async (req, res, next) => {
+  try {
+    const { count, types, topic } = req.body || {};
+    if (types !== undefined && (!Array.isArray(types) || types.length === 0 || !types.every((t) => QUESTION_TYPES.includes(t)))) {
+      throw badRequest(`Invalid request: "types" must be a non-empty array of ${QUESTION_TYPES.join(', ')}`);
+    }
+    if (topic !== undefined && topic !== null && typeof topic !== 'string') {
+      throw badRequest('Invalid request: "topic" must be a string');
+    }
+    const quiz = await generateQuiz(req.store, {
+      count,
+      types,
+      topic: topic?.trim() || null,
+      sourceIds: parseSourceIds(req.body?.sourceIds),
+    });
+    res.status(201).json({ success: true, quiz: toPublicQuiz(quiz) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/:id', (req, res, next) => {
+  try {
+    res.json({ success: true, quiz: toPublicQuiz(findQuiz(req)) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Grade a submission: { answers: { [questionId]: option index | true/false | text } }
+// Returns the score and per-question feedback, answers and citations
+router.post('/:id/submit', async (req, res, next) => {
+  try {
+    const quiz = findQuiz(req);
+    const answers = req.body?.answers;
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+      throw badRequest('Invalid request: "answers" must map question ids to answers');
+    }
+    // Feedback cites the sources the quiz was written from, as far as they are still enabled
+    const sourceIds = (quiz.sourceIds || []).filter((id) => req.store.getSources().some((s) => s.id === id && s.enabled !== false));
+    const graded = await gradeSubmission(quiz, answers, (items) => gradeShortAnswers(req.store, items, {
+      sourceIds: sourceIds.length > 0 ? sourceIds : undefined,
+    }));
+    const attempt = req.store.addQuizAttempt(quiz.id, { answers, ...graded });
+    recordActivity(req.store, answerActivity('quiz', graded.results, { at: attempt.submittedAt, ref: quiz.id }));
+    res.json({ success: true, attemptId: attempt.id, ...graded });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/:id', (req, res, next) => {
+  try {
+    req.store.removeQuiz(findQuiz(req).id);
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
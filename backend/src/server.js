@@ -3,6 +3,7 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import apiRouter from './routes/api.js';
 import { errorHandler } from './middleware/errorHandler.js';
+import storage from './services/storage.js';
 
 dotenv.config();
 
@@ -41,11 +42,20 @@ app.use(errorHandler);
 
 const port = process.env.PORT || 3000;
 
-app.listen(port, () => {
+const server = app.listen(port, () => {
   // eslint-disable-next-line no-console
   console.log(`🚀 Study Tool API listening on port ${port}`);
 });
 
+// Persist pending storage writes before the process exits
+const shutdown = (signal) => {
+  console.log(`${signal} received, flushing storage and shutting down`);
+  storage.flush();
+  server.close(() => process.exit(0));
+};
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 export default app;
 
 
@@ -0,0 +1,303 @@
+import { tokenize } from './retrieval.js';
+
+/**
+ * Learning analytics: an activity log per notebook (questions asked, quiz and
+ * exam answers, flashcard reviews), each entry tagged with the concepts of
+ * the notebook it touches, and the progress computed from it.
+ *
+ * Concepts are extracted from the material once per set of sources (see
+ * extractConcepts in geminiService.js), each with keywords; an activity
+ * touches a concept when its text contains one of them. Entries are tagged
+ * when recorded, and re-tagged when the concept list changes.
+ *
+ * Mastery of a concept is the recency-weighted share of marks earned on the
+ * answers and reviews tagged with it (a review's score depends on its grade),
+ * starting from an even prior; questions asked count as practice but not as
+ * evidence. Study time merges activity into sessions: activity less than
+ * IDLE_MINUTES apart belongs to the same session.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Evidence loses half its weight every HALF_LIFE_DAYS
+const HALF_LIFE_DAYS = 21;
+const PRIOR_WEIGHT = 1;
+const WEAK_BELOW = 0.5;
+const STRONG_FROM = 0.8;
+const IDLE_MINUTES = 15;
+// Estimated time per activity when its duration is not known
+const SECONDS = { question: 60, quiz: 45, review: 15 };
+// Score of a flashcard review by SM-2 grade (see spacedRepetition.js)
+const REVIEW_SCORES = [0, 0, 0, 0.6, 0.85, 1];
+const MAX_TEXT = 600;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Plural and singular forms match
+const stem = (term) => (term.length > 4 && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term);
+const terms = (text) => tokenize(text).map(stem);
+
+const slug = (name) => `c_${String(name).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '_').replace(/^_|_$/g, '')}`;
+
+/**
+ * The model's concept list in canonical form: [{ id, name, keywords }], the
+ * name always among the keywords. Duplicates and nameless entries are dropped.
+ */
+export function normalizeConcepts(raw) {
+  const concepts = new Map();
+  for (const item of Array.isArray(raw) ? raw : raw?.concepts || []) {
+    const name = typeof item === 'string' ? item.trim() : typeof item?.name === 'string' ? item.name.trim() : '';
+    if (!name || concepts.has(slug(name))) continue;
+    const keywords = (Array.isArray(item?.keywords) ? item.keywords : [])
+      .filter((k) => typeof k === 'string' && terms(k).length > 0)
+      .map((k) => k.trim());
+    concepts.set(slug(name), { id: slug(name), name, keywords: [...new Set([name, ...keywords])] });
+  }
+  return [...concepts.values()];
+}
+
+/**
+ * Fallback concept list: the terms found in the most chunks (then used most
+ * often, which ranks the terms of short material), leaving out those in
+ * nearly every chunk and those used only once.
+ */
+export function keywordConcepts(chunks, limit = 12) {
+  const texts = (chunks || []).map((c) => terms(c.text));
+  const frequency = new Map();
+  const uses = new Map();
+  for (const words of texts) {
+    for (const word of new Set(words)) frequency.set(word, (frequency.get(word) || 0) + 1);
+    for (const word of words) uses.set(word, (uses.get(word) || 0) + 1);
+  }
+  return [...frequency.entries()]
+    .filter(([word, n]) => uses.get(word) >= 2 && (texts.length < 5 || n <= texts.length * 0.6) && !/^\d+$/.test(word))
+    .sort((a, b) => b[1] - a[1] || uses.get(b[0]) - uses.get(a[0]))
+    .slice(0, limit)
+    .map(([word]) => ({ id: slug(word), name: word, keywords: [word] }));
+}
+
+/**
+ * Ids of the concepts whose keywords occur in the text (every word of a
+ * multi-word keyword).
+ */
+export function tagConcepts(text, concepts) {
+  const words = new Set(terms(text));
+  return concepts
+    .filter((c) => c.keywords.some((k) => {
+      const keyTerms = terms(k);
+      return keyTerms.length > 0 && keyTerms.every((t) => words.has(t));
+    }))
+    .map((c) => c.id);
+}
+
+const clip = (text) => String(text || '').slice(0, MAX_TEXT);
+
+/**
+ * Activity of a grounded question or dialogue turn: its text is the question
+ * and the quotes and locations it was answered from.
+ */
+export function questionActivity({ question, citations = [] }, at = new Date().toISOString()) {
+  const cited = citations.filter((c) => c.status !== 'invalid').map((c) => [c.section, c.quote].filter(Boolean).join(' '));
+  return { kind: 'question', at, text: clip([question, ...cited].join(' ')), score: null, seconds: SECONDS.question };
+}
+
+/**
+ * Activity of graded quiz or exam answers (results of gradeSubmission in
+ * quiz.js), one per question.
+ * @param {string} kind - 'quiz' or 'exam'
+ * @param {Object} options - { at, seconds: time the whole attempt took, ref }
+ */
+export function answerActivity(kind, results, { at = new Date().toISOString(), seconds, ref = null } = {}) {
+  return results.map((r) => ({
+    kind,
+    at,
+    text: clip(`${r.question} ${r.correctAnswer ?? ''}`),
+    score: r.maxScore ? round2(r.score / r.maxScore) : 0,
+    seconds: seconds ?? results.length * SECONDS.quiz,
+    ref,
+  }));
+}
+
+/**
+ * Activity of a flashcard review with an SM-2 grade.
+ */
+export function reviewActivity(card, grade, at = new Date().toISOString()) {
+  return { kind: 'review', at, text: clip(`${card.front} ${card.back}`), score: REVIEW_SCORES[grade] ?? 0, seconds: SECONDS.review, ref: card.id };
+}
+
+/**
+ * Add activity to the notebook's log, tagged with the current concepts.
+ */
+export function recordActivity(store, entries) {
+  if (entries.length === 0) return;
+  const { concepts, conceptsKey } = store.getLearning();
+  store.addActivity(entries.map((entry) => ({
+    ...entry,
+    concepts: conceptsKey ? tagConcepts(entry.text, concepts) : [],
+    conceptsKey,
+  })));
+}
+
+/**
+ * Seed the log of a notebook created before it existed from its Q&A and
+ * dialogue history, quiz and exam attempts and last flashcard reviews, up
+ * to the time the log was added.
+ */
+export function importHistory(store) {
+  const before = store.getLearning().importBefore;
+  if (!before) return;
+  const earlier = (at) => at && at < before;
+  const entries = [
+    ...store.getQAHistory()
+      .filter((e) => earlier(e.timestamp) && e.citations?.length > 0)
+      .map((e) => questionActivity(e, e.timestamp)),
+    ...store.getHistory()
+      .filter((e) => earlier(e.timestamp) && e.groundingScore !== null && e.groundingScore !== undefined)
+      .map((e) => questionActivity({ question: e.studentMessage, citations: e.citations }, e.timestamp)),
+    ...store.getQuizzes().flatMap((quiz) => quiz.attempts
+      .filter((a) => earlier(a.submittedAt))
+      .flatMap((a) => answerActivity('quiz', a.results, { at: a.submittedAt, ref: quiz.id }))),
+    ...store.getExams().flatMap((exam) => exam.attempts
+      .filter((a) => earlier(a.submittedAt) && a.sections)
+      .flatMap((a) => answerActivity('exam', a.sections.flatMap((s) => s.results), { at: a.submittedAt, seconds: a.timeTakenSeconds, ref: exam.id }))),
+    ...store.getFlashcards()
+      .filter((card) => earlier(card.schedule.lastReviewedAt))
+      .map((card) => reviewActivity(card, card.schedule.lastGrade, card.schedule.lastReviewedAt)),
+  ].sort((a, b) => a.at.localeCompare(b.at));
+  recordActivity(store, entries);
+  store.finishHistoryImport();
+  if (entries.length > 0) console.log(`[Analytics] Imported ${entries.length} past activities`);
+}
+
+function level(mastery) {
+  if (mastery === null) return 'untested';
+  if (mastery < WEAK_BELOW) return 'weak';
+  return mastery < STRONG_FROM ? 'learning' : 'strong';
+}
+
+/**
+ * Mastery per concept, weakest first; concepts without evidence come last.
+ */
+export function masteryByConcept(activity, concepts, now = new Date()) {
+  return concepts
+    .map((concept) => {
+      const tagged = activity.filter((e) => e.concepts?.includes(concept.id));
+      const scored = tagged.filter((e) => e.score !== null && e.score !== undefined);
+      let weight = PRIOR_WEIGHT;
+      let earned = PRIOR_WEIGHT * 0.5;
+      for (const e of scored) {
+        const w = 0.5 ** ((now.getTime() - Date.parse(e.at)) / DAY_MS / HALF_LIFE_DAYS);
+        weight += w;
+        earned += w * e.score;
+      }
+      const mastery = scored.length > 0 ? round2(earned / weight) : null;
+      return {
+        id: concept.id,
+        name: concept.name,
+        mastery,
+        level: level(mastery),
+        answers: scored.length,
+        questionsAsked: tagged.length - scored.length,
+        lastPracticedAt: tagged.reduce((last, e) => (e.at > last ? e.at : last), '') || null,
+      };
+    })
+    .sort((a, b) => (a.mastery ?? 2) - (b.mastery ?? 2) || b.questionsAsked - a.questionsAsked);
+}
+
+/**
+ * The local date of a timestamp, for a UTC offset in minutes as returned by
+ * Date.prototype.getTimezoneOffset (positive west of UTC).
+ */
+const localDay = (at, tzOffset) => new Date(Date.parse(at) - tzOffset * 60 * 1000).toISOString().slice(0, 10);
+const previousDay = (day) => new Date(Date.parse(day) - DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Consecutive days with activity. The current streak still counts when
+ * today has no activity yet but yesterday had.
+ */
+export function studyStreak(activity, { now = new Date(), tzOffset = 0 } = {}) {
+  const days = new Set(activity.map((e) => localDay(e.at, tzOffset)));
+  const today = localDay(now.toISOString(), tzOffset);
+
+  let current = 0;
+  let day = days.has(today) ? today : previousDay(today);
+  while (days.has(day)) {
+    current += 1;
+    day = previousDay(day);
+  }
+
+  let longest = 0;
+  for (const d of days) {
+    if (days.has(previousDay(d))) continue;
+    let length = 0;
+    for (let next = d; days.has(next); next = new Date(Date.parse(next) + DAY_MS).toISOString().slice(0, 10)) length += 1;
+    longest = Math.max(longest, length);
+  }
+  return { current, longest, activeToday: days.has(today), activeDays: days.size };
+}
+
+/**
+ * Time studied: each activity covers the `seconds` before it, and activity
+ * less than IDLE_MINUTES apart is one session. Sessions count on the day
+ * they start.
+ * @returns {{ totalMinutes, last7DaysMinutes, sessions, byDay: Array<{date, minutes}> }}
+ *   byDay covers the last 14 days, oldest first
+ */
+export function timeStudied(activity, { now = new Date(), tzOffset = 0 } = {}) {
+  const intervals = activity
+    .map((e) => {
+      const end = Date.parse(e.at);
+      return [end - (e.seconds || SECONDS.question) * 1000, end];
+    })
+    .sort((a, b) => a[0] - b[0]);
+
+  const sessions = [];
+  for (const [start, end] of intervals) {
+    const last = sessions[sessions.length - 1];
+    if (last && start - last[1] <= IDLE_MINUTES * 60 * 1000) last[1] = Math.max(last[1], end);
+    else sessions.push([start, end]);
+  }
+
+  const byDay = new Map();
+  for (let i = 13; i >= 0; i -= 1) byDay.set(localDay(new Date(now.getTime() - i * DAY_MS).toISOString(), tzOffset), 0);
+  let total = 0;
+  for (const [start, end] of sessions) {
+    const day = localDay(new Date(start).toISOString(), tzOffset);
+    total += end - start;
+    if (byDay.has(day)) byDay.set(day, byDay.get(day) + (end - start));
+  }
+  const minutes = (ms) => Math.round(ms / 60000);
+  const days = [...byDay.entries()].map(([date, ms]) => ({ date, minutes: minutes(ms) }));
+  return {
+    totalMinutes: minutes(total),
+    last7DaysMinutes: days.slice(-7).reduce((sum, d) => sum + d.minutes, 0),
+    sessions: sessions.length,
+    byDay: days,
+  };
+}
+
+/**
+ * The notebook's progress: mastery per topic, the weakest ones, streaks,
+ * time studied and activity counts.
+ * @param {Object} learning - see NotebookScope.getLearning
+ * @param {Object} options - { now, tzOffset }
+ */
+export function buildProgress(learning, { now = new Date(), tzOffset = 0 } = {}) {
+  const { activity, concepts, conceptsFrom } = learning;
+  const topics = masteryByConcept(activity, concepts, now);
+  const count = (kind) => activity.filter((e) => e.kind === kind).length;
+  return {
+    conceptsFrom,
+    topics,
+    weakTopics: topics.filter((t) => t.level === 'weak').map((t) => t.id),
+    streak: studyStreak(activity, { now, tzOffset }),
+    time: timeStudied(activity, { now, tzOffset }),
+    activity: {
+      questions: count('question'),
+      quizAnswers: count('quiz'),
+      examAnswers: count('exam'),
+      flashcardReviews: count('review'),
+      untagged: activity.filter((e) => !e.concepts?.length).length,
+      total: activity.length,
+    },
+  };
+}
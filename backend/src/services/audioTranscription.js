@@ -0,0 +1,126 @@
+import { spawn } from 'child_process';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+dotenv.config();
+
+/**
+ * Local transcription of recorded lectures with whisper.cpp on the CPU.
+ *
+ * The upload is converted to 16 kHz mono WAV with ffmpeg (FFMPEG_BIN), then
+ * transcribed by the whisper.cpp CLI (WHISPER_CPP_BIN) with the model at
+ * WHISPER_MODEL. The result is a list of `{ start, end, text }` segments in
+ * seconds, the same shape as video transcripts (see transcripts.js).
+ */
+
+export const AUDIO_EXTENSIONS = ['.mp3', '.m4a', '.wav'];
+const AUDIO_MIME_TYPES = ['audio/mpeg', 'audio/mp3', 'audio/mp4', 'audio/x-m4a', 'audio/m4a', 'audio/wav', 'audio/x-wav', 'audio/wave'];
+
+export function isAudioFile(mimetype, filename) {
+  return AUDIO_MIME_TYPES.includes(mimetype) ||
+    AUDIO_EXTENSIONS.includes(path.extname(filename || '').toLowerCase());
+}
+
+function timeoutMs() {
+  return (Number(process.env.WHISPER_TIMEOUT_MINUTES) || 120) * 60 * 1000;
+}
+
+/**
+ * Run a command, rejecting with its stderr tail on a non-zero exit.
+ * @param {Function} onStderr - called with each stderr chunk
+ */
+function run(bin, args, { onStderr } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(bin, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      reject(new Error(`${path.basename(bin)} timed out`));
+    }, timeoutMs());
+
+    child.stderr.on('data', (data) => {
+      const text = data.toString();
+      stderr = (stderr + text).slice(-2000);
+      onStderr?.(text);
+    });
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error.code === 'ENOENT'
+        ? new Error(`${bin} was not found; install it or set its path in the environment`)
+        : error);
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (code === 0) resolve();
+      else reject(new Error(`${path.basename(bin)} exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+    });
+  });
+}
+
+/**
+ * Segments from whisper.cpp's JSON output (`-oj`).
+ */
+export function parseWhisperJson(json) {
+  return (json.transcription || [])
+    .map((segment) => ({
+      start: segment.offsets.from / 1000,
+      end: segment.offsets.to / 1000,
+      text: String(segment.text || '').replace(/\s+/g, ' ').trim(),
+    }))
+    // whisper.cpp marks silence and noise as [BLANK_AUDIO], (music) and the like
+    .filter((segment) => segment.text && !/^[[(][^\])]*[\])]$/.test(segment.text));
+}
+
+/**
+ * Transcribe an audio file.
+ * @param {string} filePath - MP3, M4A or WAV file
+ * @param {Object} options - { onProgress(percent) }
+ * @returns {Promise<Array<{start: number, end: number, text: string}>>}
+ */
+export async function transcribeAudio(filePath, { onProgress } = {}) {
+  const model = process.env.WHISPER_MODEL;
+  if (!model || !fs.existsSync(model)) {
+    throw new Error('No whisper.cpp model found; set WHISPER_MODEL to a ggml model file');
+  }
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whisper-'));
+  const wavPath = path.join(workDir, 'audio.wav');
+  const outputBase = path.join(workDir, 'transcript');
+  try {
+    await run(process.env.FFMPEG_BIN || 'ffmpeg', [
+      '-nostdin', '-loglevel', 'error', '-y',
+      '-i', filePath,
+      '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le',
+      wavPath,
+    ]);
+    onProgress?.(0);
+
+    let lastPercent = 0;
+    await run(process.env.WHISPER_CPP_BIN || 'whisper-cli', [
+      '-m', model,
+      '-f', wavPath,
+      '-l', process.env.WHISPER_LANGUAGE || 'auto',
+      '-t', String(Number(process.env.WHISPER_THREADS) || Math.max(1, os.cpus().length)),
+      '-oj', '-of', outputBase,
+      '-pp',
+    ], {
+      onStderr: (text) => {
+        for (const match of text.matchAll(/progress\s*=\s*(\d+)%/g)) {
+          const percent = Number(match[1]);
+          if (percent > lastPercent) {
+            lastPercent = percent;
+            onProgress?.(percent);
+          }
+        }
+      },
+    });
+
+    const segments = parseWhisperJson(JSON.parse(fs.readFileSync(`${outputBase}.json`, 'utf-8')));
+    onProgress?.(100);
+    return segments;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import storage from './storage.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const SESSION_TTL_DAYS = Number(process.env.AUTH_SESSION_TTL_DAYS) || 30;
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Hash a password as `scrypt$<salt>$<hash>` (hex).
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derived = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${derived.toString('hex')}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const derived = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(derived, expected);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Admins are the accounts listed (comma-separated) in ADMIN_EMAILS.
+ */
+export function isAdmin(user) {
+  const admins = String(process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(normalizeEmail)
+    .filter(Boolean);
+  return !!user && admins.includes(user.email);
+}
+
+/**
+ * Public view of a user (never includes the password hash).
+ */
+export function toPublicUser(user) {
+  return { id: user.id, email: user.email, name: user.name, createdAt: user.createdAt, isAdmin: isAdmin(user) };
+}
+
+function issueSession(user) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  storage.createAuthSession(user.id, hashToken(token), expiresAt);
+  return { token, expiresAt, user: toPublicUser(user) };
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+export async function register({ email, password, name }) {
+  const normalized = normalizeEmail(email);
+  if (!EMAIL_PATTERN.test(normalized)) {
+    throw httpError('A valid email address is required', 400);
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw httpError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+  }
+  if (storage.findUserByEmail(normalized)) {
+    throw httpError('An account with this email already exists', 409);
+  }
+
+  const user = storage.createUser({
+    email: normalized,
+    name: typeof name === 'string' ? name.trim() : '',
+    passwordHash: await hashPassword(password),
+  });
+  return issueSession(user);
+}
+
+export async function login({ email, password }) {
+  const user = storage.findUserByEmail(normalizeEmail(email));
+  // Same message for unknown email and wrong password
+  if (!user || typeof password !== 'string' || !(await verifyPassword(password, user.passwordHash))) {
+    throw httpError('Invalid email or password', 401);
+  }
+  return issueSession(user);
+}
+
+export function logout(token) {
+  return storage.deleteAuthSession(hashToken(token));
+}
+
+/**
+ * Resolve a bearer token to its login session and user, or null.
+ */
+export function authenticate(token) {
+  if (!token) return null;
+  const tokenHash = hashToken(token);
+  const session = storage.findAuthSession(tokenHash);
+  if (!session) return null;
+  if (new Date(session.expiresAt).getTime() < Date.now()) {
+    storage.deleteAuthSession(tokenHash);
+    return null;
+  }
+  const user = storage.getUser(session.userId);
+  return user ? { session, user } : null;
+}
@@ -0,0 +1,183 @@
+/**
+ * Split source content into retrieval chunks.
+ *
+ * Chunks never cross a page or transcript window boundary, so every chunk
+ * carries the location a citation would point at.
+ */
+
+const TARGET_CHARS = Number(process.env.CHUNK_TARGET_CHARS) || 1200;
+const TRANSCRIPT_WINDOW_SECONDS = 90;
+
+function splitParagraphs(text) {
+  return String(text || '')
+    .split(/\n\s*\n/)
+    .map((p) => p.replace(/[ \t]+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Greedily merge paragraphs up to the target size. Oversized paragraphs are
+ * split on sentence boundaries.
+ */
+function packParagraphs(paragraphs, target = TARGET_CHARS) {
+  const pieces = [];
+  for (const paragraph of paragraphs) {
+    if (paragraph.length <= target) {
+      pieces.push(paragraph);
+      continue;
+    }
+    let current = '';
+    for (const sentence of paragraph.split(/(?<=[.!?])\s+/)) {
+      if (current && current.length + sentence.length + 1 > target) {
+        pieces.push(current);
+        current = '';
+      }
+      current = current ? `${current} ${sentence}` : sentence;
+    }
+    if (current) pieces.push(current);
+  }
+
+  const packed = [];
+  let current = '';
+  for (const piece of pieces) {
+    if (current && current.length + piece.length + 2 > target) {
+      packed.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${piece}` : piece;
+  }
+  if (current) packed.push(current);
+  return packed;
+}
+
+function squash(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function baseChunk(meta, index, text) {
+  return {
+    id: `${meta.sourceId || meta.sourceName}#${index}`,
+    sourceId: meta.sourceId || null,
+    sourceName: meta.sourceName,
+    sourceType: meta.sourceType,
+    text,
+  };
+}
+
+/**
+ * Page-aware chunking for PDFs. Chunks of OCR'd pages keep the lines they
+ * contain with their bounding boxes (`regions`), so citations can point at them.
+ * @param {Array<{page: number, text: string, ocr?: Object}>} pages
+ * @param {Object} meta - { sourceId, sourceName, sourceType }
+ */
+export function chunkPages(pages, meta) {
+  const chunks = [];
+  for (const { page, text, ocr } of pages || []) {
+    for (const piece of packParagraphs(splitParagraphs(text))) {
+      const chunk = { ...baseChunk(meta, chunks.length, piece), page };
+      if (ocr?.lines) {
+        const content = squash(piece);
+        chunk.regions = ocr.lines
+          .filter((line) => line.bbox && content.includes(squash(line.text)))
+          .map(({ text: lineText, bbox }) => ({ text: lineText, bbox }));
+      }
+      chunks.push(chunk);
+    }
+  }
+  return chunks;
+}
+
+/**
+ * Paragraph-aware chunking for DOCX, TXT, MD and pasted text.
+ */
+export function chunkText(text, meta) {
+  return packParagraphs(splitParagraphs(text)).map((piece, i) => baseChunk(meta, i, piece));
+}
+
+/**
+ * Chunking for documents split into located units (slides, chapters, sheets,
+ * web page sections). Every field of a unit except `text` and `title` is its
+ * location (e.g. `{ slide: 3 }`) and is copied onto its chunks.
+ * @param {Array<Object>} units - e.g. [{ slide: 1, text }] or [{ section, anchor, text }]
+ */
+export function chunkUnits(units, meta) {
+  const chunks = [];
+  for (const { text, title, ...location } of units || []) {
+    for (const piece of packParagraphs(splitParagraphs(text))) {
+      chunks.push({ ...baseChunk(meta, chunks.length, piece), ...location });
+    }
+  }
+  return chunks;
+}
+
+/**
+ * Timestamp-aware chunking for transcripts.
+ * @param {Array<{start: number, end: number, text: string}>} segments - seconds
+ */
+export function chunkTranscript(segments, meta) {
+  const chunks = [];
+  let current = null;
+  const flush = () => {
+    if (current && current.text.trim()) {
+      chunks.push({
+        ...baseChunk(meta, chunks.length, current.text.trim()),
+        start: current.start,
+        end: current.end,
+      });
+    }
+    current = null;
+  };
+
+  for (const segment of segments || []) {
+    if (
+      current &&
+      (segment.start - current.start >= TRANSCRIPT_WINDOW_SECONDS ||
+        current.text.length + segment.text.length > TARGET_CHARS)
+    ) {
+      flush();
+    }
+    if (!current) current = { start: segment.start, end: segment.end, text: '' };
+    current.text += `${segment.text} `;
+    current.end = segment.end;
+  }
+  flush();
+  return chunks;
+}
+
+/**
+ * Format seconds as MM:SS (or H:MM:SS).
+ */
+export function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${String(m).padStart(2, '0')}:${s}`;
+}
+
+/**
+ * Parse MM:SS or H:MM:SS into seconds. Returns null for anything else.
+ */
+export function parseTimestamp(value) {
+  const match = String(value || '').trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const [, h, m, s] = match;
+  if (Number(s) >= 60 || (h && Number(m) >= 60)) return null;
+  return Number(h || 0) * 3600 + Number(m) * 60 + Number(s);
+}
+
+/**
+ * Human-readable location of a chunk, used in prompt headers.
+ */
+export function describeChunkLocation(chunk) {
+  if (chunk.page) return `Page ${chunk.page} (Physical)`;
+  if (chunk.slide) return `Slide ${chunk.slide}`;
+  if (chunk.chapter) return `Chapter ${chunk.chapter}`;
+  if (chunk.sheet) return `Sheet "${chunk.sheet}"`;
+  if (chunk.section) return `Section "${chunk.section}"`;
+  if (typeof chunk.start === 'number') {
+    const range = `${formatTimestamp(chunk.start)} – ${formatTimestamp(chunk.end)}`;
+    return chunk.sourceType === 'audio' ? `${range} (Audio)` : range;
+  }
+  return 'Excerpt';
+}
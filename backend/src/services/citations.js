@@ -0,0 +1,387 @@
+import { formatTimestamp, parseTimestamp } from './chunker.js';
+import { tokenize } from './retrieval.js';
+
+/**
+ * Structured citations.
+ *
+ * Answers cite the material inline, one citation per line:
+ *   📄 Source: "Name", Page X (Physical) — "quoted snippet"
+ *   🎥 Source: "Name", MM:SS – MM:SS (YouTube) — "quoted snippet"
+ *   🎙 Source: "Name", MM:SS – MM:SS (Audio) — "quoted snippet"   (recorded lectures)
+ *   📄 Source: "Name", Section "Heading" — "quoted snippet"   (web pages, HTML)
+ *   📄 Source: "Name", Slide N / Chapter N / Sheet "Sheet" — "quoted snippet"
+ * The name and quote are optional so older answers still parse.
+ *
+ * Every citation is then checked against the locally extracted text of its
+ * source (the ingested chunks) and gets a status:
+ *   verified     - the location exists and the claim or quote matches its text
+ *   unverified   - the location exists but its text does not support the claim
+ *   invalid      - unknown source, or a location (page, slide, chapter, sheet,
+ *                  section, timestamp) the source does not have
+ *   unverifiable - no local text for the source (e.g. a video without transcript)
+ * Verified quotes from OCR'd pages also get the `bbox` of the lines they come from.
+ */
+
+const CITATION_LINE = /(📄|🎥|🎙\uFE0F?)\s*Source:\s*([^\n]+)/g;
+const QUOTE = /\s*[—–-]+\s*["“]([^"”]+)["”]?\s*$/;
+// Places inside a document, tried in this order. Named ones are matched by
+// name; numbered ones are checked against the source's page/slide/chapter count.
+const LOCATIONS = [
+  { type: 'section', pattern: /\bSection\s+["“]([^"”]+)["”]/i, named: true },
+  { type: 'sheet', pattern: /\bSheet\s+["“]([^"”]+)["”]/i, named: true },
+  { type: 'slide', pattern: /\bSlide\s+(\d+)/i },
+  { type: 'chapter', pattern: /\bChapter\s+(\d+)/i },
+  { type: 'page', pattern: /\bPage\s+(\d+)(?:\s*\(Physical\))?/i },
+];
+const NAMED_LOCATIONS = LOCATIONS.filter((l) => l.named).map((l) => l.type);
+const LOCATION_COUNTS = {
+  page: (source) => source.physicalPages,
+  slide: (source) => source.slideCount,
+  chapter: (source) => source.chapters?.length,
+};
+const TIME = '\\d{1,2}(?::\\d{2}){1,2}';
+const RANGE = new RegExp(`(${TIME})(?:\\s*[–-]\\s*(${TIME}))?`);
+
+// Share of the claim's terms that must appear at the cited location
+const MIN_OVERLAP = 0.4;
+// Cited timestamps are approximate; widen the window by this many seconds
+const TIMESTAMP_SLACK_SECONDS = 30;
+const STATUS_WEIGHTS = { verified: 1, unverifiable: 0.5, unverified: 0.25, invalid: 0 };
+
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Split the text after `Source:` into name, location and quote.
+ */
+function parseCitationBody(body) {
+  let rest = body.trim();
+  let quote = null;
+  const quoteMatch = rest.match(QUOTE);
+  if (quoteMatch) {
+    quote = quoteMatch[1].trim();
+    rest = rest.slice(0, quoteMatch.index).trim();
+  }
+
+  let name = null;
+  const quotedName = rest.match(/^["“]([^"”]+)["”]\s*,?\s*/);
+  if (quotedName) {
+    name = quotedName[1].trim();
+    rest = rest.slice(quotedName[0].length);
+  }
+
+  let located = null;
+  for (const location of LOCATIONS) {
+    const match = rest.match(location.pattern);
+    if (match) {
+      located = { ...location, match };
+      break;
+    }
+  }
+  const rangeMatch = located ? null : rest.match(RANGE);
+
+  if (!name) {
+    // Unquoted name: whatever precedes the location (or the whole line)
+    const cut = located?.match.index ?? rangeMatch?.index ?? rest.length;
+    name = rest.slice(0, cut).replace(/[,(\s]+$/, '').trim() || null;
+    if (name && /^\(?(?:youtube|audio|physical)\)?$/i.test(name)) name = null;
+  }
+
+  return {
+    name,
+    quote,
+    locationType: located?.type || null,
+    location: located ? (located.named ? located.match[1].trim() : Number(located.match[1])) : null,
+    start: rangeMatch ? parseTimestamp(rangeMatch[1]) : null,
+    end: rangeMatch ? parseTimestamp(rangeMatch[2] || rangeMatch[1]) : null,
+  };
+}
+
+/**
+ * Kind of recording a source is: `video`, `audio`, or null for documents.
+ */
+function mediaOf(source) {
+  if (source.type === 'youtube') return 'video';
+  return source.media || null;
+}
+
+/**
+ * Find the ingested source a citation refers to. Unnamed citations fall back
+ * to the only source of the matching kind; named ones must match a source.
+ * @param {string|null} media - `video`, `audio` or null (see mediaOf)
+ */
+function resolveSource(name, media, sources) {
+  if (name) {
+    const wanted = normalizeName(name);
+    const exact = sources.find((s) => normalizeName(s.name) === wanted);
+    if (exact) return exact;
+    const partial = sources.filter((s) => {
+      const candidate = normalizeName(s.name);
+      return candidate && (candidate.includes(wanted) || wanted.includes(candidate));
+    });
+    return partial.length === 1 ? partial[0] : null;
+  }
+  const sameKind = sources.filter((s) => mediaOf(s) === media);
+  if (sameKind.length === 1) return sameKind[0];
+  return sources.length === 1 ? sources[0] : null;
+}
+
+function withTimestamp(url, seconds) {
+  const separator = url.includes('?') ? '&' : '?';
+  return `${url}${separator}t=${Math.floor(seconds)}s`;
+}
+
+/**
+ * The entry a cited name refers to (exact, then partial match).
+ */
+function findNamed(name, entries, nameOf) {
+  const wanted = normalizeName(name);
+  if (!wanted) return null;
+  return (entries || []).find((e) => normalizeName(nameOf(e)) === wanted) ||
+    (entries || []).find((e) => normalizeName(nameOf(e)).includes(wanted)) ||
+    null;
+}
+
+function buildCitation(parsed, source, isVideo) {
+  const citation = {
+    sourceId: source.id || null,
+    sourceName: source.name,
+    sourceType: source.type,
+    type: 'source',
+    section: null,
+    sheet: null,
+    slide: null,
+    chapter: null,
+    page: null,
+    start: null,
+    end: null,
+    quote: parsed.quote,
+    url: source.url || null,
+    bbox: null,
+  };
+
+  if (parsed.locationType === 'section') {
+    citation.type = 'section';
+    const section = findNamed(parsed.location, source.sections, (s) => s.heading);
+    citation.section = section?.heading || parsed.location;
+    if (citation.url && section?.anchor) citation.url = `${citation.url.split('#')[0]}#${section.anchor}`;
+  } else if (parsed.locationType === 'sheet') {
+    citation.type = 'sheet';
+    citation.sheet = findNamed(parsed.location, source.sheets, (name) => name) || parsed.location;
+  } else if (parsed.locationType) {
+    citation.type = parsed.locationType;
+    citation[parsed.locationType] = parsed.location;
+    if (parsed.locationType === 'page' && citation.url && !isVideo) {
+      citation.url = `${citation.url}#page=${parsed.location}`;
+    }
+  } else if (parsed.start !== null && parsed.end !== null) {
+    citation.type = 'timestamp';
+    citation.start = Math.min(parsed.start, parsed.end);
+    citation.end = Math.max(parsed.start, parsed.end);
+    if (citation.url) citation.url = withTimestamp(citation.url, citation.start);
+  }
+
+  citation.label = describeCitation(citation);
+  return citation;
+}
+
+/**
+ * Short display label, e.g. `Textbook · Page 4` or `Lecture · 01:00 – 02:30`.
+ */
+export function describeCitation(citation) {
+  if (citation.type === 'section') return `${citation.sourceName} · ${citation.section}`;
+  if (citation.type === 'sheet') return `${citation.sourceName} · Sheet ${citation.sheet}`;
+  if (citation.type === 'slide') return `${citation.sourceName} · Slide ${citation.slide}`;
+  if (citation.type === 'chapter') return `${citation.sourceName} · Chapter ${citation.chapter}`;
+  if (citation.type === 'page') return `${citation.sourceName} · Page ${citation.page}`;
+  if (citation.type === 'timestamp') {
+    const range = citation.end > citation.start
+      ? `${formatTimestamp(citation.start)} – ${formatTimestamp(citation.end)}`
+      : formatTimestamp(citation.start);
+    return `${citation.sourceName} · ${range}`;
+  }
+  return citation.sourceName;
+}
+
+/**
+ * The claim a citation supports: the last paragraph before it, ignoring
+ * headings and earlier citation lines.
+ */
+function claimBefore(text) {
+  const blocks = text
+    .split(/\n\s*\n/)
+    .map((b) => b.split('\n').filter((line) => !/^\s*(#|📄|🎥|🎙)/.test(line)).join(' ').trim())
+    .filter(Boolean);
+  return blocks[blocks.length - 1] || '';
+}
+
+function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Locate the local text behind a citation.
+ * @returns {{status?: string, text?: string}} a status when the location can
+ *   be judged without reading it, otherwise the text found there
+ */
+function textAtLocation(citation, source, chunks) {
+  const own = chunks.filter((c) =>
+    (citation.sourceId && c.sourceId === citation.sourceId) || c.sourceName === citation.sourceName);
+
+  if (NAMED_LOCATIONS.includes(citation.type)) {
+    const field = citation.type;
+    const located = own.filter((c) => c[field]);
+    if (located.length === 0) return { status: own.length > 0 ? 'invalid' : 'unverifiable' };
+    const wanted = normalizeName(citation[field]);
+    const matching = located.filter((c) => normalizeName(c[field]) === wanted);
+    if (matching.length === 0) return { status: 'invalid' };
+    return { text: matching.map((c) => c.text).join('\n') };
+  }
+
+  if (LOCATION_COUNTS[citation.type]) {
+    const field = citation.type;
+    const located = own.filter((c) => c[field]);
+    const count = LOCATION_COUNTS[field](source) || Math.max(0, ...located.map((c) => c[field]));
+    if (!count) return { status: own.length > 0 ? 'invalid' : 'unverifiable' };
+    if (citation[field] < 1 || citation[field] > count) return { status: 'invalid' };
+    const matching = located.filter((c) => c[field] === citation[field]);
+    if (matching.length === 0) return { status: located.length > 0 ? 'unverified' : 'unverifiable' };
+    return { text: matching.map((c) => c.text).join('\n'), chunks: matching };
+  }
+
+  if (citation.type === 'timestamp') {
+    const timed = own.filter((c) => typeof c.start === 'number');
+    if (timed.length === 0) return { status: 'unverifiable' };
+    const duration = Math.max(...timed.map((c) => c.end));
+    if (citation.start > duration + TIMESTAMP_SLACK_SECONDS) return { status: 'invalid' };
+    const from = citation.start - TIMESTAMP_SLACK_SECONDS;
+    const to = citation.end + TIMESTAMP_SLACK_SECONDS;
+    const inRange = timed.filter((c) => c.end >= from && c.start <= to);
+    return { text: inRange.map((c) => c.text).join('\n') };
+  }
+
+  if (own.length === 0) return { status: 'unverifiable' };
+  return { text: own.map((c) => c.text).join('\n') };
+}
+
+/**
+ * Bounding box (fractions of the page) of the OCR'd lines a quote comes
+ * from, or null when the text was not recognized with OCR.
+ */
+function quotedRegion(quote, chunks = []) {
+  const wanted = normalizeText(quote);
+  if (!wanted) return null;
+  const words = wanted.split(' ');
+  const head = words.slice(0, 3).join(' ');
+  const tail = words.slice(-3).join(' ');
+  const lines = chunks.flatMap((c) => c.regions || []).filter((region) => {
+    const line = normalizeText(region.text);
+    // A quote may span lines: match its start and end as well as whole lines
+    return line && (line.includes(wanted) || wanted.includes(line) || line.includes(head) || line.includes(tail));
+  });
+  if (lines.length === 0) return null;
+  return {
+    x0: Math.min(...lines.map((l) => l.bbox.x0)),
+    y0: Math.min(...lines.map((l) => l.bbox.y0)),
+    x1: Math.max(...lines.map((l) => l.bbox.x1)),
+    y1: Math.max(...lines.map((l) => l.bbox.y1)),
+  };
+}
+
+/**
+ * Check a citation against the source text and set `status` and `overlap`
+ * (and `bbox` for quotes from OCR'd pages).
+ */
+function verifyCitation(citation, claim, source, chunks) {
+  const located = textAtLocation(citation, source, chunks);
+  if (located.status) return { ...citation, status: located.status, overlap: null };
+
+  const haystack = normalizeText(located.text);
+  if (citation.quote && normalizeText(citation.quote) && haystack.includes(normalizeText(citation.quote))) {
+    return { ...citation, bbox: quotedRegion(citation.quote, located.chunks), status: 'verified', overlap: 1 };
+  }
+
+  const terms = [...new Set(tokenize(`${claim} ${citation.quote || ''}`))];
+  if (terms.length === 0) return { ...citation, status: 'unverified', overlap: 0 };
+  const present = new Set(tokenize(located.text));
+  const overlap = Math.round((terms.filter((t) => present.has(t)).length / terms.length) * 100) / 100;
+  return { ...citation, status: overlap >= MIN_OVERLAP ? 'verified' : 'unverified', overlap };
+}
+
+function unknownSourceCitation(parsed) {
+  const citation = {
+    sourceId: null,
+    sourceName: parsed.name || 'Unknown source',
+    sourceType: null,
+    type: parsed.locationType || (parsed.start !== null ? 'timestamp' : 'source'),
+    section: null,
+    sheet: null,
+    slide: null,
+    chapter: null,
+    page: null,
+    start: parsed.start,
+    end: parsed.end,
+    quote: parsed.quote,
+    url: null,
+    bbox: null,
+  };
+  if (parsed.locationType) citation[parsed.locationType] = parsed.location;
+  citation.label = describeCitation(citation);
+  return { ...citation, status: 'invalid', overlap: null };
+}
+
+/**
+ * Extract the citations in an answer and verify each one against the
+ * ingested text of its source.
+ * @param {string} text - Model answer
+ * @param {Object} material - Study material (uses stats.sources and chunks)
+ * @returns {Array<Object>} citations in order of appearance; repeats of the
+ *   same location and quote are merged, keeping the best status
+ */
+export function parseCitations(text, material) {
+  const sources = (material?.stats?.sources || []).filter((s) => s && s.name);
+  const chunks = material?.chunks || [];
+  if (!text) return [];
+
+  const citations = [];
+  const byKey = new Map();
+  let claimFrom = 0;
+  for (const match of String(text).matchAll(CITATION_LINE)) {
+    const claim = claimBefore(text.slice(claimFrom, match.index));
+    claimFrom = match.index + match[0].length;
+
+    const isVideo = match[1] === '🎥' || /\(YouTube\)/i.test(match[2]);
+    const isAudio = match[1].startsWith('🎙') || /\(Audio\)/i.test(match[2]);
+    const parsed = parseCitationBody(match[2]);
+    const source = resolveSource(parsed.name, isVideo ? 'video' : isAudio ? 'audio' : null, sources);
+    const citation = source
+      ? verifyCitation(buildCitation(parsed, source, isVideo), claim, source, chunks)
+      : unknownSourceCitation(parsed);
+
+    const key = [citation.sourceName, citation.type, citation.section, citation.sheet, citation.slide, citation.chapter, citation.page, citation.start, citation.end, citation.quote].join('|');
+    const existing = byKey.get(key);
+    if (existing) {
+      if (STATUS_WEIGHTS[citation.status] > STATUS_WEIGHTS[existing.status]) {
+        existing.status = citation.status;
+        existing.overlap = citation.overlap;
+      }
+      continue;
+    }
+    const entry = { id: `c${citations.length + 1}`, ...citation };
+    byKey.set(key, entry);
+    citations.push(entry);
+  }
+  return citations;
+}
+
+/**
+ * Overall grounding score in [0, 1]: the mean status weight of the citations
+ * (verified 1, unverifiable 0.5, unverified 0.25, invalid 0). An answer with
+ * no citations scores 0.
+ */
+export function groundingScore(citations) {
+  if (!citations || citations.length === 0) return 0;
+  const total = citations.reduce((sum, c) => sum + (STATUS_WEIGHTS[c.status] ?? 0), 0);
+  return Math.round((total / citations.length) * 100) / 100;
+}
@@ -0,0 +1,177 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import { parseDriveUrl } from './googleDrive.js';
+
+dotenv.config();
+
+/**
+ * Duplicate detection for notebook sources.
+ *
+ * Exact duplicates are the same bytes (uploads, pasted text) or the same
+ * resource behind two spellings of its URL (`youtu.be/x` and `watch?v=x`,
+ * a Drive file's `/view` and `/edit` links, tracking parameters). Near
+ * duplicates share most of their word shingles, e.g. a PDF and the DOCX it
+ * was exported from, or a chapter uploaded next to the whole book. They are
+ * looked for once ingestion has extracted the text, since Drive files, web
+ * pages and videos have none when they are added.
+ */
+
+const SHINGLE_WORDS = 5;
+// Too little text to compare reliably
+const MIN_SHINGLES = 20;
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|msclkid|mc_cid|mc_eid)$/i;
+
+function nearDuplicateThreshold() {
+  return Number(process.env.DEDUP_NEAR_THRESHOLD) || 0.8;
+}
+
+/**
+ * SHA-256 of file bytes or text.
+ */
+export function contentHash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * SHA-256 of a file on disk, read as a stream so large recordings are not
+ * held in memory.
+ */
+export async function fileContentHash(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) hash.update(chunk);
+  return hash.digest('hex');
+}
+
+function youtubeId(url) {
+  const host = url.hostname.replace(/^(www|m|music)\./, '');
+  if (host === 'youtu.be') return url.pathname.split('/')[1] || null;
+  if (host !== 'youtube.com' && host !== 'youtube-nocookie.com') return null;
+  if (url.pathname === '/watch') return url.searchParams.get('v');
+  return url.pathname.match(/^\/(?:embed|shorts|live|v)\/([^/]+)/)?.[1] || null;
+}
+
+/**
+ * One spelling per resource: YouTube videos by ID, Drive resources by kind
+ * and ID, other pages without fragment, tracking parameters, `www.`,
+ * scheme and trailing slash.
+ * @returns {string|null} null for something that is not a URL
+ */
+export function normalizeSourceUrl(raw) {
+  let url;
+  try {
+    url = new URL(String(raw || '').trim());
+  } catch {
+    return null;
+  }
+  const videoId = youtubeId(url);
+  if (videoId) return `youtube:${videoId}`;
+  if (/^(drive|docs)\.google\.com$/.test(url.hostname)) {
+    const resource = parseDriveUrl(url.toString());
+    if (resource) return `drive:${resource.kind}:${resource.id}`;
+  }
+
+  const params = [...url.searchParams]
+    .filter(([key]) => !TRACKING_PARAMS.test(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = new URLSearchParams(params).toString();
+  const pathname = url.pathname.replace(/\/+$/, '');
+  return `${url.hostname.replace(/^www\./, '')}${url.port ? `:${url.port}` : ''}${pathname}${query ? `?${query}` : ''}`;
+}
+
+// Pasted text is compared with its whitespace normalized
+function textHash(source) {
+  return source.type === 'text' && source.content
+    ? contentHash(String(source.content).replace(/\s+/g, ' ').trim())
+    : null;
+}
+
+/**
+ * The source in `sources` that `candidate` duplicates exactly, or null.
+ * @param {Object} candidate - a new source, with `contentHash` for uploads
+ * @param {Array<Object>} sources - the notebook's sources
+ */
+export function findDuplicate(candidate, sources) {
+  const hash = candidate.contentHash || textHash(candidate);
+  const url = candidate.url ? normalizeSourceUrl(candidate.url) : null;
+  return sources.find((source) => {
+    if (source.id === candidate.id) return false;
+    if (hash && (source.contentHash || textHash(source)) === hash) return true;
+    return !!url && !!source.url && normalizeSourceUrl(source.url) === url;
+  }) || null;
+}
+
+/**
+ * The text a source carries locally (extracted pages, units, transcript,
+ * web page snapshot or plain text).
+ */
+export function sourceText(source) {
+  if (source.pages?.length) return source.pages.map((p) => p.text).join('\n');
+  if (source.units?.length) return source.units.map((u) => u.text).join('\n');
+  if (source.segments?.length) return source.segments.map((s) => s.text).join(' ');
+  if (source.snapshot?.sections) return source.snapshot.sections.map((s) => s.text).join('\n');
+  return source.text || source.content || '';
+}
+
+function shingles(text) {
+  const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const set = new Set();
+  for (let i = 0; i + SHINGLE_WORDS <= words.length; i++) {
+    set.add(words.slice(i, i + SHINGLE_WORDS).join(' '));
+  }
+  return set;
+}
+
+/**
+ * Sources whose text mostly overlaps the candidate's. Similarity is the
+ * share of the smaller text's shingles found in the other, so an excerpt
+ * of a longer source counts too.
+ * @param {Function} [textOf] - text of a source; defaults to sourceText
+ * @returns {Array<{id: string, name: string, similarity: number}>} at or above
+ *   DEDUP_NEAR_THRESHOLD (default 0.8), most similar first
+ */
+export function findNearDuplicates(candidate, sources, textOf = sourceText) {
+  const mine = shingles(textOf(candidate));
+  if (mine.size < MIN_SHINGLES) return [];
+  const threshold = nearDuplicateThreshold();
+
+  return sources
+    .filter((source) => source.id !== candidate.id)
+    .flatMap((source) => {
+      const theirs = shingles(textOf(source));
+      if (theirs.size < MIN_SHINGLES) return [];
+      const [smaller, larger] = mine.size <= theirs.size ? [mine, theirs] : [theirs, mine];
+      let shared = 0;
+      for (const shingle of smaller) if (larger.has(shingle)) shared++;
+      const similarity = Math.round((shared / smaller.size) * 100) / 100;
+      return similarity >= threshold ? [{ id: source.id, name: source.name, similarity }] : [];
+    })
+    .sort((a, b) => b.similarity - a.similarity);
+}
+
+/**
+ * Near duplicates of newly ingested sources, from the retrieval chunks of
+ * the ingestion (so every source type has its text). Each candidate is
+ * compared with every other source; a pair of two candidates is reported once.
+ * @param {Array<Object>} candidates - sources not checked yet
+ * @param {Array<Object>} sources - the notebook's sources
+ * @param {Array<Object>} chunks - the ingested material's chunks
+ * @returns {Array<{source: {id, name}, similarTo: {id, name}, similarity: number}>}
+ */
+export function findIngestedNearDuplicates(candidates, sources, chunks) {
+  const texts = new Map();
+  for (const chunk of chunks) {
+    if (chunk.sourceId) texts.set(chunk.sourceId, `${texts.get(chunk.sourceId) || ''}\n${chunk.text}`);
+  }
+  const textOf = (source) => texts.get(source.id) ?? sourceText(source);
+  const checked = new Set();
+  return candidates.flatMap((candidate) => {
+    checked.add(candidate.id);
+    const others = sources.filter((source) => !checked.has(source.id));
+    return findNearDuplicates(candidate, others, textOf).map(({ id, name, similarity }) => ({
+      source: { id: candidate.id, name: candidate.name },
+      similarTo: { id, name },
+      similarity,
+    }));
+  });
+}
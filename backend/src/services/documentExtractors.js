@@ -0,0 +1,275 @@
+import JSZip from 'jszip';
+import * as cheerio from 'cheerio';
+import path from 'path';
+import { extractReadableContent } from './htmlExtractor.js';
+
+/**
+ * Text extraction for slide decks, e-books and spreadsheets.
+ *
+ * Each extractor returns `units`: pieces of text tagged with where they sit
+ * in the document, using the same fields retrieval chunks carry, so the
+ * location can be cited and checked:
+ *   PPTX  { slide, text }     one per slide, speaker notes included
+ *   EPUB  { chapter, text }   one per chapter in reading order
+ *   HTML  { section, anchor, text }
+ *   CSV / XLSX { sheet, text } markdown tables, split into row blocks
+ */
+
+// Rows per table block; each block repeats the header row
+const ROWS_PER_BLOCK = 25;
+const MAX_SHEET_ROWS = 5000;
+
+function cleanText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+async function readXml(zip, filePath) {
+  const file = zip.file(filePath);
+  if (!file) return null;
+  return cheerio.load(await file.async('string'), { xml: true });
+}
+
+/**
+ * Map relationship ids to absolute zip paths for a part's .rels file.
+ */
+async function readRelationships(zip, partPath) {
+  const relsPath = path.posix.join(path.posix.dirname(partPath), '_rels', `${path.posix.basename(partPath)}.rels`);
+  const $ = await readXml(zip, relsPath);
+  const rels = new Map();
+  if (!$) return rels;
+  $('Relationship').each((_, el) => {
+    const target = $(el).attr('Target');
+    rels.set($(el).attr('Id'), {
+      type: $(el).attr('Type') || '',
+      path: path.posix.normalize(path.posix.join(path.posix.dirname(partPath), target)),
+    });
+  });
+  return rels;
+}
+
+/**
+ * Paragraph texts of a slide or notes part, skipping the given placeholder types.
+ */
+function shapeParagraphs($, skipPlaceholders = []) {
+  const title = [];
+  const body = [];
+  $('p\\:sp').each((_, shape) => {
+    const type = $(shape).find('p\\:ph').attr('type');
+    if (skipPlaceholders.includes(type)) return;
+    const paragraphs = $(shape).find('a\\:p').toArray()
+      .map((p) => cleanText($(p).find('a\\:t').toArray().map((t) => $(t).text()).join('')))
+      .filter(Boolean);
+    if (type === 'title' || type === 'ctrTitle') title.push(...paragraphs);
+    else body.push(...paragraphs);
+  });
+  return { title: title.join(' '), body };
+}
+
+/**
+ * Slide-numbered text of a PowerPoint deck, with speaker notes.
+ * @returns {Promise<{units: Array<{slide: number, title: string, text: string}>}>}
+ */
+export async function extractPptx(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const $presentation = await readXml(zip, 'ppt/presentation.xml');
+  if (!$presentation) throw new Error('Not a PowerPoint (.pptx) file');
+  const rels = await readRelationships(zip, 'ppt/presentation.xml');
+
+  const slidePaths = $presentation('p\\:sldId').toArray()
+    .map((el) => rels.get($presentation(el).attr('r:id'))?.path)
+    .filter(Boolean);
+
+  const units = [];
+  for (const [index, slidePath] of slidePaths.entries()) {
+    const $slide = await readXml(zip, slidePath);
+    if (!$slide) continue;
+    const { title, body } = shapeParagraphs($slide, ['sldNum', 'dt', 'ftr']);
+
+    const slideRels = await readRelationships(zip, slidePath);
+    const notesRel = [...slideRels.values()].find((r) => r.type.endsWith('/notesSlide'));
+    const $notes = notesRel ? await readXml(zip, notesRel.path) : null;
+    const notes = $notes ? shapeParagraphs($notes, ['sldImg', 'sldNum', 'hdr', 'ftr', 'dt']).body : [];
+
+    const lines = [title, ...body].filter(Boolean);
+    if (notes.length > 0) lines.push('', `Speaker notes: ${notes.join(' ')}`);
+    units.push({ slide: index + 1, title, text: lines.join('\n') });
+  }
+  return { units };
+}
+
+/**
+ * Chapters of an EPUB in reading (spine) order. Documents without real text
+ * (cover, table of contents) are skipped; the rest are numbered from 1.
+ * @returns {Promise<{title: string, units: Array<{chapter: number, title: string, text: string}>}>}
+ */
+export async function extractEpub(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const $container = await readXml(zip, 'META-INF/container.xml');
+  const opfPath = $container?.('rootfile').attr('full-path');
+  if (!opfPath) throw new Error('Not an EPUB file');
+  const $opf = await readXml(zip, opfPath);
+  if (!$opf) throw new Error('EPUB package document is missing');
+
+  const manifest = new Map();
+  $opf('manifest > item').each((_, el) => {
+    const item = $opf(el);
+    manifest.set(item.attr('id'), {
+      path: path.posix.normalize(path.posix.join(path.posix.dirname(opfPath), decodeURIComponent(item.attr('href') || ''))),
+      properties: item.attr('properties') || '',
+    });
+  });
+
+  const units = [];
+  for (const ref of $opf('spine > itemref').toArray()) {
+    const item = manifest.get($opf(ref).attr('idref'));
+    if (!item || item.properties.includes('nav')) continue;
+    const file = zip.file(item.path);
+    if (!file) continue;
+    const { title, sections } = extractReadableContent(await file.async('string'));
+    const text = sections.map((s) => `${s.heading}\n\n${s.text}`).join('\n\n');
+    if (cleanText(text).length < 200) continue;
+    units.push({ chapter: units.length + 1, title: sections[0]?.heading || title, text });
+  }
+  return { title: cleanText($opf('dc\\:title').first().text()), units };
+}
+
+/**
+ * Sections of an HTML document, cited by heading like web pages.
+ */
+export function extractHtmlDocument(buffer) {
+  const { title, sections } = extractReadableContent(buffer.toString('utf-8'));
+  return {
+    title,
+    units: sections.map(({ heading, anchor, text }) => ({ section: heading, anchor, text })),
+  };
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting; comma, semicolon or tab delimited).
+ * @returns {Array<Array<string>>} rows
+ */
+export function parseCsv(text) {
+  const source = String(text || '').replace(/^﻿/, '');
+  const firstLine = source.split('\n', 1)[0];
+  const delimiter = [',', ';', '\t'].sort((a, b) => firstLine.split(b).length - firstLine.split(a).length)[0];
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim()));
+}
+
+function columnIndex(cellRef) {
+  const letters = String(cellRef || '').match(/^[A-Z]+/)?.[0] || 'A';
+  return [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Rows of every worksheet in an XLSX workbook.
+ * @returns {Promise<Array<{name: string, rows: Array<Array<string>>}>>}
+ */
+async function readWorkbook(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const $workbook = await readXml(zip, 'xl/workbook.xml');
+  if (!$workbook) throw new Error('Not an Excel (.xlsx) file');
+  const rels = await readRelationships(zip, 'xl/workbook.xml');
+
+  const $strings = await readXml(zip, 'xl/sharedStrings.xml');
+  const sharedStrings = $strings
+    ? $strings('si').toArray().map((si) => $strings(si).find('t').toArray().map((t) => $strings(t).text()).join(''))
+    : [];
+
+  const sheets = [];
+  for (const el of $workbook('sheet').toArray()) {
+    const name = $workbook(el).attr('name');
+    const sheetPath = rels.get($workbook(el).attr('r:id'))?.path;
+    const $sheet = sheetPath ? await readXml(zip, sheetPath) : null;
+    if (!$sheet) continue;
+
+    const rows = $sheet('sheetData > row').toArray().map((rowEl) => {
+      const cells = [];
+      $sheet(rowEl).find('c').each((_, cell) => {
+        const $cell = $sheet(cell);
+        const type = $cell.attr('t');
+        let value;
+        if (type === 's') value = sharedStrings[Number($cell.find('v').text())] ?? '';
+        else if (type === 'inlineStr') value = $cell.find('t').toArray().map((t) => $sheet(t).text()).join('');
+        else if (type === 'b') value = $cell.find('v').text() === '1' ? 'TRUE' : 'FALSE';
+        else value = $cell.find('v').text();
+        cells[columnIndex($cell.attr('r'))] = value;
+      });
+      return Array.from(cells, (v) => v ?? '');
+    });
+    sheets.push({ name, rows: rows.filter((r) => r.some((cell) => String(cell).trim())) });
+  }
+  return sheets;
+}
+
+function markdownRow(cells, width) {
+  const padded = Array.from({ length: width }, (_, i) => cleanText(cells[i]).replace(/\|/g, '\\|'));
+  return `| ${padded.join(' | ')} |`;
+}
+
+/**
+ * Render a sheet as markdown tables of ROWS_PER_BLOCK rows, each repeating
+ * the header so every block can be read (and cited) on its own.
+ */
+function sheetUnits(name, rows) {
+  if (rows.length === 0) return [];
+  const width = Math.max(...rows.map((r) => r.length));
+  const header = `${markdownRow(rows[0], width)}\n|${' --- |'.repeat(width)}`;
+  const body = rows.slice(1, MAX_SHEET_ROWS + 1);
+  const units = [];
+  for (let i = 0; i < Math.max(body.length, 1); i += ROWS_PER_BLOCK) {
+    const block = body.slice(i, i + ROWS_PER_BLOCK).map((r) => markdownRow(r, width));
+    units.push({ sheet: name, text: [header, ...block].join('\n') });
+  }
+  if (rows.length - 1 > MAX_SHEET_ROWS) {
+    units[units.length - 1].text += `\n\n(${rows.length - 1 - MAX_SHEET_ROWS} more rows not imported)`;
+  }
+  return units;
+}
+
+/**
+ * Tables of a CSV or XLSX file, one sheet per worksheet (a CSV file is a
+ * single sheet named after the file).
+ * @returns {Promise<{sheets: Array<string>, units: Array<{sheet: string, text: string}>}>}
+ */
+export async function extractSpreadsheet(buffer, filename) {
+  const sheets = /\.csv$/i.test(filename)
+    ? [{ name: path.basename(filename, path.extname(filename)), rows: parseCsv(buffer.toString('utf-8')) }]
+    : await readWorkbook(buffer);
+  const units = sheets.flatMap((s) => sheetUnits(s.name, s.rows));
+  return { sheets: sheets.map((s) => s.name), units };
+}
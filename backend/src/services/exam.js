@@ -0,0 +1,212 @@
+import { describeAnswer, gradeSubmission, isWritten, normalizeQuestion } from './quiz.js';
+
+/**
+ * Mock exams modeled on a past paper. A source flagged as the notebook's
+ * exam template is read once into a blueprint (sections, their questions'
+ * types, marks and style, the time allowed); a mock exam fills every slot of
+ * the blueprint with a new question grounded in the other sources (see
+ * generateMockExam in geminiService.js), so it keeps the paper's sections and
+ * marks allocation.
+ *
+ * Exams are taken in timed attempts and marked like quizzes: choice
+ * questions score all or nothing, written answers score the marks of the
+ * marking-scheme points they make.
+ */
+
+export const EXAM_QUESTION_TYPES = ['multiple_choice', 'true_false', 'short_answer', 'long_answer'];
+
+export const MIN_DURATION_MINUTES = 5;
+export const MAX_DURATION_MINUTES = 300;
+// Submissions this late still count as on time (auto-submit, slow networks)
+const SUBMIT_GRACE_SECONDS = 60;
+const MAX_SECTIONS = 8;
+const MAX_SECTION_QUESTIONS = 20;
+
+const str = (value) => (typeof value === 'string' ? value.trim() : '');
+const sum = (values) => values.reduce((total, v) => total + v, 0);
+const round2 = (value) => Math.round(value * 100) / 100;
+const percentOf = (score, max) => (max ? Math.round((score / max) * 100) : 0);
+
+function positiveInt(value) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/**
+ * Minutes clamped to the allowed exam length, or null when not a number.
+ */
+export function clampDuration(value) {
+  const minutes = positiveInt(value);
+  return minutes ? Math.min(Math.max(minutes, MIN_DURATION_MINUTES), MAX_DURATION_MINUTES) : null;
+}
+
+/**
+ * The template's structure in canonical form, or null when no question was
+ * found. Unknown question types become short answers; missing marks count 1.
+ */
+export function normalizeBlueprint(raw) {
+  const sections = (Array.isArray(raw?.sections) ? raw.sections : [])
+    .slice(0, MAX_SECTIONS)
+    .map((section, i) => ({
+      title: str(section?.title) || `Section ${String.fromCharCode(65 + i)}`,
+      instructions: str(section?.instructions),
+      questions: (Array.isArray(section?.questions) ? section.questions : [])
+        .slice(0, MAX_SECTION_QUESTIONS)
+        .map((q) => {
+          const type = str(q?.type).toLowerCase().replace(/[\s/-]+/g, '_');
+          return {
+            type: EXAM_QUESTION_TYPES.includes(type) ? type : 'short_answer',
+            marks: positiveInt(q?.marks) || 1,
+            style: str(q?.style),
+          };
+        }),
+    }))
+    .filter((section) => section.questions.length > 0);
+  if (sections.length === 0) return null;
+  return {
+    title: str(raw.title),
+    durationMinutes: clampDuration(raw.durationMinutes),
+    instructions: str(raw.instructions),
+    sections,
+    totalMarks: sum(sections.flatMap((s) => s.questions.map((q) => q.marks))),
+  };
+}
+
+/**
+ * Split a question's marks over its marking-scheme points: the points' own
+ * marks when they add up to the total, otherwise as evenly as possible
+ * (dropping points beyond one mark each).
+ */
+function allocateMarks(points, total) {
+  const given = points.map((p) => positiveInt(p.marks) || 0);
+  if (given.every((m) => m > 0) && sum(given) === total) return given;
+  const n = Math.min(points.length, total);
+  return Array.from({ length: n }, (_, i) => Math.floor(total / n) + (i < total % n ? 1 : 0));
+}
+
+/**
+ * A generated question for a blueprint slot in canonical form, or null when
+ * it is malformed. The slot decides the type and marks, so the exam keeps
+ * the template's allocation.
+ */
+export function normalizeExamQuestion(raw, slot) {
+  const base = { type: slot.type, marks: slot.marks, style: slot.style };
+  if (!isWritten(slot)) {
+    const question = normalizeQuestion({ ...raw, type: slot.type });
+    return question && { ...question, ...base };
+  }
+  const question = str(raw?.question);
+  const answer = str(raw?.answer);
+  if (!question || !answer) return null;
+  const points = (Array.isArray(raw.markingScheme) ? raw.markingScheme : [])
+    .map((p) => (typeof p === 'string' ? { point: str(p) } : { point: str(p?.point), marks: p?.marks }))
+    .filter((p) => p.point);
+  const scheme = points.length > 0 ? points : [{ point: answer }];
+  const marks = allocateMarks(scheme, slot.marks);
+  return {
+    ...base,
+    question,
+    answer,
+    explanation: str(raw.explanation),
+    markingScheme: marks.map((m, i) => ({ point: scheme[i].point, marks: m })),
+  };
+}
+
+const attemptSummary = ({ id, startedAt, endsAt, submittedAt = null, score = null, maxScore = null, percent = null, overtime = false }) => (
+  { id, startedAt, endsAt, submittedAt, score, maxScore, percent, overtime }
+);
+
+/**
+ * An exam as shown while it is taken: no answers, marking scheme or
+ * citations.
+ */
+export function toPublicExam(exam) {
+  return {
+    id: exam.id,
+    title: exam.title,
+    templateName: exam.templateName,
+    instructions: exam.instructions,
+    durationMinutes: exam.durationMinutes,
+    totalMarks: exam.totalMarks,
+    createdAt: exam.createdAt,
+    sections: exam.sections.map((s) => ({
+      id: s.id,
+      title: s.title,
+      instructions: s.instructions,
+      marks: sum(s.questions.map((q) => q.marks)),
+      questions: s.questions.map(({ id, type, marks, question, options }) => ({ id, type, marks, question, ...(options ? { options } : {}) })),
+    })),
+    attempts: exam.attempts.map(attemptSummary),
+  };
+}
+
+/**
+ * The exam's marking scheme: every question with its answer, the points
+ * that earn marks and the passages that back them.
+ */
+export function toMarkingScheme(exam) {
+  return {
+    id: exam.id,
+    title: exam.title,
+    totalMarks: exam.totalMarks,
+    sections: exam.sections.map((s) => ({
+      id: s.id,
+      title: s.title,
+      marks: sum(s.questions.map((q) => q.marks)),
+      questions: s.questions.map((q) => ({
+        id: q.id,
+        type: q.type,
+        marks: q.marks,
+        question: q.question,
+        ...(q.options ? { options: q.options } : {}),
+        answer: describeAnswer(q, q.answer),
+        markingScheme: q.markingScheme || [{ point: describeAnswer(q, q.answer), marks: q.marks }],
+        explanation: q.explanation,
+        citations: q.citations,
+      })),
+    })),
+  };
+}
+
+/**
+ * How long an attempt took and whether it was handed in after the time
+ * allowed (plus a short grace period).
+ */
+export function attemptTiming(attempt, now = new Date()) {
+  const timeTakenSeconds = Math.max(0, Math.round((now.getTime() - Date.parse(attempt.startedAt)) / 1000));
+  const overtime = now.getTime() > Date.parse(attempt.endsAt) + SUBMIT_GRACE_SECONDS * 1000;
+  return { timeTakenSeconds, overtime };
+}
+
+/**
+ * Whether an attempt is still being taken: not handed in yet and within the
+ * time allowed (plus the grace period).
+ */
+export function isAttemptOpen(attempt, now = new Date()) {
+  return !attempt.submittedAt && now.getTime() <= Date.parse(attempt.endsAt) + SUBMIT_GRACE_SECONDS * 1000;
+}
+
+/**
+ * Mark an exam submission and report it per section.
+ * @param {Object} exam - stored exam
+ * @param {Object} answers - { [questionId]: option index, boolean or text }
+ * @param {Function} gradeWritten - marks written answers, as for
+ *   gradeSubmission in quiz.js; the marking scheme is the rubric
+ * @returns {Promise<Object>} { score, maxScore, percent, sections: [{ id,
+ *   title, score, maxScore, percent, results[] }] }
+ */
+export async function markExam(exam, answers, gradeWritten) {
+  const questions = exam.sections.flatMap((s) => s.questions.map((q) => (isWritten(q)
+    ? { ...q, rubric: q.markingScheme.map((p) => p.point), rubricMarks: q.markingScheme.map((p) => p.marks) }
+    : q)));
+  const graded = await gradeSubmission({ questions }, answers, gradeWritten);
+  const byId = new Map(graded.results.map((r) => [r.questionId, r]));
+
+  const sections = exam.sections.map((s) => {
+    const results = s.questions.map((q) => byId.get(q.id));
+    const score = round2(sum(results.map((r) => r.score)));
+    const maxScore = sum(results.map((r) => r.maxScore));
+    return { id: s.id, title: s.title, score, maxScore, percent: percentOf(score, maxScore), results };
+  });
+  return { score: graded.score, maxScore: graded.maxScore, percent: graded.percent, sections };
+}
@@ -0,0 +1,143 @@
+import dotenv from 'dotenv';
+import fs from 'fs';
+import storage from './storage.js';
+import {
+  uploadToGemini,
+  describeUpload,
+  remoteNameFromUri,
+  getRemoteFile,
+  deleteRemoteFile,
+  listUploadedFiles,
+} from './fileManager.js';
+import { localCopyPath, deleteLocalCopy, listLocalCopies } from './fileStore.js';
+
+dotenv.config();
+
+/**
+ * Lifecycle of files sent to the Gemini File API.
+ *
+ * Sources record when their file was uploaded, its remote name and when it
+ * expires. Before a source is ingested its file is checked, and re-uploaded
+ * from the local copy (see fileStore.js) once it has expired or disappeared.
+ * Remote files and local copies that no notebook references any more can be
+ * listed and garbage-collected by an admin.
+ */
+
+// Refresh files this close to expiry, so a prompt never races the deletion
+const REFRESH_MARGIN_MS = (Number(process.env.GEMINI_FILE_REFRESH_MARGIN_MINUTES) || 60) * 60 * 1000;
+// Files younger than this are never collected: their source may not be saved yet
+const GC_GRACE_MS = 60 * 60 * 1000;
+
+/**
+ * Whether a file with this expiry time should be treated as gone.
+ */
+export function isExpiring(expiresAt) {
+  return !!expiresAt && Date.parse(expiresAt) - REFRESH_MARGIN_MS <= Date.now();
+}
+
+/**
+ * Make sure a source's Gemini file still exists, re-uploading the local copy
+ * when it has expired or was deleted.
+ * @param {Object} source - A source with `fileUri`
+ * @returns {Promise<Object|null>} fields to update on the source, or null
+ *   when its file is still usable
+ * @throws when the file is gone and no local copy is kept
+ */
+export async function refreshSourceFile(source) {
+  if (!source.fileUri) return null;
+
+  let missing = isExpiring(source.expiresAt);
+  const remoteName = source.remoteName || remoteNameFromUri(source.fileUri);
+  if (!missing && remoteName) {
+    try {
+      const remote = await getRemoteFile(remoteName);
+      missing = !remote || remote.state === 'FAILED';
+    } catch (error) {
+      // The API is unreachable; keep the file and let the prompt surface errors
+      console.warn(`[Files] Could not check ${remoteName}: ${error.message}`);
+      return null;
+    }
+  }
+  if (!missing) return null;
+
+  const localPath = source.localFile ? localCopyPath(source.localFile) : null;
+  if (!localPath) {
+    throw new Error(`The uploaded file for "${source.name}" has expired and no local copy is kept; upload it again`);
+  }
+  console.log(`[Files] Re-uploading ${source.name}: remote copy expired or missing`);
+  const file = await uploadToGemini(localPath, source.mimeType, source.name);
+  return describeUpload(file);
+}
+
+/**
+ * Every uploaded file, with the notebooks and sources referencing it.
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listRemoteFiles() {
+  const references = storage.listFileReferences();
+  let files;
+  try {
+    files = await listUploadedFiles();
+  } catch (err) {
+    const error = new Error(`Could not list Gemini files: ${err.message}`);
+    error.statusCode = 502;
+    throw error;
+  }
+  return files.map((file) => {
+    const refs = references.filter((r) => r.remoteName === file.name || r.fileUri === file.uri);
+    return {
+      name: file.name,
+      displayName: file.displayName,
+      uri: file.uri,
+      mimeType: file.mimeType,
+      sizeBytes: Number(file.sizeBytes) || 0,
+      state: file.state,
+      createdAt: file.createTime,
+      expiresAt: file.expirationTime,
+      references: refs.map(({ ownerId, notebookId, sourceId }) => ({ ownerId, notebookId, sourceId })),
+    };
+  });
+}
+
+function isPastGrace(timestamp) {
+  return !timestamp || Date.parse(timestamp) + GC_GRACE_MS <= Date.now();
+}
+
+/**
+ * Delete remote files and local copies that no notebook references.
+ * @param {Object} options - { dryRun }: report what would be deleted
+ * @returns {Promise<Object>} { dryRun, remote: { deleted, failed, kept }, local: { deleted, kept } }
+ */
+export async function collectGarbage({ dryRun = false } = {}) {
+  const files = await listRemoteFiles();
+  const remote = { deleted: [], failed: [], kept: 0 };
+  for (const file of files) {
+    if (file.references.length > 0 || !isPastGrace(file.createdAt)) {
+      remote.kept++;
+      continue;
+    }
+    try {
+      if (!dryRun) await deleteRemoteFile(file.name);
+      remote.deleted.push(file.name);
+    } catch (error) {
+      console.error(`[Files] Failed to delete ${file.name}:`, error.message);
+      remote.failed.push({ name: file.name, error: error.message });
+    }
+  }
+
+  const referencedCopies = new Set(storage.listFileReferences().map((r) => r.localFile).filter(Boolean));
+  const local = { deleted: [], kept: 0 };
+  for (const id of listLocalCopies()) {
+    const filePath = localCopyPath(id);
+    const modifiedAt = filePath ? fs.statSync(filePath).mtime.toISOString() : null;
+    if (referencedCopies.has(id) || !isPastGrace(modifiedAt)) {
+      local.kept++;
+      continue;
+    }
+    if (!dryRun) deleteLocalCopy(id);
+    local.deleted.push(id);
+  }
+
+  console.log(`[Files] GC${dryRun ? ' (dry run)' : ''}: ${remote.deleted.length} remote, ${local.deleted.length} local files`);
+  return { dryRun, remote, local };
+}
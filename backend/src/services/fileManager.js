@@ -6,19 +6,23 @@ dotenv.config();
 
 const fileManager = new GoogleAIFileManager(process.env.GEMINI_API_KEY);
 
+// Gemini deletes uploaded files after 48 hours
+const DEFAULT_RETENTION_MS = 48 * 60 * 60 * 1000;
+
 /**
  * Uploads a file to Gemini and waits for it to be active.
  * @param {string} filePath - Local path to the file
  * @param {string} mimeType - MIME type of the file
+ * @param {string} displayName - Name shown in the file list (defaults to the file name)
  * @returns {Promise<Object>} - The upload response containing the file URI
  */
-export async function uploadToGemini(filePath, mimeType) {
+export async function uploadToGemini(filePath, mimeType, displayName = filePath.split('/').pop()) {
     try {
         console.log(`Uploading ${filePath} to Gemini...`);
 
         const uploadResponse = await fileManager.uploadFile(filePath, {
             mimeType,
-            displayName: filePath.split('/').pop(),
+            displayName,
         });
 
         console.log(`Upload complete. File URI: ${uploadResponse.file.uri}`);
@@ -44,14 +48,55 @@ export async function uploadToGemini(filePath, mimeType) {
 }
 
 /**
- * List all uploaded files (useful for debugging/cleanup)
+ * Lifecycle fields to keep on a source for an uploaded file.
+ * @param {Object} file - File metadata returned by uploadToGemini
  */
-export async function listUploadedFiles() {
+export function describeUpload(file) {
+    return {
+        fileUri: file.uri,
+        mimeType: file.mimeType,
+        remoteName: file.name,
+        uploadedAt: file.createTime || new Date().toISOString(),
+        expiresAt: file.expirationTime || new Date(Date.now() + DEFAULT_RETENTION_MS).toISOString(),
+    };
+}
+
+/**
+ * Remote name (`files/abc123`) of a file URI, for sources stored before the
+ * name was tracked.
+ */
+export function remoteNameFromUri(fileUri) {
+    const match = String(fileUri || '').match(/files\/[^/?#]+/);
+    return match ? match[0] : null;
+}
+
+/**
+ * Metadata of an uploaded file, or null when Gemini no longer has it.
+ */
+export async function getRemoteFile(remoteName) {
     try {
-        const response = await fileManager.listFiles();
-        return response.files;
+        return await fileManager.getFile(remoteName);
     } catch (error) {
-        console.error('Error listing files:', error);
-        return [];
+        // Expired files answer 403 (no access) or 404
+        if (error.status === 403 || error.status === 404) return null;
+        throw error;
     }
 }
+
+export async function deleteRemoteFile(remoteName) {
+    await fileManager.deleteFile(remoteName);
+}
+
+/**
+ * List all uploaded files, following pagination.
+ */
+export async function listUploadedFiles() {
+    const files = [];
+    let pageToken;
+    do {
+        const response = await fileManager.listFiles({ pageSize: 100, pageToken });
+        files.push(...(response.files || []));
+        pageToken = response.nextPageToken;
+    } while (pageToken);
+    return files;
+}
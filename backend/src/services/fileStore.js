@@ -0,0 +1,97 @@
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+
+dotenv.config();
+
+/**
+ * Local copies of files sent to the Gemini File API.
+ *
+ * Gemini deletes uploaded files after a retention window, so the original
+ * bytes are kept under FILE_STORE_DIR (default `data/files`) and re-uploaded
+ * when the remote copy is gone. Sources refer to a copy by its id (the file
+ * name inside the directory), never by an absolute path.
+ */
+
+function storeDir() {
+  return path.resolve(process.env.FILE_STORE_DIR || path.join('data', 'files'));
+}
+
+/**
+ * Where uploads are spooled while they are received; inside the store, so
+ * moving a recording in is a rename. Hidden from listLocalCopies.
+ */
+export function incomingDir() {
+  return path.join(storeDir(), '.incoming');
+}
+
+function pathFor(id) {
+  // Ids are generated here; reject anything that could leave the directory
+  if (!id || id !== path.basename(id)) {
+    throw new Error(`Invalid local file id: ${id}`);
+  }
+  return path.join(storeDir(), id);
+}
+
+function newId(filename) {
+  const ext = path.extname(filename || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}${ext}`;
+}
+
+/**
+ * Keep a copy of an uploaded file.
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - Original name (only the extension is kept)
+ * @returns {string} id of the stored copy
+ */
+export function saveLocalCopy(buffer, filename) {
+  const id = newId(filename);
+  fs.mkdirSync(storeDir(), { recursive: true });
+  fs.writeFileSync(pathFor(id), buffer);
+  return id;
+}
+
+/**
+ * Move a file written elsewhere (e.g. a large upload spooled to disk) into
+ * the store without reading it into memory.
+ * @param {string} filePath - File to move; it is gone afterwards
+ * @param {string} filename - Original name (only the extension is kept)
+ * @returns {string} id of the stored copy
+ */
+export function moveIntoStore(filePath, filename) {
+  const id = newId(filename);
+  fs.mkdirSync(storeDir(), { recursive: true });
+  try {
+    fs.renameSync(filePath, pathFor(id));
+  } catch (error) {
+    // The upload directory may be on another device
+    if (error.code !== 'EXDEV') throw error;
+    fs.copyFileSync(filePath, pathFor(id));
+    fs.unlinkSync(filePath);
+  }
+  return id;
+}
+
+/**
+ * Absolute path of a stored copy, or null when it no longer exists.
+ */
+export function localCopyPath(id) {
+  const filePath = pathFor(id);
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+export function deleteLocalCopy(id) {
+  const filePath = localCopyPath(id);
+  if (!filePath) return false;
+  fs.unlinkSync(filePath);
+  return true;
+}
+
+/**
+ * Ids of every stored copy.
+ */
+export function listLocalCopies() {
+  const dir = storeDir();
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter((name) => !name.startsWith('.'));
+}
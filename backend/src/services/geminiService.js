@@ -1,30 +1,31 @@
-import storage from './storage.js';
-import { ingestStudyMaterials } from './ingestion.js';
-import { getQAModel, getDialogueModel, getSummaryModel, getSuggestModel } from '../config/gemini.js';
+import { ingestStudyMaterials, ingestJobKey } from './ingestion.js';
+import jobQueue from './jobQueue.js';
+import { isExpiring } from './fileLifecycle.js';
+import {
+  getRetrievalConfig,
+  retrieveChunks,
+  selectRepresentativeChunks,
+  chunksToParts,
+  totalChunkChars,
+} from './retrieval.js';
+import { parseCitations, groundingScore } from './citations.js';
+import { getQAModel, getDialogueModel, getSummaryModel, getSuggestModel, getFlashcardsModel, getQuizModel, getGradingModel, getExamBlueprintModel, getMockExamModel, getConceptsModel, getProviderName } from '../config/models.js';
+import { newSchedule } from './spacedRepetition.js';
+import { QUESTION_TYPES, normalizeQuestion } from './quiz.js';
+import { clampDuration, normalizeBlueprint, normalizeExamQuestion } from './exam.js';
+import { keywordConcepts, normalizeConcepts, questionActivity, recordActivity } from './analytics.js';
 
 const REFUSAL = 'I don\'t have information about this topic in the provided study material.';
 
-function textCitesMaterial(text, material) {
-  try {
-    const t = (text || '').toLowerCase();
-    const citesVideo =
-      /youtube\s+video/i.test(text || '') ||
-      /\b(?:\d{1,2}):\d{2}(?:\s*-\s*\d{1,2}:\d{2})?\b/.test(text || '') ||
-      /\byoutube\b/i.test(text || '');
-    const citesPage = /page\s+\d+\s*\(physical\)/i.test(t);
-    const citesNamed = Array.isArray(material?.sources)
-      ? material.sources.some((name) => {
-        const safe = String(name || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        return safe && new RegExp(safe, 'i').test(text || '');
-      })
-      : false;
-    return citesVideo || citesPage || citesNamed;
-  } catch {
-    return false;
-  }
-}
-
+/**
+ * Verify an answer's citations against the material.
+ * Q&A answers whose citations are all missing or invalid are replaced by the
+ * refusal. groundingScore is null for dialogue small talk, which cites nothing.
+ * @returns {{answer: string, groundingScore: number|null, citations: Array}}
+ */
 function enforceGrounding(text, material, mode = 'qa') {
+  const citations = parseCitations(text, material);
+
   // For dialogue mode, be more lenient - allow greetings and conversational responses
   if (mode === 'dialogue') {
     // Check if it's a greeting or small talk (short, no academic content)
@@ -32,21 +33,23 @@ function enforceGrounding(text, material, mode = 'qa') {
     const isShort = text.trim().split(' ').length < 15;
 
     // Allow greetings and short conversational responses without citation requirement
-    if (isGreeting || (isShort && !text.includes('?'))) {
-      return { answer: text.trim(), isGrounded: true };
+    if (citations.length === 0 && (isGreeting || (isShort && !text.includes('?')))) {
+      return { answer: text.trim(), groundingScore: null, citations };
     }
 
-    // For longer academic responses, check for citations but don't enforce strictly
-    const hasCitations = textCitesMaterial(text, material);
-    return { answer: text.trim(), isGrounded: hasCitations };
+    // For longer academic responses, score the citations but don't enforce strictly
+    return { answer: text.trim(), groundingScore: groundingScore(citations), citations };
   }
 
   // For Q&A mode, enforce strict grounding
-  const grounded = text && text.trim() !== REFUSAL && textCitesMaterial(text, material);
-  if (!grounded) {
-    return { answer: REFUSAL, isGrounded: false };
+  const hasValidCitation = citations.some((c) => c.status !== 'invalid');
+  if (!text || text.trim() === REFUSAL || !hasValidCitation) {
+    if (citations.length > 0) {
+      console.warn('[Grounding] Refusing answer with only invalid citations:', citations.map((c) => c.label));
+    }
+    return { answer: REFUSAL, groundingScore: 0, citations: [] };
   }
-  return { answer: text.trim(), isGrounded: true };
+  return { answer: text.trim(), groundingScore: groundingScore(citations), citations };
 }
 
 /**
@@ -63,16 +66,23 @@ MANDATORY RESPONSE RULES:
    - Use meaningful headings (e.g., "## Key Concepts") to structure your answer.
    - Use short paragraphs (max 3-4 sentences).
    - Use bullet points for lists.
-   - NO emojis except 📄 for PDF/Text citations and 🎥 for YouTube citations.
+   - NO emojis except 📄 for document, text and web page citations, 🎥 for YouTube citations and 🎙 for audio recordings.
    - Maintain an academic, professional tone suitable for exams.
 
 2. **Citations & Source Grounding**:
    - Citations MUST appear AFTER the complete sentence or paragraph. NEVER inside a sentence.
    - Group citations at the end of sections when possible.
-   - Use ONLY these formats:
-     - 📄 Source: Page X (Physical)  (for PDFs)
-     - 🎥 Source: MM:SS – MM:SS (YouTube) (for Videos, use approximate timestamp ranges)
-   - NEVER cite page numbers or timestamps not present in the source.
+   - Put each citation on its own line, using ONLY these formats:
+     - 📄 Source: "Source Name", Page X (Physical) — "short quote"  (for PDFs; text after a [Page X] marker is on physical page X)
+     - 🎥 Source: "Source Name", MM:SS – MM:SS (YouTube) — "short quote"  (for Videos, use approximate timestamp ranges)
+     - 🎙 Source: "Source Name", MM:SS – MM:SS (Audio) — "short quote"  (for recorded lectures, using the [MM:SS] stamps of the audio transcript)
+     - 📄 Source: "Source Name", Section "Section Heading" — "short quote"  (for web pages and HTML files, using a heading from the page)
+     - 📄 Source: "Source Name", Slide N — "short quote"  (for slide decks)
+     - 📄 Source: "Source Name", Chapter N — "short quote"  (for e-books)
+     - 📄 Source: "Source Name", Sheet "Sheet Name" — "short quote"  (for spreadsheets)
+     - 📄 Source: "Source Name" — "short quote"  (for text without pages)
+   - "Source Name" is the name from the === SOURCE: ... === header; the quote is a few words copied exactly from that passage.
+   - The location comes from the === SOURCE: ... === header (e.g. "(Slide 3)"); NEVER cite pages, slides, chapters, sheets, sections or timestamps not present in the source.
 
 3. **Source Restriction (STRICT)**:
    - Answer ONLY using the provided study materials.
@@ -101,69 +111,152 @@ DIALOGUE MODE EXCEPTIONS:
   return base;
 }
 
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
 /**
- * Ensure study material is loaded.
+ * Ids of the sources a request may draw on: the enabled ones, narrowed to
+ * `sourceIds` when given. Null means the whole material.
+ * @throws {Error} 400 for unknown ids, or when no enabled source is left
  */
-async function requireMaterial() {
-  let material = storage.getStudyMaterial();
-  const activeSources = storage.getSources();
+function allowedSourceIds(store, sourceIds) {
+  const sources = store.getSources();
+  if (sourceIds) {
+    const unknown = sourceIds.filter((id) => !sources.some((s) => s.id === id));
+    if (unknown.length > 0) throw badRequest(`Unknown source id: ${unknown.join(', ')}`);
+  }
+  if (!sourceIds && sources.every((s) => s.enabled !== false)) return null;
 
-  const signature = (sources) => {
-    try {
-      return (sources || [])
-        .map((s) => [s.type, s.name, s.url, s.fileUri].filter(Boolean).join(':'))
-        .sort()
-        .join('|');
-    } catch {
-      return '';
-    }
-  };
+  const allowed = sources
+    .filter((s) => s.enabled !== false && (!sourceIds || sourceIds.includes(s.id)))
+    .map((s) => s.id);
+  if (allowed.length === 0) {
+    throw badRequest(sourceIds ? 'None of the selected sources is enabled' : 'All sources are disabled; enable at least one');
+  }
+  return allowed;
+}
+
+// Filtered views per material, so retrieval keeps reusing their BM25 index
+const materialViews = new WeakMap();
 
-  const materialSourceNames = material?.stats?.sources || material?.sources || [];
-  const sigActive = signature(activeSources);
-  const sigMaterial = Array.isArray(materialSourceNames)
-    ? materialSourceNames.slice().sort().join('|')
-    : '';
+/**
+ * The part of the material that comes from the given sources.
+ * @param {Object} material - Ingested material; parts and chunks carry a sourceId
+ * @param {Array<string>|null} ids - Source ids, or null for all of it
+ */
+function selectSources(material, ids) {
+  if (!ids) return material;
+  const key = ids.slice().sort().join('|');
+  let views = materialViews.get(material);
+  if (!views) {
+    views = new Map();
+    materialViews.set(material, views);
+  }
+  if (!views.has(key)) {
+    const keep = (item) => ids.includes(item?.sourceId);
+    const sources = (material.stats?.sources || []).filter((s) => ids.includes(s?.id));
+    views.set(key, {
+      ...material,
+      contextParts: (material.contextParts || []).filter(keep),
+      passthroughParts: (material.passthroughParts || []).filter(keep),
+      chunks: (material.chunks || []).filter(keep),
+      stats: { ...material.stats, sources, sourceCount: sources.length },
+      sources: sources.map((s) => s.name),
+    });
+  }
+  return views.get(key);
+}
+
+/**
+ * Ensure study material is loaded for the scope's notebook.
+ * Disabled sources stay ingested but are left out of the returned material.
+ * @param {NotebookScope} store - Caller's notebook scope (see storage.js)
+ * @param {Object} options - { sourceIds }: only use these sources
+ */
+async function requireMaterial(store, { sourceIds = null } = {}) {
+  const allowed = allowedSourceIds(store, sourceIds);
+
+  // A queued or running ingest job is about to replace the material; wait for it
+  const pending = jobQueue.findActive(ingestJobKey(store));
+  if (pending) await jobQueue.wait(pending.id);
+
+  let material = store.getStudyMaterial();
+  const activeSources = store.getSources();
+
+  // Sources the material was built from, failed ones included
+  const signature = (ids) => (ids || []).slice().sort().join('|');
+  const sigActive = signature(activeSources.map((s) => s.id));
+  const sigMaterial = signature(material?.stats?.sourceIds);
 
   const needsIngest =
     !material ||
     (!material.context && !material.contextParts) ||
+    // Material from before parts carried their sourceId cannot be filtered
+    (allowed && material.contextParts?.some((p) => !('sourceId' in p))) ||
+    isExpiring(material.stats?.filesExpireAt) ||
     (activeSources && activeSources.length > 0 && sigActive !== sigMaterial);
 
   if (needsIngest) {
     if (activeSources && activeSources.length > 0) {
       console.log('[Material] (Re)ingesting for active notebook', {
-        activeNotebookId: storage.getStats().activeNotebookId,
+        activeNotebookId: store.getStats().activeNotebookId,
         sourceCount: activeSources.length,
         sources: activeSources.map(s => ({ type: s.type, name: s.name })),
       });
-      const m = await ingestStudyMaterials(activeSources);
-      storage.setStudyMaterial(m);
-      return m;
+      const m = await ingestStudyMaterials(activeSources, store);
+      store.setStudyMaterial(m);
+      return selectSources(m, allowed);
     }
-    if (storage.isDefaultActive()) {
+    if (store.isDefaultActive()) {
       console.log('[Material] Default notebook has no sources; using environment fallbacks if present');
-      const m = await ingestStudyMaterials(null);
-      storage.setStudyMaterial(m);
+      const m = await ingestStudyMaterials(null, store);
+      store.setStudyMaterial(m);
       return m;
     }
-    const error = new Error('Study material not ingested yet');
-    error.statusCode = 400;
-    throw error;
+    throw badRequest('Study material not ingested yet');
   }
 
-  return material;
+  return selectSources(material, allowed);
 }
 
 /**
- * Helper to get context parts for prompt
+ * Helper to get context parts for prompt.
+ * With retrieval enabled, only the chunks relevant to `query` are sent, plus
+ * the parts that have no local text (Gemini files, videos). Without a query,
+ * chunks are sampled evenly across sources for broad coverage.
  */
-function getContextParts(material) {
-  if (material.contextParts) {
-    return material.contextParts;
-  }
+async function getContextParts(material, query) {
   // Legacy support
-  return [{ text: material.context }];
+  const fullParts = material.contextParts || [{ text: material.context }];
+  const chunks = material.chunks || [];
+  const config = getRetrievalConfig();
+
+  if (config.mode === 'full' || chunks.length === 0 || totalChunkChars(chunks) <= config.fullContextChars) {
+    return fullParts;
+  }
+
+  let selected = query ? await retrieveChunks(chunks, query) : [];
+  if (selected.length === 0) {
+    selected = selectRepresentativeChunks(chunks);
+  }
+  console.log(`[Retrieval] Using ${selected.length}/${chunks.length} chunks${query ? ' for query' : ''}`);
+
+  return [...(material.passthroughParts || []), ...chunksToParts(selected)];
+}
+
+/**
+ * The JSON object or array in a model reply, without code fences or prose
+ * around it.
+ */
+function extractJson(text) {
+  const cleaned = text.replace(/```json/gi, '').replace(/```/g, '').trim();
+  const start = cleaned.search(/[[{]/);
+  if (start === -1) return cleaned;
+  const end = cleaned.lastIndexOf(cleaned[start] === '[' ? ']' : '}');
+  return end > start ? cleaned.substring(start, end + 1) : cleaned;
 }
 
 function normalizeParts(parts) {
@@ -177,20 +270,25 @@ function normalizeParts(parts) {
   }
   return out;
 }
+/**
+ * Build the multimodal prompt for a grounded Q&A turn.
+ * Parts: [System Instructions, ...Context Parts, Student Question]
+ */
+async function buildQAParts(material, question) {
+  const systemPrompt = buildSystemInstructions('qa');
+  const normalized = normalizeParts(await getContextParts(material, question));
+  return [{ text: systemPrompt }, ...normalized, { text: `\nStudent Question: ${question}` }];
+}
+
 /**
  * Grounded Q&A mode.
+ * @param {Object} options - { sourceIds }: answer only from these sources
  */
-export async function askQuestion(question) {
-  const material = await requireMaterial();
+export async function askQuestion(store, question, { sourceIds } = {}) {
+  const material = await requireMaterial(store, { sourceIds });
   const model = getQAModel();
 
-  const systemPrompt = buildSystemInstructions('qa');
-  const contextParts = getContextParts(material);
-  const normalized = normalizeParts(contextParts);
-
-  // Construct multimodal prompt
-  // Parts: [System Instructions, ...Context Parts, Student Question]
-  const parts = [{ text: systemPrompt }, ...normalized, { text: `\nStudent Question: ${question}` }];
+  const parts = await buildQAParts(material, question);
 
   console.log("FINAL GEMINI PARTS (ask):", parts.map(p => Object.keys(p)));
   const result = await model.generateContent({ contents: [{ role: 'user', parts }] });
@@ -201,43 +299,91 @@ export async function askQuestion(question) {
   const answerPayload = {
     question,
     answer: enforced.answer,
-    isGrounded: enforced.isGrounded,
+    groundingScore: enforced.groundingScore,
+    citations: enforced.citations,
     sources: material.sources,
   };
 
-  storage.addQAEntry(answerPayload);
+  store.addQAEntry(answerPayload);
+  if (answerPayload.citations.length > 0) recordActivity(store, [questionActivity(answerPayload)]);
 
   return answerPayload;
 }
 
-async function answerUsingMaterial(question) {
-  const material = await requireMaterial();
+/**
+ * Streaming variant of grounded Q&A.
+ * Calls onChunk(text) for every partial markdown chunk as it arrives, then
+ * applies the same grounding enforcement as askQuestion to the full answer.
+ * @param {NotebookScope} store
+ * @param {string} question
+ * @param {Object} options - { onChunk, isAborted, sourceIds }
+ */
+export async function askQuestionStream(store, question, { onChunk, isAborted, sourceIds } = {}) {
+  const material = await requireMaterial(store, { sourceIds });
   const model = getQAModel();
-  const systemPrompt = buildSystemInstructions('qa');
-  const contextParts = getContextParts(material);
-  const normalized = normalizeParts(contextParts);
-  const parts = [{ text: systemPrompt }, ...normalized, { text: `\nStudent Question: ${question}` }];
+
+  const parts = await buildQAParts(material, question);
+
+  console.log("FINAL GEMINI PARTS (ask/stream):", parts.map(p => Object.keys(p)));
+  const result = await model.generateContentStream({ contents: [{ role: 'user', parts }] });
+
+  let raw = '';
+  for await (const chunk of result.stream) {
+    if (isAborted?.()) break;
+    const text = chunk.text();
+    if (!text) continue;
+    raw += text;
+    onChunk?.(text);
+  }
+
+  const enforced = enforceGrounding(raw.trim(), material);
+
+  const answerPayload = {
+    question,
+    answer: enforced.answer,
+    groundingScore: enforced.groundingScore,
+    citations: enforced.citations,
+    sources: material.sources,
+  };
+
+  if (!isAborted?.()) {
+    store.addQAEntry(answerPayload);
+    if (answerPayload.citations.length > 0) recordActivity(store, [questionActivity(answerPayload)]);
+  }
+
+  return answerPayload;
+}
+
+async function answerUsingMaterial(store, question) {
+  const material = await requireMaterial(store);
+  const model = getQAModel();
+  const parts = await buildQAParts(material, question);
   const result = await model.generateContent({ contents: [{ role: 'user', parts }] });
   const raw = result.response.text().trim();
   const enforced = enforceGrounding(raw, material);
   return {
     question,
     answer: enforced.answer,
-    isGrounded: enforced.isGrounded,
+    groundingScore: enforced.groundingScore,
+    citations: enforced.citations,
     sources: material.sources,
   };
 }
 
 /**
  * Dialogue mode.
+ * @param {Object} options - { sourceIds }: talk only about these sources
  */
-export async function dialogueTurn(message) {
-  const material = await requireMaterial();
+export async function dialogueTurn(store, message, { sourceIds } = {}) {
+  const material = await requireMaterial(store, { sourceIds });
   const model = getDialogueModel();
 
-  const history = storage.getHistory();
+  const history = store.getHistory();
   const systemPrompt = buildSystemInstructions('dialogue');
-  const contextParts = getContextParts(material);
+  // Retrieve on the new message plus the previous turn so follow-ups keep their topic
+  const lastTurn = history[history.length - 1];
+  const retrievalQuery = [lastTurn?.studentMessage, message].filter(Boolean).join('\n');
+  const contextParts = await getContextParts(material, retrievalQuery);
   const normalized = normalizeParts(contextParts);
 
   // Log for debugging
@@ -265,26 +411,29 @@ export async function dialogueTurn(message) {
   const entry = {
     studentMessage: message,
     teacherResponse: enforced.answer,
-    isGrounded: enforced.isGrounded,
+    groundingScore: enforced.groundingScore,
+    citations: enforced.citations,
     sources: material.sources,
     conversationLength: history.length + 1,
   };
 
-  storage.addToHistory(entry);
+  store.addToHistory(entry);
+  // Small talk has no grounding score and touches no concept
+  if (entry.groundingScore !== null) recordActivity(store, [questionActivity({ question: message, citations: entry.citations })]);
 
   return entry;
 }
 
 /**
  * Summary mode.
+ * @param {Object} options - { sourceIds }: summarize only these sources
  */
-export async function generateSummary() {
-  const material = await requireMaterial();
+export async function generateSummary(store, { sourceIds } = {}) {
+  const material = await requireMaterial(store, { sourceIds });
   const model = getSummaryModel();
 
   const systemPrompt = buildSystemInstructions('qa'); // Use QA strictness for summary
-  const allContextParts = getContextParts(material);
-  const contextParts = allContextParts;
+  const contextParts = await getContextParts(material);
   const normalized = normalizeParts(contextParts);
 
   const summaryInstructions = `
@@ -335,15 +484,6 @@ CRITICAL:
   const result = await model.generateContent({ contents: [{ role: 'user', parts }] });
   const raw = result.response.text().trim();
 
-  function extractJson(text) {
-    const cleaned = text.replace(/```json/gi, '').replace(/```/g, '').trim();
-    const start = cleaned.indexOf('{');
-    const end = cleaned.lastIndexOf('}');
-    if (start !== -1 && end !== -1) {
-      return cleaned.substring(start, end + 1);
-    }
-    return cleaned;
-  }
   const jsonText = extractJson(raw);
 
   let parsed;
@@ -374,7 +514,6 @@ CRITICAL:
 
   return {
     summary: parsed,
-    isGrounded: true,
     sources: material.sources,
   };
 }
@@ -385,9 +524,9 @@ CRITICAL:
 /**
  * Generate suggested questions based on study material.
  */
-export async function generateSuggestedQuestions(options = {}) {
+export async function generateSuggestedQuestions(store, options = {}) {
   // 1. Check Cache
-  const cached = storage.getSuggestedQuestions();
+  const cached = store.getSuggestedQuestions();
   // Do NOT regenerate if they already exist, unless forced
   if (!options.force && cached && cached.length > 0) {
     console.log('[Gemini] Returning cached suggested questions.');
@@ -398,7 +537,7 @@ export async function generateSuggestedQuestions(options = {}) {
   let material;
   try {
     // We expect material to be available or ingestible
-    material = await requireMaterial();
+    material = await requireMaterial(store);
   } catch (err) {
     // If ingestion fails or no material
     console.warn('[Gemini] Suggestion generation skipped: No material.', err.message);
@@ -413,7 +552,7 @@ export async function generateSuggestedQuestions(options = {}) {
 
   const model = getSuggestModel();
   const systemPrompt = buildSystemInstructions('qa');
-  const contextParts = getContextParts(material);
+  const contextParts = await getContextParts(material);
   const normalized = normalizeParts(contextParts);
 
   // 3. Construct Prompt with Strict Rules
@@ -468,12 +607,444 @@ Example:
 
   // 5. Cache Results
   if (questions.length > 0) {
-    storage.setSuggestedQuestions(questions);
+    store.setSuggestedQuestions(questions);
   }
 
   return { questions };
 }
 
+const MAX_QUIZ_QUESTIONS = 20;
+
+const QUESTION_FORMATS = {
+  multiple_choice: '{"type": "multiple_choice", "question": "...", "options": ["...", "...", "...", "..."], "answer": 0, "distractorRationale": ["why option 0 is right or wrong", "...", "...", "..."], "explanation": "...", "citation": "📄 Source: ..."}',
+  true_false: '{"type": "true_false", "question": "a statement", "answer": true, "explanation": "...", "citation": "📄 Source: ..."}',
+  short_answer: '{"type": "short_answer", "question": "...", "answer": "model answer", "rubric": ["key point 1", "key point 2"], "explanation": "...", "citation": "📄 Source: ..."}',
+};
+
+function badGateway(message) {
+  const error = new Error(message);
+  error.statusCode = 502;
+  return error;
+}
+
+/**
+ * Quiz mode: generate multiple-choice, true/false and short-answer questions
+ * and store them as a quiz of the notebook. Each question keeps its answer,
+ * the rationale of every distractor and its citations; questions without a
+ * valid citation are dropped.
+ * @param {NotebookScope} store
+ * @param {Object} options - { count, types, topic, sourceIds }; types is a
+ *   subset of QUESTION_TYPES (default: all)
+ * @returns {Promise<Object>} the stored quiz, answers included
+ */
+export async function generateQuiz(store, { count = 8, types = QUESTION_TYPES, topic = null, sourceIds } = {}) {
+  const material = await requireMaterial(store, { sourceIds });
+  const model = getQuizModel();
+  const wanted = Math.min(Math.max(Math.round(Number(count)) || 8, 1), MAX_QUIZ_QUESTIONS);
+
+  const systemPrompt = buildSystemInstructions('qa');
+  const normalized = normalizeParts(await getContextParts(material, topic || undefined));
+
+  const instructions = `
+Task: Write a quiz of exactly ${wanted} questions from the provided study materials.
+${topic ? `Topic: ${topic}\n` : ''}Question types: ${types.join(', ')}
+
+RULES:
+1. Mix the question types above; test understanding, not trivia.
+2. multiple_choice: 4 options, one correct; "answer" is its index; distractors must be plausible and "distractorRationale" explains, per option, why it is right or wrong according to the material.
+3. true_false: a statement that the material clearly makes true or false.
+4. short_answer: "answer" is a model answer of 1-3 sentences; "rubric" lists 2-4 key points a full answer must make.
+5. "explanation" says why the answer is correct; "citation" is ONE citation line in the formats above, pointing at the passage that proves it.
+6. Use ONLY the materials; never test facts they do not state.
+7. Return ONLY a JSON array of questions in these shapes:
+${types.map((t) => QUESTION_FORMATS[t]).join('\n')}
+`.trim();
+
+  const parts = [{ text: systemPrompt }, ...normalized, { text: instructions }];
+  console.log("FINAL GEMINI PARTS (quiz):", parts.map(p => Object.keys(p)));
+  const result = await model.generateContent({ contents: [{ role: 'user', parts }] });
+  const raw = result.response.text().trim();
+
+  let generated;
+  try {
+    generated = JSON.parse(extractJson(raw));
+  } catch (err) {
+    console.error('JSON Parse Error (Quiz):', err, 'Raw output:', raw);
+    throw badGateway('The model did not return a valid quiz; please try again');
+  }
+  if (!Array.isArray(generated)) generated = generated?.questions || [];
+
+  const questions = [];
+  for (const item of generated.slice(0, wanted)) {
+    const question = normalizeQuestion(item);
+    if (!question || !types.includes(question.type)) continue;
+    // The question, its answer and explanation make the claim the citation supports
+    const answerText = question.type === 'multiple_choice' ? question.options[question.answer] : String(question.answer);
+    const citations = parseCitations(`${question.question} ${answerText} ${question.explanation}\n${item.citation || ''}`, material);
+    if (!citations.some((c) => c.status !== 'invalid')) continue;
+    questions.push({
+      id: `q${questions.length + 1}`,
+      ...question,
+      citations,
+      sourceIds: [...new Set(citations.map((c) => c.sourceId).filter(Boolean))],
+    });
+  }
+  if (questions.length === 0) {
+    throw badGateway('No grounded questions could be generated from the material; please try again');
+  }
+  console.log(`[Quiz] Kept ${questions.length}/${generated.length} generated questions`);
+
+  return store.addQuiz({ topic: topic || null, sourceIds: sourceIds || null, questions });
+}
+
+/**
+ * Mark short answers against their rubrics, with feedback grounded in the
+ * material.
+ * @param {NotebookScope} store
+ * @param {Array<Object>} items - [{ id, question, answer, rubric, studentAnswer }]
+ * @param {Object} options - { sourceIds }: the sources feedback may cite
+ * @returns {Promise<Object>} { [id]: { met: boolean[], feedback, citations,
+ *   gradedBy: 'model' } }; empty when there is no material to mark against
+ *   or the model's reply cannot be read
+ */
+export async function gradeShortAnswers(store, items, { sourceIds } = {}) {
+  let material;
+  try {
+    material = await requireMaterial(store, { sourceIds });
+  } catch (err) {
+    // No material to mark against (every source removed or disabled): the
+    // caller falls back to keyword marking
+    console.error('[Quiz] Short-answer grading unavailable:', err.message);
+    return {};
+  }
+  const model = getGradingModel();
+
+  const systemPrompt = buildSystemInstructions('qa');
+  const instructions = `
+Task: Grade the student's short answers against their rubrics, using the provided study materials as the reference.
+
+RULES:
+1. For each answer, decide for every rubric point whether the answer makes it (true) or not (false). Accept paraphrases and synonyms; ignore spelling and grammar.
+2. "feedback" is 1-3 sentences addressed to the student: what was right, and what was missing or wrong according to the material.
+3. "citation" is ONE citation line in the formats above, pointing at the passage the student should reread (empty when the answer is complete).
+4. Return ONLY a JSON array: [{"id": "...", "met": [true, false], "feedback": "...", "citation": "📄 Source: ..."}]
+
+Answers (JSON):
+${JSON.stringify(items.map(({ id, question, answer, rubric, studentAnswer }) => ({ id, question, modelAnswer: answer, rubric, studentAnswer })), null, 2)}
+`.trim();
+
+  let marks;
+  try {
+    const normalized = normalizeParts(await getContextParts(material, items.map((i) => i.question).join('\n')));
+    const parts = [{ text: systemPrompt }, ...normalized, { text: instructions }];
+    console.log("FINAL GEMINI PARTS (grading):", parts.map(p => Object.keys(p)));
+    const result = await model.generateContent({ contents: [{ role: 'user', parts }] });
+    marks = JSON.parse(extractJson(result.response.text().trim()));
+  } catch (err) {
+    // The caller falls back to keyword marking
+    console.error('[Quiz] Short-answer grading failed:', err.message);
+    return {};
+  }
+
+  const byId = {};
+  for (const mark of Array.isArray(marks) ? marks : []) {
+    const item = items.find((i) => i.id === mark?.id);
+    if (!item || !Array.isArray(mark.met)) continue;
+    const feedback = typeof mark.feedback === 'string' ? mark.feedback.trim() : '';
+    byId[item.id] = {
+      met: item.rubric.map((_, i) => mark.met[i] === true),
+      feedback,
+      citations: parseCitations(`${feedback}\n${mark.citation || ''}`, material).filter((c) => c.status !== 'invalid'),
+      gradedBy: 'model',
+    };
+  }
+  return byId;
+}
+
+const MAX_FLASHCARDS = 30;
+
+// Fronts are compared without case, punctuation or spacing
+const cardKey = (front) => String(front).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+/**
+ * Flashcard mode: generate grounded front/back cards and add them to the
+ * notebook's deck. Cards without a valid citation are dropped, like
+ * ungrounded Q&A answers, and so are cards already in the deck.
+ * @param {NotebookScope} store
+ * @param {Object} options - { count, topic, sourceIds }: how many cards, an
+ *   optional topic to focus on, and the sources to draw from
+ * @returns {Promise<{cards: Array<Object>, skipped: number}>} the new cards
+ *   and how many generated ones were dropped
+ */
+export async function generateFlashcards(store, { count = 10, topic = null, sourceIds } = {}) {
+  const material = await requireMaterial(store, { sourceIds });
+  const model = getFlashcardsModel();
+  const wanted = Math.min(Math.max(Math.round(Number(count)) || 10, 1), MAX_FLASHCARDS);
+
+  const systemPrompt = buildSystemInstructions('qa');
+  const normalized = normalizeParts(await getContextParts(material, topic || undefined));
+  const deck = store.getFlashcards();
+  const known = new Set(deck.map((c) => cardKey(c.front)));
+
+  const instructions = `
+Task: Create exactly ${wanted} flashcards for exam revision from the provided study materials.
+${topic ? `Topic: ${topic}\n` : ''}
+RULES:
+1. Each card tests ONE fact, definition, formula, cause or relationship from the materials.
+2. "front" is a short question or a sentence with a blank (_____); "back" answers it in 1-2 sentences.
+3. "citation" is ONE citation line in the formats above, pointing at the passage the back comes from.
+4. Spread the cards across the materials; do not invent facts.
+5. Return ONLY a JSON array: [{"front": "...", "back": "...", "citation": "📄 Source: ..."}]
+${deck.length > 0 ? `\nCards already in the deck (do not repeat):\n${deck.slice(-50).map((c) => `- ${c.front}`).join('\n')}` : ''}
+`.trim();
+
+  const parts = [{ text: systemPrompt }, ...normalized, { text: instructions }];
+  console.log("FINAL GEMINI PARTS (flashcards):", parts.map(p => Object.keys(p)));
+  const result = await model.generateContent({ contents: [{ role: 'user', parts }] });
+  const raw = result.response.text().trim();
+
+  let generated;
+  try {
+    generated = JSON.parse(extractJson(raw));
+  } catch (err) {
+    console.error('JSON Parse Error (Flashcards):', err, 'Raw output:', raw);
+    const error = new Error('The model did not return valid flashcards; please try again');
+    error.statusCode = 502;
+    throw error;
+  }
+  if (!Array.isArray(generated)) generated = generated?.cards || [];
+  generated = generated.slice(0, wanted);
+
+  const cards = [];
+  for (const item of generated) {
+    const front = typeof item?.front === 'string' ? item.front.trim() : '';
+    const back = typeof item?.back === 'string' ? item.back.trim() : '';
+    if (!front || !back || known.has(cardKey(front))) continue;
+    // The back is the claim the citation has to support
+    const citations = parseCitations(`${back}\n${item.citation || ''}`, material);
+    if (!citations.some((c) => c.status !== 'invalid')) continue;
+    known.add(cardKey(front));
+    cards.push({
+      front,
+      back,
+      citations,
+      topic: topic || null,
+      sourceIds: [...new Set(citations.map((c) => c.sourceId).filter(Boolean))],
+      schedule: newSchedule(),
+    });
+  }
+
+  const skipped = generated.length - cards.length;
+  if (skipped > 0) console.log(`[Flashcards] Dropped ${skipped} ungrounded or repeated cards`);
+  return { cards: store.addFlashcards(cards), skipped };
+}
+
+const EXAM_QUESTION_FORMATS = {
+  multiple_choice: '{"question": "...", "options": ["...", "...", "...", "..."], "answer": 0, "distractorRationale": ["...", "...", "...", "..."], "explanation": "...", "citation": "📄 Source: ..."}',
+  true_false: '{"question": "a statement", "answer": true, "explanation": "...", "citation": "📄 Source: ..."}',
+  written: '{"question": "...", "answer": "model answer", "markingScheme": [{"point": "what earns the mark", "marks": 1}], "explanation": "...", "citation": "📄 Source: ..."}',
+};
+
+/**
+ * The structure of the exam template: its sections, the type, marks and
+ * style of each question, and the time allowed. Read once per template and
+ * kept on the source.
+ */
+async function examBlueprint(store, template) {
+  if (template.examBlueprint) return template.examBlueprint;
+  const view = selectSources(store.getStudyMaterial(), [template.id]);
+  const normalized = normalizeParts(view.contextParts);
+  if (normalized.length === 0) {
+    throw badRequest(`The exam template "${template.name}" has no extracted content yet`);
+  }
+  const model = getExamBlueprintModel();
+
+  const instructions = `
+Task: The material above is a past exam paper. Describe its structure so that a new paper can follow it. Do NOT copy its questions.
+
+RULES:
+1. List the sections in order, with their title and instructions to candidates (e.g. "Answer ALL questions").
+2. For each question (or numbered part that carries its own marks), give:
+   - "type": multiple_choice, true_false, short_answer (a few sentences, definitions, short calculations) or long_answer (essays, extended or multi-step answers)
+   - "marks": the marks it carries
+   - "style": how it is asked, in a few words (e.g. "define and give an example", "compare two processes", "calculation with working")
+3. "durationMinutes" is the time allowed, or null when the paper does not say.
+4. Return ONLY JSON: {"title": "...", "durationMinutes": 90, "instructions": "...", "sections": [{"title": "Section A", "instructions": "...", "questions": [{"type": "short_answer", "marks": 4, "style": "..."}]}]}
+`.trim();
+
+  const parts = [...normalized, { text: instructions }];
+  console.log("FINAL GEMINI PARTS (exam blueprint):", parts.map(p => Object.keys(p)));
+  const result = await model.generateContent({ contents: [{ role: 'user', parts }] });
+  const raw = result.response.text().trim();
+
+  let blueprint;
+  try {
+    blueprint = normalizeBlueprint(JSON.parse(extractJson(raw)));
+  } catch (err) {
+    console.error('JSON Parse Error (Exam blueprint):', err, 'Raw output:', raw);
+    throw badGateway('The model could not read the exam template; please try again');
+  }
+  if (!blueprint) {
+    throw badRequest(`No questions with marks were found in "${template.name}"; is it an exam paper?`);
+  }
+  store.updateSource(template.id, { examBlueprint: blueprint });
+  return blueprint;
+}
+
+/**
+ * Mock exam mode: write a new paper with the exam template's sections,
+ * marks allocation and question styles, drawing only on the other sources,
+ * and store it with its marking scheme. Questions without a valid citation
+ * are dropped, like quiz questions.
+ * @param {NotebookScope} store
+ * @param {Object} options - { durationMinutes, sourceIds }: time allowed
+ *   (default: the template's, or a minute per mark) and the sources to draw on
+ * @returns {Promise<{exam: Object, skipped: number}>} the stored exam,
+ *   answers included, and how many slots could not be filled
+ */
+export async function generateMockExam(store, { durationMinutes = null, sourceIds } = {}) {
+  const sources = store.getSources();
+  const template = sources.find((s) => s.examTemplate);
+  if (!template) throw badRequest('Flag a past paper as the exam template first');
+  const drawFrom = (sourceIds || sources.map((s) => s.id)).filter((id) => id !== template.id);
+  if (drawFrom.length === 0) throw badRequest('Add sources besides the exam template to write the exam from');
+
+  const material = await requireMaterial(store, { sourceIds: drawFrom });
+  const blueprint = await examBlueprint(store, template);
+  const model = getMockExamModel();
+
+  const systemPrompt = buildSystemInstructions('qa');
+  const normalized = normalizeParts(await getContextParts(material));
+  const instructions = `
+Task: Write a new mock exam from the provided study materials that follows the blueprint of a past paper below: the same sections in the same order, one question per slot, with the slot's type, marks and style.
+
+RULES:
+1. Questions must be answerable from the materials alone; never test facts they do not state.
+2. Vary the topics across the paper; do not repeat a question.
+3. multiple_choice: 4 options, one correct; "answer" is its index; "distractorRationale" explains, per option, why it is right or wrong.
+4. true_false: a statement the materials make clearly true or false.
+5. short_answer and long_answer: "answer" is a model answer sized to the marks; "markingScheme" lists the points that earn marks, and their marks add up to the slot's marks.
+6. "explanation" says why the answer is correct; "citation" is ONE citation line in the formats above, pointing at the passage that proves it.
+7. Return ONLY JSON: {"sections": [{"questions": [...]}]}, with questions in these shapes:
+${EXAM_QUESTION_FORMATS.multiple_choice}
+${EXAM_QUESTION_FORMATS.true_false}
+${EXAM_QUESTION_FORMATS.written}
+
+Blueprint (JSON):
+${JSON.stringify(blueprint.sections, null, 2)}
+`.trim();
+
+  const parts = [{ text: systemPrompt }, ...normalized, { text: instructions }];
+  console.log("FINAL GEMINI PARTS (mock exam):", parts.map(p => Object.keys(p)));
+  const result = await model.generateContent({ contents: [{ role: 'user', parts }] });
+  const raw = result.response.text().trim();
+
+  let generated;
+  try {
+    generated = JSON.parse(extractJson(raw));
+  } catch (err) {
+    console.error('JSON Parse Error (Mock exam):', err, 'Raw output:', raw);
+    throw badGateway('The model did not return a valid exam; please try again');
+  }
+  const generatedSections = Array.isArray(generated) ? generated : generated?.sections || [];
+
+  let skipped = 0;
+  const sections = blueprint.sections.map((slotSection, i) => {
+    const items = generatedSections[i]?.questions || [];
+    const questions = [];
+    slotSection.questions.forEach((slot, j) => {
+      const question = normalizeExamQuestion(items[j], slot);
+      // The question, its answer and explanation make the claim the citation supports
+      const answerText = question?.type === 'multiple_choice' ? question.options[question.answer] : String(question?.answer);
+      const citations = question
+        ? parseCitations(`${question.question} ${answerText} ${question.explanation}\n${items[j]?.citation || ''}`, material)
+        : [];
+      if (!citations.some((c) => c.status !== 'invalid')) {
+        skipped += 1;
+        return;
+      }
+      questions.push({
+        id: `s${i + 1}q${questions.length + 1}`,
+        ...question,
+        citations,
+        sourceIds: [...new Set(citations.map((c) => c.sourceId).filter(Boolean))],
+      });
+    });
+    return { id: `s${i + 1}`, title: slotSection.title, instructions: slotSection.instructions, questions };
+  }).filter((section) => section.questions.length > 0);
+
+  if (sections.length === 0) {
+    throw badGateway('No grounded exam questions could be generated from the material; please try again');
+  }
+  if (skipped > 0) console.log(`[Exam] Dropped ${skipped} ungrounded or malformed questions`);
+  const totalMarks = sections.reduce((total, s) => total + s.questions.reduce((t, q) => t + q.marks, 0), 0);
+
+  const exam = store.addExam({
+    title: blueprint.title ? `Mock exam: ${blueprint.title}` : `Mock exam modeled on ${template.name}`,
+    templateSourceId: template.id,
+    templateName: template.name,
+    instructions: blueprint.instructions,
+    // The template's time, scaled down when slots could not be filled
+    durationMinutes: clampDuration(durationMinutes)
+      || clampDuration(blueprint.durationMinutes ? (blueprint.durationMinutes * totalMarks) / blueprint.totalMarks : totalMarks),
+    totalMarks,
+    sourceIds: drawFrom,
+    sections,
+  });
+  return { exam, skipped };
+}
+
+const MAX_CONCEPTS = 20;
+
+/**
+ * The concepts of the notebook's material for learning analytics, each with
+ * keywords that signal it. The exam template is left out, so its rubric and
+ * instructions do not become topics. Extracted again only when the material's
+ * sources change; when the model's list cannot be read, the material's most
+ * frequent terms stand in until the model is asked again on the next call.
+ * @param {NotebookScope} store
+ * @returns {Promise<Array<Object>>} [{ id, name, keywords }]
+ */
+export async function extractConcepts(store) {
+  const drawFrom = store.getSources().filter((s) => !s.examTemplate && s.enabled !== false).map((s) => s.id);
+  // Nothing to read topics from: keep the last list
+  if (drawFrom.length === 0) return store.getLearning().concepts;
+  const material = await requireMaterial(store, { sourceIds: drawFrom });
+  const key = (material.stats?.sources || []).map((s) => s?.id).filter(Boolean).sort().join('|') || 'default';
+  const learning = store.getLearning();
+  if (learning.conceptsKey === key) return learning.concepts;
+
+  const model = getConceptsModel();
+  const normalized = normalizeParts(await getContextParts(material));
+  const instructions = `
+Task: List the main concepts a student has to master in the study materials above, for tracking their progress.
+
+RULES:
+1. 8-${MAX_CONCEPTS} concepts, each a topic of the materials (e.g. "Photosynthesis", "Supply and demand"), not a single fact.
+2. "keywords" are 3-8 words or short phrases from the materials that show a question or answer is about the concept.
+3. Return ONLY a JSON array: [{"name": "...", "keywords": ["...", "..."]}]
+`.trim();
+
+  let concepts = [];
+  try {
+    const parts = [...normalized, { text: instructions }];
+    console.log("FINAL GEMINI PARTS (concepts):", parts.map(p => Object.keys(p)));
+    const result = await model.generateContent({ contents: [{ role: 'user', parts }] });
+    concepts = normalizeConcepts(JSON.parse(extractJson(result.response.text().trim()))).slice(0, MAX_CONCEPTS);
+  } catch (err) {
+    console.error('[Analytics] Concept extraction failed:', err.message);
+  }
+  if (concepts.length > 0) {
+    store.setConcepts(concepts, key, 'model');
+    return concepts;
+  }
+  // The keyword list is stored under its own key, so the next call asks the
+  // model again instead of keeping the stand-in until the sources change
+  concepts = keywordConcepts(material.chunks);
+  store.setConcepts(concepts, `keywords:${key}`, 'keywords');
+  return concepts;
+}
+
 /**
  * Simple connectivity check for /api/test-gemini.
  */
@@ -485,6 +1056,7 @@ export async function testGeminiConnection() {
 
   return {
     connected,
+    provider: getProviderName('qa'),
     model: model.model || 'gemini-2.5-flash',
     rawResponse: text,
   };
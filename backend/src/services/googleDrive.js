@@ -0,0 +1,316 @@
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import dotenv from 'dotenv';
+import path from 'path';
+
+dotenv.config();
+
+/**
+ * Google Drive links: uploaded files, Google Docs, Slides and Sheets, and
+ * shared folders.
+ *
+ * Only resources shared with "Anyone with the link" can be read; they are
+ * downloaded without an API key. Docs, Slides and Sheets are exported as
+ * HTML, PPTX and XLSX, so they are cited by section, slide and sheet like
+ * uploads of those formats. A folder link stands for every file in it.
+ * DRIVE_BASE_URL and DOCS_BASE_URL send the requests to another host (a
+ * mirror, or a mock server in tests).
+ */
+
+const RESOURCE_KINDS = {
+  file: { label: 'file' },
+  folder: { label: 'folder' },
+  document: { label: 'Google Doc', extension: '.html', exportPath: (id) => `/document/d/${id}/export?format=html` },
+  presentation: { label: 'Google Slides deck', extension: '.pptx', exportPath: (id) => `/presentation/d/${id}/export/pptx` },
+  spreadsheet: { label: 'Google Sheet', extension: '.xlsx', exportPath: (id) => `/spreadsheets/d/${id}/export?format=xlsx` },
+};
+
+// Checked in order; a bare ID is taken for an uploaded file
+const URL_PATTERNS = [
+  { kind: 'folder', pattern: /\/folders\/([-\w]+)/ },
+  { kind: 'folder', pattern: /folderview\?(?:[^#]*&)?id=([-\w]+)/ },
+  { kind: 'document', pattern: /\/document\/(?:u\/\d+\/)?d\/([-\w]+)/ },
+  { kind: 'presentation', pattern: /\/presentation\/(?:u\/\d+\/)?d\/([-\w]+)/ },
+  { kind: 'spreadsheet', pattern: /\/spreadsheets\/(?:u\/\d+\/)?d\/([-\w]+)/ },
+  { kind: 'file', pattern: /\/file\/(?:u\/\d+\/)?d\/([-\w]+)/ },
+  { kind: 'file', pattern: /[?&]id=([-\w]+)/ },
+  { kind: 'file', pattern: /([-\w]{25,})/ },
+];
+
+const PROBE_TIMEOUT_MS = 15000;
+// Downloads are capped like uploads
+const MAX_DOWNLOAD_BYTES = 10 * 1024 * 1024;
+
+function baseUrl(name, fallback) {
+  return (process.env[name] || fallback).replace(/\/$/, '');
+}
+
+function downloadTimeoutMs() {
+  return Number(process.env.DRIVE_DOWNLOAD_TIMEOUT_MS) || 120000;
+}
+
+function maxFolderFiles() {
+  return Number(process.env.DRIVE_FOLDER_MAX_FILES) || 50;
+}
+
+/**
+ * What a Drive link points at.
+ * @returns {{kind: string, id: string}|null} kind is file, folder, document,
+ *   presentation or spreadsheet
+ */
+export function parseDriveUrl(url) {
+  for (const { kind, pattern } of URL_PATTERNS) {
+    const match = String(url || '').match(pattern);
+    if (match) return { kind, id: match[1] };
+  }
+  return null;
+}
+
+/**
+ * Download (or export) URL of a file, Doc, Slides deck or Sheet.
+ */
+export function driveDownloadUrl({ kind, id }) {
+  const { exportPath } = RESOURCE_KINDS[kind];
+  if (exportPath) return `${baseUrl('DOCS_BASE_URL', 'https://docs.google.com')}${exportPath(id)}`;
+  return `${baseUrl('DRIVE_BASE_URL', 'https://drive.google.com')}/uc?export=download&id=${id}`;
+}
+
+function describeResource({ kind, id }, name) {
+  return name ? `"${name}"` : `Drive ${RESOURCE_KINDS[kind].label} ${id}`;
+}
+
+function accessError(resource, name) {
+  const error = new Error(`${describeResource(resource, name)} is not publicly accessible; share it with "Anyone with the link"`);
+  error.statusCode = 403;
+  return error;
+}
+
+/**
+ * File name from a Content-Disposition header, or null.
+ */
+function attachmentName(header) {
+  const extended = String(header || '').match(/filename\*\s*=\s*[\w-]+''([^;]+)/i);
+  if (extended) {
+    try {
+      return decodeURIComponent(extended[1].trim());
+    } catch {
+      // fall back to the plain parameter
+    }
+  }
+  const plain = String(header || '').match(/filename\s*=\s*(?:"([^"]*)"|([^;]+))/i);
+  return plain ? (plain[1] ?? plain[2]).trim() || null : null;
+}
+
+function finalUrl(response) {
+  return response.request?.res?.responseUrl || '';
+}
+
+// Private resources redirect to the Google sign-in page
+function isSignInPage(response) {
+  return /accounts\.google\.com|ServiceLogin/.test(finalUrl(response));
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * GET a Drive URL. Resolves to null when Drive refuses access; a probe only
+ * reads the headers, unless the response is an HTML page. A download has to
+ * finish within DRIVE_DOWNLOAD_TIMEOUT_MS and stay under 10 MB.
+ */
+async function fetchDrive(url, { probe }) {
+  let response;
+  try {
+    response = await axios.get(url, {
+      responseType: probe ? 'stream' : 'arraybuffer',
+      maxRedirects: 5,
+      timeout: probe ? PROBE_TIMEOUT_MS : downloadTimeoutMs(),
+      // The timeout above only covers an idle connection; this one covers a slow body
+      ...(probe ? {} : { signal: AbortSignal.timeout(downloadTimeoutMs()), maxContentLength: MAX_DOWNLOAD_BYTES }),
+    });
+  } catch (error) {
+    if ([401, 403, 404].includes(error.response?.status)) return null;
+    if (/maxContentLength/.test(error.message)) {
+      const tooLarge = new Error(`The file is larger than ${MAX_DOWNLOAD_BYTES / 1024 / 1024} MB`);
+      tooLarge.statusCode = 413;
+      throw tooLarge;
+    }
+    if (!probe && (error.code === 'ERR_CANCELED' || error.code === 'ECONNABORTED')) {
+      const timedOut = new Error(`The download did not finish within ${downloadTimeoutMs() / 1000} s`);
+      timedOut.statusCode = 504;
+      throw timedOut;
+    }
+    throw error;
+  }
+  const filename = attachmentName(response.headers['content-disposition']);
+  // Files come as attachments; an inline HTML page is a Drive page instead
+  const page = !filename && /html/.test(String(response.headers['content-type'] || ''));
+  let body = null;
+  if (!probe) body = Buffer.from(response.data);
+  else if (page) body = await readStream(response.data);
+  else response.data.destroy();
+  return { response, filename, page, body };
+}
+
+/**
+ * The download link on Drive's "can't scan this file for viruses" page,
+ * shown instead of large files.
+ */
+function confirmationUrl(html, pageUrl) {
+  const $ = cheerio.load(html);
+  const form = $('form#download-form, form[action*="download"]').first();
+  if (form.length === 0) return null;
+  const url = new URL(form.attr('action') || '', pageUrl);
+  form.find('input[type="hidden"]').each((_, input) => {
+    url.searchParams.set($(input).attr('name'), $(input).attr('value') || '');
+  });
+  return url.toString();
+}
+
+/**
+ * Open a file, Doc, Slides deck or Sheet for download.
+ * @throws {Error} 403 when it is not shared publicly
+ */
+async function openResource(resource, { probe = false, name = null } = {}) {
+  const url = driveDownloadUrl(resource);
+  let result = await fetchDrive(url, { probe });
+  if (result?.page && !isSignInPage(result.response)) {
+    const confirmUrl = confirmationUrl(result.body.toString('utf-8'), finalUrl(result.response) || url);
+    if (confirmUrl) result = await fetchDrive(confirmUrl, { probe });
+  }
+  // Doc exports are HTML themselves; anything else served as a page is a
+  // sign-in or error page
+  const blocked = !result || isSignInPage(result.response) || (result.page && resource.kind !== 'document');
+  if (blocked) throw accessError(resource, name);
+  return result;
+}
+
+/**
+ * Display name of a resource from its downloaded file name, without the
+ * extension of an export.
+ */
+function resourceName({ kind }, filename) {
+  if (!filename) return null;
+  const { extension } = RESOURCE_KINDS[kind];
+  return extension && filename.toLowerCase().endsWith(extension) ? path.basename(filename, path.extname(filename)) : filename;
+}
+
+/**
+ * Download a file, or export a Doc (HTML), Slides deck (PPTX) or Sheet (XLSX).
+ * @param {Object} resource - { kind, id } (see parseDriveUrl)
+ * @returns {Promise<Object>} { buffer, filename, mimeType, name }; `name` is
+ *   null when Drive sends no file name
+ * @throws {Error} 403 when it is not shared publicly
+ */
+export async function downloadDriveFile(resource) {
+  const { response, filename, body } = await openResource(resource);
+  return {
+    buffer: body,
+    filename: filename || `${resource.id}${RESOURCE_KINDS[resource.kind].extension || ''}`,
+    mimeType: String(response.headers['content-type'] || '').split(';')[0].trim() || null,
+    name: resourceName(resource, filename),
+  };
+}
+
+/**
+ * Entries of a shared folder, from Drive's embeddable folder view.
+ * @returns {Promise<Array<{kind: string, id: string, url: string, name: string}>>}
+ */
+async function listFolder(folder) {
+  let response;
+  try {
+    response = await axios.get(`${baseUrl('DRIVE_BASE_URL', 'https://drive.google.com')}/embeddedfolderview`, {
+      params: { id: folder.id },
+      responseType: 'text',
+      maxRedirects: 5,
+      timeout: PROBE_TIMEOUT_MS,
+    });
+  } catch (error) {
+    if ([401, 403, 404].includes(error.response?.status)) throw accessError(folder, folder.name);
+    throw error;
+  }
+  if (isSignInPage(response)) throw accessError(folder, folder.name);
+
+  const $ = cheerio.load(String(response.data || ''));
+  return $('.flip-entry').toArray().flatMap((entry) => {
+    const url = $(entry).find('a[href]').first().attr('href');
+    const resource = parseDriveUrl(url);
+    if (!resource) return [];
+    const name = $(entry).find('.flip-entry-title').text().replace(/\s+/g, ' ').trim();
+    return [{ ...resource, url, name: name || null }];
+  });
+}
+
+/**
+ * Files of a folder and its subfolders, up to `limit` of them. Subfolders
+ * that are not shared are added to `inaccessible`.
+ */
+async function folderFiles(folder, limit, inaccessible, seen = new Set()) {
+  seen.add(folder.id);
+  const files = [];
+  for (const entry of await listFolder(folder)) {
+    if (files.length >= limit) break;
+    if (entry.kind !== 'folder') {
+      files.push(entry);
+      continue;
+    }
+    if (seen.has(entry.id)) continue;
+    try {
+      files.push(...await folderFiles(entry, limit - files.length, inaccessible, seen));
+    } catch (error) {
+      if (error.statusCode !== 403) throw error;
+      inaccessible.push({ name: entry.name || entry.url, url: entry.url, error: error.message });
+    }
+  }
+  return files;
+}
+
+/**
+ * The files a Drive link stands for, each checked for public access: the
+ * linked file itself, or every file in a folder and its subfolders (at most
+ * DRIVE_FOLDER_MAX_FILES).
+ * @param {string} url - Drive or Docs link
+ * @returns {Promise<Object>} { folder, files: [{ kind, id, url, name }],
+ *   inaccessible: [{ name, url, error }] }
+ * @throws {Error} 400 for links that are not Drive links, 403 for a folder
+ *   that is not shared, 502 when Drive cannot be reached
+ */
+export async function resolveDriveLink(url) {
+  const resource = parseDriveUrl(url);
+  if (!resource) {
+    const error = new Error('Invalid Google Drive URL');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  try {
+    const inaccessible = [];
+    const limit = maxFolderFiles();
+    const candidates = resource.kind === 'folder'
+      ? await folderFiles(resource, limit, inaccessible)
+      : [{ ...resource, url, name: null }];
+    if (candidates.length >= limit && resource.kind === 'folder') {
+      console.warn(`[Drive] Only the first ${limit} files of folder ${resource.id} are added (DRIVE_FOLDER_MAX_FILES)`);
+    }
+
+    const files = [];
+    for (const candidate of candidates) {
+      try {
+        const { filename } = await openResource(candidate, { probe: true, name: candidate.name });
+        files.push({ ...candidate, name: candidate.name || resourceName(candidate, filename) });
+      } catch (error) {
+        if (error.statusCode !== 403) throw error;
+        inaccessible.push({ name: candidate.name || candidate.url, url: candidate.url, error: error.message });
+      }
+    }
+    return { folder: resource.kind === 'folder', files, inaccessible };
+  } catch (err) {
+    if (err.statusCode) throw err;
+    const error = new Error(`Could not reach Google Drive: ${err.message}`);
+    error.statusCode = 502;
+    throw error;
+  }
+}
@@ -0,0 +1,166 @@
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Readable content of web pages (articles, lecture notes).
+ *
+ * A page is reduced to its main content, split into sections at its
+ * headings. Each section keeps its heading and anchor (the heading's `id`,
+ * or a slug of it) so citations can link straight to it. The extracted
+ * sections are stored on the source as a snapshot, so re-ingestion does not
+ * depend on the site staying up.
+ */
+
+const MAX_PAGE_BYTES = 5 * 1024 * 1024;
+
+// Never part of the readable content
+const STRIP_SELECTORS = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas', 'form', 'button',
+  'nav', 'header', 'footer', 'aside',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+  '[aria-hidden="true"]', '[hidden]',
+].join(',');
+
+// Class/id words of navigation, ads and other page chrome
+const BOILERPLATE = /(^|[\s_-])(nav|navbar|menu|breadcrumbs?|sidebar|footer|masthead|ads?|advert\w*|sponsor\w*|promo\w*|cookie\w*|banner|social|share|sharing|comments?|related|subscribe|newsletter|popup|modal)([\s_-]|$)/i;
+
+const BLOCKS = 'p, li, pre, blockquote, dd, dt, td, th, figcaption';
+const HEADINGS = 'h1, h2, h3, h4, h5, h6';
+
+function cleanText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function slugify(text) {
+  return cleanText(text)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * The element holding the main content: <article>/<main> when the page has
+ * one, otherwise the element whose paragraphs carry the most text.
+ */
+function findMainContent($) {
+  const landmark = $('article, main, [role="main"]')
+    .toArray()
+    .sort((a, b) => $(b).text().length - $(a).text().length)[0];
+  if (landmark && cleanText($(landmark).text()).length > 200) return $(landmark);
+
+  const scores = new Map();
+  $('p').each((_, p) => {
+    const length = cleanText($(p).text()).length;
+    if (length < 25) return;
+    const parent = p.parent;
+    const grandparent = parent?.parent;
+    if (parent) scores.set(parent, (scores.get(parent) || 0) + length);
+    if (grandparent) scores.set(grandparent, (scores.get(grandparent) || 0) + length / 2);
+  });
+  let best = null;
+  let bestScore = 0;
+  scores.forEach((score, element) => {
+    if (score > bestScore && element.type === 'tag') {
+      best = element;
+      bestScore = score;
+    }
+  });
+  return best ? $(best) : $('body');
+}
+
+/**
+ * Extract the readable content of an HTML page.
+ * @param {string} html
+ * @returns {{title: string, sections: Array<{heading: string, anchor: string|null, level: number, text: string}>}}
+ */
+export function extractReadableContent(html) {
+  const $ = cheerio.load(String(html || ''));
+  const title = cleanText($('meta[property="og:title"]').attr('content')) ||
+    cleanText($('title').first().text()) ||
+    cleanText($('h1').first().text());
+
+  $(STRIP_SELECTORS).remove();
+  $('[class], [id]').each((_, el) => {
+    const $el = $(el);
+    if (el.tagName === 'body' || el.tagName === 'html' || $el.is('article, main')) return;
+    if (BOILERPLATE.test(`${$el.attr('class') || ''} ${$el.attr('id') || ''}`)) $el.remove();
+  });
+
+  const root = findMainContent($);
+  const sections = [];
+  const usedAnchors = new Set();
+  let current = { heading: title || 'Introduction', anchor: null, level: 0, paragraphs: [] };
+
+  root.find(`${HEADINGS}, ${BLOCKS}`).each((_, el) => {
+    const $el = $(el);
+    if ($el.is(HEADINGS)) {
+      const heading = cleanText($el.text());
+      if (!heading) return;
+      sections.push(current);
+      let anchor = $el.attr('id') || $el.find('[id]').first().attr('id') ||
+        ($el.parent().is('section') ? $el.parent().attr('id') : null) || slugify(heading);
+      // Slugs of repeated headings get a numeric suffix, like most generators
+      for (let n = 1; usedAnchors.has(anchor); n++) anchor = `${slugify(heading)}-${n}`;
+      usedAnchors.add(anchor);
+      current = { heading, anchor, level: Number(el.tagName.slice(1)), paragraphs: [] };
+      return;
+    }
+    // Only the innermost blocks, so nested lists and quotes are read once
+    if ($el.find(BLOCKS).length > 0) return;
+    const text = $el.is('pre') ? $el.text().trim() : cleanText($el.text());
+    if (text) current.paragraphs.push($el.is('li') ? `- ${text}` : text);
+  });
+  sections.push(current);
+
+  const withText = sections
+    .filter((s) => s.paragraphs.length > 0)
+    .map(({ heading, anchor, level, paragraphs }) => ({ heading, anchor, level, text: paragraphs.join('\n\n') }));
+
+  // Pages that keep their text outside block elements
+  if (withText.length === 0) {
+    const text = cleanText(root.text());
+    if (text) withText.push({ heading: title || 'Introduction', anchor: null, level: 0, text });
+  }
+  return { title, sections: withText };
+}
+
+/**
+ * Fetch a web page and extract its readable content.
+ * @param {string} url - http(s) URL
+ * @returns {Promise<Object>} snapshot: { title, sections, finalUrl, fetchedAt }
+ */
+export async function fetchWebPage(url) {
+  const response = await axios.get(url, {
+    responseType: 'text',
+    timeout: Number(process.env.WEB_FETCH_TIMEOUT_MS) || 15000,
+    maxContentLength: MAX_PAGE_BYTES,
+    maxRedirects: 5,
+    headers: {
+      'User-Agent': process.env.WEB_FETCH_USER_AGENT || 'InteractiveStudyTool/1.0 (+reading list import)',
+      Accept: 'text/html,application/xhtml+xml,text/plain;q=0.8',
+    },
+  });
+
+  const contentType = String(response.headers['content-type'] || '');
+  const body = String(response.data || '');
+  let content;
+  if (contentType.startsWith('text/plain')) {
+    content = { title: '', sections: [{ heading: 'Text', anchor: null, level: 0, text: body.trim() }] };
+  } else if (!contentType || /html|xml/.test(contentType)) {
+    content = extractReadableContent(body);
+  } else {
+    throw new Error(`Unsupported content type: ${contentType.split(';')[0]}`);
+  }
+
+  if (content.sections.every((s) => !s.text)) {
+    throw new Error('No readable content found on the page');
+  }
+  return {
+    ...content,
+    finalUrl: response.request?.res?.responseUrl || url,
+    fetchedAt: new Date().toISOString(),
+  };
+}
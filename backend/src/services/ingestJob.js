@@ -0,0 +1,55 @@
+import jobQueue from './jobQueue.js';
+import { ingestStudyMaterials, ingestJobKey } from './ingestion.js';
+import { generateSuggestedQuestions } from './geminiService.js';
+import { findIngestedNearDuplicates } from './dedup.js';
+
+/**
+ * Queue a background re-ingestion of the scope's notebook.
+ * The job works on a pinned scope, so switching notebooks while it runs does
+ * not redirect it. Per-source progress is reported in `job.items`; the
+ * result lists near duplicates among the sources added since the last job.
+ * @param {NotebookScope} store
+ * @returns {Object} the queued job
+ */
+export function enqueueIngest(store) {
+  const scope = store.pin();
+
+  return jobQueue.enqueue(
+    { type: 'ingest', key: ingestJobKey(scope), ownerId: scope.ownerId },
+    async (job, report) => {
+      // A snapshot: sources added or removed meanwhile must not shift the indexes progress is reported by
+      const sources = scope.getSources().slice();
+      if (sources.length === 0 && !scope.isDefaultActive()) {
+        scope.clearStudyMaterial();
+        scope.clearIngestCache();
+        return { stats: null, sources: [], nearDuplicates: [] };
+      }
+
+      report({
+        items: sources.map((s) => ({ sourceId: s.id, name: s.name, status: 'pending', error: null })),
+        progress: { completed: 0, total: sources.length },
+      });
+
+      const material = await ingestStudyMaterials(sources.length > 0 ? sources : null, scope, {
+        onProgress: ({ index, total, name, status, error, cached, percent }) => {
+          const items = [...job.items];
+          items[index] = { sourceId: sources[index]?.id || null, ...items[index], name, status, error, cached, percent };
+          const completed = items.filter((i) => i && (i.status === 'done' || i.status === 'failed')).length;
+          report({ items, progress: { completed, total } });
+        },
+      });
+      scope.setStudyMaterial(material);
+
+      // Sources are checked once, after their first successful ingestion
+      const unchecked = sources.filter((s) => s.nearDuplicatesPending && s.ingest?.status === 'done');
+      const nearDuplicates = findIngestedNearDuplicates(unchecked, scope.getSources(), material.chunks);
+      unchecked.forEach((s) => scope.updateSource(s.id, { nearDuplicatesPending: false }));
+
+      generateSuggestedQuestions(scope, { force: true }).catch(err =>
+        console.error('[Async] Question generation failed:', err.message)
+      );
+
+      return { stats: material.stats, sources: material.sources, nearDuplicates };
+    },
+  );
+}
@@ -1,22 +1,30 @@
 import axios from 'axios';
+import crypto from 'crypto';
 import dotenv from 'dotenv';
 import fs from 'fs';
 import os from 'os';
 import path from 'path';
-import pdfParse from 'pdf-parse';
-import { uploadToGemini } from './fileManager.js';
-import storage from './storage.js';
+import { uploadToGemini, describeUpload } from './fileManager.js';
+import { isExpiring, refreshSourceFile } from './fileLifecycle.js';
+import {
+  extractPdfPages,
+  readPdfPages,
+  readImagePage,
+  resolvePdfExtraction,
+  extractUnits,
+  extractTextFromDocx,
+  extractTextFromPlainText,
+} from './uploadService.js';
+import { chunkPages, chunkText, chunkTranscript, chunkUnits, describeChunkLocation, formatTimestamp } from './chunker.js';
+import { fetchYouTubeTranscript } from './transcripts.js';
+import { fetchWebPage } from './htmlExtractor.js';
+import { parseDriveUrl, driveDownloadUrl, downloadDriveFile } from './googleDrive.js';
+import { transcribeAudio } from './audioTranscription.js';
+import { localCopyPath } from './fileStore.js';
+import { embedChunks } from './retrieval.js';
 
 dotenv.config();
 
-/**
- * Extract file ID from Google Drive URL
- */
-function extractDriveFileId(url) {
-  const match = url.match(/[-\w]{25,}/);
-  return match ? match[0] : null;
-}
-
 /**
  * Extract video ID from YouTube URL
  */
@@ -34,35 +42,130 @@ function extractVideoId(url) {
 }
 
 /**
- * Fetch PDF/File from Google Drive and upload to Gemini
+ * Transcript segments with their `[MM:SS]` start time inlined, so both the
+ * prompt and the retrieval chunks carry real timestamps.
+ */
+function stampSegments(segments) {
+  return segments.map((s) => ({ ...s, text: `[${formatTimestamp(s.start)}] ${s.text}` }));
+}
+
+function transcriptPart(name, segments, kind = 'YouTube Transcript') {
+  const lines = stampSegments(segments).map((s) => s.text).join('\n');
+  return { text: `\n=== SOURCE: ${name} (${kind}) ===\n${lines}\n` };
+}
+
+/**
+ * Located units (slides, chapters, sheets, sections) under the same headers
+ * retrieval chunks use, so `Slide N`-style citations work in full-context
+ * mode too.
+ */
+function unitsPart(name, kind, units, preamble = '') {
+  const body = units
+    .filter((u) => u.text)
+    .map((u) => `=== SOURCE: ${name} (${describeChunkLocation(u)}) ===\n${u.text}`)
+    .join('\n\n');
+  return { text: `\n=== SOURCE: ${name} (${kind}) ===\n${preamble}\n${body}\n` };
+}
+
+/**
+ * Locally extracted PDF text with explicit `[Page N]` markers, so the model
+ * can cite physical pages without the file itself.
+ */
+function pagesPart(name, pages, kind = 'PDF') {
+  const body = pages
+    .filter((p) => p.text.trim())
+    .map((p) => `[Page ${p.page}]\n${p.text.trim()}`)
+    .join('\n\n');
+  const ocrNote = pages.some((p) => p.ocr) ? ' Some text was recognized with OCR and may contain misread words.' : '';
+  return {
+    text: `\n=== SOURCE: ${name} (${kind}) ===\nPhysical page count: ${pages.length}. Each page starts with its [Page N] marker; cite it as "Page N (Physical)".${ocrNote}\n\n${body}\n`,
+  };
+}
+
+const UNIT_KINDS = { slide: 'Slides', chapter: 'E-book', sheet: 'Spreadsheet', section: 'Document' };
+
+/**
+ * What citations need to know about a source's units: how many slides or
+ * chapters it has, its sheet names or its section headings and anchors.
+ */
+function describeUnits(units) {
+  const first = units[0] || {};
+  if (first.slide) return { slideCount: Math.max(...units.map((u) => u.slide)) };
+  if (first.chapter) return { chapters: units.map(({ chapter, title }) => ({ chapter, title })) };
+  if (first.sheet) return { sheets: [...new Set(units.map((u) => u.sheet))] };
+  if (first.section) return { sections: units.map(({ section, anchor }) => ({ heading: section, anchor })) };
+  return {};
+}
+
+function unitsKind(units) {
+  const key = Object.keys(UNIT_KINDS).find((k) => units[0]?.[k]);
+  return UNIT_KINDS[key] || 'File';
+}
+
+/**
+ * Text of a Drive file that is not a PDF: units for Docs (exported as HTML),
+ * Slides, Sheets and uploaded PPTX/EPUB/HTML/CSV/XLSX files, plain text for
+ * DOCX, TXT and MD.
+ */
+async function readDriveDocument(file) {
+  const extracted = await extractUnits(file.buffer, file.filename, file.mimeType);
+  if (extracted) return { type: 'units', units: extracted.units };
+  if (/\.docx$/i.test(file.filename)) {
+    return { type: 'text', text: await extractTextFromDocx(file.buffer) };
+  }
+  if (/\.(txt|md)$/i.test(file.filename) || file.mimeType === 'text/plain') {
+    return { type: 'text', text: extractTextFromPlainText(file.buffer) };
+  }
+  throw new Error(`Unsupported Drive file type: ${file.mimeType || path.extname(file.filename) || 'unknown'}`);
+}
+
+/**
+ * Fetch a file, Doc, Slides deck or Sheet from Google Drive. PDFs are
+ * uploaded to Gemini (or read locally with OCR for scanned pages, see
+ * PDF_EXTRACTION); other documents are split into units or read as text.
+ * @param {Object} options - { pdfExtraction, onPercent(percent) } while scanned pages are recognized
  */
-export async function processDriveFile(driveUrl) {
+export async function processDriveFile(driveUrl, { pdfExtraction, onPercent } = {}) {
   try {
-    const fileId = extractDriveFileId(driveUrl);
-    if (!fileId) {
+    const mode = resolvePdfExtraction(pdfExtraction);
+    const resource = parseDriveUrl(driveUrl);
+    if (!resource) {
       throw new Error('Invalid Google Drive URL');
     }
+    if (resource.kind === 'folder') {
+      throw new Error('Folder links are expanded into their files when added; add the folder again');
+    }
 
-    // Use direct download link
-    const directUrl = `https://drive.google.com/uc?export=download&id=${fileId}`;
-    const response = await axios.get(directUrl, {
-      responseType: 'arraybuffer',
-      maxRedirects: 5,
-    });
+    const file = await downloadDriveFile(resource);
+    if (file.mimeType !== 'application/pdf' && !/\.pdf$/i.test(file.filename)) {
+      const document = await readDriveDocument(file);
+      return { ...document, name: file.name || `Google Drive ${resource.kind} - ${resource.id}` };
+    }
+    const fileId = resource.id;
+    const name = file.name || `Google Drive PDF - ${fileId}`;
 
-    // Determine physical page count from PDF buffer
+    // Extract per-page text (for retrieval) and the physical page count
+    let pages = [];
     let physicalPages = null;
     try {
-      const pdfData = await pdfParse(Buffer.from(response.data));
-      physicalPages = pdfData.numpages || pdfData.numPages || null;
+      // Gemini reads scanned pages from the file itself
+      pages = mode === 'local' ? await readPdfPages(file.buffer, { onProgress: onPercent }) : await extractPdfPages(file.buffer);
+      physicalPages = pages.length || null;
     } catch (e) {
       // ignore parsing errors; not critical
       physicalPages = null;
     }
 
+    if (mode === 'local') {
+      if (!pages.some((p) => p.text.trim())) {
+        throw new Error('No text found in the PDF (it may be scanned); use Gemini extraction for it');
+      }
+      return { type: 'pages', name, physicalPages, pages };
+    }
+
     // Create temp file
     const tempFilePath = path.join(os.tmpdir(), `drive_${fileId}.pdf`);
-    fs.writeFileSync(tempFilePath, Buffer.from(response.data));
+    fs.writeFileSync(tempFilePath, file.buffer);
 
     // Upload to Gemini
     const uploadResult = await uploadToGemini(tempFilePath, 'application/pdf');
@@ -72,10 +175,10 @@ export async function processDriveFile(driveUrl) {
 
     return {
       type: 'file_ref',
-      fileUri: uploadResult.uri,
-      mimeType: uploadResult.mimeType,
-      name: `Google Drive PDF - ${fileId}`,
+      ...describeUpload(uploadResult),
+      name,
       physicalPages,
+      pages,
     };
   } catch (error) {
     console.error('Error processing Drive file:', error.message);
@@ -119,12 +222,320 @@ export async function processLocalFile(buffer, filename, mimetype) {
 
 
 /**
- * Ingest all study materials and combine into multimodal context parts
+ * Job queue key for (re)ingesting a notebook, so concurrent requests share one job.
+ * @param {NotebookScope} store
+ */
+export function ingestJobKey(store) {
+  return `ingest:${store.ownerId}:${store.notebookId}`;
+}
+
+// Bump when the processed shape of a source changes, so old cache entries miss
+const CACHE_VERSION = 1;
+
+function hashOf(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+/**
+ * Cache slot for a source. Environment sources have no id; their URL is stable.
+ */
+function cacheId(source) {
+  return source.id || `${source.type}:${source.url}`;
+}
+
+/**
+ * Current ETag (or Last-Modified) of a Drive file, or null when the HEAD
+ * request fails or the response carries neither.
+ */
+async function driveValidator(driveUrl) {
+  const resource = parseDriveUrl(driveUrl);
+  if (!resource || resource.kind === 'folder') return null;
+  try {
+    const response = await axios.head(driveDownloadUrl(resource), {
+      maxRedirects: 5,
+      timeout: 15000,
+    });
+    return response.headers.etag || response.headers['last-modified'] || null;
+  } catch (e) {
+    console.warn(`[Ingestion] Could not check Drive file for changes: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Cache key for a source: a hash of everything its processing reads.
+ * Drive files are keyed by URL + ETag instead, so unchanged files are not
+ * downloaded again; a key without a validator matches any cached version.
+ * YouTube transcripts fetched from the video and web page snapshots are
+ * derived from the URL, so only uploaded captions take part in the hash.
+ */
+async function sourceCacheKey(source) {
+  const base = [CACHE_VERSION, source.type, source.name || null];
+  switch (source.type) {
+    case 'drive': {
+      const mode = resolvePdfExtraction(source.pdfExtraction);
+      const validator = await driveValidator(source.url);
+      return validator ? `drive:${mode}:${source.url}:${validator}` : `drive:${mode}:${source.url}`;
+    }
+    case 'youtube': {
+      const uploaded = source.transcriptOrigin === 'youtube' ? null : source.segments || null;
+      return `youtube:${hashOf([...base, source.url, uploaded])}`;
+    }
+    case 'file': {
+      // Audio is keyed by the recording, not the transcript made from it, and
+      // scans and photos read with OCR by the file, not the pages recognized in it
+      const segments = source.fileType === 'audio' ? source.localFile || null : source.segments || null;
+      const pages = source.ocrPending !== undefined ? source.localFile || null : source.pages || null;
+      return `file:${hashOf([...base, source.fileUri || null, source.mimeType || null, pages, segments, source.units || null, source.text || null])}`;
+    }
+    case 'url':
+      return `url:${hashOf([...base, source.url])}`;
+    case 'text':
+      return `text:${hashOf([...base, source.content])}`;
+    default:
+      return null;
+  }
+}
+
+function cacheKeyMatches(entryKey, key) {
+  return !!key && (entryKey === key || entryKey.startsWith(`${key}:`));
+}
+
+/**
+ * Transcribe an uploaded recording once and keep the segments on the source.
+ */
+async function transcribeSource(source, store, onPercent) {
+  const localPath = source.localFile ? localCopyPath(source.localFile) : null;
+  if (!localPath) {
+    throw new Error(`The recording for "${source.name}" is no longer stored; upload it again`);
+  }
+  console.log(`[Ingestion] Transcribing ${source.name}...`);
+  const segments = await transcribeAudio(localPath, { onProgress: onPercent });
+  if (segments.length === 0) throw new Error('No speech was recognized in the recording');
+  source.segments = segments;
+  store?.updateSource(source.id, { segments, transcriptOrigin: 'whisper' });
+}
+
+/**
+ * Recognize the text of an uploaded scan or photo read locally once, and
+ * keep the pages on the source. PDF pages that have a text layer keep it.
+ */
+async function recognizeSource(source, store, onPercent) {
+  const localPath = source.localFile ? localCopyPath(source.localFile) : null;
+  if (!localPath) {
+    throw new Error(`The file for "${source.name}" is no longer stored; upload it again`);
+  }
+  console.log(`[Ingestion] Recognizing text in ${source.name}...`);
+  const buffer = fs.readFileSync(localPath);
+  const pages = source.fileType === 'image'
+    ? [await readImagePage(buffer)].filter(Boolean)
+    : await readPdfPages(buffer, { onProgress: onPercent });
+  if (!pages.some((p) => p.text.trim())) {
+    throw new Error('No text could be recognized, even with OCR. Upload it with Gemini extraction instead.');
+  }
+  const updates = { pages, physicalPages: source.fileType === 'image' ? 1 : pages.length, ocrPending: false };
+  Object.assign(source, updates);
+  store?.updateSource(source.id, updates);
+}
+
+/**
+ * Process one source into prompt parts and retrieval chunks.
+ * @param {Object} options - { onPercent(percent) } for long steps (audio transcription, OCR)
+ * @returns {Promise<Object|null>} { info, parts, passthroughParts, chunks, cacheable, remoteFile },
+ *   or null for an unsupported source type
+ */
+async function processSource(source, index, store, { onPercent } = {}) {
+  let part = null;
+  let sourceChunks = [];
+  let cacheable = true;
+  // The Gemini file behind the parts, if any; it expires with them
+  let remoteFile = null;
+  const passthroughParts = [];
+  const parts = [];
+  // Everything a citation needs to point back at this source
+  const info = {
+    id: source.id || null,
+    name: source.name || `Source ${index + 1}`,
+    type: source.type,
+    url: source.url || null,
+    physicalPages: source.physicalPages || null,
+  };
+  const chunkMeta = () => ({
+    sourceId: source.id,
+    sourceName: info.name,
+    sourceType: source.fileType || source.type,
+  });
+
+  // Source type 'file' might be a text file (source.text) or a Gemini File (source.fileUri)
+  if (source.type === 'file') {
+    if (source.fileType === 'audio') {
+      info.media = 'audio';
+      if (!source.segments?.length) await transcribeSource(source, store, onPercent);
+    }
+    if (source.ocrPending) await recognizeSource(source, store, onPercent);
+    if (source.fileUri) {
+      // It's a file uploaded to Gemini (PDF, Image)
+      part = {
+        fileData: {
+          mimeType: source.mimeType || 'application/pdf',
+          fileUri: source.fileUri
+        }
+      };
+      remoteFile = {
+        fileUri: source.fileUri,
+        remoteName: source.remoteName || null,
+        expiresAt: source.expiresAt || null,
+      };
+      if (source.pages && source.pages.length > 0) {
+        sourceChunks = chunkPages(source.pages, chunkMeta());
+      }
+    } else if (source.pages?.length) {
+      // PDF or photo read locally (PDF_EXTRACTION=local), possibly with OCR
+      part = pagesPart(info.name, source.pages, source.fileType === 'image' ? 'Image' : 'PDF');
+      sourceChunks = chunkPages(source.pages, chunkMeta());
+    } else if (source.units?.length) {
+      // Slides, e-book chapters, spreadsheet tables or HTML sections
+      part = unitsPart(info.name, unitsKind(source.units), source.units);
+      sourceChunks = chunkUnits(source.units, chunkMeta());
+      Object.assign(info, describeUnits(source.units));
+    } else if (source.segments?.length) {
+      // Uploaded .srt/.vtt transcript or transcribed recording
+      part = transcriptPart(info.name, source.segments, info.media === 'audio' ? 'Audio Transcript' : undefined);
+      sourceChunks = chunkTranscript(stampSegments(source.segments), chunkMeta());
+      info.duration = source.segments[source.segments.length - 1].end;
+    } else if (source.text) {
+      // It's a text/docx file processed locally
+      part = { text: `\n=== SOURCE: ${info.name} (File) ===\n${source.text}\n` };
+      sourceChunks = chunkText(source.text, chunkMeta());
+    }
+  } else {
+    switch (source.type) {
+      case 'drive':
+        const driveFile = await processDriveFile(source.url, { pdfExtraction: source.pdfExtraction, onPercent });
+        info.name = driveFile.name;
+        if (driveFile.type === 'units') {
+          // Docs, Slides and Sheets: cited by section, slide and sheet
+          part = unitsPart(info.name, unitsKind(driveFile.units), driveFile.units);
+          sourceChunks = chunkUnits(driveFile.units, chunkMeta());
+          Object.assign(info, describeUnits(driveFile.units));
+          break;
+        }
+        if (driveFile.type === 'text') {
+          part = { text: `\n=== SOURCE: ${info.name} (File) ===\n${driveFile.text}\n` };
+          sourceChunks = chunkText(driveFile.text, chunkMeta());
+          break;
+        }
+        info.physicalPages = driveFile.physicalPages;
+        if (!driveFile.fileUri) {
+          // Local extraction: the page text is the whole source
+          part = pagesPart(info.name, driveFile.pages);
+          sourceChunks = chunkPages(driveFile.pages, chunkMeta());
+          break;
+        }
+        part = {
+          fileData: {
+            mimeType: driveFile.mimeType,
+            fileUri: driveFile.fileUri,
+          },
+        };
+        remoteFile = {
+          fileUri: driveFile.fileUri,
+          remoteName: driveFile.remoteName,
+          expiresAt: driveFile.expiresAt,
+        };
+        if (driveFile.physicalPages) {
+          const metaPart = {
+            text: `\n=== SOURCE META: ${info.name} ===\nPhysical page count: ${driveFile.physicalPages}\nAlways cite using "Page X (Physical)" in the range 1-${driveFile.physicalPages}. Do not use printed page numbers if they differ from physical count.\n`
+          };
+          parts.push(metaPart);
+          passthroughParts.push(metaPart);
+        }
+        sourceChunks = chunkPages(driveFile.pages, chunkMeta());
+        break;
+
+      case 'youtube': {
+        // Captions uploaded with the source win; otherwise fetch the
+        // video's caption track once and keep it on the source.
+        const videoId = extractVideoId(source.url);
+        let segments = source.segments;
+        if (!segments?.length && videoId) {
+          try {
+            segments = await fetchYouTubeTranscript(videoId);
+            store?.updateSource(source.id, { segments, transcriptOrigin: 'youtube' });
+          } catch (e) {
+            console.warn(`[Ingestion] No transcript for ${info.name}: ${e.message}`);
+          }
+        }
+        if (segments?.length) {
+          part = transcriptPart(info.name, segments);
+          sourceChunks = chunkTranscript(stampSegments(segments), chunkMeta());
+          info.duration = segments[segments.length - 1].end;
+        } else {
+          // Not cached, so the transcript is looked for again next time
+          cacheable = false;
+          part = {
+            text: `\n=== SOURCE: ${info.name} (YouTube Video) ===\nURL: ${source.url}\nVideo ID: ${videoId}\n[No transcript is available for this video. Do not answer from it or cite timestamps from it.]\n`
+          };
+        }
+        break;
+      }
+
+      case 'url': {
+        // Fetched once; later ingests read the stored snapshot, so the
+        // source keeps working if the site goes away
+        let snapshot = source.snapshot;
+        if (!snapshot) {
+          snapshot = await fetchWebPage(source.url);
+          store?.updateSource(source.id, { snapshot });
+        }
+        const units = snapshot.sections.map(({ heading, anchor, text }) => ({ section: heading, anchor, text }));
+        Object.assign(info, describeUnits(units));
+        part = unitsPart(info.name, 'Web Page', units, `URL: ${source.url}\n`);
+        sourceChunks = chunkUnits(units, chunkMeta());
+        break;
+      }
+
+      case 'text':
+        part = { text: `\n=== SOURCE: ${info.name} (Text) ===\n${source.content}\n` };
+        sourceChunks = chunkText(source.content, chunkMeta());
+        break;
+
+      default:
+        console.warn(`Unknown source type: ${source.type}`);
+    }
+  }
+
+  if (!part) return null;
+
+  // Files carry no name of their own; label them so citations can name the source
+  const labelPart = part.fileData
+    ? { text: `\n=== SOURCE: ${info.name} (File) ===\n` }
+    : null;
+  if (labelPart) parts.push(labelPart);
+  parts.push(part);
+  if (sourceChunks.length === 0) {
+    if (labelPart) passthroughParts.push(labelPart);
+    passthroughParts.push(part);
+  }
+  return { info, parts, passthroughParts, chunks: sourceChunks, cacheable, remoteFile };
+}
+
+/**
+ * Ingest all study materials and combine into multimodal context parts.
+ *
+ * Processed sources are cached on the notebook by content hash (or URL +
+ * ETag for Drive files), so only new or changed sources are processed again
+ * and removed ones drop out of the cache.
  * @param {Array} sources - Array of source objects
+ * @param {NotebookScope} store - Notebook being ingested; only a default
+ *   notebook falls back to the sources configured in the environment
+ * @param {Object} options - { onProgress({ index, total, name, status, error, cached, percent }) },
+ *   called as each source starts (`processing`) and ends (`done` or `failed`);
+ *   long steps such as transcription and OCR repeat `processing` with a `percent`
  */
-export async function ingestStudyMaterials(sources = null) {
+export async function ingestStudyMaterials(sources = null, store = null, { onProgress } = {}) {
   if (!sources || sources.length === 0) {
-    if (!storage.isDefaultActive()) {
+    if (!store?.isDefaultActive()) {
       throw new Error('No sources provided for active notebook');
     }
     sources = [];
@@ -147,77 +558,92 @@ export async function ingestStudyMaterials(sources = null) {
 
     const processedParts = [];
     const processedSourcesInfo = [];
+    // Parts with no local text (Gemini files without pages, videos, notes)
+    // are always sent; everything else is reachable through chunks.
+    const passthroughParts = [];
+    const chunks = [];
+
+    const previousCache = store?.getIngestCache() || {};
+    const cache = {};
+    const run = { hits: 0, misses: 0, removed: 0 };
+    const expiries = [];
 
     for (const [index, source] of sources.entries()) {
-      let part = null;
-      let info = { name: source.name || `Source ${index + 1}`, type: source.type };
+      const name = source.name || `Source ${index + 1}`;
+      const report = (status, error = null, cached = false, percent = null) => {
+        onProgress?.({ index, total: sources.length, name, status, error, cached, percent });
+        // The last outcome stays on the source for the source inspector
+        if (source.id && (status === 'done' || status === 'failed')) {
+          store?.updateSource(source.id, { ingest: { status, error, cached, at: new Date().toISOString() } });
+        }
+      };
+      report('processing');
 
       try {
-        // Source type 'file' might be a text file (source.text) or a Gemini File (source.fileUri)
-        if (source.type === 'file') {
-          if (source.fileUri) {
-            // It's a file uploaded to Gemini (PDF, Image)
-            part = {
-              fileData: {
-                mimeType: source.mimeType || 'application/pdf',
-                fileUri: source.fileUri
-              }
-            };
-          } else if (source.text) {
-            // It's a text/docx file processed locally
-            part = { text: `\n=== SOURCE: ${info.name} (File) ===\n${source.text}\n` };
-          }
+        // Uploaded files expire on Gemini's side; re-upload before using them
+        const refreshed = await refreshSourceFile(source);
+        if (refreshed) {
+          Object.assign(source, refreshed);
+          store?.updateSource(source.id, refreshed);
+        }
+
+        const id = cacheId(source);
+        const key = await sourceCacheKey(source);
+        const cachedEntry = previousCache[id];
+        let entry;
+        if (
+          cachedEntry &&
+          cacheKeyMatches(cachedEntry.key, key) &&
+          !isExpiring(cachedEntry.remoteFile?.expiresAt)
+        ) {
+          entry = cachedEntry;
+          run.hits++;
         } else {
-          switch (source.type) {
-            case 'drive':
-              const driveFile = await processDriveFile(source.url);
-              part = {
-                fileData: {
-                  mimeType: driveFile.mimeType,
-                  fileUri: driveFile.fileUri,
-                },
-              };
-              info.name = driveFile.name;
-              if (driveFile.physicalPages) {
-                processedParts.push({
-                  text: `\n=== SOURCE META: ${info.name} ===\nPhysical page count: ${driveFile.physicalPages}\nAlways cite using "Page X (Physical)" in the range 1-${driveFile.physicalPages}. Do not use printed page numbers if they differ from physical count.\n`
-                });
-              }
-              break;
-
-            case 'youtube':
-              // DIRECT GEMINI VIDEO INGESTION (No scraping)
-              // We pass the URL directly to Gemini as text, instructing it to use the video.
-              // This avoids IP blocking/CAPTCHA issues on Render.
-              const videoId = extractVideoId(source.url);
-              part = {
-                text: `\n=== SOURCE: ${info.name} (YouTube Video) ===\nURL: ${source.url}\nVideo ID: ${videoId}\n[Instruction to Model: This is a YouTube video source. Please use your internal video understanding capabilities to access and analyze the content of this video from the provided URL.]\n`
-              };
-              break;
-
-            case 'text':
-              part = { text: `\n=== SOURCE: ${info.name} (Text) ===\n${source.content}\n` };
-              break;
-
-            default:
-              console.warn(`Unknown source type: ${source.type}`);
+          const processed = await processSource(source, index, store, {
+            onPercent: (percent) => report('processing', null, false, percent),
+          });
+          if (!processed) {
+            report('failed', `Unsupported source type: ${source.type}`);
+            continue;
           }
+          entry = { key, ...processed, cachedAt: new Date().toISOString() };
+          run.misses++;
         }
+        if (key && entry.cacheable !== false) cache[id] = entry;
 
-        if (part) {
-          processedParts.push(part);
-          processedSourcesInfo.push(info);
-        }
+        // Parts carry their source's id so questions can be limited to some
+        // sources (see selectSources in geminiService.js); the id is not sent
+        const tag = (part) => ({ ...part, sourceId: source.id || null });
+        processedParts.push(...entry.parts.map(tag));
+        passthroughParts.push(...entry.passthroughParts.map(tag));
+        chunks.push(...entry.chunks);
+        processedSourcesInfo.push(entry.info);
+        if (entry.remoteFile?.expiresAt) expiries.push(entry.remoteFile.expiresAt);
+        report('done', null, entry === cachedEntry);
       } catch (e) {
         console.error(`Failed to process source ${index}:`, e);
+        report('failed', e.message);
         // Add error note to context so AI knows
-        processedParts.push({ text: `\n[System Error: Failed to load source ${info.name}: ${e.message}]\n` });
+        const errorPart = { text: `\n[System Error: Failed to load source ${name}: ${e.message}]\n`, sourceId: source.id || null };
+        processedParts.push(errorPart);
+        passthroughParts.push(errorPart);
       }
     }
+    const currentIds = new Set(sources.map(cacheId));
+    run.removed = Object.keys(previousCache).filter((id) => !currentIds.has(id)).length;
+
+    // Cached chunks keep their embeddings; only new ones are embedded
+    await embedChunks(chunks);
+    store?.saveIngestCache(cache, run);
 
     const stats = {
       sourceCount: processedSourcesInfo.length,
       sources: processedSourcesInfo,
+      sourceIds: sources.map((s) => s.id).filter(Boolean),
+      chunkCount: chunks.length,
+      cache: run,
+      // The material must be rebuilt before its first Gemini file expires
+      filesExpireAt: expiries.sort((a, b) => Date.parse(a) - Date.parse(b))[0] || null,
       isMultimodal: true
     };
 
@@ -225,6 +651,8 @@ export async function ingestStudyMaterials(sources = null) {
 
     return {
       contextParts: processedParts,
+      passthroughParts,
+      chunks,
       stats,
       sources: processedSourcesInfo.map(s => s.name),
     };
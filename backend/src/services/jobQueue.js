@@ -0,0 +1,163 @@
+import { EventEmitter } from 'events';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * In-process background job queue.
+ *
+ * Jobs run one at a time by default (JOB_CONCURRENCY) so long ingestions do
+ * not compete for the CPU. Each job has a `key`; enqueueing while a job with
+ * the same key is still queued returns that job instead of adding another,
+ * because it will pick up the latest state when it starts anyway.
+ *
+ * Jobs live in memory only. Finished jobs are kept for JOB_RETENTION_MINUTES
+ * so clients can read the outcome, then dropped.
+ */
+
+const CONCURRENCY = Math.max(1, Number(process.env.JOB_CONCURRENCY) || 1);
+const RETENTION_MS = (Number(process.env.JOB_RETENTION_MINUTES) || 60) * 60 * 1000;
+
+const FINISHED = new Set(['completed', 'failed']);
+
+function newJobId() {
+  return `job_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+class JobQueue extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0); // one listener per open progress stream
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = 0;
+  }
+
+  /**
+   * Queue a job.
+   * @param {Object} options - { type, key, ownerId }
+   * @param {Function} run - async (job, report) => result; `report(patch)`
+   *   merges progress fields into the job and notifies listeners
+   * @returns {Object} the job (possibly an already queued one with this key)
+   */
+  enqueue({ type, key, ownerId }, run) {
+    this._prune();
+    const queued = this.queue.find((j) => j.key === key && j.type === type);
+    if (queued) return queued;
+
+    const job = {
+      id: newJobId(),
+      type,
+      key,
+      ownerId,
+      status: 'queued',
+      progress: { completed: 0, total: 0 },
+      items: [],
+      error: null,
+      result: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      run,
+    };
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    this._emitUpdate(job);
+    setImmediate(() => this._next());
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * The queued or running job for a key, if any.
+   */
+  findActive(key) {
+    for (const job of this.jobs.values()) {
+      if (job.key === key && !FINISHED.has(job.status)) return job;
+    }
+    return null;
+  }
+
+  /**
+   * Resolve with the job once it has finished (immediately if it has).
+   */
+  wait(id) {
+    const job = this.get(id);
+    if (!job || FINISHED.has(job.status)) return Promise.resolve(job);
+    return new Promise((resolve) => {
+      const onUpdate = (updated) => {
+        if (updated.id !== id || !FINISHED.has(updated.status)) return;
+        this.off('update', onUpdate);
+        resolve(updated);
+      };
+      this.on('update', onUpdate);
+    });
+  }
+
+  async _next() {
+    if (this.running >= CONCURRENCY || this.queue.length === 0) return;
+    const job = this.queue.shift();
+    this.running++;
+
+    const report = (patch) => {
+      Object.assign(job, patch);
+      this._emitUpdate(job);
+    };
+
+    report({ status: 'running', startedAt: new Date().toISOString() });
+    try {
+      const result = await job.run(job, report);
+      report({ status: 'completed', result: result ?? null, finishedAt: new Date().toISOString() });
+    } catch (error) {
+      console.error(`[Jobs] ${job.type} ${job.id} failed:`, error.message);
+      report({ status: 'failed', error: error.message, finishedAt: new Date().toISOString() });
+    } finally {
+      this.running--;
+      this._next();
+    }
+  }
+
+  _emitUpdate(job) {
+    this.emit('update', job);
+  }
+
+  _prune() {
+    const cutoff = Date.now() - RETENTION_MS;
+    for (const [id, job] of this.jobs) {
+      if (FINISHED.has(job.status) && new Date(job.finishedAt).getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+/**
+ * Client-facing view of a job (drops the runner and internal key).
+ */
+export function toPublicJob(job) {
+  const { completed, total } = job.progress;
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    progress: {
+      completed,
+      total,
+      percent: total > 0 ? Math.round((completed / total) * 100) : (job.status === 'completed' ? 100 : 0),
+    },
+    items: job.items,
+    error: job.error,
+    result: job.result,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+// Singleton instance
+const jobQueue = new JobQueue();
+
+export default jobQueue;
@@ -0,0 +1,128 @@
+/**
+ * Schema migrations for persisted storage snapshots.
+ *
+ * Each migration upgrades a snapshot from `version - 1` to `version`. Add new
+ * entries to the end of the list; never edit one that has shipped.
+ */
+
+const migrations = [
+  {
+    version: 1,
+    description: 'Initial notebook schema',
+    up(data) {
+      return {
+        activeNotebookId: data.activeNotebookId || 'default',
+        notebooks: (data.notebooks || []).map((nb) => ({
+          sources: [],
+          studyMaterial: null,
+          conversationHistory: [],
+          qaHistory: [],
+          suggestedQuestions: [],
+          ...nb,
+        })),
+      };
+    },
+  },
+  {
+    version: 2,
+    description: 'Per-owner notebooks and per-session active notebook',
+    up(data) {
+      // Pre-session notebooks had no owner; they are kept but belong to nobody.
+      return {
+        notebooks: data.notebooks.map((nb) => ({ ownerId: null, ...nb })),
+        sessions: {},
+      };
+    },
+  },
+  {
+    version: 3,
+    description: 'Local accounts and login sessions',
+    up(data) {
+      // Anonymous sessions are replaced by login sessions
+      return { ...data, sessions: {}, users: [], authSessions: [] };
+    },
+  },
+  {
+    version: 4,
+    description: 'Per-source ingest cache',
+    up(data) {
+      return {
+        ...data,
+        notebooks: data.notebooks.map((nb) => ({
+          ingestCache: { entries: {}, hits: 0, misses: 0, lastRun: null },
+          ...nb,
+        })),
+      };
+    },
+  },
+  {
+    version: 5,
+    description: 'Flashcard decks',
+    up(data) {
+      return {
+        ...data,
+        notebooks: data.notebooks.map((nb) => ({ flashcards: [], ...nb })),
+      };
+    },
+  },
+  {
+    version: 6,
+    description: 'Quizzes and their graded attempts',
+    up(data) {
+      return {
+        ...data,
+        notebooks: data.notebooks.map((nb) => ({ quizzes: [], ...nb })),
+      };
+    },
+  },
+  {
+    version: 7,
+    description: 'Mock exams and their timed attempts',
+    up(data) {
+      return {
+        ...data,
+        notebooks: data.notebooks.map((nb) => ({ exams: [], ...nb })),
+      };
+    },
+  },
+  {
+    version: 8,
+    description: 'Learning activity log',
+    up(data) {
+      // History from before the log is imported into it on first use (analytics.js)
+      const importBefore = new Date().toISOString();
+      return {
+        ...data,
+        notebooks: data.notebooks.map((nb) => ({
+          learning: { concepts: [], conceptsKey: null, conceptsFrom: null, activity: [], importBefore },
+          ...nb,
+        })),
+      };
+    },
+  },
+];
+
+export const SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+/**
+ * Upgrade a snapshot to the current schema version.
+ * @param {Object} data - Snapshot as loaded from disk
+ * @returns {Object} Migrated snapshot with `schemaVersion` set
+ */
+export function migrate(data) {
+  const from = data.schemaVersion || 0;
+  if (from > SCHEMA_VERSION) {
+    throw new Error(
+      `Storage schema version ${from} is newer than supported version ${SCHEMA_VERSION}`,
+    );
+  }
+
+  let migrated = data;
+  for (const migration of migrations) {
+    if (migration.version > from) {
+      console.log(`[Storage] Migrating to v${migration.version}: ${migration.description}`);
+      migrated = migration.up(migrated);
+    }
+  }
+  return { ...migrated, schemaVersion: SCHEMA_VERSION };
+}
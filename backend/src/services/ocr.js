@@ -0,0 +1,189 @@
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { createWorker } from 'tesseract.js';
+import PDFJS from 'pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js';
+
+dotenv.config();
+
+/**
+ * Local OCR (Tesseract, via tesseract.js) for photographed notes and PDF
+ * pages without a text layer.
+ *
+ * Recognized text is kept per page with the bounding box of every line, so
+ * it can be chunked, searched and cited like extracted text, and a citation
+ * can point at the lines it quotes. Boxes are fractions of the image
+ * (0–1, origin top left), so they do not depend on the scan resolution.
+ */
+
+// Matches pdf.js ImageKind
+const IMAGE_KIND = { GRAYSCALE_1BPP: 1, RGB_24BPP: 2, RGBA_32BPP: 3 };
+
+export function isOcrEnabled() {
+  return process.env.OCR_ENABLED !== 'false';
+}
+
+function maxPages() {
+  return Number(process.env.OCR_MAX_PAGES) || 30;
+}
+
+/**
+ * Run `fn` with a Tesseract worker, terminated afterwards so an idle server
+ * does not hold the engine in memory.
+ */
+async function withWorker(fn) {
+  // Language data is downloaded from the tesseract.js CDN (unless OCR_LANG_PATH
+  // points at a local copy) and cached under OCR_CACHE_DIR
+  const cachePath = path.resolve(process.env.OCR_CACHE_DIR || path.join('data', 'ocr'));
+  fs.mkdirSync(cachePath, { recursive: true });
+  const options = { cachePath };
+  if (process.env.OCR_LANG_PATH) options.langPath = process.env.OCR_LANG_PATH;
+  const worker = await createWorker(process.env.OCR_LANG || 'eng', 1, options);
+  try {
+    return await fn(worker);
+  } finally {
+    await worker.terminate();
+  }
+}
+
+/**
+ * Pixel size of a PNG, JPEG, WebP or PNM image, or null when unknown.
+ */
+export function imageSize(buffer) {
+  if (buffer.length > 24 && buffer.toString('ascii', 1, 4) === 'PNG') {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) return null;
+      const marker = buffer[offset + 1];
+      // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+  }
+  if (buffer.length > 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    const format = buffer.toString('ascii', 12, 16);
+    if (format === 'VP8X') return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    if (format === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (format === 'VP8 ') return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    return null;
+  }
+  const pnm = buffer.toString('ascii', 0, 40).match(/^P[1-6]\s+(\d+)\s+(\d+)/);
+  return pnm ? { width: Number(pnm[1]), height: Number(pnm[2]) } : null;
+}
+
+/**
+ * OCR one image.
+ * @param {Object} worker - Tesseract worker
+ * @param {Buffer} image - PNG/JPEG/WebP/PNM bytes
+ * @returns {Promise<Object>} { text, confidence, lines: [{ text, confidence, bbox }] }
+ */
+async function recognize(worker, image) {
+  const size = imageSize(image);
+  const { data } = await worker.recognize(image, {}, { text: true, blocks: true });
+  const fraction = (value, total) => Math.round((value / total) * 10000) / 10000;
+  const scale = (bbox) => (size
+    ? {
+        x0: fraction(bbox.x0, size.width),
+        y0: fraction(bbox.y0, size.height),
+        x1: fraction(bbox.x1, size.width),
+        y1: fraction(bbox.y1, size.height),
+      }
+    : null);
+  const lines = (data.blocks || [])
+    .flatMap((block) => block.paragraphs)
+    .flatMap((paragraph) => paragraph.lines)
+    .map((line) => ({
+      text: line.text.trim(),
+      confidence: Math.round(line.confidence),
+      bbox: scale(line.bbox),
+    }))
+    .filter((line) => line.text);
+  return { text: data.text.trim(), confidence: Math.round(data.confidence), lines };
+}
+
+/**
+ * OCR a photo or scan.
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Promise<Object>} { text, confidence, lines }
+ */
+export async function recognizeImage(buffer) {
+  return withWorker((worker) => recognize(worker, buffer));
+}
+
+/**
+ * The largest image drawn on a PDF page (the scan itself), as a PNM image.
+ */
+async function pageImage(page) {
+  const operators = await page.getOperatorList();
+  let largest = null;
+  operators.fnArray.forEach((fn, i) => {
+    if (fn !== PDFJS.OPS.paintImageXObject) return;
+    const [id, width, height] = operators.argsArray[i];
+    if (!largest || width * height > largest.width * largest.height) largest = { id, width, height };
+  });
+  if (!largest) return null;
+
+  const image = page.objs.get(largest.id);
+  if (!image?.data) return null;
+  const { width, height, kind, data } = image;
+  if (kind === IMAGE_KIND.RGB_24BPP) {
+    return Buffer.concat([Buffer.from(`P6\n${width} ${height}\n255\n`), Buffer.from(data.buffer, data.byteOffset, data.length)]);
+  }
+  if (kind === IMAGE_KIND.RGBA_32BPP) {
+    const rgb = Buffer.alloc(width * height * 3);
+    for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+      rgb[j] = data[i];
+      rgb[j + 1] = data[i + 1];
+      rgb[j + 2] = data[i + 2];
+    }
+    return Buffer.concat([Buffer.from(`P6\n${width} ${height}\n255\n`), rgb]);
+  }
+  if (kind === IMAGE_KIND.GRAYSCALE_1BPP) {
+    // pdf.js sets bits for white; PBM sets them for black
+    const rowBytes = Math.ceil(width / 8);
+    const bits = Buffer.from(data.subarray(0, rowBytes * height)).map((byte) => ~byte & 0xff);
+    return Buffer.concat([Buffer.from(`P4\n${width} ${height}\n`), bits]);
+  }
+  return null;
+}
+
+/**
+ * OCR the given pages of a scanned PDF (at most OCR_MAX_PAGES of them).
+ * @param {Buffer} buffer - PDF bytes
+ * @param {Array<number>} pageNumbers - Physical page numbers
+ * @param {Object} options - { onProgress(percent) }, called after each page
+ * @returns {Promise<Map<number, Object>>} page number -> { text, confidence, lines }
+ */
+export async function recognizePdfPages(buffer, pageNumbers, { onProgress } = {}) {
+  const results = new Map();
+  const wanted = pageNumbers.slice(0, maxPages());
+  if (wanted.length === 0) return results;
+  if (wanted.length < pageNumbers.length) {
+    console.warn(`[OCR] Only the first ${wanted.length} of ${pageNumbers.length} scanned pages are recognized (OCR_MAX_PAGES)`);
+  }
+
+  PDFJS.disableWorker = true;
+  // Decode images here rather than in a (browser-only) image element
+  const doc = await PDFJS.getDocument({ data: new Uint8Array(buffer), nativeImageDecoderSupport: 'none' });
+  try {
+    await withWorker(async (worker) => {
+      for (const [index, number] of wanted.entries()) {
+        const image = await pageImage(await doc.getPage(number));
+        if (image) results.set(number, await recognize(worker, image));
+        onProgress?.(Math.round(((index + 1) / wanted.length) * 100));
+      }
+    });
+  } finally {
+    doc.destroy();
+  }
+  return results;
+}
@@ -0,0 +1,84 @@
+import fs from 'fs';
+import path from 'path';
+import { migrate, SCHEMA_VERSION } from './migrations.js';
+
+const SAVE_DELAY_MS = 200;
+
+/**
+ * Keeps nothing; every restart starts empty. Used for tests.
+ */
+export class MemoryStore {
+  load() {
+    return null;
+  }
+
+  save() {}
+
+  flush() {}
+}
+
+/**
+ * Persists the storage snapshot as a single JSON file.
+ * Writes are debounced and atomic (write to a temp file, then rename), so a
+ * crash mid-write never leaves a truncated file behind.
+ */
+export class JsonFileStore {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.pending = null;
+    this.timer = null;
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return null;
+    const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+    const data = migrate(raw);
+    if ((raw.schemaVersion || 0) !== SCHEMA_VERSION) {
+      this._write(data);
+    }
+    return data;
+  }
+
+  save(snapshot) {
+    this.pending = snapshot;
+    if (this.timer) return;
+    this.timer = setTimeout(() => this.flush(), SAVE_DELAY_MS);
+    this.timer.unref?.();
+  }
+
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.pending) return;
+    const snapshot = this.pending;
+    this.pending = null;
+    try {
+      this._write(snapshot);
+    } catch (error) {
+      console.error('[Storage] Failed to persist snapshot:', error.message);
+    }
+  }
+
+  _write(data) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ ...data, schemaVersion: SCHEMA_VERSION }));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+/**
+ * Create the persistence backend selected by STORAGE_DRIVER (json | memory).
+ * Defaults to json, or memory when NODE_ENV=test.
+ */
+export function createPersistence(driver = process.env.STORAGE_DRIVER) {
+  const selected = (driver || (process.env.NODE_ENV === 'test' ? 'memory' : 'json')).toLowerCase();
+  switch (selected) {
+    case 'memory':
+      return new MemoryStore();
+    case 'json':
+      return new JsonFileStore(process.env.STORAGE_PATH || path.join('data', 'storage.json'));
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${selected}". Use: json or memory`);
+  }
+}
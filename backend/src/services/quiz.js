@@ -0,0 +1,175 @@
+import { tokenize } from './retrieval.js';
+
+/**
+ * Quizzes: multiple-choice, true/false and short-answer questions generated
+ * from the notebook (see generateQuiz in geminiService.js), and the grading
+ * of submissions.
+ *
+ * Multiple-choice and true/false answers are checked here. Short answers are
+ * marked against the question's rubric, one point per key point, by the
+ * model (gradeShortAnswers in geminiService.js), or by keyword overlap when
+ * the model's marking is unavailable. Each question is worth one mark, so a
+ * short answer scores the share of rubric points it covers.
+ */
+
+export const QUESTION_TYPES = ['multiple_choice', 'true_false', 'short_answer'];
+
+/**
+ * Whether a question is answered in writing and marked against a rubric
+ * (short answers here; short and long answers in mock exams).
+ */
+export const isWritten = (question) => question.type === 'short_answer' || question.type === 'long_answer';
+
+const str = (value) => (typeof value === 'string' ? value.trim() : '');
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (/^(true|t|yes)$/i.test(str(value))) return true;
+  if (/^(false|f|no)$/i.test(str(value))) return false;
+  return null;
+}
+
+/**
+ * A generated question in canonical form, or null when it is malformed.
+ * Multiple-choice answers are option indexes (letters and option text are
+ * accepted too); true/false answers are booleans.
+ */
+export function normalizeQuestion(raw) {
+  const type = str(raw?.type).toLowerCase().replace(/[\s/-]+/g, '_');
+  const question = str(raw?.question);
+  if (!QUESTION_TYPES.includes(type) || !question) return null;
+  const base = { type, question, explanation: str(raw.explanation) };
+
+  if (type === 'multiple_choice') {
+    const options = Array.isArray(raw.options) ? raw.options.map(str).filter(Boolean) : [];
+    if (options.length < 2) return null;
+    let answer = raw.answer;
+    if (typeof answer === 'string' && /^[A-Z]$/i.test(answer.trim())) answer = answer.trim().toUpperCase().charCodeAt(0) - 65;
+    else if (typeof answer === 'string') answer = options.indexOf(answer.trim());
+    if (!Number.isInteger(answer) || answer < 0 || answer >= options.length) return null;
+    const rationale = Array.isArray(raw.distractorRationale) ? raw.distractorRationale.map(str) : [];
+    return { ...base, options, answer, distractorRationale: options.map((_, i) => rationale[i] || '') };
+  }
+  if (type === 'true_false') {
+    const answer = parseBoolean(raw.answer);
+    return answer === null ? null : { ...base, options: ['True', 'False'], answer };
+  }
+  const rubric = Array.isArray(raw.rubric) ? raw.rubric.map(str).filter(Boolean) : [];
+  const answer = str(raw.answer);
+  if (!answer) return null;
+  return { ...base, answer, rubric: rubric.length > 0 ? rubric : [answer] };
+}
+
+/**
+ * A quiz as shown to the student while taking it: no answers, rubrics or
+ * rationale.
+ */
+export function toPublicQuiz(quiz) {
+  return {
+    id: quiz.id,
+    topic: quiz.topic,
+    createdAt: quiz.createdAt,
+    questions: quiz.questions.map(({ id, type, question, options }) => ({ id, type, question, ...(options ? { options } : {}) })),
+    attempts: quiz.attempts.map(({ id, submittedAt, score, maxScore, percent }) => ({ id, submittedAt, score, maxScore, percent })),
+  };
+}
+
+/**
+ * An answer as text: the option for multiple choice, True/False, or the
+ * written answer. Null when unanswered.
+ */
+export function describeAnswer(question, value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (question.type === 'multiple_choice') return question.options[value] ?? null;
+  if (question.type === 'true_false') return value ? 'True' : 'False';
+  return value;
+}
+
+/**
+ * The student's answer in the question's form, or null when unanswered.
+ */
+function readAnswer(question, value) {
+  if (question.type === 'multiple_choice') {
+    // Option indexes come as numbers or digit strings
+    const index = typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value) : value;
+    return Number.isInteger(index) && index >= 0 && index < question.options.length ? index : null;
+  }
+  if (question.type === 'true_false') return parseBoolean(value);
+  return str(value) || null;
+}
+
+/**
+ * Fallback marking: a rubric point is met when the answer contains at least
+ * half of its words.
+ */
+export function keywordMark(question, studentAnswer) {
+  const words = new Set(tokenize(studentAnswer));
+  const met = question.rubric.map((point) => {
+    const terms = tokenize(point);
+    return terms.length > 0 && terms.filter((t) => words.has(t)).length / terms.length >= 0.5;
+  });
+  return { met, feedback: 'Marked by keyword match against the rubric.', gradedBy: 'keywords' };
+}
+
+/**
+ * Grade a submission. Questions are worth `marks` (default 1); a written
+ * answer scores the share of its rubric it covers, each point weighted by
+ * `rubricMarks` when given.
+ * @param {Object} quiz - stored quiz, or anything with `questions`
+ * @param {Object} answers - { [questionId]: option index, boolean or text }
+ * @param {Function} gradeShortAnswers - async ([{ id, question, answer,
+ *   rubric, studentAnswer }]) => { [id]: { met: boolean[], feedback, citations } };
+ *   questions it leaves out are marked by keyword match
+ * @returns {Promise<Object>} { score, maxScore, percent, results[] }
+ */
+export async function gradeSubmission(quiz, answers, gradeShortAnswers) {
+  const given = new Map(quiz.questions.map((q) => [q.id, readAnswer(q, answers?.[q.id])]));
+  const written = quiz.questions.filter((q) => isWritten(q) && given.get(q.id));
+  const marked = written.length > 0
+    ? await gradeShortAnswers(written.map((q) => ({ id: q.id, question: q.question, answer: q.answer, rubric: q.rubric, studentAnswer: given.get(q.id) })))
+    : {};
+
+  const results = quiz.questions.map((q) => {
+    const value = given.get(q.id);
+    const result = {
+      questionId: q.id,
+      type: q.type,
+      question: q.question,
+      yourAnswer: describeAnswer(q, value),
+      correctAnswer: describeAnswer(q, q.answer),
+      explanation: q.explanation,
+      citations: q.citations,
+      maxScore: q.marks ?? 1,
+    };
+    if (!isWritten(q)) {
+      const correct = value !== null && value === q.answer;
+      return {
+        ...result,
+        score: correct ? result.maxScore : 0,
+        correct,
+        // Why the chosen wrong option is wrong
+        feedback: !correct && q.type === 'multiple_choice' && value !== null ? q.distractorRationale[value] || '' : '',
+      };
+    }
+    const mark = value ? marked[q.id] || keywordMark(q, value) : null;
+    const met = q.rubric.map((_, i) => !!mark?.met?.[i]);
+    const weights = q.rubric.map((_, i) => q.rubricMarks?.[i] ?? 1);
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    const earned = weights.reduce((sum, w, i) => sum + (met[i] ? w : 0), 0);
+    const score = value && total ? Math.round((earned / total) * result.maxScore * 100) / 100 : 0;
+    return {
+      ...result,
+      score,
+      correct: score === result.maxScore,
+      rubric: q.rubric.map((point, i) => ({ point, met: met[i], ...(q.rubricMarks ? { marks: weights[i] } : {}) })),
+      feedback: mark?.feedback || '',
+      gradedBy: mark?.gradedBy ?? null,
+      // Feedback citations point at what the answer missed
+      ...(mark?.citations?.length ? { feedbackCitations: mark.citations } : {}),
+    };
+  });
+
+  const score = Math.round(results.reduce((sum, r) => sum + r.score, 0) * 100) / 100;
+  const maxScore = results.reduce((sum, r) => sum + r.maxScore, 0);
+  return { score, maxScore, percent: maxScore ? Math.round((score / maxScore) * 100) : 0, results };
+}
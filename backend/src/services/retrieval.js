@@ -0,0 +1,184 @@
+import { embedTexts } from '../config/models.js';
+import { describeChunkLocation } from './chunker.js';
+
+/**
+ * Top-k retrieval over ingested chunks.
+ *
+ * BM25 is always available. When RETRIEVAL_EMBEDDINGS=true the chunks are
+ * embedded at ingestion time and query scores blend BM25 with cosine
+ * similarity. RETRIEVAL_MODE=full disables retrieval and sends every source.
+ */
+
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'he', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'to', 'was', 'were', 'will', 'with', 'what', 'which',
+  'how', 'why', 'when', 'who', 'does', 'do', 'this', 'these', 'those', 'can', 'explain', 'describe',
+]);
+
+export function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t));
+}
+
+export function getRetrievalConfig() {
+  return {
+    mode: (process.env.RETRIEVAL_MODE || 'rag').toLowerCase(),
+    topK: Number(process.env.RETRIEVAL_TOP_K) || 8,
+    // Below this much text, sending everything is cheap and more reliable
+    fullContextChars: Number(process.env.RETRIEVAL_FULL_CONTEXT_CHARS) || 12000,
+    // Budget for summary/suggestion prompts that need broad coverage
+    overviewChars: Number(process.env.RETRIEVAL_OVERVIEW_CHARS) || 24000,
+    embeddings: process.env.RETRIEVAL_EMBEDDINGS === 'true',
+  };
+}
+
+class Bm25Index {
+  constructor(chunks) {
+    this.docs = chunks.map((c) => {
+      const tf = new Map();
+      const tokens = tokenize(c.text);
+      tokens.forEach((t) => tf.set(t, (tf.get(t) || 0) + 1));
+      return { tf, length: tokens.length };
+    });
+    this.avgLength = this.docs.reduce((sum, d) => sum + d.length, 0) / (this.docs.length || 1);
+    this.df = new Map();
+    this.docs.forEach((d) => d.tf.forEach((_, t) => this.df.set(t, (this.df.get(t) || 0) + 1)));
+  }
+
+  score(query) {
+    const terms = [...new Set(tokenize(query))];
+    const n = this.docs.length;
+    return this.docs.map((doc) => {
+      let score = 0;
+      for (const term of terms) {
+        const tf = doc.tf.get(term);
+        if (!tf) continue;
+        const df = this.df.get(term) || 0;
+        const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+        score += idf * ((tf * (K1 + 1)) / (tf + K1 * (1 - B + (B * doc.length) / (this.avgLength || 1))));
+      }
+      return score;
+    });
+  }
+}
+
+// Indexes are derived data; cache them per chunk array instead of persisting
+const indexCache = new WeakMap();
+
+function getIndex(chunks) {
+  let index = indexCache.get(chunks);
+  if (!index) {
+    index = new Bm25Index(chunks);
+    indexCache.set(chunks, index);
+  }
+  return index;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / (Math.sqrt(na) * Math.sqrt(nb)) : 0;
+}
+
+/**
+ * Attach embeddings to chunks when enabled. Failures leave BM25-only chunks.
+ */
+export async function embedChunks(chunks) {
+  // Chunks reused from the ingest cache already carry their embedding
+  const pending = chunks.filter((c) => !c.embedding);
+  if (!getRetrievalConfig().embeddings || pending.length === 0) return chunks;
+  try {
+    const vectors = await embedTexts(pending.map((c) => c.text));
+    pending.forEach((c, i) => {
+      if (vectors[i]) c.embedding = vectors[i];
+    });
+  } catch (err) {
+    console.warn('[Retrieval] Embedding failed, using BM25 only:', err.message);
+  }
+  return chunks;
+}
+
+/**
+ * Return the top-k chunks for a query, best first.
+ */
+export async function retrieveChunks(chunks, query, { topK = getRetrievalConfig().topK } = {}) {
+  if (!chunks || chunks.length === 0) return [];
+
+  const bm25 = getIndex(chunks).score(query);
+  const maxBm25 = Math.max(...bm25, 0);
+  let scores = bm25.map((s) => (maxBm25 > 0 ? s / maxBm25 : 0));
+
+  if (chunks.some((c) => c.embedding)) {
+    try {
+      const [queryVector] = await embedTexts([query]);
+      scores = scores.map((s, i) =>
+        chunks[i].embedding ? 0.5 * s + 0.5 * Math.max(0, cosine(queryVector, chunks[i].embedding)) : s,
+      );
+    } catch (err) {
+      console.warn('[Retrieval] Query embedding failed, using BM25 only:', err.message);
+    }
+  }
+
+  return chunks
+    .map((chunk, i) => ({ chunk, score: scores[i] }))
+    .filter((r) => r.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK)
+    .map((r) => r.chunk);
+}
+
+/**
+ * Pick chunks spread evenly across every source, within a character budget.
+ * Used where the task needs coverage rather than relevance (summary, suggestions).
+ */
+export function selectRepresentativeChunks(chunks, { maxChars = getRetrievalConfig().overviewChars } = {}) {
+  const bySource = new Map();
+  (chunks || []).forEach((c) => {
+    const key = c.sourceId || c.sourceName;
+    if (!bySource.has(key)) bySource.set(key, []);
+    bySource.get(key).push(c);
+  });
+
+  const perSource = maxChars / (bySource.size || 1);
+  const selected = [];
+  bySource.forEach((sourceChunks) => {
+    const total = sourceChunks.reduce((sum, c) => sum + c.text.length, 0);
+    const stride = Math.max(1, Math.ceil(total / perSource));
+    sourceChunks.forEach((c, i) => {
+      if (i % stride === 0) selected.push(c);
+    });
+  });
+  return selected;
+}
+
+/**
+ * Render retrieved chunks as prompt parts, in source/document order so the
+ * model reads each source coherently.
+ */
+export function chunksToParts(chunks) {
+  const order = new Map();
+  chunks.forEach((c) => {
+    const key = c.sourceId || c.sourceName;
+    if (!order.has(key)) order.set(key, order.size);
+  });
+  const sorted = [...chunks].sort((a, b) =>
+    order.get(a.sourceId || a.sourceName) - order.get(b.sourceId || b.sourceName) ||
+    (a.page || 0) - (b.page || 0) ||
+    (a.start || 0) - (b.start || 0));
+  return sorted.map((c) => ({
+    text: `\n=== SOURCE: ${c.sourceName} (${describeChunkLocation(c)}) ===\n${c.text}\n`,
+  }));
+}
+
+export function totalChunkChars(chunks) {
+  return (chunks || []).reduce((sum, c) => sum + c.text.length, 0);
+}
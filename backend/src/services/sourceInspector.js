@@ -0,0 +1,139 @@
+import { describeChunkLocation } from './chunker.js';
+import { sourceText } from './dedup.js';
+
+/**
+ * What the system extracted from a source, for the source inspector: the
+ * text by page, slide, chapter, sheet, section or transcript segment, the
+ * outcome of its last ingestion and rough token counts.
+ *
+ * Sources that keep no text of their own (Drive files, Gemini-read PDFs)
+ * are shown from the retrieval chunks of their last ingestion.
+ */
+
+// Location fields shared by sources' pages/units/segments and chunks
+const LOCATION_FIELDS = ['page', 'slide', 'chapter', 'sheet', 'section', 'anchor', 'start', 'end'];
+// Gemini bills each PDF page and image as a fixed number of tokens
+const TOKENS_PER_FILE_PAGE = 258;
+
+/**
+ * Rough token count of text (about four characters per token).
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function section(label, fields, text, extra = {}) {
+  const location = {};
+  for (const field of LOCATION_FIELDS) {
+    if (fields[field] !== undefined && fields[field] !== null) location[field] = fields[field];
+  }
+  return { label, location, text, characters: text.length, tokens: estimateTokens(text), ...extra };
+}
+
+/**
+ * The source's text split the way it is cited.
+ * @returns {{structure: string, sections: Array<Object>}} structure is pages,
+ *   units, segments, text, chunks or none
+ */
+function extractSections(source, cacheEntry) {
+  if (source.pages?.length) {
+    return {
+      structure: 'pages',
+      sections: source.pages.map((p) => section(describeChunkLocation(p), p, p.text, p.ocr ? { ocrConfidence: p.ocr.confidence } : {})),
+    };
+  }
+  const units = source.units?.length
+    ? source.units
+    : source.snapshot?.sections?.map(({ heading, anchor, text }) => ({ section: heading, anchor, text }));
+  if (units?.length) {
+    return { structure: 'units', sections: units.map((u) => section(describeChunkLocation(u), u, u.text)) };
+  }
+  if (source.segments?.length) {
+    const sourceType = source.fileType || source.type;
+    return {
+      structure: 'segments',
+      sections: source.segments.map((s) => section(describeChunkLocation({ ...s, sourceType }), s, s.text)),
+    };
+  }
+  const text = sourceText(source);
+  if (text) return { structure: 'text', sections: [section('Text', {}, text)] };
+  if (cacheEntry?.chunks?.length) {
+    // Consecutive chunks of one page, slide or section read as one
+    const groups = [];
+    for (const chunk of cacheEntry.chunks) {
+      const label = describeChunkLocation(chunk);
+      const last = groups[groups.length - 1];
+      if (last && last.label === label && label !== 'Excerpt') last.texts.push(chunk.text);
+      else groups.push({ label, chunk, texts: [chunk.text] });
+    }
+    return {
+      structure: 'chunks',
+      sections: groups.map(({ label, chunk, texts }) => section(label, chunk, texts.join('\n'))),
+    };
+  }
+  return { structure: 'none', sections: [] };
+}
+
+/**
+ * Outcome of the source's last ingestion, or its place in a running job.
+ */
+function ingestStatus(source, cacheEntry, activeJob) {
+  const item = activeJob?.items?.find((i) => i?.sourceId === source.id);
+  if (activeJob && (!item || item.status === 'pending' || item.status === 'processing')) {
+    return { state: item?.status || 'pending', error: null, cached: false, percent: item?.percent ?? null, at: null, jobId: activeJob.id };
+  }
+  if (source.ingest) {
+    const { status, error, cached, at } = source.ingest;
+    return { state: status, error, cached, percent: null, at, jobId: null };
+  }
+  if (cacheEntry) {
+    return { state: 'done', error: null, cached: true, percent: null, at: cacheEntry.cachedAt || null, jobId: null };
+  }
+  return { state: 'not_ingested', error: null, cached: false, percent: null, at: null, jobId: null };
+}
+
+/**
+ * Everything the inspector shows about a source.
+ * @param {Object} source - the stored source
+ * @param {Object} options - { cacheEntry, activeJob }: the source's entry in
+ *   the notebook's ingest cache and the notebook's queued or running ingest job
+ */
+export function inspectSource(source, { cacheEntry = null, activeJob = null } = {}) {
+  const { structure, sections } = extractSections(source, cacheEntry);
+  const characters = sections.reduce((sum, s) => sum + s.characters, 0);
+  const info = cacheEntry?.info || {};
+  const physicalPages = source.physicalPages || info.physicalPages || null;
+  // The model reads a Gemini file itself, whatever text was extracted from it
+  const fileUri = source.fileUri || cacheEntry?.remoteFile?.fileUri || null;
+
+  return {
+    source: {
+      id: source.id,
+      type: source.type,
+      name: source.name,
+      fileName: source.fileName || null,
+      fileType: source.fileType || null,
+      mimeType: source.mimeType || null,
+      size: source.size || null,
+      url: source.url || null,
+      pdfExtraction: source.pdfExtraction || null,
+      transcriptOrigin: source.transcriptOrigin || null,
+      addedAt: source.addedAt,
+      expiresAt: source.expiresAt || cacheEntry?.remoteFile?.expiresAt || null,
+      physicalPages,
+      duration: info.duration || null,
+    },
+    status: ingestStatus(source, cacheEntry, activeJob),
+    structure,
+    sections,
+    stats: {
+      sections: sections.length,
+      characters,
+      words: sections.reduce((sum, s) => sum + (s.text.match(/\S+/g) || []).length, 0),
+      tokens: sections.reduce((sum, s) => sum + s.tokens, 0),
+      chunks: cacheEntry?.chunks?.length || 0,
+      fileTokens: fileUri ? (physicalPages || 1) * TOKENS_PER_FILE_PAGE : null,
+      ocrPages: sections.filter((s) => s.ocrConfidence !== undefined).length,
+    },
+  };
+}
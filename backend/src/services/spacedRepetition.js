@@ -0,0 +1,97 @@
+/**
+ * SM-2 review scheduling for flashcards.
+ *
+ * Each review is graded 0–5 (or again/hard/good/easy). A grade below 3 is a
+ * lapse: the card starts over with a one-day interval. Otherwise the
+ * interval grows from 1 to 6 days, then by the card's ease factor, and the
+ * ease moves up or down with the grade (never below 1.3).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+const INITIAL_EASE = 2.5;
+
+// Named ratings of the review buttons, as SM-2 grades
+export const RATINGS = { again: 1, hard: 3, good: 4, easy: 5 };
+
+/**
+ * Schedule of a card that was never reviewed; it is due right away.
+ */
+export function newSchedule(now = new Date()) {
+  return {
+    repetitions: 0,
+    interval: 0,
+    ease: INITIAL_EASE,
+    lapses: 0,
+    due: now.toISOString(),
+    lastReviewedAt: null,
+    lastGrade: null,
+  };
+}
+
+/**
+ * A grade from 0–5 (a number or digit string) or a rating name.
+ * @returns {number|null} null when the value is neither
+ */
+export function parseGrade(value) {
+  let grade = value;
+  if (typeof value === 'string') {
+    const key = value.trim().toLowerCase();
+    if (Object.hasOwn(RATINGS, key)) return RATINGS[key];
+    grade = /^\d+$/.test(key) ? Number(key) : null;
+  }
+  return typeof grade === 'number' && Number.isInteger(grade) && grade >= 0 && grade <= 5 ? grade : null;
+}
+
+/**
+ * The schedule after a review.
+ * @param {Object} schedule - see newSchedule
+ * @param {number} grade - 0–5
+ */
+export function reviewSchedule(schedule, grade, now = new Date()) {
+  const ease = Math.max(MIN_EASE, schedule.ease + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02));
+  let { repetitions, interval, lapses } = schedule;
+  if (grade < 3) {
+    repetitions = 0;
+    interval = 1;
+    lapses += 1;
+  } else {
+    interval = repetitions === 0 ? 1 : repetitions === 1 ? 6 : Math.round(interval * schedule.ease);
+    repetitions += 1;
+  }
+  return {
+    repetitions,
+    interval,
+    ease: Math.round(ease * 100) / 100,
+    lapses,
+    due: new Date(now.getTime() + interval * DAY_MS).toISOString(),
+    lastReviewedAt: now.toISOString(),
+    lastGrade: grade,
+  };
+}
+
+export function isDue(card, now = new Date()) {
+  return Date.parse(card.schedule.due) <= now.getTime();
+}
+
+/**
+ * Cards due for review, the longest overdue first.
+ */
+export function dueCards(cards, now = new Date()) {
+  return cards
+    .filter((card) => isDue(card, now))
+    .sort((a, b) => Date.parse(a.schedule.due) - Date.parse(b.schedule.due));
+}
+
+/**
+ * Counts for the deck: total, due now, never reviewed, and learned (reviewed
+ * at least three times in a row without a lapse).
+ */
+export function deckStats(cards, now = new Date()) {
+  return {
+    total: cards.length,
+    due: cards.filter((card) => isDue(card, now)).length,
+    new: cards.filter((card) => card.schedule.repetitions === 0 && !card.schedule.lastReviewedAt).length,
+    learned: cards.filter((card) => card.schedule.repetitions >= 3).length,
+  };
+}
@@ -1,41 +1,104 @@
-// In-memory storage for study materials and conversation history
-// In production, this would be replaced with a database
+import dotenv from 'dotenv';
+import { createPersistence } from './persistence.js';
+import { findDuplicate } from './dedup.js';
 
-class Storage {
-  constructor() {
-    this.notebooks = new Map();
-    this.activeNotebookId = null;
-    this._initDefaultNotebook();
-  }
+dotenv.config();
 
-  _initDefaultNotebook() {
-    const id = 'default';
-    const notebook = {
-      id,
-      name: 'Default Notebook',
-      isDefault: true,
-      createdAt: new Date().toISOString(),
-      sources: [],
-      studyMaterial: null,
-      conversationHistory: [],
-      qaHistory: [],
-      suggestedQuestions: [],
-    };
-    this.notebooks.set(id, notebook);
-    this.activeNotebookId = id;
+// Storage for study materials and conversation history.
+// State lives in memory and is written through to the persistence backend
+// selected by STORAGE_DRIVER (see persistence.js), so it survives restarts.
+//
+// Notebooks belong to an owner (a user account), and each login session has
+// its own active notebook. Request handlers never touch notebooks directly;
+// they work through a NotebookScope obtained from storage.forSession().
+
+// Learning activity entries kept per notebook (see analytics.js)
+const MAX_ACTIVITY = 5000;
+
+function notFound(message = 'Notebook not found') {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function conflict(message) {
+  const error = new Error(message);
+  error.statusCode = 409;
+  return error;
+}
+
+function newNotebook(id, name, ownerId, isDefault = false) {
+  return {
+    id,
+    name,
+    ownerId,
+    isDefault,
+    createdAt: new Date().toISOString(),
+    sources: [],
+    studyMaterial: null,
+    conversationHistory: [],
+    qaHistory: [],
+    suggestedQuestions: [],
+    ingestCache: emptyIngestCache(),
+    flashcards: [],
+    quizzes: [],
+    exams: [],
+    learning: emptyLearning(),
+  };
+}
+
+function emptyIngestCache() {
+  return { entries: {}, hits: 0, misses: 0, lastRun: null };
+}
+
+/**
+ * Learning analytics state (see analytics.js). importBefore is set (by the
+ * v8 migration) on notebooks whose earlier history is not in the log yet.
+ */
+function emptyLearning() {
+  return { concepts: [], conceptsKey: null, conceptsFrom: null, activity: [], importBefore: null };
+}
+
+/**
+ * A view of Storage bound to one owner and one notebook.
+ * The notebook is the session's active notebook when the scope is created;
+ * switching notebooks updates both the session and this scope.
+ */
+class NotebookScope {
+  constructor(storage, { ownerId, sessionId, notebookId }) {
+    this.storage = storage;
+    this.ownerId = ownerId;
+    this.sessionId = sessionId;
+    this.notebookId = notebookId;
   }
 
   _getActiveNotebook() {
-    return this.notebooks.get(this.activeNotebookId);
+    const nb = this.storage._getOwnedNotebook(this.notebookId, this.ownerId);
+    if (!nb) throw notFound();
+    return nb;
+  }
+
+  _switchTo(id) {
+    this.notebookId = id;
+    if (this.sessionId) {
+      this.storage._setSessionNotebook(this.sessionId, this.ownerId, id);
+    }
   }
 
   setActiveNotebook(id) {
-    if (!this.notebooks.has(id)) throw new Error('Notebook not found');
-    this.activeNotebookId = id;
+    if (!this.storage._getOwnedNotebook(id, this.ownerId)) throw notFound();
+    this._switchTo(id);
+    this.storage._persist();
   }
 
   listNotebooks() {
-    return Array.from(this.notebooks.values()).map(n => ({
+    return this.storage._listOwnedNotebooks(this.ownerId).map(n => ({
       id: n.id,
       name: n.name,
       isDefault: !!n.isDefault,
@@ -46,51 +109,59 @@ class Storage {
 
   createNotebook(name = 'Untitled Notebook') {
     const id = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
-    const notebook = {
-      id,
-      name,
-      isDefault: false,
-      createdAt: new Date().toISOString(),
-      sources: [],
-      studyMaterial: null,
-      conversationHistory: [],
-      qaHistory: [],
-      suggestedQuestions: [],
-    };
-    this.notebooks.set(id, notebook);
-    this.activeNotebookId = id;
+    const notebook = newNotebook(id, name, this.ownerId);
+    this.storage.notebooks.set(id, notebook);
+    this._switchTo(id);
+    this.storage._persist();
     return notebook;
   }
 
   renameNotebook(id, name) {
-    const nb = this.notebooks.get(id);
-    if (!nb) throw new Error('Notebook not found');
-    if (nb.isDefault) throw new Error('Default Notebook cannot be renamed');
+    const nb = this.storage._getOwnedNotebook(id, this.ownerId);
+    if (!nb) throw notFound();
+    if (nb.isDefault) throw badRequest('Default Notebook cannot be renamed');
     nb.name = name;
+    this.storage._persist();
     return nb;
   }
 
   deleteNotebook(id) {
-    const nb = this.notebooks.get(id);
-    if (!nb) throw new Error('Notebook not found');
-    if (nb.isDefault) throw new Error('Default Notebook cannot be deleted');
-    const wasActive = this.activeNotebookId === id;
-    this.notebooks.delete(id);
-    if (wasActive) {
-      this.activeNotebookId = 'default';
+    const nb = this.storage._getOwnedNotebook(id, this.ownerId);
+    if (!nb) throw notFound();
+    if (nb.isDefault) throw badRequest('Default Notebook cannot be deleted');
+    this.storage.notebooks.delete(id);
+    this.storage._releaseNotebook(id, this.ownerId);
+    if (this.notebookId === id) {
+      this.notebookId = this.storage._ensureDefaultNotebook(this.ownerId).id;
     }
+    this.storage._persist();
     return true;
   }
 
+  /**
+   * A scope pinned to the current notebook, for work that outlives the
+   * request (background jobs) and must not follow later notebook switches.
+   */
+  pin() {
+    return new NotebookScope(this.storage, {
+      ownerId: this.ownerId,
+      sessionId: null,
+      notebookId: this.notebookId,
+    });
+  }
+
   setStudyMaterial(material) {
     const nb = this._getActiveNotebook();
     nb.studyMaterial = {
       context: material.context,
       contextParts: material.contextParts,
+      passthroughParts: material.passthroughParts || [],
+      chunks: material.chunks || [],
       sources: material.sources || [],
       stats: material.stats || {},
       ingestedAt: new Date().toISOString(),
     };
+    this.storage._persist();
   }
 
   getStudyMaterial() {
@@ -98,12 +169,43 @@ class Storage {
     return nb.studyMaterial;
   }
 
+  /**
+   * Processed sources from the last ingestion, keyed by source id.
+   */
+  getIngestCache() {
+    const nb = this._getActiveNotebook();
+    return nb.ingestCache.entries;
+  }
+
+  /**
+   * Replace the ingest cache and count the run's hits and misses.
+   * @param {Object} entries - Cache entries for the sources just ingested
+   * @param {Object} run - { hits, misses, removed }
+   */
+  saveIngestCache(entries, run) {
+    const nb = this._getActiveNotebook();
+    nb.ingestCache = {
+      entries,
+      hits: nb.ingestCache.hits + run.hits,
+      misses: nb.ingestCache.misses + run.misses,
+      lastRun: { ...run, at: new Date().toISOString() },
+    };
+    this.storage._persist();
+  }
+
+  clearIngestCache() {
+    const nb = this._getActiveNotebook();
+    nb.ingestCache = emptyIngestCache();
+    this.storage._persist();
+  }
+
   addToHistory(entry) {
     const nb = this._getActiveNotebook();
     nb.conversationHistory.push({
       ...entry,
       timestamp: new Date().toISOString(),
     });
+    this.storage._persist();
   }
 
   getHistory() {
@@ -117,6 +219,7 @@ class Storage {
       ...entry,
       timestamp: new Date().toISOString(),
     });
+    this.storage._persist();
   }
 
   getQAHistory() {
@@ -128,24 +231,231 @@ class Storage {
     const nb = this._getActiveNotebook();
     nb.conversationHistory = [];
     nb.qaHistory = [];
+    this.storage._persist();
+  }
+
+  getFlashcards() {
+    const nb = this._getActiveNotebook();
+    return nb.flashcards;
+  }
+
+  addFlashcards(cards) {
+    const nb = this._getActiveNotebook();
+    const added = cards.map((card) => ({
+      id: `fc_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+      ...card,
+      createdAt: new Date().toISOString(),
+    }));
+    nb.flashcards.push(...added);
+    this.storage._persist();
+    return added;
+  }
+
+  updateFlashcard(id, updates) {
+    const nb = this._getActiveNotebook();
+    const card = nb.flashcards.find((c) => c.id === id);
+    if (!card) return null;
+    Object.assign(card, updates);
+    this.storage._persist();
+    return card;
+  }
+
+  removeFlashcard(id) {
+    const nb = this._getActiveNotebook();
+    const index = nb.flashcards.findIndex((c) => c.id === id);
+    if (index === -1) return false;
+    nb.flashcards.splice(index, 1);
+    this.storage._persist();
+    return true;
+  }
+
+  getQuizzes() {
+    const nb = this._getActiveNotebook();
+    return nb.quizzes;
+  }
+
+  getQuiz(id) {
+    return this.getQuizzes().find((q) => q.id === id) || null;
+  }
+
+  addQuiz(quiz) {
+    const nb = this._getActiveNotebook();
+    const added = {
+      id: `qz_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+      ...quiz,
+      attempts: [],
+      createdAt: new Date().toISOString(),
+    };
+    nb.quizzes.push(added);
+    this.storage._persist();
+    return added;
+  }
+
+  /**
+   * Record a graded submission of a quiz.
+   */
+  addQuizAttempt(id, attempt) {
+    const quiz = this.getQuiz(id);
+    if (!quiz) return null;
+    const added = {
+      id: `qa_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+      ...attempt,
+      submittedAt: new Date().toISOString(),
+    };
+    quiz.attempts.push(added);
+    this.storage._persist();
+    return added;
+  }
+
+  removeQuiz(id) {
+    const nb = this._getActiveNotebook();
+    const index = nb.quizzes.findIndex((q) => q.id === id);
+    if (index === -1) return false;
+    nb.quizzes.splice(index, 1);
+    this.storage._persist();
+    return true;
+  }
+
+  getExams() {
+    const nb = this._getActiveNotebook();
+    return nb.exams;
+  }
+
+  getExam(id) {
+    return this.getExams().find((e) => e.id === id) || null;
+  }
+
+  addExam(exam) {
+    const nb = this._getActiveNotebook();
+    const added = {
+      id: `ex_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+      ...exam,
+      attempts: [],
+      createdAt: new Date().toISOString(),
+    };
+    nb.exams.push(added);
+    this.storage._persist();
+    return added;
+  }
+
+  /**
+   * Start a timed attempt at an exam.
+   */
+  addExamAttempt(id, attempt) {
+    const exam = this.getExam(id);
+    if (!exam) return null;
+    const added = {
+      id: `ea_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+      ...attempt,
+    };
+    exam.attempts.push(added);
+    this.storage._persist();
+    return added;
+  }
+
+  updateExamAttempt(id, attemptId, updates) {
+    const attempt = this.getExam(id)?.attempts.find((a) => a.id === attemptId);
+    if (!attempt) return null;
+    Object.assign(attempt, updates);
+    this.storage._persist();
+    return attempt;
+  }
+
+  removeExam(id) {
+    const nb = this._getActiveNotebook();
+    const index = nb.exams.findIndex((e) => e.id === id);
+    if (index === -1) return false;
+    nb.exams.splice(index, 1);
+    this.storage._persist();
+    return true;
+  }
+
+  getLearning() {
+    const nb = this._getActiveNotebook();
+    return nb.learning;
+  }
+
+  /**
+   * Append to the activity log, keeping the newest MAX_ACTIVITY entries.
+   */
+  addActivity(entries) {
+    const { learning } = this._getActiveNotebook();
+    learning.activity.push(...entries.map((entry) => ({
+      id: `ev_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+      ...entry,
+    })));
+    if (learning.activity.length > MAX_ACTIVITY) learning.activity.splice(0, learning.activity.length - MAX_ACTIVITY);
+    this.storage._persist();
+  }
+
+  /**
+   * Replace the concept list; `key` identifies the material it came from.
+   */
+  setConcepts(concepts, key, from) {
+    const { learning } = this._getActiveNotebook();
+    Object.assign(learning, { concepts, conceptsKey: key, conceptsFrom: from });
+    this.storage._persist();
+  }
+
+  /**
+   * Tag activity recorded before the current concept list with `tag(entry)`.
+   */
+  retagActivity(tag) {
+    const { learning } = this._getActiveNotebook();
+    const stale = learning.activity.filter((e) => e.conceptsKey !== learning.conceptsKey);
+    if (stale.length === 0) return;
+    for (const entry of stale) {
+      entry.concepts = tag(entry);
+      entry.conceptsKey = learning.conceptsKey;
+    }
+    this.storage._persist();
+  }
+
+  finishHistoryImport() {
+    const { learning } = this._getActiveNotebook();
+    learning.importBefore = null;
+    this.storage._persist();
+  }
+
+  /**
+   * Throw 409 when the notebook already has this source: the same content
+   * hash, or a URL naming the same resource (see dedup.js).
+   */
+  assertNotDuplicate(source) {
+    const existing = findDuplicate(source, this._getActiveNotebook().sources);
+    if (existing) {
+      throw conflict(`This source is already in the notebook as "${existing.name}"`);
+    }
   }
 
   addSource(source) {
     const nb = this._getActiveNotebook();
+    this.assertNotDuplicate(source);
     const newSource = {
       id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
       ...source,
       addedAt: new Date().toISOString(),
     };
     nb.sources.push(newSource);
+    this.storage._persist();
     return newSource;
   }
 
+  updateSource(id, updates) {
+    const nb = this._getActiveNotebook();
+    const source = nb.sources.find(s => s.id === id);
+    if (!source) return null;
+    Object.assign(source, updates);
+    this.storage._persist();
+    return source;
+  }
+
   removeSource(id) {
     const nb = this._getActiveNotebook();
     const index = nb.sources.findIndex(s => s.id === id);
     if (index !== -1) {
       nb.sources.splice(index, 1);
+      this.storage._persist();
       return true;
     }
     return false;
@@ -159,12 +469,14 @@ class Storage {
   clearSources() {
     const nb = this._getActiveNotebook();
     nb.sources = [];
+    this.storage._persist();
   }
 
   clearStudyMaterial() {
     const nb = this._getActiveNotebook();
     nb.studyMaterial = null;
     nb.suggestedQuestions = [];
+    this.storage._persist();
   }
 
   isDefaultActive() {
@@ -180,12 +492,13 @@ class Storage {
   setSuggestedQuestions(questions) {
     const nb = this._getActiveNotebook();
     nb.suggestedQuestions = questions;
+    this.storage._persist();
   }
 
   getStats() {
     const nb = this._getActiveNotebook();
     return {
-      activeNotebookId: this.activeNotebookId,
+      activeNotebookId: nb.id,
       activeNotebookName: nb.name,
       isDefaultNotebook: !!nb.isDefault,
       materialLoaded: nb.studyMaterial !== null,
@@ -193,11 +506,213 @@ class Storage {
       qaHistoryLength: nb.qaHistory.length,
       cacheSize: nb.studyMaterial ? (nb.studyMaterial.context ? nb.studyMaterial.context.length : (nb.studyMaterial.stats?.totalLength || 0)) : 0,
       sourceCount: nb.sources.length,
-      notebookCount: this.notebooks.size,
+      ingestCache: {
+        entries: Object.keys(nb.ingestCache.entries).length,
+        hits: nb.ingestCache.hits,
+        misses: nb.ingestCache.misses,
+        lastRun: nb.ingestCache.lastRun,
+      },
+      notebookCount: this.storage._listOwnedNotebooks(this.ownerId).length,
     };
   }
 }
 
+export class Storage {
+  constructor(persistence = createPersistence()) {
+    this.persistence = persistence;
+    this.notebooks = new Map();
+    // sessionId -> { ownerId, activeNotebookId, lastSeenAt }
+    this.sessions = new Map();
+    this.users = new Map();
+    // Login sessions, keyed by the SHA-256 hash of their bearer token
+    this.authSessions = new Map();
+
+    const snapshot = this.persistence.load();
+    if (snapshot) {
+      (snapshot.notebooks || []).forEach((nb) => this.notebooks.set(nb.id, nb));
+      Object.entries(snapshot.sessions || {}).forEach(([id, session]) => this.sessions.set(id, session));
+      (snapshot.users || []).forEach((user) => this.users.set(user.id, user));
+      (snapshot.authSessions || []).forEach((s) => this.authSessions.set(s.tokenHash, s));
+      console.log(`[Storage] Loaded ${this.notebooks.size} notebooks, ${this.users.size} users`);
+      // Accounts already exist: the oldest one takes over notebooks left without an owner
+      const oldest = Array.from(this.users.values()).sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0];
+      if (oldest) this._adoptOwnerlessNotebooks(oldest.id);
+    }
+  }
+
+  _snapshot() {
+    return {
+      notebooks: Array.from(this.notebooks.values()),
+      sessions: Object.fromEntries(this.sessions),
+      users: Array.from(this.users.values()),
+      authSessions: Array.from(this.authSessions.values()),
+    };
+  }
+
+  _persist() {
+    this.persistence.save(this._snapshot());
+  }
+
+  /**
+   * Write any pending changes immediately (e.g. before shutdown).
+   */
+  flush() {
+    this.persistence.flush();
+  }
+
+  _getOwnedNotebook(id, ownerId) {
+    const nb = this.notebooks.get(id);
+    return nb && nb.ownerId === ownerId ? nb : null;
+  }
+
+  _listOwnedNotebooks(ownerId) {
+    return Array.from(this.notebooks.values()).filter(n => n.ownerId === ownerId);
+  }
+
+  /**
+   * Every owner gets a Default Notebook, created on first use.
+   */
+  _ensureDefaultNotebook(ownerId) {
+    const existing = this._listOwnedNotebooks(ownerId).find(n => n.isDefault);
+    if (existing) return existing;
+    const id = `default-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    const notebook = newNotebook(id, 'Default Notebook', ownerId, true);
+    this.notebooks.set(id, notebook);
+    this._persist();
+    return notebook;
+  }
+
+  _setSessionNotebook(sessionId, ownerId, notebookId) {
+    this.sessions.set(sessionId, {
+      ownerId,
+      activeNotebookId: notebookId,
+      lastSeenAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Point every session that had this notebook active back at the default.
+   */
+  _releaseNotebook(notebookId, ownerId) {
+    const fallback = this._ensureDefaultNotebook(ownerId).id;
+    this.sessions.forEach((session) => {
+      if (session.activeNotebookId === notebookId) session.activeNotebookId = fallback;
+    });
+  }
+
+  /**
+   * Every Gemini file and local copy referenced by any notebook: by its
+   * sources, its ingest cache (Drive files) or its current study material.
+   * @returns {Array<{ownerId, notebookId, sourceId, fileUri, remoteName, localFile}>}
+   */
+  listFileReferences() {
+    const references = [];
+    this.notebooks.forEach((nb) => {
+      const add = (sourceId, { fileUri = null, remoteName = null, localFile = null }) =>
+        references.push({ ownerId: nb.ownerId, notebookId: nb.id, sourceId, fileUri, remoteName, localFile });
+
+      nb.sources.forEach((s) => {
+        if (s.fileUri || s.localFile) add(s.id, s);
+      });
+      Object.values(nb.ingestCache?.entries || {}).forEach((entry) => {
+        if (entry.remoteFile) add(entry.info?.id || null, entry.remoteFile);
+      });
+      (nb.studyMaterial?.contextParts || []).forEach((part) => {
+        if (part.fileData) add(null, { fileUri: part.fileData.fileUri });
+      });
+    });
+    return references;
+  }
+
+  /**
+   * Hand notebooks without an owner to a user. Notebooks from before accounts
+   * existed are migrated with `ownerId: null` (migration v2) and would
+   * otherwise be unreachable; the first account to sign up gets them.
+   * @returns {number} how many notebooks were adopted
+   */
+  _adoptOwnerlessNotebooks(userId) {
+    const ownerless = Array.from(this.notebooks.values()).filter((nb) => !nb.ownerId);
+    if (ownerless.length === 0) return 0;
+    // The owner keeps a single default notebook
+    let hasDefault = this._listOwnedNotebooks(userId).some((nb) => nb.isDefault);
+    for (const nb of ownerless) {
+      nb.ownerId = userId;
+      if (nb.isDefault && hasDefault) nb.isDefault = false;
+      hasDefault = hasDefault || !!nb.isDefault;
+    }
+    console.log(`[Storage] Gave ${ownerless.length} notebooks without an owner to user ${userId}`);
+    this._persist();
+    return ownerless.length;
+  }
+
+  createUser({ email, name, passwordHash }) {
+    const user = {
+      id: `u_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+      email,
+      name: name || email.split('@')[0],
+      passwordHash,
+      createdAt: new Date().toISOString(),
+    };
+    const first = this.users.size === 0;
+    this.users.set(user.id, user);
+    if (first) this._adoptOwnerlessNotebooks(user.id);
+    this._persist();
+    return user;
+  }
+
+  getUser(id) {
+    return this.users.get(id) || null;
+  }
+
+  findUserByEmail(email) {
+    return Array.from(this.users.values()).find((u) => u.email === email) || null;
+  }
+
+  createAuthSession(userId, tokenHash, expiresAt) {
+    const session = {
+      id: `s_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`,
+      userId,
+      tokenHash,
+      createdAt: new Date().toISOString(),
+      expiresAt,
+    };
+    this.authSessions.set(tokenHash, session);
+    this._persist();
+    return session;
+  }
+
+  findAuthSession(tokenHash) {
+    return this.authSessions.get(tokenHash) || null;
+  }
+
+  deleteAuthSession(tokenHash) {
+    const session = this.authSessions.get(tokenHash);
+    if (!session) return false;
+    this.authSessions.delete(tokenHash);
+    this.sessions.delete(session.id);
+    this._persist();
+    return true;
+  }
+
+  /**
+   * Resolve the notebook scope for a session.
+   * @param {Object} params - { sessionId, ownerId }
+   * @returns {NotebookScope}
+   */
+  forSession({ sessionId, ownerId }) {
+    const session = this.sessions.get(sessionId);
+    let notebookId = session?.activeNotebookId;
+    if (!session || session.ownerId !== ownerId || !this._getOwnedNotebook(notebookId, ownerId)) {
+      notebookId = this._ensureDefaultNotebook(ownerId).id;
+      this._setSessionNotebook(sessionId, ownerId, notebookId);
+      this._persist();
+    } else {
+      session.lastSeenAt = new Date().toISOString();
+    }
+    return new NotebookScope(this, { ownerId, sessionId, notebookId });
+  }
+}
+
 // Singleton instance
 const storage = new Storage();
 
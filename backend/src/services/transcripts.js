@@ -0,0 +1,160 @@
+import axios from 'axios';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Timestamped transcripts for video sources.
+ *
+ * Segments are `{ start, end, text }` in seconds. They come either from the
+ * video's own caption track (scraped from the watch page) or from an
+ * uploaded .srt/.vtt file, which works offline and on hosts where YouTube
+ * blocks scraping.
+ */
+
+const CUE_TIME = /(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})/;
+
+function cueTimeToSeconds(value) {
+  const match = String(value).match(CUE_TIME);
+  if (!match) return null;
+  const [, h, m, s, ms] = match;
+  return Number(h || 0) * 3600 + Number(m) * 60 + Number(s) + Number(ms.padEnd(3, '0')) / 1000;
+}
+
+function decodeEntities(text) {
+  return String(text || '')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, '\'')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)));
+}
+
+function cleanCueText(text) {
+  return decodeEntities(text)
+    .replace(/<[^>]+>/g, '') // inline styling / voice tags
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse SubRip (.srt) or WebVTT (.vtt) captions. Both are blocks separated
+ * by blank lines with a `start --> end` timing line, so one parser covers them.
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+export function parseCaptions(raw) {
+  const segments = [];
+  const blocks = String(raw || '').replace(/\r/g, '').split(/\n\s*\n/);
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex((line) => line.includes('-->'));
+    if (timingIndex === -1) continue; // WEBVTT header, NOTE and STYLE blocks
+    const [from, to] = lines[timingIndex].split('-->');
+    const start = cueTimeToSeconds(from);
+    const end = cueTimeToSeconds(to);
+    const text = cleanCueText(lines.slice(timingIndex + 1).join(' '));
+    if (start === null || end === null || !text) continue;
+    // Rolling auto-captions repeat the previous line; keep only new text
+    if (segments.length > 0 && segments[segments.length - 1].text === text) {
+      segments[segments.length - 1].end = end;
+      continue;
+    }
+    segments.push({ start, end, text });
+  }
+  return segments;
+}
+
+/**
+ * Parse YouTube's timedtext XML (`<text start="1.2" dur="3.4">...</text>`).
+ */
+export function parseTimedText(xml) {
+  const segments = [];
+  const cue = /<text start="([\d.]+)"(?: dur="([\d.]+)")?[^>]*>([\s\S]*?)<\/text>/g;
+  let match;
+  while ((match = cue.exec(String(xml || ''))) !== null) {
+    const start = Number(match[1]);
+    // timedtext escapes entities twice (e.g. `&amp;#39;`)
+    const text = cleanCueText(decodeEntities(match[3]));
+    if (!text) continue;
+    segments.push({ start, end: start + Number(match[2] || 0), text });
+  }
+  return segments;
+}
+
+/**
+ * Read the JSON array that follows `marker` in a page, matching brackets
+ * (the caption tracks contain nested arrays, so a regex cannot find the end).
+ */
+function extractJsonArray(html, marker) {
+  const at = html.indexOf(marker);
+  if (at === -1) return null;
+  const start = html.indexOf('[', at + marker.length);
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < html.length; i++) {
+    const ch = html[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '[') {
+      depth++;
+    } else if (ch === ']' && --depth === 0) {
+      try {
+        return JSON.parse(html.slice(start, i + 1));
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Fetch the caption track of a YouTube video.
+ * Prefers a manual track in YOUTUBE_CAPTION_LANG (default `en`), then an
+ * auto-generated one in that language, then the first track available.
+ * @param {string} videoId
+ * @returns {Promise<Array<{start: number, end: number, text: string}>>}
+ */
+export async function fetchYouTubeTranscript(videoId) {
+  const baseUrl = (process.env.YOUTUBE_BASE_URL || 'https://www.youtube.com').replace(/\/$/, '');
+  const lang = process.env.YOUTUBE_CAPTION_LANG || 'en';
+  const timeout = Number(process.env.YOUTUBE_TIMEOUT_MS) || 15000;
+
+  const page = await axios.get(`${baseUrl}/watch`, {
+    params: { v: videoId, hl: lang },
+    headers: { 'Accept-Language': `${lang},en;q=0.8` },
+    responseType: 'text',
+    timeout,
+  });
+
+  const tracks = extractJsonArray(String(page.data), '"captionTracks":');
+  if (!tracks) {
+    throw new Error('No captions available for this video');
+  }
+  const track =
+    tracks.find((t) => t.languageCode === lang && t.kind !== 'asr') ||
+    tracks.find((t) => t.languageCode === lang) ||
+    tracks[0];
+  if (!track?.baseUrl) {
+    throw new Error('No captions available for this video');
+  }
+
+  // Track URLs are absolute on youtube.com; keep them on the configured host
+  const trackUrl = new URL(track.baseUrl, baseUrl);
+  if (process.env.YOUTUBE_BASE_URL) {
+    const configured = new URL(baseUrl);
+    trackUrl.protocol = configured.protocol;
+    trackUrl.host = configured.host;
+  }
+
+  const captions = await axios.get(trackUrl.toString(), { timeout, responseType: 'text' });
+  const segments = parseTimedText(captions.data);
+  if (segments.length === 0) {
+    throw new Error('Caption track is empty');
+  }
+  return segments;
+}
@@ -1,9 +1,24 @@
-import pdfParse from 'pdf-parse';
-import mammoth from 'mammoth';
+import dotenv from 'dotenv';
 import fs from 'fs';
-import os from 'os';
 import path from 'path';
-import { uploadToGemini } from './fileManager.js';
+import pdfParse from 'pdf-parse';
+import mammoth from 'mammoth';
+import { uploadToGemini, describeUpload } from './fileManager.js';
+import { saveLocalCopy, moveIntoStore, localCopyPath, deleteLocalCopy } from './fileStore.js';
+import { parseCaptions } from './transcripts.js';
+import { extractPptx, extractEpub, extractHtmlDocument, extractSpreadsheet } from './documentExtractors.js';
+import { isOcrEnabled, recognizeImage, recognizePdfPages } from './ocr.js';
+import { isAudioFile } from './audioTranscription.js';
+
+dotenv.config();
+
+/**
+ * How PDF text reaches the model:
+ *   gemini - the file is sent to the Gemini File API; page text is kept for retrieval
+ *   local  - only the page text extracted here is used (no upload), so any
+ *            provider can read it and every citation can be checked
+ */
+export const PDF_EXTRACTION_MODES = ['gemini', 'local'];
 
 /**
  * Extract text from uploaded PDF file
@@ -19,6 +34,92 @@ export async function extractTextFromPDF(buffer) {
   }
 }
 
+/**
+ * Extract text per physical page from a PDF buffer.
+ * @returns {Promise<Array<{page: number, text: string}>>}
+ */
+export async function extractPdfPages(buffer) {
+  const pages = [];
+  try {
+    await pdfParse(buffer, {
+      // pdf-parse renders pages sequentially, so push order is page order
+      pagerender: (pageData) =>
+        pageData.getTextContent().then((textContent) => {
+          let lastY;
+          let text = '';
+          for (const item of textContent.items) {
+            text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+            lastY = item.transform[5];
+          }
+          pages.push({ page: pages.length + 1, text });
+          return text;
+        }),
+    });
+    return pages;
+  } catch (error) {
+    console.error('Error extracting PDF pages:', error.message);
+    throw new Error(`Failed to extract PDF: ${error.message}`);
+  }
+}
+
+/**
+ * Per-page text of a PDF. Pages without a text layer (scans) are read with
+ * OCR and carry `ocr: { confidence, lines }`, each line with its bounding box.
+ * OCR is slow, so this runs in the ingestion job, not in a request.
+ * @param {Object} options - { onProgress(percent) } while pages are recognized
+ * @returns {Promise<Array<{page: number, text: string, ocr?: Object}>>}
+ */
+export async function readPdfPages(buffer, { onProgress } = {}) {
+  const pages = await extractPdfPages(buffer);
+  const scanned = pages.filter((p) => !p.text.trim()).map((p) => p.page);
+  if (scanned.length === 0 || !isOcrEnabled()) return pages;
+
+  console.log(`[OCR] Recognizing ${scanned.length} page(s) without a text layer...`);
+  let recognized;
+  try {
+    recognized = await recognizePdfPages(buffer, scanned, { onProgress });
+  } catch (error) {
+    // The text layer is still usable; scanned pages stay empty
+    console.error('[OCR] Failed to recognize scanned pages:', error.message);
+    return pages;
+  }
+  return pages.map((p) => {
+    const ocr = recognized.get(p.page);
+    return ocr ? { page: p.page, text: ocr.text, ocr: { confidence: ocr.confidence, lines: ocr.lines } } : p;
+  });
+}
+
+/**
+ * A photo or scan as a single OCR'd page, or null when OCR is disabled,
+ * fails or finds no text.
+ */
+export async function readImagePage(buffer) {
+  if (!isOcrEnabled()) return null;
+  try {
+    const ocr = await recognizeImage(buffer);
+    if (!ocr.text) return null;
+    return { page: 1, text: ocr.text, ocr: { confidence: ocr.confidence, lines: ocr.lines } };
+  } catch (error) {
+    console.error('[OCR] Failed to recognize image:', error.message);
+    return null;
+  }
+}
+
+/**
+ * The PDF extraction mode for an upload: the requested one, else
+ * PDF_EXTRACTION, else `gemini`.
+ * @throws {Error} 400 for an unknown mode
+ */
+export function resolvePdfExtraction(requested) {
+  const mode = String(requested || process.env.PDF_EXTRACTION || 'gemini').trim().toLowerCase();
+  if (!PDF_EXTRACTION_MODES.includes(mode)) {
+    const error = new Error(`Invalid PDF extraction mode "${mode}". Use one of: ${PDF_EXTRACTION_MODES.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return mode;
+}
+
 /**
  * Extract text from DOCX file
  */
@@ -44,58 +145,152 @@ export function extractTextFromPlainText(buffer) {
   }
 }
 
+// Documents split into citable units (see documentExtractors.js), found by
+// extension or, for files named without one, by MIME type
+const UNIT_EXTRACTORS = [
+  { pattern: /\.pptx$/i, extension: '.pptx', mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', fileType: 'pptx', label: 'PowerPoint', extract: extractPptx },
+  { pattern: /\.epub$/i, extension: '.epub', mimeType: 'application/epub+zip', fileType: 'epub', label: 'EPUB', extract: extractEpub },
+  { pattern: /\.html?$/i, extension: '.html', mimeType: 'text/html', fileType: 'html', label: 'HTML', extract: extractHtmlDocument },
+  { pattern: /\.csv$/i, extension: '.csv', mimeType: 'text/csv', fileType: 'spreadsheet', label: 'spreadsheet', extract: extractSpreadsheet },
+  { pattern: /\.xlsx$/i, extension: '.xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', fileType: 'spreadsheet', label: 'spreadsheet', extract: extractSpreadsheet },
+];
+
+function findUnitExtractor(filename, mimetype) {
+  return UNIT_EXTRACTORS.find((e) => e.pattern.test(filename))
+    || UNIT_EXTRACTORS.find((e) => e.mimeType === mimetype)
+    || null;
+}
+
 /**
- * Upload local buffer to Gemini
+ * Units of a slide deck, e-book, HTML document or spreadsheet.
+ * @param {Buffer} buffer
+ * @param {string} filename
+ * @param {string} [mimetype] - decides the format when the name has no known extension
+ * @returns {Promise<Object|null>} { fileType, units }, or null for other file types
+ * @throws when the file cannot be read or has no text
  */
-async function uploadBufferToGemini(buffer, filename, mimetype) {
+export async function extractUnits(buffer, filename, mimetype) {
+  const extractor = findUnitExtractor(filename, mimetype);
+  if (!extractor) return null;
+  let extracted;
   try {
-    const tempFilePath = path.join(os.tmpdir(), `upload_${Date.now()}_${filename}`);
-    fs.writeFileSync(tempFilePath, buffer);
-
-    const uploadResult = await uploadToGemini(tempFilePath, mimetype);
-
-    fs.unlinkSync(tempFilePath);
+    // Extractors tell formats apart by extension (CSV or XLSX)
+    const name = extractor.pattern.test(filename) ? filename : `${filename}${extractor.extension}`;
+    extracted = await extractor.extract(buffer, name);
+  } catch (error) {
+    console.error(`Error extracting ${extractor.label}:`, error.message);
+    throw new Error(`Failed to extract ${extractor.label} file: ${error.message}`);
+  }
+  if (extracted.units.length === 0) {
+    throw new Error(`No text found in ${filename}`);
+  }
+  return { fileType: extractor.fileType, units: extracted.units };
+}
 
-    return uploadResult;
+/**
+ * Upload local buffer to Gemini, keeping a local copy so the file can be
+ * re-uploaded once Gemini expires it
+ * @returns {Promise<Object>} upload fields (see describeUpload) plus `localFile`
+ */
+async function uploadBufferToGemini(buffer, filename, mimetype) {
+  const localFile = saveLocalCopy(buffer, filename);
+  try {
+    const uploadResult = await uploadToGemini(localCopyPath(localFile), mimetype, filename);
+    return { ...describeUpload(uploadResult), localFile };
   } catch (error) {
+    deleteLocalCopy(localFile);
     console.error('Error uploading buffer to Gemini:', error.message);
     throw error;
   }
 }
 
+const EXTENSION_MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+};
+
 /**
  * Process uploaded file based on its type
+ * @param {Object} file - multer file stored on disk (`path`); recordings are
+ *   moved into the file store, other files are read into memory
+ * @param {Object} options - { pdfExtraction: 'gemini' | 'local' } (see resolvePdfExtraction)
  */
-export async function processUploadedFile(file) {
-  const { buffer, mimetype, originalname } = file;
+export async function processUploadedFile(file, { pdfExtraction } = {}) {
+  const { originalname } = file;
+  // Files sent as application/octet-stream are recognized by their extension
+  const mimetype = EXTENSION_MIME_TYPES[path.extname(originalname).toLowerCase()] || file.mimetype;
+  const audio = isAudioFile(mimetype, originalname);
+  const buffer = audio ? null : fs.readFileSync(file.path);
 
   // Handled types
-  // PDF -> Upload to Gemini
-  // Image -> Upload to Gemini (future proofing)
+  // PDF -> Upload to Gemini, or page text only (local extraction)
+  // Image -> Upload to Gemini, or OCR (local extraction)
+  // Scanned pages and images read locally are kept as a local copy and
+  // recognized with OCR by the ingestion job
   // DOCX -> Text Extract
+  // PPTX/EPUB/HTML/CSV/XLSX -> Units (slides, chapters, sections, sheets)
   // TXT/MD -> Text Extract
+  // MP3/M4A/WAV -> Moved into the file store, transcribed during ingestion
 
   let result = {
     fileName: originalname,
     fileType: 'unknown',
-    size: buffer.length,
+    size: file.size,
     text: '',
   };
 
-  if (mimetype === 'application/pdf') {
+  if (audio) {
+    // Recorded lecture: kept locally and transcribed by the ingestion job
+    result.localFile = moveIntoStore(file.path, originalname);
+    result.mimeType = mimetype;
+    result.fileType = 'audio';
+  } else if (mimetype === 'application/pdf' && resolvePdfExtraction(pdfExtraction) === 'local') {
+    console.log(`Processing PDF: ${originalname} with local text extraction...`);
+    result.fileType = 'pdf';
+    result.pdfExtraction = 'local';
+    result.pages = await extractPdfPages(buffer);
+    result.physicalPages = result.pages.length;
+    if (result.pages.some((p) => !p.text.trim()) && isOcrEnabled()) {
+      result.localFile = saveLocalCopy(buffer, originalname);
+      result.ocrPending = true;
+    } else if (!result.pages.some((p) => p.text.trim())) {
+      const error = new Error('No text found in this PDF. Upload it with Gemini extraction instead.');
+      error.statusCode = 400;
+      throw error;
+    }
+  } else if (mimetype === 'application/pdf') {
     // Upload to Gemini
     console.log(`Processing PDF: ${originalname} via Gemini File API...`);
-    const upload = await uploadBufferToGemini(buffer, originalname, mimetype);
+    Object.assign(result, await uploadBufferToGemini(buffer, originalname, mimetype));
     result.fileType = 'pdf';
-    result.fileUri = upload.uri;
-    result.mimeType = upload.mimeType; // explicit mimeType for Gemini prompt
-    result.text = ''; // No text extracted locally
+    result.pdfExtraction = 'gemini';
+    result.text = ''; // Prompting uses the Gemini file; pages are kept for retrieval
+    try {
+      // No OCR: Gemini reads scanned pages from the file itself
+      result.pages = await extractPdfPages(buffer);
+      result.physicalPages = result.pages.length;
+    } catch (e) {
+      // not critical; the source is still usable in full-context mode
+      result.pages = [];
+    }
   } else if (
     mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' ||
     originalname.endsWith('.docx')
   ) {
     result.text = await extractTextFromDocx(buffer);
     result.fileType = 'docx';
+  } else if (findUnitExtractor(originalname, mimetype)) {
+    Object.assign(result, await extractUnits(buffer, originalname, mimetype));
+  } else if (/\.(srt|vtt)$/i.test(originalname) || mimetype === 'text/vtt' || mimetype === 'application/x-subrip') {
+    // Caption files become timestamped transcripts
+    result.segments = parseCaptions(extractTextFromPlainText(buffer));
+    if (result.segments.length === 0) {
+      throw new Error('No captions found. Upload a valid SRT or WebVTT file.');
+    }
+    result.fileType = 'transcript';
   } else if (
     mimetype === 'text/plain' ||
     mimetype === 'text/markdown' ||
@@ -103,14 +298,27 @@ export async function processUploadedFile(file) {
     originalname.endsWith('.md')
   ) {
     result.text = extractTextFromPlainText(buffer);
-    result.fileType = originalname.endsWith('.md') ? 'markdown' : 'text';
+    result.fileType = originalname.endsWith('.md') || mimetype === 'text/markdown' ? 'markdown' : 'text';
   } else if (mimetype.startsWith('image/')) {
-    // Attempt image upload
-    console.log(`Processing Image: ${originalname} via Gemini File API...`);
-    const upload = await uploadBufferToGemini(buffer, originalname, mimetype);
+    // Photos and scans go to Gemini, or are read with OCR in local mode
     result.fileType = 'image';
-    result.fileUri = upload.uri;
-    result.mimeType = upload.mimeType;
+    result.pages = [];
+    if (resolvePdfExtraction(pdfExtraction) === 'local') {
+      if (!isOcrEnabled()) {
+        const error = new Error('Images are read with OCR, which is turned off. Upload it with Gemini extraction instead.');
+        error.statusCode = 400;
+        throw error;
+      }
+      result.localFile = saveLocalCopy(buffer, originalname);
+      result.ocrPending = true;
+      result.physicalPages = 1;
+      result.pdfExtraction = 'local';
+    } else {
+      console.log(`Processing Image: ${originalname} via Gemini File API...`);
+      Object.assign(result, await uploadBufferToGemini(buffer, originalname, mimetype));
+      result.physicalPages = null;
+      result.pdfExtraction = 'gemini';
+    }
   } else {
     throw new Error(`Unsupported file type: ${mimetype}`);
   }
@@ -129,119 +337,35 @@ export function isValidFileType(mimetype, filename) {
     'text/markdown',
     'image/jpeg',
     'image/png',
-    'image/webp'
+    'image/webp',
+    'text/vtt',
+    'application/x-subrip',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'application/epub+zip',
+    'text/html',
+    'text/csv',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
   ];
 
-  const validExtensions = ['.pdf', '.docx', '.txt', '.md', '.jpg', '.jpeg', '.png', '.webp'];
+  const validExtensions = [
+    '.pdf', '.docx', '.txt', '.md', '.jpg', '.jpeg', '.png', '.webp', '.srt', '.vtt',
+    '.pptx', '.epub', '.html', '.htm', '.csv', '.xlsx'
+  ];
 
   const hasValidMime = validMimeTypes.includes(mimetype);
   const hasValidExt = validExtensions.some(ext => filename.toLowerCase().endsWith(ext));
 
-  return hasValidMime || hasValidExt;
-}
-
-/**
- * Validate file size (max 10MB)
- */
-export function isValidFileSize(size, maxSizeMB = 10) {
-  const maxSizeBytes = maxSizeMB * 1024 * 1024;
-  return size <= maxSizeBytes;
-}
-
-/**
- * Extract text from uploaded PDF file
- */
-export async function extractTextFromPDF(buffer) {
-  try {
-    const data = await pdfParse(buffer);
-    return data.text;
-  } catch (error) {
-    console.error('Error extracting PDF:', error.message);
-    throw new Error(`Failed to extract PDF: ${error.message}`);
-  }
-}
-
-/**
- * Extract text from DOCX file
- */
-export async function extractTextFromDocx(buffer) {
-  try {
-    const result = await mammoth.extractRawText({ buffer });
-    return result.value;
-  } catch (error) {
-    console.error('Error extracting DOCX:', error.message);
-    throw new Error(`Failed to extract DOCX: ${error.message}`);
-  }
-}
-
-/**
- * Extract text from plain text file (TXT, MD)
- */
-export function extractTextFromPlainText(buffer) {
-  try {
-    return buffer.toString('utf-8');
-  } catch (error) {
-    console.error('Error reading text file:', error.message);
-    throw new Error(`Failed to read text file: ${error.message}`);
-  }
-}
-
-/**
- * Process uploaded file based on its type
- */
-export async function processUploadedFile(file) {
-  const { buffer, mimetype, originalname } = file;
-
-  // Determine file type and extract text
-  let text = '';
-  let fileType = 'unknown';
-
-  if (mimetype === 'application/pdf') {
-    text = await extractTextFromPDF(buffer);
-    fileType = 'pdf';
-  } else if (
-    mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' ||
-    originalname.endsWith('.docx')
-  ) {
-    text = await extractTextFromDocx(buffer);
-    fileType = 'docx';
-  } else if (
-    mimetype === 'text/plain' ||
-    mimetype === 'text/markdown' ||
-    originalname.endsWith('.txt') ||
-    originalname.endsWith('.md')
-  ) {
-    text = extractTextFromPlainText(buffer);
-    fileType = originalname.endsWith('.md') ? 'markdown' : 'text';
-  } else {
-    throw new Error(`Unsupported file type: ${mimetype}`);
-  }
-
-  return {
-    text,
-    fileType,
-    fileName: originalname,
-    size: buffer.length,
-  };
+  return hasValidMime || hasValidExt || isAudioFile(mimetype, filename);
 }
 
 /**
- * Validate file type
+ * Largest accepted upload in MB: AUDIO_MAX_UPLOAD_MB (default 100) for
+ * recordings, 10 for everything else. Without a file, the largest of the two.
  */
-export function isValidFileType(mimetype, filename) {
-  const validMimeTypes = [
-    'application/pdf',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'text/plain',
-    'text/markdown',
-  ];
-
-  const validExtensions = ['.pdf', '.docx', '.txt', '.md'];
-
-  const hasValidMime = validMimeTypes.includes(mimetype);
-  const hasValidExt = validExtensions.some(ext => filename.toLowerCase().endsWith(ext));
-
-  return hasValidMime || hasValidExt;
+export function maxUploadSizeMB(mimetype, filename) {
+  const audioMB = Number(process.env.AUDIO_MAX_UPLOAD_MB) || 100;
+  if (!mimetype && !filename) return Math.max(10, audioMB);
+  return isAudioFile(mimetype, filename) ? audioMB : 10;
 }
 
 /**
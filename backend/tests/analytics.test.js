@@ -0,0 +1,124 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  answerActivity,
+  buildProgress,
+  keywordConcepts,
+  masteryByConcept,
+  normalizeConcepts,
+  studyStreak,
+  tagConcepts,
+  timeStudied,
+} from '../src/services/analytics.js';
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+const at = (day, time = '12:00:00') => `2026-03-${String(day).padStart(2, '0')}T${time}Z`;
+
+const concepts = normalizeConcepts([
+  { name: 'Photosynthesis', keywords: ['chloroplast', 'light reaction'] },
+  { name: 'Osmosis', keywords: ['water potential'] },
+  { name: 'photosynthesis' },
+  { keywords: ['nameless'] },
+]);
+
+describe('normalizeConcepts and tagConcepts', () => {
+  it('keeps one concept per name, the name among its keywords', () => {
+    assert.deepEqual(concepts, [
+      { id: 'c_photosynthesis', name: 'Photosynthesis', keywords: ['Photosynthesis', 'chloroplast', 'light reaction'] },
+      { id: 'c_osmosis', name: 'Osmosis', keywords: ['Osmosis', 'water potential'] },
+    ]);
+  });
+
+  it('tags a text with every word of a keyword, plurals included', () => {
+    assert.deepEqual(tagConcepts('Chloroplasts capture light', concepts), ['c_photosynthesis']);
+    assert.deepEqual(tagConcepts('The light reactions and the water potential', concepts), ['c_photosynthesis', 'c_osmosis']);
+    assert.deepEqual(tagConcepts('Potential energy of light', concepts), []);
+  });
+});
+
+describe('keywordConcepts', () => {
+  it('ranks terms by the chunks they occur in, then by uses, and drops terms used once', () => {
+    const chunks = [
+      { text: 'Enzymes speed reactions. Enzymes fold.' },
+      { text: 'Enzymes need substrate; substrate binds.' },
+      { text: 'Membranes hold enzymes and membranes move.' },
+    ];
+    const names = keywordConcepts(chunks).map((c) => c.name);
+    assert.deepEqual(names.slice(0, 3), ['enzyme', 'substrate', 'membrane']);
+    assert.ok(!names.includes('fold'));
+  });
+
+  it('still finds topics in a single chunk', () => {
+    assert.deepEqual(keywordConcepts([{ text: 'Ribosomes build proteins. Ribosomes read RNA.' }]).map((c) => c.name), ['ribosome']);
+  });
+});
+
+describe('masteryByConcept', () => {
+  it('weighs recent answers more and lists the weakest concept first', () => {
+    const activity = [
+      { at: at(10), score: 0, concepts: ['c_osmosis'] },
+      { at: at(9), score: 1, concepts: ['c_photosynthesis'] },
+      { at: '2025-12-01T12:00:00Z', score: 0, concepts: ['c_photosynthesis'] },
+      { at: at(8), score: null, concepts: ['c_photosynthesis'] },
+    ];
+    const [osmosis, photosynthesis] = masteryByConcept(activity, concepts, NOW);
+    assert.deepEqual([osmosis.id, osmosis.mastery, osmosis.level], ['c_osmosis', 0.25, 'weak']);
+    assert.equal(photosynthesis.level, 'learning');
+    assert.ok(photosynthesis.mastery > 0.7 && photosynthesis.mastery < 0.8);
+    assert.deepEqual([photosynthesis.answers, photosynthesis.questionsAsked], [2, 1]);
+    assert.equal(photosynthesis.lastPracticedAt, at(9));
+  });
+
+  it('leaves concepts without answers untested', () => {
+    const [topic] = masteryByConcept([{ at: at(9), score: null, concepts: ['c_osmosis'] }], concepts.slice(1), NOW);
+    assert.deepEqual([topic.mastery, topic.level, topic.questionsAsked], [null, 'untested', 1]);
+  });
+});
+
+describe('studyStreak', () => {
+  const activity = [1, 2, 3, 7, 8, 9].map((day) => ({ at: at(day) }));
+
+  it('counts the current streak through yesterday when today has no activity yet', () => {
+    assert.deepEqual(studyStreak(activity, { now: NOW }), { current: 3, longest: 3, activeToday: false, activeDays: 6 });
+    assert.equal(studyStreak(activity, { now: new Date(at(11)) }).current, 0);
+  });
+
+  it('counts days in the browser time zone', () => {
+    // 23:30 UTC on the 10th is already the 11th at UTC+1
+    const late = [...activity, { at: at(10, '23:30:00') }];
+    assert.equal(studyStreak(late, { now: NOW }).current, 4);
+    assert.deepEqual(studyStreak(late, { now: new Date(at(10, '23:45:00')), tzOffset: -60 }), {
+      current: 1, longest: 3, activeToday: true, activeDays: 7,
+    });
+  });
+});
+
+describe('timeStudied', () => {
+  it('merges activity less than 15 minutes apart into one session', () => {
+    const activity = [
+      { at: at(10, '09:00:00'), seconds: 60 },
+      { at: at(10, '09:10:00'), seconds: 60 },
+      { at: at(10, '11:00:00'), seconds: 600 },
+      { at: at(2, '08:00:00'), seconds: 1800 },
+    ];
+    const time = timeStudied(activity, { now: NOW });
+    assert.deepEqual([time.sessions, time.totalMinutes, time.last7DaysMinutes], [3, 51, 21]);
+    assert.equal(time.byDay.length, 14);
+    assert.deepEqual(time.byDay.at(-1), { date: '2026-03-10', minutes: 21 });
+    assert.deepEqual(time.byDay.find((d) => d.date === '2026-03-02'), { date: '2026-03-02', minutes: 30 });
+  });
+});
+
+describe('buildProgress', () => {
+  it('lists weak topics and counts activity by kind', () => {
+    const results = [{ question: 'What is water potential?', correctAnswer: 'Tendency of water to move', score: 0, maxScore: 2 }];
+    const activity = [
+      ...answerActivity('quiz', results, { at: at(10) }).map((e) => ({ ...e, concepts: tagConcepts(e.text, concepts) })),
+      { kind: 'question', at: at(10), score: null, seconds: 60, concepts: [] },
+    ];
+    const progress = buildProgress({ activity, concepts, conceptsFrom: 'model' }, { now: NOW });
+    assert.deepEqual(progress.weakTopics, ['c_osmosis']);
+    assert.equal(progress.conceptsFrom, 'model');
+    assert.deepEqual(progress.activity, { questions: 1, quizAnswers: 1, examAnswers: 0, flashcardReviews: 0, untagged: 1, total: 2 });
+  });
+});
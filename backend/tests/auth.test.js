@@ -0,0 +1,101 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Keep the storage singleton off disk, with one-day sessions
+process.env.STORAGE_DRIVER = 'memory';
+process.env.AUTH_SESSION_TTL_DAYS = '1';
+const { authenticate, hashPassword, login, logout, register, verifyPassword } = await import('../src/services/authService.js');
+const { requireAuth } = await import('../src/middleware/auth.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+let accounts = 0;
+const newEmail = () => `student${++accounts}@example.com`;
+
+// A request with an optional Authorization header, as requireAuth reads it
+const request = (header) => ({ get: (name) => (name === 'Authorization' ? header : undefined) });
+const runMiddleware = (middleware, req) => {
+  let result;
+  middleware(req, {}, (err) => { result = err || null; });
+  return result;
+};
+
+afterEach(() => mock.restoreAll());
+
+describe('password hashing', () => {
+  it('stores scrypt hashes with their own salt', async () => {
+    const [a, b] = await Promise.all([hashPassword('correct horse'), hashPassword('correct horse')]);
+    assert.match(a, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    assert.notEqual(a, b);
+    assert.equal(await verifyPassword('correct horse', a), true);
+    assert.equal(await verifyPassword('correct horsE', a), false);
+  });
+
+  it('rejects hashes in any other format', async () => {
+    for (const stored of [null, '', 'plaintext', 'bcrypt$salt$hash', 'scrypt$$abc']) {
+      assert.equal(await verifyPassword('anything', stored), false, String(stored));
+    }
+  });
+});
+
+describe('accounts', () => {
+  it('registers with a normalized email and never exposes the password hash', async () => {
+    const email = newEmail();
+    const { token, user } = await register({ email: `  ${email.toUpperCase()} `, password: 'long enough', name: ' Ada ' });
+    assert.deepEqual([user.email, user.name, user.isAdmin], [email, 'Ada', false]);
+    assert.equal('passwordHash' in user, false);
+    assert.equal(authenticate(token).user.email, email);
+  });
+
+  it('validates the email and password length and refuses a taken email', async () => {
+    const email = newEmail();
+    await register({ email, password: 'long enough' });
+    await assert.rejects(register({ email: 'not-an-email', password: 'long enough' }), (err) => err.statusCode === 400);
+    await assert.rejects(register({ email: newEmail(), password: 'short' }), /at least 8 characters/);
+    await assert.rejects(register({ email, password: 'long enough' }), (err) => err.statusCode === 409);
+  });
+
+  it('logs in with the same 401 for an unknown email and a wrong password', async () => {
+    const email = newEmail();
+    await register({ email, password: 'long enough' });
+    assert.ok(authenticate((await login({ email, password: 'long enough' })).token));
+    for (const attempt of [{ email, password: 'wrong password' }, { email: newEmail(), password: 'long enough' }]) {
+      await assert.rejects(login(attempt), (err) => err.statusCode === 401 && err.message === 'Invalid email or password');
+    }
+  });
+});
+
+describe('login sessions', () => {
+  it('expire after AUTH_SESSION_TTL_DAYS and are removed when used after that', async () => {
+    const now = Date.now();
+    mock.method(Date, 'now', () => now);
+    const { token, expiresAt } = await register({ email: newEmail(), password: 'long enough' });
+    assert.equal(Date.parse(expiresAt), now + DAY_MS);
+
+    Date.now.mock.mockImplementation(() => now + DAY_MS);
+    assert.ok(authenticate(token));
+    Date.now.mock.mockImplementation(() => now + DAY_MS + 1);
+    assert.equal(authenticate(token), null);
+    Date.now.mock.mockImplementation(() => now);
+    assert.equal(authenticate(token), null);
+  });
+
+  it('end on logout', async () => {
+    const { token } = await register({ email: newEmail(), password: 'long enough' });
+    assert.equal(logout(token), true);
+    assert.equal(authenticate(token), null);
+    assert.equal(logout(token), false);
+  });
+
+  it('are required by requireAuth, which attaches the user and notebook scope', async () => {
+    const { token, user } = await register({ email: newEmail(), password: 'long enough' });
+    const req = request(`Bearer ${token}`);
+    assert.equal(runMiddleware(requireAuth, req), null);
+    assert.equal(req.user.id, user.id);
+    assert.equal(req.store.ownerId, user.id);
+    assert.equal(req.store.isDefaultActive(), true);
+
+    for (const header of [undefined, `Basic ${token}`, 'Bearer unknown']) {
+      assert.equal(runMiddleware(requireAuth, request(header)).statusCode, 401, String(header));
+    }
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  chunkPages,
+  chunkText,
+  chunkTranscript,
+  chunkUnits,
+  describeChunkLocation,
+  formatTimestamp,
+  parseTimestamp,
+} from '../src/services/chunker.js';
+
+const meta = { sourceId: 'src1', sourceName: 'Biology.pdf', sourceType: 'pdf' };
+// A sentence of exactly `length` characters
+const sentence = (length) => `${'x'.repeat(length - 1)}.`;
+
+describe('chunkText', () => {
+  it('merges short paragraphs into one chunk', () => {
+    const [chunk, ...rest] = chunkText('Osmosis moves water.\n\n  Diffusion   moves solutes.  \n\n\n', meta);
+    assert.equal(rest.length, 0);
+    assert.deepEqual(chunk, {
+      id: 'src1#0',
+      sourceId: 'src1',
+      sourceName: 'Biology.pdf',
+      sourceType: 'pdf',
+      text: 'Osmosis moves water.\n\nDiffusion moves solutes.',
+    });
+  });
+
+  it('keeps chunks under the target size, splitting long paragraphs between sentences', () => {
+    const paragraph = Array.from({ length: 5 }, () => sentence(500)).join(' ');
+    const chunks = chunkText(`${paragraph}\n\n${sentence(300)}`, meta);
+    assert.deepEqual(chunks.map((c) => c.text.length), [1001, 1001, 802]);
+    assert.deepEqual(chunks.map((c) => c.id), ['src1#0', 'src1#1', 'src1#2']);
+  });
+
+  it('falls back to the source name for the chunk id', () => {
+    assert.deepEqual(chunkText('Text.', { sourceName: 'Notes' }).map((c) => [c.id, c.sourceId]), [['Notes#0', null]]);
+  });
+});
+
+describe('chunkPages', () => {
+  it('never merges text across pages', () => {
+    const chunks = chunkPages([{ page: 1, text: 'Cells divide.' }, { page: 2, text: 'Cells grow.' }], meta);
+    assert.deepEqual(chunks.map((c) => [c.id, c.page, c.text]), [['src1#0', 1, 'Cells divide.'], ['src1#1', 2, 'Cells grow.']]);
+  });
+
+  it('keeps the OCR lines each chunk contains', () => {
+    const bbox = { x0: 0.1, y0: 0.1, x1: 0.9, y1: 0.2 };
+    const ocr = { lines: [{ text: 'Mitochondria  make ATP.', bbox }, { text: 'Elsewhere', bbox }, { text: 'No box' }] };
+    const [chunk] = chunkPages([{ page: 3, text: 'Mitochondria make ATP.\n\nNo box', ocr }], meta);
+    assert.deepEqual(chunk.regions, [{ text: 'Mitochondria  make ATP.', bbox }]);
+    assert.equal(chunkPages([{ page: 1, text: 'Typed' }], meta)[0].regions, undefined);
+  });
+});
+
+describe('chunkUnits', () => {
+  it('copies each unit location onto its chunks but not its title', () => {
+    const chunks = chunkUnits([
+      { slide: 1, title: 'Intro', text: 'Cells' },
+      { section: 'Osmosis', anchor: 'osmosis', text: 'Water moves' },
+    ], meta);
+    assert.deepEqual(chunks.map(({ id, text, ...rest }) => [id, text, rest.slide, rest.section, rest.anchor, rest.title]), [
+      ['src1#0', 'Cells', 1, undefined, undefined, undefined],
+      ['src1#1', 'Water moves', undefined, 'Osmosis', 'osmosis', undefined],
+    ]);
+  });
+});
+
+describe('chunkTranscript', () => {
+  it('groups segments into windows of at most 90 seconds', () => {
+    const segments = [0, 30, 60, 90, 120].map((start) => ({ start, end: start + 30, text: `At ${start}.` }));
+    const chunks = chunkTranscript(segments, { ...meta, sourceType: 'youtube' });
+    assert.deepEqual(chunks.map((c) => [c.start, c.end, c.text]), [
+      [0, 90, 'At 0. At 30. At 60.'],
+      [90, 150, 'At 90. At 120.'],
+    ]);
+  });
+
+  it('skips windows with no words', () => {
+    assert.deepEqual(chunkTranscript([{ start: 0, end: 5, text: '  ' }], meta), []);
+  });
+});
+
+describe('timestamps', () => {
+  it('formats seconds as MM:SS or H:MM:SS', () => {
+    assert.deepEqual([formatTimestamp(75), formatTimestamp(3725), formatTimestamp(-4), formatTimestamp(null)], ['01:15', '1:02:05', '00:00', '00:00']);
+  });
+
+  it('parses MM:SS and H:MM:SS and rejects anything else', () => {
+    assert.deepEqual(['1:15', '01:02:05', ' 12:00 '].map(parseTimestamp), [75, 3725, 720]);
+    assert.deepEqual(['1:75', '1:60:00', '90', 'soon', undefined].map(parseTimestamp), [null, null, null, null, null]);
+  });
+});
+
+describe('describeChunkLocation', () => {
+  it('names the location a citation would point at', () => {
+    assert.equal(describeChunkLocation({ page: 4 }), 'Page 4 (Physical)');
+    assert.equal(describeChunkLocation({ sheet: 'Results' }), 'Sheet "Results"');
+    assert.equal(describeChunkLocation({ start: 60, end: 150, sourceType: 'youtube' }), '01:00 – 02:30');
+    assert.equal(describeChunkLocation({ start: 0, end: 30, sourceType: 'audio' }), '00:00 – 00:30 (Audio)');
+    assert.equal(describeChunkLocation({}), 'Excerpt');
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeCitation, groundingScore, parseCitations } from '../src/services/citations.js';
+
+const material = {
+  stats: {
+    sources: [
+      { id: 'bio', name: 'Biology.pdf', type: 'pdf', physicalPages: 3 },
+      { id: 'yt', name: 'Osmosis lecture', type: 'youtube', url: 'https://www.youtube.com/watch?v=abc' },
+      { id: 'deck', name: 'Week 2.pptx', type: 'pptx', slideCount: 2 },
+      { id: 'web', name: 'Cell notes', type: 'url', url: 'https://example.com/cells', sections: [{ heading: 'The cell membrane', anchor: 'membrane' }] },
+      { id: 'sheet', name: 'Results.xlsx', type: 'xlsx', sheets: ['Trial data'] },
+      { id: 'novid', name: 'Untranscribed talk', type: 'youtube', url: 'https://youtu.be/xyz' },
+    ],
+  },
+  chunks: [
+    { sourceId: 'bio', sourceName: 'Biology.pdf', page: 1, text: 'Mitochondria release energy from glucose during aerobic respiration.' },
+    {
+      sourceId: 'bio',
+      sourceName: 'Biology.pdf',
+      page: 2,
+      text: 'Osmosis moves water across a partially permeable membrane.',
+      regions: [{ text: 'Osmosis moves water across a', bbox: { x0: 0.1, y0: 0.2, x1: 0.8, y1: 0.25 } }],
+    },
+    { sourceId: 'yt', sourceName: 'Osmosis lecture', start: 60, end: 120, text: 'Water moves from a dilute solution into a concentrated one.' },
+    { sourceId: 'deck', sourceName: 'Week 2.pptx', slide: 1, text: 'Diffusion spreads particles out.' },
+    { sourceId: 'web', sourceName: 'Cell notes', section: 'The cell membrane', text: 'The membrane controls what enters the cell.' },
+    { sourceId: 'sheet', sourceName: 'Results.xlsx', sheet: 'Trial data', text: 'Trial 1 | mass change | 0.4 g' },
+  ],
+};
+
+const one = (answer) => {
+  const [citation] = parseCitations(answer, material);
+  return citation;
+};
+
+describe('parseCitations', () => {
+  it('reads the source, page and quote of a document citation', () => {
+    const citation = one('Water crosses membranes.\n\n📄 Source: "Biology.pdf", Page 2 (Physical) — "Osmosis moves water across a"');
+    assert.deepEqual(
+      [citation.id, citation.sourceId, citation.type, citation.page, citation.quote, citation.label],
+      ['c1', 'bio', 'page', 2, 'Osmosis moves water across a', 'Biology.pdf · Page 2'],
+    );
+    assert.equal(citation.status, 'verified');
+    assert.deepEqual(citation.bbox, { x0: 0.1, y0: 0.2, x1: 0.8, y1: 0.25 });
+  });
+
+  it('links video citations to their start time', () => {
+    const citation = one('🎥 Source: "Osmosis lecture", 02:00 – 01:05 (YouTube)');
+    assert.deepEqual([citation.type, citation.start, citation.end], ['timestamp', 65, 120]);
+    assert.equal(citation.url, 'https://www.youtube.com/watch?v=abc&t=65s');
+    assert.equal(citation.label, 'Osmosis lecture · 01:05 – 02:00');
+  });
+
+  it('reads slides, sections and sheets and links sections to their anchor', () => {
+    const [slide, section, sheet] = parseCitations([
+      'Particles spread out.\n📄 Source: "Week 2.pptx", Slide 1',
+      'The membrane is selective.\n📄 Source: "Cell notes", Section "the cell membrane"',
+      'Mass changed by 0.4 g.\n📄 Source: "Results.xlsx", Sheet "trial data"',
+    ].join('\n\n'), material);
+    assert.deepEqual([slide.type, slide.slide, slide.status], ['slide', 1, 'verified']);
+    assert.deepEqual([section.section, section.url, section.status], ['The cell membrane', 'https://example.com/cells#membrane', 'verified']);
+    assert.deepEqual([sheet.sheet, sheet.label, sheet.status], ['Trial data', 'Results.xlsx · Sheet Trial data', 'verified']);
+  });
+
+  it('resolves unquoted and partial source names', () => {
+    assert.equal(one('📄 Source: Biology, Page 1').sourceId, 'bio');
+    assert.equal(one('📄 Source: "Week 2", Slide 1').sourceId, 'deck');
+  });
+
+  it('merges repeats of the same citation, keeping the best status', () => {
+    const citations = parseCitations([
+      'Unrelated words here.\n📄 Source: "Biology.pdf", Page 1',
+      'Mitochondria release energy from glucose.\n📄 Source: "Biology.pdf", Page 1',
+    ].join('\n\n'), material);
+    assert.deepEqual(citations.map((c) => [c.id, c.status]), [['c1', 'verified']]);
+  });
+
+  it('returns nothing for an answer without citations', () => {
+    assert.deepEqual(parseCitations('Osmosis moves water.', material), []);
+    assert.deepEqual(parseCitations('', material), []);
+  });
+});
+
+describe('citation verification', () => {
+  it('verifies a claim whose terms appear at the cited location', () => {
+    const citation = one('Mitochondria release energy from glucose.\n📄 Source: "Biology.pdf", Page 1');
+    assert.deepEqual([citation.status, citation.overlap], ['verified', 1]);
+  });
+
+  it('marks a claim the cited page does not support as unverified', () => {
+    const citation = one('Mitochondria release energy from glucose.\n📄 Source: "Biology.pdf", Page 2');
+    assert.equal(citation.status, 'unverified');
+    assert.ok(citation.overlap < 0.4);
+  });
+
+  it('marks unknown sources and locations the source does not have as invalid', () => {
+    const unknown = one('📄 Source: "Chemistry.pdf", Page 1');
+    assert.deepEqual([unknown.status, unknown.sourceName, unknown.sourceId], ['invalid', 'Chemistry.pdf', null]);
+    assert.equal(one('Cells.\n📄 Source: "Biology.pdf", Page 9').status, 'invalid');
+    assert.equal(one('Cells.\n📄 Source: "Week 2.pptx", Slide 3').status, 'invalid');
+    assert.equal(one('Cells.\n📄 Source: "Cell notes", Section "Nucleus"').status, 'invalid');
+    assert.equal(one('Water.\n🎥 Source: "Osmosis lecture", 45:00 – 46:00 (YouTube)').status, 'invalid');
+  });
+
+  it('allows 30 seconds of slack around cited timestamps', () => {
+    const citation = one('Water moves into a concentrated solution.\n🎥 Source: "Osmosis lecture", 02:20 – 02:40 (YouTube)');
+    assert.equal(citation.status, 'verified');
+  });
+
+  it('cannot verify sources without local text', () => {
+    assert.equal(one('Anything.\n🎥 Source: "Untranscribed talk", 01:00 – 02:00 (YouTube)').status, 'unverifiable');
+  });
+});
+
+describe('groundingScore', () => {
+  it('averages the status weights of the citations', () => {
+    const statuses = ['verified', 'unverifiable', 'unverified', 'invalid'].map((status) => ({ status }));
+    assert.equal(groundingScore(statuses), 0.44);
+    assert.equal(groundingScore([{ status: 'verified' }]), 1);
+    assert.equal(groundingScore([]), 0);
+  });
+});
+
+describe('describeCitation', () => {
+  it('shows a single time for a zero-length range', () => {
+    assert.equal(describeCitation({ type: 'timestamp', sourceName: 'Lecture', start: 75, end: 75 }), 'Lecture · 01:15');
+    assert.equal(describeCitation({ type: 'source', sourceName: 'Notes' }), 'Notes');
+  });
+});
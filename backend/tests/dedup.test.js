@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  contentHash,
+  findDuplicate,
+  findIngestedNearDuplicates,
+  findNearDuplicates,
+  normalizeSourceUrl,
+} from '../src/services/dedup.js';
+
+// `count` distinct words, so no two shingles repeat
+const words = (from, count) => Array.from({ length: count }, (_, i) => `word${from + i}`).join(' ');
+
+describe('normalizeSourceUrl', () => {
+  it('spells every YouTube link to a video the same way', () => {
+    for (const url of [
+      'https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=42s',
+      'https://youtu.be/dQw4w9WgXcQ?si=abc',
+      'https://m.youtube.com/watch?feature=share&v=dQw4w9WgXcQ',
+      'https://www.youtube.com/embed/dQw4w9WgXcQ',
+      'https://youtube.com/shorts/dQw4w9WgXcQ',
+    ]) {
+      assert.equal(normalizeSourceUrl(url), 'youtube:dQw4w9WgXcQ', url);
+    }
+  });
+
+  it('spells Drive resources by kind and ID', () => {
+    assert.equal(normalizeSourceUrl('https://drive.google.com/file/d/abc123/view?usp=sharing'), 'drive:file:abc123');
+    assert.equal(normalizeSourceUrl('https://drive.google.com/file/d/abc123/edit'), 'drive:file:abc123');
+    assert.equal(normalizeSourceUrl('https://docs.google.com/document/d/doc1/edit#heading=h.1'), 'drive:document:doc1');
+  });
+
+  it('drops scheme, www, fragment, tracking parameters and trailing slash from other pages', () => {
+    const spelling = 'example.com/notes/cells?a=1&b=2';
+    assert.equal(normalizeSourceUrl('https://www.example.com/notes/cells/?b=2&utm_source=mail&a=1#top'), spelling);
+    assert.equal(normalizeSourceUrl('http://example.com/notes/cells?fbclid=x&a=1&b=2'), spelling);
+    assert.notEqual(normalizeSourceUrl('https://example.com:8080/notes/cells?a=1&b=2'), spelling);
+  });
+
+  it('returns null for something that is not a URL', () => {
+    assert.equal(normalizeSourceUrl('not a url'), null);
+    assert.equal(normalizeSourceUrl(undefined), null);
+  });
+});
+
+describe('findDuplicate', () => {
+  const sources = [
+    { id: 'pdf', name: 'Cells.pdf', contentHash: contentHash(Buffer.from('%PDF cells')) },
+    { id: 'video', name: 'Lecture', url: 'https://youtu.be/dQw4w9WgXcQ' },
+    { id: 'note', name: 'Note', type: 'text', content: 'Osmosis  moves\nwater.' },
+  ];
+
+  it('matches the same bytes, the same resource or the same text', () => {
+    assert.equal(findDuplicate({ contentHash: contentHash(Buffer.from('%PDF cells')) }, sources)?.id, 'pdf');
+    assert.equal(findDuplicate({ url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ' }, sources)?.id, 'video');
+    assert.equal(findDuplicate({ type: 'text', content: ' Osmosis moves water. ' }, sources)?.id, 'note');
+  });
+
+  it('ignores the source itself and anything different', () => {
+    assert.equal(findDuplicate(sources[1], sources), null);
+    assert.equal(findDuplicate({ url: 'https://youtu.be/other' }, sources), null);
+    assert.equal(findDuplicate({ type: 'text', content: 'Diffusion moves solutes.' }, sources), null);
+  });
+});
+
+describe('findNearDuplicates', () => {
+  it('finds an excerpt of a longer source and an exported copy', () => {
+    const book = { id: 'book', name: 'Book', pages: [{ text: words(0, 30) }, { text: words(30, 30) }] };
+    const copy = { id: 'copy', name: 'Book.docx', units: [{ text: words(0, 60) }] };
+    const other = { id: 'other', name: 'Other', text: words(500, 60) };
+    const chapter = { id: 'chapter', text: words(10, 30) };
+
+    assert.deepEqual(findNearDuplicates(chapter, [book, copy, other]), [
+      { id: 'book', name: 'Book', similarity: 1 },
+      { id: 'copy', name: 'Book.docx', similarity: 1 },
+    ]);
+  });
+
+  it('skips texts too short to compare', () => {
+    assert.deepEqual(findNearDuplicates({ id: 'a', text: words(0, 10) }, [{ id: 'b', text: words(0, 10) }]), []);
+  });
+});
+
+describe('findIngestedNearDuplicates', () => {
+  it('compares sources by the text ingestion extracted and reports each pair once', () => {
+    // Drive files and web pages keep no text of their own
+    const sources = [
+      { id: 'drive', name: 'Notes.pdf', type: 'drive' },
+      { id: 'page', name: 'Notes page', type: 'url' },
+      { id: 'copy', name: 'Pasted', type: 'text', content: words(0, 40) },
+      { id: 'other', name: 'Other', type: 'text', content: words(500, 40) },
+    ];
+    const chunks = [
+      { sourceId: 'drive', text: words(0, 20) },
+      { sourceId: 'drive', text: words(20, 20) },
+      { sourceId: 'page', text: words(0, 40) },
+    ];
+    const pairs = findIngestedNearDuplicates([sources[0], sources[1]], sources, chunks);
+    assert.deepEqual(pairs.map((p) => [p.source.id, p.similarTo.id]), [['drive', 'page'], ['drive', 'copy'], ['page', 'copy']]);
+  });
+});
@@ -0,0 +1,131 @@
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import {
+  extractEpub,
+  extractHtmlDocument,
+  extractPptx,
+  extractSpreadsheet,
+  parseCsv,
+} from '../src/services/documentExtractors.js';
+
+const zip = (files) => {
+  const archive = new JSZip();
+  for (const [name, content] of Object.entries(files)) archive.file(name, content);
+  return archive.generateAsync({ type: 'nodebuffer' });
+};
+
+const PPTX_NS = 'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"';
+const shape = (placeholder, paragraphs) => `<p:sp><p:nvSpPr><p:nvPr>${placeholder ? `<p:ph type="${placeholder}"/>` : ''}</p:nvPr></p:nvSpPr><p:txBody>${paragraphs
+  .map((p) => `<a:p>${p.split('|').map((run) => `<a:r><a:t>${run}</a:t></a:r>`).join('')}</a:p>`)
+  .join('')}</p:txBody></p:sp>`;
+const slide = (...shapes) => `<p:sld ${PPTX_NS}><p:cSld><p:spTree>${shapes.join('')}</p:spTree></p:cSld></p:sld>`;
+
+// Slides are listed out of file order: the deck order comes from presentation.xml
+const deck = () => zip({
+  'ppt/presentation.xml': `<p:presentation ${PPTX_NS}><p:sldIdLst><p:sldId id="256" r:id="rId2"/><p:sldId id="257" r:id="rId3"/></p:sldIdLst></p:presentation>`,
+  'ppt/_rels/presentation.xml.rels': '<Relationships><Relationship Id="rId3" Type="x/slide" Target="slides/slide1.xml"/><Relationship Id="rId2" Type="x/slide" Target="slides/slide2.xml"/></Relationships>',
+  'ppt/slides/slide2.xml': slide(shape('title', ['Kinked Demand']), shape(null, ['Prices are |sticky.', 'Rivals match cuts']), shape('sldNum', ['7'])),
+  'ppt/slides/_rels/slide2.xml.rels': '<Relationships><Relationship Id="rId1" Type="http://x/notesSlide" Target="../notesSlides/notesSlide1.xml"/></Relationships>',
+  'ppt/notesSlides/notesSlide1.xml': `<p:notes ${PPTX_NS}><p:cSld><p:spTree>${shape('sldImg', [])}${shape('body', ['Mention Sweezy.'])}${shape('sldNum', ['7'])}</p:spTree></p:cSld></p:notes>`,
+  'ppt/slides/slide1.xml': slide(shape('ctrTitle', ['Game Theory']), shape(null, ['Cartels are unstable.'])),
+});
+
+const chapterText = 'Oligopolies are markets with few sellers where each firm weighs how its rivals will react. '.repeat(3);
+const book = () => zip({
+  mimetype: 'application/epub+zip',
+  'META-INF/container.xml': '<container><rootfiles><rootfile full-path="OEBPS/content.opf"/></rootfiles></container>',
+  'OEBPS/content.opf': `<package><metadata xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:title> Micro Book </dc:title></metadata>
+    <manifest><item id="nav" href="nav.xhtml" properties="nav"/><item id="c1" href="text/ch1.xhtml"/><item id="c2" href="text/ch%202.xhtml"/><item id="cover" href="cover.xhtml"/></manifest>
+    <spine><itemref idref="cover"/><itemref idref="nav"/><itemref idref="c2"/><itemref idref="c1"/></spine></package>`,
+  'OEBPS/cover.xhtml': '<html><body><p>Cover</p></body></html>',
+  'OEBPS/nav.xhtml': `<html><body><nav><ol><li>${chapterText}</li></ol></nav></body></html>`,
+  'OEBPS/text/ch1.xhtml': `<html><body><h1>Game Theory</h1><p>${chapterText}</p></body></html>`,
+  'OEBPS/text/ch 2.xhtml': `<html><body><h1>Market Structures</h1><p>${chapterText}</p></body></html>`,
+});
+
+const workbook = () => zip({
+  'xl/workbook.xml': '<workbook xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Payoffs" sheetId="1" r:id="rId1"/><sheet name="Empty" sheetId="2" r:id="rId2"/></sheets></workbook>',
+  'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Type="x/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="x/worksheet" Target="worksheets/sheet2.xml"/></Relationships>',
+  'xl/sharedStrings.xml': '<sst><si><t>Firm</t></si><si><t>Profit</t></si><si><r><t>Firm </t></r><r><t>A|B</t></r></si></sst>',
+  'xl/worksheets/sheet1.xml': `<worksheet><sheetData>
+    <row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row>
+    <row r="2"><c r="A2" t="s"><v>2</v></c><c r="C2"><v>42.5</v></c></row>
+    <row r="3"><c r="A3" t="inlineStr"><is><t>Cheat</t></is></c><c r="B3" t="b"><v>1</v></c></row>
+  </sheetData></worksheet>`,
+  'xl/worksheets/sheet2.xml': '<worksheet><sheetData><row r="1"><c r="A1"><v> </v></c></row></sheetData></worksheet>',
+});
+
+describe('extractPptx', () => {
+  it('numbers slides in deck order with title, body and speaker notes', async () => {
+    const { units } = await extractPptx(await deck());
+    assert.deepEqual(units, [
+      { slide: 1, title: 'Kinked Demand', text: 'Kinked Demand\nPrices are sticky.\nRivals match cuts\n\nSpeaker notes: Mention Sweezy.' },
+      { slide: 2, title: 'Game Theory', text: 'Game Theory\nCartels are unstable.' },
+    ]);
+  });
+
+  it('rejects other zip files', async () => {
+    await assert.rejects(extractPptx(await zip({ 'word/document.xml': '<w:document/>' })), /Not a PowerPoint/);
+  });
+});
+
+describe('extractEpub', () => {
+  it('numbers chapters in spine order and skips the cover and table of contents', async () => {
+    const { title, units } = await extractEpub(await book());
+    assert.equal(title, 'Micro Book');
+    assert.deepEqual(units.map((u) => [u.chapter, u.title]), [[1, 'Market Structures'], [2, 'Game Theory']]);
+    assert.match(units[0].text, /^Market Structures\n\nOligopolies are markets/);
+  });
+
+  it('rejects archives without a package document', async () => {
+    await assert.rejects(extractEpub(await zip({ mimetype: 'application/epub+zip' })), /Not an EPUB file/);
+  });
+});
+
+describe('extractHtmlDocument', () => {
+  it('cites sections by heading and anchor', () => {
+    const html = '<html><head><title>Notes</title></head><body><h2 id="elastic">Elasticity</h2><p>Demand is elastic when quantity responds strongly to price.</p></body></html>';
+    const { title, units } = extractHtmlDocument(Buffer.from(html));
+    assert.equal(title, 'Notes');
+    assert.deepEqual(units.map((u) => [u.section, u.anchor, u.text]), [['Elasticity', 'elastic', 'Demand is elastic when quantity responds strongly to price.']]);
+  });
+});
+
+describe('parseCsv', () => {
+  it('detects the delimiter and reads quoted fields', () => {
+    assert.deepEqual(parseCsv('\uFEFFYear;Price;Note\r\n2020;10,5;"quoted; field"\n2021;11;"has ""quotes""\nand a line break"\n;;\n'), [
+      ['Year', 'Price', 'Note'],
+      ['2020', '10,5', 'quoted; field'],
+      ['2021', '11', 'has "quotes"\nand a line break'],
+    ]);
+    assert.deepEqual(parseCsv('a\tb\n1\t2'), [['a', 'b'], ['1', '2']]);
+  });
+});
+
+describe('extractSpreadsheet', () => {
+  let xlsx;
+  before(async () => { xlsx = await workbook(); });
+
+  it('renders each worksheet as a markdown table, placing cells by column', async () => {
+    const { sheets, units } = await extractSpreadsheet(xlsx, 'payoffs.xlsx');
+    assert.deepEqual(sheets, ['Payoffs', 'Empty']);
+    assert.deepEqual(units, [{
+      sheet: 'Payoffs',
+      text: '| Firm | Profit |  |\n| --- | --- | --- |\n| Firm A\\|B |  | 42.5 |\n| Cheat | TRUE |  |',
+    }]);
+  });
+
+  it('names a CSV sheet after the file and repeats the header in blocks of 25 rows', async () => {
+    const csv = ['n,square', ...Array.from({ length: 30 }, (_, i) => `${i},${i * i}`)].join('\n');
+    const { sheets, units } = await extractSpreadsheet(Buffer.from(csv), 'squares.csv');
+    assert.deepEqual(sheets, ['squares']);
+    assert.equal(units.length, 2);
+    assert.ok(units.every((u) => u.sheet === 'squares' && u.text.startsWith('| n | square |\n| --- | --- |\n')));
+    assert.deepEqual(units.map((u) => u.text.split('\n').length - 2), [25, 5]);
+  });
+
+  it('rejects zip files that are not workbooks', async () => {
+    await assert.rejects(extractSpreadsheet(await zip({ 'a.txt': 'x' }), 'book.xlsx'), /Not an Excel/);
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  attemptTiming,
+  clampDuration,
+  isAttemptOpen,
+  markExam,
+  normalizeBlueprint,
+  normalizeExamQuestion,
+  toPublicExam,
+} from '../src/services/exam.js';
+
+const exam = {
+  id: 'ex_1',
+  title: 'Biology Paper 1',
+  durationMinutes: 30,
+  totalMarks: 7,
+  attempts: [],
+  sections: [
+    {
+      id: 's1',
+      title: 'Section A',
+      questions: [
+        { id: 'q1', type: 'multiple_choice', marks: 1, question: 'Where does photosynthesis happen?', options: ['Mitochondria', 'Chloroplasts'], answer: 1 },
+        { id: 'q2', type: 'true_false', marks: 2, question: 'Plants release oxygen.', answer: true },
+      ],
+    },
+    {
+      id: 's2',
+      title: 'Section B',
+      questions: [{
+        id: 'q3',
+        type: 'long_answer',
+        marks: 4,
+        question: 'Explain how plants make glucose.',
+        answer: 'Photosynthesis turns light, water and carbon dioxide into glucose.',
+        markingScheme: [{ point: 'Uses light energy', marks: 3 }, { point: 'Absorbs carbon dioxide', marks: 1 }],
+      }],
+    },
+  ],
+};
+
+describe('normalizeBlueprint', () => {
+  it('keeps sections with questions, defaulting types, marks and titles', () => {
+    const blueprint = normalizeBlueprint({
+      title: ' Paper 1 ',
+      durationMinutes: '90',
+      sections: [
+        { questions: [{ type: 'Multiple Choice', marks: 1 }, { type: 'essay', marks: '6', style: 'explain question' }] },
+        { title: 'Empty', questions: [] },
+        { title: 'Part C', questions: [{ type: 'true/false', marks: 0 }] },
+      ],
+    });
+    assert.deepEqual(blueprint, {
+      title: 'Paper 1',
+      durationMinutes: 90,
+      instructions: '',
+      sections: [
+        { title: 'Section A', instructions: '', questions: [{ type: 'multiple_choice', marks: 1, style: '' }, { type: 'short_answer', marks: 6, style: 'explain question' }] },
+        { title: 'Part C', instructions: '', questions: [{ type: 'true_false', marks: 1, style: '' }] },
+      ],
+      totalMarks: 8,
+    });
+    assert.equal(normalizeBlueprint({ sections: [{ questions: [] }] }), null);
+  });
+
+  it('clamps the time allowed to 5-300 minutes', () => {
+    assert.deepEqual([clampDuration(2), clampDuration(600), clampDuration('45'), clampDuration('soon')], [5, 300, 45, null]);
+  });
+});
+
+describe('normalizeExamQuestion', () => {
+  const slot = { type: 'long_answer', marks: 5, style: 'explain question' };
+
+  it('keeps the marks of the marking scheme points when they add up to the slot', () => {
+    const question = normalizeExamQuestion({
+      question: 'Explain osmosis.',
+      answer: 'Water moves across a membrane.',
+      markingScheme: [{ point: 'Water', marks: 2 }, { point: 'Membrane', marks: 3 }],
+    }, slot);
+    assert.deepEqual(question.markingScheme.map((p) => p.marks), [2, 3]);
+    assert.deepEqual([question.type, question.marks, question.style], ['long_answer', 5, 'explain question']);
+  });
+
+  it('spreads the marks evenly otherwise, dropping points beyond one mark each', () => {
+    const points = (n) => Array.from({ length: n }, (_, i) => `Point ${i + 1}`);
+    const marks = (scheme, marksForSlot) => normalizeExamQuestion({ question: 'Q?', answer: 'A', markingScheme: scheme }, { ...slot, marks: marksForSlot })
+      .markingScheme.map((p) => p.marks);
+    assert.deepEqual(marks(points(3), 5), [2, 2, 1]);
+    assert.deepEqual(marks(points(7), 5), [1, 1, 1, 1, 1]);
+    assert.deepEqual(normalizeExamQuestion({ question: 'Q?', answer: 'A' }, slot).markingScheme, [{ point: 'A', marks: 5 }]);
+  });
+
+  it('takes the type from the slot and drops malformed questions', () => {
+    const choice = normalizeExamQuestion({ type: 'short_answer', question: 'Q?', options: ['A', 'B'], answer: 'B' }, { type: 'multiple_choice', marks: 2 });
+    assert.deepEqual([choice.type, choice.answer, choice.marks], ['multiple_choice', 1, 2]);
+    assert.equal(normalizeExamQuestion({ question: 'Q?' }, slot), null);
+  });
+});
+
+describe('toPublicExam', () => {
+  it('hides answers and marking schemes and totals marks per section', () => {
+    const { sections } = toPublicExam(exam);
+    assert.deepEqual(sections.map((s) => s.marks), [3, 4]);
+    assert.deepEqual(sections.flatMap((s) => s.questions.map(Object.keys)), [
+      ['id', 'type', 'marks', 'question', 'options'],
+      ['id', 'type', 'marks', 'question'],
+      ['id', 'type', 'marks', 'question'],
+    ]);
+  });
+});
+
+describe('markExam', () => {
+  it('marks choice questions all or nothing and written answers by scheme point', async () => {
+    const grader = async () => ({ q3: { met: [true, false], feedback: 'Mention carbon dioxide.' } });
+    const report = await markExam(exam, { q1: 1, q2: false, q3: 'Light energy is used.' }, grader);
+    assert.deepEqual([report.score, report.maxScore, report.percent], [4, 7, 57]);
+    assert.deepEqual(report.sections.map((s) => [s.id, s.score, s.maxScore, s.percent]), [['s1', 1, 3, 33], ['s2', 3, 4, 75]]);
+    assert.deepEqual(report.sections[1].results[0].rubric.map((p) => [p.met, p.marks]), [[true, 3], [false, 1]]);
+  });
+
+  it('scores unanswered questions 0', async () => {
+    const report = await markExam(exam, {}, async () => ({}));
+    assert.deepEqual(report.sections.map((s) => s.score), [0, 0]);
+  });
+});
+
+describe('attempt timing', () => {
+  const attempt = { startedAt: '2026-03-10T09:00:00Z', endsAt: '2026-03-10T09:30:00Z' };
+  const at = (time) => new Date(`2026-03-10T${time}Z`);
+
+  it('counts the time taken and allows a minute of grace before overtime', () => {
+    assert.deepEqual(attemptTiming(attempt, at('09:20:30')), { timeTakenSeconds: 1230, overtime: false });
+    assert.deepEqual(attemptTiming(attempt, at('09:31:00')), { timeTakenSeconds: 1860, overtime: false });
+    assert.deepEqual(attemptTiming(attempt, at('09:31:01')), { timeTakenSeconds: 1861, overtime: true });
+  });
+
+  it('keeps an attempt open until it is handed in or its time and grace are up', () => {
+    assert.equal(isAttemptOpen(attempt, at('09:31:00')), true);
+    assert.equal(isAttemptOpen(attempt, at('09:31:01')), false);
+    assert.equal(isAttemptOpen({ ...attempt, submittedAt: '2026-03-10T09:10:00Z' }, at('09:15:00')), false);
+  });
+});
@@ -0,0 +1,27 @@
+import http from 'http';
+
+/**
+ * A local HTTP server for tests. `routes` maps a path (without the query
+ * string) to a handler `(req, res, url)`; other paths get a 404.
+ * @returns {Promise<{baseUrl: string, close: Function}>}
+ */
+export async function startFixtureServer(routes) {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const handler = routes[url.pathname];
+    if (!handler) {
+      res.statusCode = 404;
+      res.end('Not found');
+      return;
+    }
+    handler(req, res, url);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
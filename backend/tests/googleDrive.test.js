@@ -0,0 +1,148 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { downloadDriveFile, parseDriveUrl, resolveDriveLink } from '../src/services/googleDrive.js';
+import { startFixtureServer } from './fixtureServer.js';
+
+const FILE_ID = 'publicFile0123456789abcdefgh';
+
+const attachment = (res, filename, contentType, body) => {
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.end(body);
+};
+
+// Drive's "can't scan this file for viruses" page for large files
+const virusScanPage = `<html><body>
+  <form id="download-form" action="/uc/confirmed" method="get">
+    <input type="hidden" name="id" value="large">
+    <input type="hidden" name="confirm" value="t">
+  </form>
+</body></html>`;
+
+const folderView = (entries) => `<html><body>${entries
+  .map(([href, title]) => `<div class="flip-entry"><a href="${href}"><div class="flip-entry-title">${title}</div></a></div>`)
+  .join('')}</body></html>`;
+
+describe('parseDriveUrl', () => {
+  it('tells files, folders, Docs, Slides and Sheets apart', () => {
+    assert.deepEqual(parseDriveUrl(`https://drive.google.com/file/d/${FILE_ID}/view?usp=sharing`), { kind: 'file', id: FILE_ID });
+    assert.deepEqual(parseDriveUrl('https://drive.google.com/drive/folders/abc123'), { kind: 'folder', id: 'abc123' });
+    assert.deepEqual(parseDriveUrl('https://docs.google.com/document/d/doc1/edit'), { kind: 'document', id: 'doc1' });
+    assert.deepEqual(parseDriveUrl('https://docs.google.com/presentation/u/0/d/deck1/edit'), { kind: 'presentation', id: 'deck1' });
+    assert.deepEqual(parseDriveUrl('https://docs.google.com/spreadsheets/d/sheet1/edit#gid=0'), { kind: 'spreadsheet', id: 'sheet1' });
+    assert.deepEqual(parseDriveUrl(FILE_ID), { kind: 'file', id: FILE_ID });
+    assert.equal(parseDriveUrl('https://example.com/notes'), null);
+  });
+});
+
+describe('Drive downloads against a mock Drive server', () => {
+  let server;
+  const env = {};
+
+  before(async () => {
+    server = await startFixtureServer({
+      '/uc': (req, res, url) => {
+        const id = url.searchParams.get('id');
+        if (id === FILE_ID || id === 'sharedNotes') return attachment(res, 'Lecture notes.txt', 'text/plain', 'Osmosis moves water.');
+        if (id === 'large') {
+          res.setHeader('Content-Type', 'text/html');
+          return res.end(virusScanPage);
+        }
+        if (id === 'huge') return attachment(res, 'huge.pdf', 'application/pdf', Buffer.alloc(11 * 1024 * 1024));
+        if (id === 'slow') {
+          res.setHeader('Content-Disposition', 'attachment; filename="slow.txt"');
+          const timer = setInterval(() => res.write('.'), 100);
+          return req.on('close', () => clearInterval(timer));
+        }
+        // Anything else is private: Drive sends it to the sign-in page
+        res.writeHead(302, { Location: '/ServiceLogin?continue=drive' });
+        return res.end();
+      },
+      '/uc/confirmed': (req, res, url) => {
+        assert.equal(url.searchParams.get('confirm'), 't');
+        attachment(res, 'Big textbook.pdf', 'application/pdf', '%PDF-1.4 large file');
+      },
+      '/ServiceLogin': (req, res) => {
+        res.setHeader('Content-Type', 'text/html');
+        res.end('<html><body>Sign in</body></html>');
+      },
+      '/document/d/doc1/export': (req, res) => attachment(res, 'Week 1.html', 'text/html', '<h1>Week 1</h1><p>Cells.</p>'),
+      '/embeddedfolderview': (req, res, url) => {
+        if (url.searchParams.get('id') !== 'course') {
+          res.statusCode = 404;
+          return res.end();
+        }
+        res.setHeader('Content-Type', 'text/html');
+        return res.end(folderView([
+          ['https://drive.google.com/file/d/sharedNotes/view', 'Lecture notes.txt'],
+          ['https://drive.google.com/file/d/privateFile/view', 'Answers.pdf'],
+          ['https://drive.google.com/drive/folders/staffOnly', 'Staff'],
+        ]));
+      },
+    });
+    for (const name of ['DRIVE_BASE_URL', 'DOCS_BASE_URL', 'DRIVE_DOWNLOAD_TIMEOUT_MS']) env[name] = process.env[name];
+    process.env.DRIVE_BASE_URL = server.baseUrl;
+    process.env.DOCS_BASE_URL = server.baseUrl;
+  });
+
+  after(async () => {
+    for (const [name, value] of Object.entries(env)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    await server.close();
+  });
+
+  it('downloads a public file with its name', async () => {
+    const file = await downloadDriveFile({ kind: 'file', id: FILE_ID });
+    assert.equal(file.buffer.toString(), 'Osmosis moves water.');
+    assert.equal(file.filename, 'Lecture notes.txt');
+    assert.equal(file.name, 'Lecture notes.txt');
+    assert.equal(file.mimeType, 'text/plain');
+  });
+
+  it('exports a Doc as HTML and drops the export extension from its name', async () => {
+    const file = await downloadDriveFile({ kind: 'document', id: 'doc1' });
+    assert.equal(file.filename, 'Week 1.html');
+    assert.equal(file.name, 'Week 1');
+    assert.match(file.buffer.toString(), /<h1>Week 1<\/h1>/);
+  });
+
+  it('follows the virus-scan confirmation of large files', async () => {
+    const file = await downloadDriveFile({ kind: 'file', id: 'large' });
+    assert.equal(file.filename, 'Big textbook.pdf');
+    assert.equal(file.buffer.toString(), '%PDF-1.4 large file');
+  });
+
+  it('refuses files that are not shared publicly with 403', async () => {
+    await assert.rejects(downloadDriveFile({ kind: 'file', id: 'privateFile' }), (err) => {
+      assert.equal(err.statusCode, 403);
+      assert.match(err.message, /not publicly accessible/);
+      return true;
+    });
+  });
+
+  it('stops downloads over 10 MB with 413', async () => {
+    await assert.rejects(downloadDriveFile({ kind: 'file', id: 'huge' }), (err) => err.statusCode === 413);
+  });
+
+  it('stops downloads that take longer than DRIVE_DOWNLOAD_TIMEOUT_MS with 504', async () => {
+    process.env.DRIVE_DOWNLOAD_TIMEOUT_MS = '500';
+    try {
+      await assert.rejects(downloadDriveFile({ kind: 'file', id: 'slow' }), (err) => err.statusCode === 504);
+    } finally {
+      delete process.env.DRIVE_DOWNLOAD_TIMEOUT_MS;
+    }
+  });
+
+  it('expands a folder and reports the files and subfolders that are not shared', async () => {
+    const result = await resolveDriveLink('https://drive.google.com/drive/folders/course');
+    assert.equal(result.folder, true);
+    assert.deepEqual(result.files.map((f) => [f.kind, f.id, f.name]), [['file', 'sharedNotes', 'Lecture notes.txt']]);
+    assert.deepEqual(result.inaccessible.map((f) => f.name), ['Staff', 'Answers.pdf']);
+  });
+
+  it('rejects links that are not Drive links with 400', async () => {
+    await assert.rejects(resolveDriveLink('https://example.com/notes'), (err) => err.statusCode === 400);
+  });
+});
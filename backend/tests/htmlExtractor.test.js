@@ -0,0 +1,87 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { extractReadableContent, fetchWebPage } from '../src/services/htmlExtractor.js';
+import { startFixtureServer } from './fixtureServer.js';
+
+const article = fs.readFileSync(new URL('./fixtures/article.html', import.meta.url), 'utf-8');
+
+const send = (contentType, body) => (req, res) => {
+  res.setHeader('Content-Type', contentType);
+  res.end(body);
+};
+
+describe('extractReadableContent', () => {
+  it('splits the main content into sections at its headings', () => {
+    const { title, sections } = extractReadableContent(article);
+    assert.equal(title, 'Cell Biology Notes');
+    assert.deepEqual(sections.map((s) => [s.heading, s.anchor, s.level]), [
+      ['Cell Biology Notes', 'cell-biology-notes', 1],
+      ['The cell membrane', 'membrane', 2],
+      ['Mitochondria', 'mitochondria', 2],
+    ]);
+    assert.match(sections[1].text, /^The membrane is a phospholipid bilayer/);
+    assert.match(sections[1].text, /\n\n- Active transport uses ATP/);
+  });
+
+  it('leaves out navigation, banners, asides and footers', () => {
+    const text = extractReadableContent(article).sections.map((s) => s.text).join('\n');
+    for (const chrome of ['Courses', 'cookies', 'chloroplasts', 'Copyright', 'tracking']) {
+      assert.ok(!text.includes(chrome), `"${chrome}" should not be extracted`);
+    }
+  });
+
+  it('numbers anchors of repeated headings', () => {
+    const { sections } = extractReadableContent('<main><h2>Summary</h2><p>First part of the text.</p><h2>Summary</h2><p>Second part of the text.</p></main>');
+    assert.deepEqual(sections.map((s) => s.anchor), ['summary', 'summary-1']);
+  });
+});
+
+describe('fetchWebPage', () => {
+  let server;
+
+  before(async () => {
+    server = await startFixtureServer({
+      '/article': send('text/html; charset=utf-8', article),
+      '/moved': (req, res) => {
+        res.writeHead(301, { Location: '/article' });
+        res.end();
+      },
+      '/notes.txt': send('text/plain', '  Plain lecture notes.  '),
+      '/image.png': send('image/png', 'not really a png'),
+      '/empty': send('text/html', '<html><body><nav>Only a menu</nav></body></html>'),
+      '/huge': send('text/html', `<p>${'x'.repeat(6 * 1024 * 1024)}</p>`),
+    });
+  });
+
+  after(() => server.close());
+
+  it('fetches a page and keeps the URL it ended up at', async () => {
+    const page = await fetchWebPage(`${server.baseUrl}/moved`);
+    assert.equal(page.title, 'Cell Biology Notes');
+    assert.equal(page.sections.length, 3);
+    assert.equal(page.finalUrl, `${server.baseUrl}/article`);
+    assert.ok(!Number.isNaN(Date.parse(page.fetchedAt)));
+  });
+
+  it('reads plain text as a single section', async () => {
+    const page = await fetchWebPage(`${server.baseUrl}/notes.txt`);
+    assert.deepEqual(page.sections, [{ heading: 'Text', anchor: null, level: 0, text: 'Plain lecture notes.' }]);
+  });
+
+  it('rejects other content types', async () => {
+    await assert.rejects(fetchWebPage(`${server.baseUrl}/image.png`), /Unsupported content type: image\/png/);
+  });
+
+  it('rejects pages without readable content', async () => {
+    await assert.rejects(fetchWebPage(`${server.baseUrl}/empty`), /No readable content/);
+  });
+
+  it('rejects pages over the size limit', async () => {
+    await assert.rejects(fetchWebPage(`${server.baseUrl}/huge`), /maxContentLength/);
+  });
+
+  it('fails on HTTP errors', async () => {
+    await assert.rejects(fetchWebPage(`${server.baseUrl}/missing`), (err) => err.response?.status === 404);
+  });
+});
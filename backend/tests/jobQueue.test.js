@@ -0,0 +1,84 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import jobQueue, { toPublicJob } from '../src/services/jobQueue.js';
+
+// A job runner that finishes when the test says so
+const controlled = () => {
+  let finish;
+  const done = new Promise((resolve) => { finish = resolve; });
+  const run = mock.fn(async () => done);
+  return { run, finish };
+};
+
+describe('jobQueue', () => {
+  it('returns the queued job for a key instead of queueing another', async () => {
+    const first = controlled();
+    const second = controlled();
+    const running = jobQueue.enqueue({ type: 'ingest', key: 'nb1', ownerId: 'u1' }, first.run);
+    await new Promise(setImmediate);
+    assert.equal(running.status, 'running');
+
+    // The running job has already read its state, so a new one is queued
+    const queued = jobQueue.enqueue({ type: 'ingest', key: 'nb1', ownerId: 'u1' }, second.run);
+    assert.notEqual(queued, running);
+    assert.equal(jobQueue.enqueue({ type: 'ingest', key: 'nb1', ownerId: 'u1' }, controlled().run), queued);
+    const other = jobQueue.enqueue({ type: 'ingest', key: 'nb2', ownerId: 'u1' }, async () => 'other');
+    assert.notEqual(other, queued);
+    assert.equal(jobQueue.findActive('nb1'), running);
+
+    first.finish({ chunks: 3 });
+    assert.deepEqual((await jobQueue.wait(running.id)).result, { chunks: 3 });
+    second.finish();
+    assert.equal((await jobQueue.wait(queued.id)).status, 'completed');
+    assert.equal(second.run.mock.callCount(), 1);
+    assert.equal(jobQueue.findActive('nb1'), null);
+    assert.equal((await jobQueue.wait(other.id)).result, 'other');
+  });
+
+  it('runs one job at a time and reports progress to listeners', async () => {
+    const updates = [];
+    const onUpdate = (job) => updates.push([job.key, job.status, job.progress.completed]);
+    jobQueue.on('update', onUpdate);
+    try {
+      const a = jobQueue.enqueue({ type: 'ingest', key: 'a' }, async (job, report) => {
+        report({ progress: { completed: 1, total: 2 } });
+        return 'a';
+      });
+      const b = jobQueue.enqueue({ type: 'ingest', key: 'b' }, async () => 'b');
+      await jobQueue.wait(b.id);
+      assert.deepEqual(toPublicJob(a).progress, { completed: 1, total: 2, percent: 50 });
+    } finally {
+      jobQueue.off('update', onUpdate);
+    }
+    assert.deepEqual(updates, [
+      ['a', 'queued', 0],
+      ['b', 'queued', 0],
+      ['a', 'running', 0],
+      ['a', 'running', 1],
+      ['a', 'completed', 1],
+      ['b', 'running', 0],
+      ['b', 'completed', 0],
+    ]);
+  });
+
+  it('records the error of a failed job', async () => {
+    mock.method(console, 'error', () => {});
+    try {
+      const job = jobQueue.enqueue({ type: 'ingest', key: 'broken' }, async () => {
+        throw new Error('No text found');
+      });
+      const finished = toPublicJob(await jobQueue.wait(job.id));
+      assert.deepEqual([finished.status, finished.error, finished.progress.percent], ['failed', 'No text found', 0]);
+      assert.equal('run' in finished, false);
+    } finally {
+      mock.restoreAll();
+    }
+  });
+
+  it('resolves wait at once for finished and unknown jobs', async () => {
+    const job = jobQueue.enqueue({ type: 'ingest', key: 'quick' }, async () => null);
+    await jobQueue.wait(job.id);
+    assert.equal(toPublicJob(await jobQueue.wait(job.id)).progress.percent, 100);
+    assert.equal(await jobQueue.wait('job_missing'), null);
+  });
+});
@@ -0,0 +1,108 @@
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { migrate, SCHEMA_VERSION } from '../src/services/migrations.js';
+import { createPersistence, JsonFileStore, MemoryStore } from '../src/services/persistence.js';
+
+// A snapshot from before schema versions existed
+const v0 = () => ({
+  activeNotebookId: 'nb1',
+  notebooks: [{ id: 'nb1', name: 'Biology', sources: [{ id: 's1', name: 'Cells.pdf' }] }],
+});
+
+describe('migrate', () => {
+  before(() => mock.method(console, 'log', () => {}));
+  after(() => mock.restoreAll());
+
+  it('upgrades an unversioned snapshot through every version to v8', () => {
+    assert.equal(SCHEMA_VERSION, 8);
+    const data = migrate(v0());
+    assert.equal(data.schemaVersion, 8);
+    assert.deepEqual(Object.keys(data).sort(), ['authSessions', 'notebooks', 'schemaVersion', 'sessions', 'users']);
+    assert.deepEqual([data.users, data.authSessions, data.sessions], [[], [], {}]);
+
+    const [notebook] = data.notebooks;
+    assert.deepEqual(notebook.sources, [{ id: 's1', name: 'Cells.pdf' }]);
+    assert.deepEqual(
+      [notebook.ownerId, notebook.studyMaterial, notebook.qaHistory, notebook.flashcards, notebook.quizzes, notebook.exams],
+      [null, null, [], [], [], []],
+    );
+    assert.deepEqual(notebook.ingestCache, { entries: {}, hits: 0, misses: 0, lastRun: null });
+    assert.deepEqual(notebook.learning.activity, []);
+    assert.ok(!Number.isNaN(Date.parse(notebook.learning.importBefore)));
+  });
+
+  it('runs only the migrations newer than the snapshot', () => {
+    const v5 = {
+      schemaVersion: 5,
+      notebooks: [{ id: 'nb1', ownerId: 'u1', flashcards: [{ id: 'card' }] }],
+      users: [{ id: 'u1' }],
+      authSessions: [{ token: 'kept' }],
+      sessions: {},
+    };
+    const data = migrate(v5);
+    assert.deepEqual(data.authSessions, [{ token: 'kept' }]);
+    assert.deepEqual(data.notebooks[0].flashcards, [{ id: 'card' }]);
+    assert.deepEqual([data.notebooks[0].quizzes, data.notebooks[0].exams], [[], []]);
+    assert.equal(data.notebooks[0].ingestCache, undefined);
+  });
+
+  it('keeps data a migration would otherwise default', () => {
+    const learning = { concepts: [], activity: [{ kind: 'quiz' }] };
+    const data = migrate({ schemaVersion: 7, notebooks: [{ id: 'nb1', learning }] });
+    assert.equal(data.notebooks[0].learning, learning);
+  });
+
+  it('refuses snapshots from a newer version', () => {
+    assert.throws(() => migrate({ schemaVersion: SCHEMA_VERSION + 1 }), /newer than supported version 8/);
+  });
+});
+
+describe('JsonFileStore', () => {
+  let dir;
+  let file;
+
+  before(() => {
+    mock.method(console, 'log', () => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'persistence-test-'));
+  });
+  beforeEach(() => {
+    file = path.join(dir, `${Date.now()}-${Math.random()}`, 'storage.json');
+  });
+  after(() => {
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('loads nothing when the file does not exist', () => {
+    assert.equal(new JsonFileStore(file).load(), null);
+  });
+
+  it('migrates an old file on load and writes the upgrade back', () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(v0()));
+    const data = new JsonFileStore(file).load();
+    assert.equal(data.schemaVersion, SCHEMA_VERSION);
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf-8')), data);
+  });
+
+  it('writes the last of several saves once flushed, without a temp file left behind', () => {
+    const store = new JsonFileStore(file);
+    store.save({ notebooks: [{ id: 'first' }] });
+    store.save({ notebooks: [{ id: 'second' }] });
+    assert.equal(fs.existsSync(file), false);
+    store.flush();
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf-8')), { notebooks: [{ id: 'second' }], schemaVersion: SCHEMA_VERSION });
+    assert.deepEqual(fs.readdirSync(path.dirname(file)), ['storage.json']);
+  });
+});
+
+describe('createPersistence', () => {
+  it('selects the driver by name and rejects unknown ones', () => {
+    assert.ok(createPersistence('memory') instanceof MemoryStore);
+    assert.ok(createPersistence('JSON') instanceof JsonFileStore);
+    assert.throws(() => createPersistence('redis'), /Unknown STORAGE_DRIVER "redis"/);
+  });
+});
@@ -0,0 +1,146 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getModelForMode, getProviderName } from '../src/config/models.js';
+import { getProvider } from '../src/providers/index.js';
+import { startFixtureServer } from './fixtureServer.js';
+
+const material = `=== SOURCE: Biology notes ===
+Osmosis moves water across a partially permeable membrane. Diffusion spreads solutes from high to low concentration.
+
+Student Question: What does osmosis move?`;
+
+const collect = async (stream) => {
+  let text = '';
+  for await (const piece of stream) text += piece.text();
+  return text;
+};
+
+const withEnv = (values) => {
+  const saved = {};
+  for (const [name, value] of Object.entries(values)) {
+    saved[name] = process.env[name];
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  return () => withEnv(saved);
+};
+
+describe('provider selection', () => {
+  it('lets LLM_PROVIDER_<MODE> override LLM_PROVIDER, which defaults to gemini', () => {
+    const restore = withEnv({ LLM_PROVIDER: undefined, LLM_PROVIDER_QA: ' Mock ' });
+    try {
+      assert.equal(getProviderName('qa'), 'mock');
+      assert.equal(getProviderName('summary'), 'gemini');
+      process.env.LLM_PROVIDER = 'openai';
+      assert.equal(getProviderName('summary'), 'openai');
+    } finally {
+      restore();
+    }
+  });
+
+  it('rejects unknown providers and modes', () => {
+    assert.throws(() => getProvider('nope'), /Unknown LLM provider "nope"\. Available: gemini, mock, openai/);
+    assert.throws(() => getModelForMode('poetry'), /Unknown model mode: poetry/);
+  });
+});
+
+describe('mock provider', () => {
+  const model = getProvider('mock').createModel('qa', {});
+
+  it('answers from the prompt material with a citation, the same way every time', async () => {
+    const text = (await model.generateContent(material)).response.text();
+    assert.equal(text, '## Key Concepts\n\nOsmosis moves water across a partially permeable membrane.\n\n' +
+      '📄 Source: "Biology notes" — "Osmosis moves water across a partially permeable membrane."');
+    assert.equal((await model.generateContent(material)).response.text(), text);
+  });
+
+  it('refuses questions the material does not cover', async () => {
+    const text = (await model.generateContent(material.replace('What does osmosis move?', 'Who wrote Hamlet?'))).response.text();
+    assert.match(text, /don't have information/);
+  });
+
+  it('streams the same answer word by word', async () => {
+    const { stream, response } = await model.generateContentStream(material);
+    const streamed = await collect(stream);
+    assert.equal(streamed, (await response).text());
+    assert.equal(streamed, (await model.generateContent(material)).response.text());
+  });
+
+  it('embeds texts deterministically', async () => {
+    const [a, b, c] = await getProvider('mock').embed(['osmosis water', 'osmosis water', 'mitosis']);
+    assert.equal(a.length, 64);
+    assert.deepEqual(a, b);
+    assert.notDeepEqual(a, c);
+  });
+});
+
+describe('OpenAI-compatible provider against a mock server', () => {
+  let server;
+  let restore;
+  const requests = [];
+
+  before(async () => {
+    server = await startFixtureServer({
+      '/v1/chat/completions': (req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+          const parsed = JSON.parse(body);
+          requests.push({ body: parsed, authorization: req.headers.authorization });
+          if (!parsed.stream) {
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ choices: [{ message: { content: '```json\n{"ok":true}\n```' } }] }));
+            return;
+          }
+          res.setHeader('Content-Type', 'text/event-stream');
+          for (const delta of ['Osmosis ', 'moves ', 'water.']) {
+            res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: delta } }] })}\n\n`);
+          }
+          res.write(': keep-alive\n\ndata: not json\n\ndata: [DONE]\n\n');
+          res.end();
+        });
+      },
+      '/v1/embeddings': (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ data: [{ index: 1, embedding: [0, 1] }, { index: 0, embedding: [1, 0] }] }));
+      },
+    });
+    restore = withEnv({
+      OPENAI_BASE_URL: `${server.baseUrl}/v1/`,
+      OPENAI_API_KEY: 'test-key',
+      OPENAI_MODEL: 'local-model',
+    });
+  });
+
+  after(async () => {
+    restore();
+    await server.close();
+  });
+
+  it('sends one user message, notes omitted files and strips code fences from JSON', async () => {
+    const model = getProvider('openai').createModel('summary', { temperature: 0.2, responseMimeType: 'application/json' });
+    const result = await model.generateContent({
+      contents: [{ role: 'user', parts: [{ fileData: { fileUri: 'files/abc', mimeType: 'application/pdf' } }, { text: 'Summarize.' }] }],
+    });
+    assert.equal(result.response.text(), '{"ok":true}');
+    const [{ body, authorization }] = requests;
+    assert.equal(authorization, 'Bearer test-key');
+    assert.deepEqual([body.model, body.temperature, body.stream], ['local-model', 0.2, false]);
+    assert.deepEqual(body.messages, [{
+      role: 'user',
+      content: '[Attached file files/abc (application/pdf) is not available to this model]\nSummarize.',
+    }]);
+  });
+
+  it('streams content deltas and skips frames it cannot read', async () => {
+    const model = getProvider('openai').createModel('qa', {});
+    const { stream, response } = await model.generateContentStream('What does osmosis move?');
+    assert.equal(await collect(stream), 'Osmosis moves water.');
+    assert.equal((await response).text(), 'Osmosis moves water.');
+    assert.equal(requests.at(-1).body.stream, true);
+  });
+
+  it('returns embeddings in input order', async () => {
+    assert.deepEqual(await getProvider('openai').embed(['a', 'b']), [[1, 0], [0, 1]]);
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { gradeSubmission, keywordMark, normalizeQuestion, toPublicQuiz } from '../src/services/quiz.js';
+
+const quiz = {
+  id: 'qz_1',
+  topic: null,
+  createdAt: '2026-03-01T09:00:00Z',
+  attempts: [],
+  questions: [
+    {
+      id: 'q1',
+      type: 'multiple_choice',
+      question: 'Where does photosynthesis happen?',
+      options: ['Mitochondria', 'Chloroplasts', 'Nucleus'],
+      answer: 1,
+      distractorRationale: ['Mitochondria release energy', '', 'The nucleus holds DNA'],
+    },
+    { id: 'q2', type: 'true_false', question: 'Plants release oxygen.', options: ['True', 'False'], answer: true },
+    {
+      id: 'q3',
+      type: 'short_answer',
+      question: 'What does photosynthesis produce?',
+      answer: 'Glucose and oxygen',
+      rubric: ['Produces glucose', 'Releases oxygen'],
+    },
+  ],
+};
+
+// Short answers left to keyword marking
+const noModel = async () => ({});
+
+describe('normalizeQuestion', () => {
+  it('reads multiple-choice answers given as letters or option text', () => {
+    const base = { type: 'multiple choice', question: 'Q?', options: ['A one', 'B two', 'C three'] };
+    assert.equal(normalizeQuestion({ ...base, answer: 'b' }).answer, 1);
+    assert.equal(normalizeQuestion({ ...base, answer: 'C three' }).answer, 2);
+    assert.equal(normalizeQuestion({ ...base, answer: 'D' }), null);
+  });
+
+  it('reads true/false answers and falls back to the answer as rubric', () => {
+    assert.equal(normalizeQuestion({ type: 'true/false', question: 'Q?', answer: 'F' }).answer, false);
+    assert.deepEqual(normalizeQuestion({ type: 'short_answer', question: 'Q?', answer: 'Light' }).rubric, ['Light']);
+  });
+
+  it('drops malformed questions', () => {
+    assert.equal(normalizeQuestion({ type: 'essay', question: 'Q?', answer: 'x' }), null);
+    assert.equal(normalizeQuestion({ type: 'multiple_choice', question: 'Q?', options: ['only'], answer: 0 }), null);
+    assert.equal(normalizeQuestion({ type: 'true_false', question: 'Q?', answer: 'maybe' }), null);
+  });
+});
+
+describe('toPublicQuiz', () => {
+  it('hides answers, rubrics and rationale', () => {
+    const { questions } = toPublicQuiz(quiz);
+    assert.deepEqual(questions.map(Object.keys), [
+      ['id', 'type', 'question', 'options'],
+      ['id', 'type', 'question', 'options'],
+      ['id', 'type', 'question'],
+    ]);
+  });
+});
+
+describe('gradeSubmission', () => {
+  it('scores choice questions all or nothing and explains wrong options', async () => {
+    const graded = await gradeSubmission(quiz, { q1: 0, q2: 'true' }, noModel);
+    const [q1, q2, q3] = graded.results;
+    assert.deepEqual([q1.score, q1.correct, q1.feedback], [0, false, 'Mitochondria release energy']);
+    assert.deepEqual([q2.score, q2.correct, q2.yourAnswer], [1, true, 'True']);
+    assert.deepEqual([q3.score, q3.yourAnswer], [0, null]);
+    assert.deepEqual([graded.score, graded.maxScore, graded.percent], [1, 3, 33]);
+  });
+
+  it('accepts only integers and digit strings as option indexes', async () => {
+    for (const value of [true, [], [1], ' ', '1.0', 1.5]) {
+      const graded = await gradeSubmission(quiz, { q1: value }, noModel);
+      assert.equal(graded.results[0].yourAnswer, null, `${JSON.stringify(value)} should not be an answer`);
+    }
+    assert.equal((await gradeSubmission(quiz, { q1: ' 1 ' }, noModel)).results[0].correct, true);
+  });
+
+  it('scores short answers by the share of rubric points met', async () => {
+    const grader = async (items) => ({ [items[0].id]: { met: [true, false], feedback: 'Mention oxygen.', gradedBy: 'model' } });
+    const result = (await gradeSubmission(quiz, { q3: 'It makes glucose' }, grader)).results[2];
+    assert.equal(result.score, 0.5);
+    assert.deepEqual(result.rubric, [{ point: 'Produces glucose', met: true }, { point: 'Releases oxygen', met: false }]);
+    assert.deepEqual([result.feedback, result.gradedBy], ['Mention oxygen.', 'model']);
+  });
+
+  it('falls back to keyword marking for answers the grader leaves out', async () => {
+    const result = (await gradeSubmission(quiz, { q3: 'glucose and oxygen are released' }, noModel)).results[2];
+    assert.deepEqual([result.score, result.correct, result.gradedBy], [1, true, 'keywords']);
+  });
+
+  it('weights questions by marks and rubric points by rubricMarks', async () => {
+    const exam = {
+      questions: [{ ...quiz.questions[2], marks: 4, rubricMarks: [3, 1] }],
+    };
+    const grader = async () => ({ q3: { met: [true, false], feedback: '' } });
+    const graded = await gradeSubmission(exam, { q3: 'glucose' }, grader);
+    assert.deepEqual([graded.score, graded.maxScore, graded.percent], [3, 4, 75]);
+    assert.deepEqual(graded.results[0].rubric.map((p) => p.marks), [3, 1]);
+  });
+});
+
+describe('keywordMark', () => {
+  it('meets a rubric point when the answer has half of its words', () => {
+    const { met } = keywordMark(quiz.questions[2], 'Plants produce sugar and release oxygen');
+    assert.deepEqual(met, [false, true]);
+  });
+});
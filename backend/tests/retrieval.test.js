@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  chunksToParts,
+  retrieveChunks,
+  selectRepresentativeChunks,
+  tokenize,
+} from '../src/services/retrieval.js';
+
+const chunk = (id, text, extra = {}) => ({ id, sourceId: extra.sourceId || 'bio', sourceName: extra.sourceName || 'Biology', text, ...extra });
+
+const chunks = [
+  chunk('c0', 'Mitochondria release energy from glucose during respiration.'),
+  chunk('c1', 'Osmosis is the movement of water across a partially permeable membrane.'),
+  chunk('c2', 'Osmosis osmosis osmosis: water potential drives osmosis in plant cells and root hair cells.'),
+  chunk('c3', 'The cell membrane controls what enters and leaves the cell.'),
+];
+
+describe('tokenize', () => {
+  it('lower-cases words, keeps letters and digits in any script and drops stopwords', () => {
+    assert.deepEqual(tokenize('What is the role of ATP-synthase in Zellatmung? (Step 2)'), ['role', 'atp', 'synthase', 'zellatmung', 'step']);
+  });
+});
+
+describe('retrieveChunks', () => {
+  it('ranks chunks by BM25 and leaves out chunks sharing no term with the query', async () => {
+    const ranked = await retrieveChunks(chunks, 'How does osmosis move water?', { topK: 8 });
+    assert.deepEqual(ranked.map((c) => c.id), ['c2', 'c1']);
+  });
+
+  it('prefers the chunk with the rarer query term', async () => {
+    const ranked = await retrieveChunks(chunks, 'membrane respiration', { topK: 8 });
+    assert.equal(ranked[0].id, 'c0');
+    assert.deepEqual(ranked.map((c) => c.id).sort(), ['c0', 'c1', 'c3']);
+  });
+
+  it('returns at most topK chunks', async () => {
+    assert.equal((await retrieveChunks(chunks, 'cell membrane water osmosis', { topK: 2 })).length, 2);
+    assert.deepEqual(await retrieveChunks([], 'osmosis'), []);
+    assert.deepEqual(await retrieveChunks(chunks, 'the of and'), []);
+  });
+});
+
+describe('selectRepresentativeChunks', () => {
+  it('spreads the character budget evenly across sources', () => {
+    const many = [
+      ...Array.from({ length: 6 }, (_, i) => chunk(`a${i}`, 'x'.repeat(100), { sourceId: 'a' })),
+      chunk('b0', 'y'.repeat(100), { sourceId: 'b' }),
+    ];
+    assert.deepEqual(selectRepresentativeChunks(many, { maxChars: 400 }).map((c) => c.id), ['a0', 'a3', 'b0']);
+  });
+});
+
+describe('chunksToParts', () => {
+  it('renders chunks in source and page order with their location', () => {
+    const parts = chunksToParts([
+      chunk('p2', 'Second page.', { page: 2 }),
+      chunk('v', 'Transcript.', { sourceId: 'vid', sourceName: 'Lecture', sourceType: 'youtube', start: 60, end: 120 }),
+      chunk('p1', 'First page.', { page: 1 }),
+    ]);
+    assert.deepEqual(parts.map((p) => p.text), [
+      '\n=== SOURCE: Biology (Page 1 (Physical)) ===\nFirst page.\n',
+      '\n=== SOURCE: Biology (Page 2 (Physical)) ===\nSecond page.\n',
+      '\n=== SOURCE: Lecture (01:00 – 02:00) ===\nTranscript.\n',
+    ]);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { deckStats, dueCards, newSchedule, parseGrade, reviewSchedule } from '../src/services/spacedRepetition.js';
+
+const NOW = new Date('2026-03-01T09:00:00Z');
+const daysLater = (days) => new Date(NOW.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('parseGrade', () => {
+  it('reads grades 0-5 and rating names', () => {
+    assert.equal(parseGrade(0), 0);
+    assert.equal(parseGrade(5), 5);
+    assert.equal(parseGrade(' 3 '), 3);
+    assert.equal(parseGrade('Again'), 1);
+    assert.equal(parseGrade('good'), 4);
+  });
+
+  it('rejects everything else, prototype keys included', () => {
+    for (const value of [6, -1, 2.5, '', ' ', '4.0', 'great', 'constructor', '__proto__', 'toString', true, [4], null, undefined, {}]) {
+      assert.equal(parseGrade(value), null, `${JSON.stringify(value)} should not be a grade`);
+    }
+  });
+});
+
+describe('reviewSchedule', () => {
+  it('grows the interval from 1 to 6 days, then by the ease', () => {
+    let schedule = newSchedule(NOW);
+    assert.equal(schedule.due, NOW.toISOString());
+
+    schedule = reviewSchedule(schedule, 4, NOW);
+    assert.deepEqual([schedule.repetitions, schedule.interval, schedule.ease], [1, 1, 2.5]);
+    assert.equal(schedule.due, daysLater(1));
+
+    schedule = reviewSchedule(schedule, 5, NOW);
+    assert.deepEqual([schedule.repetitions, schedule.interval, schedule.ease], [2, 6, 2.6]);
+
+    schedule = reviewSchedule(schedule, 4, NOW);
+    assert.deepEqual([schedule.repetitions, schedule.interval], [3, 16]);
+    assert.equal(schedule.due, daysLater(16));
+    assert.equal(schedule.lastGrade, 4);
+    assert.equal(schedule.lastReviewedAt, NOW.toISOString());
+  });
+
+  it('restarts a lapsed card at one day and lowers its ease', () => {
+    let schedule = newSchedule(NOW);
+    for (const grade of [4, 4, 4]) schedule = reviewSchedule(schedule, grade, NOW);
+    schedule = reviewSchedule(schedule, 1, NOW);
+    assert.deepEqual([schedule.repetitions, schedule.interval, schedule.lapses], [0, 1, 1]);
+    assert.equal(schedule.ease, 1.96);
+  });
+
+  it('never lets the ease fall below 1.3', () => {
+    let schedule = newSchedule(NOW);
+    for (let i = 0; i < 10; i++) schedule = reviewSchedule(schedule, 0, NOW);
+    assert.equal(schedule.ease, 1.3);
+  });
+});
+
+describe('dueCards and deckStats', () => {
+  const card = (id, schedule) => ({ id, schedule });
+  const cards = [
+    card('new', newSchedule(NOW)),
+    card('later', reviewSchedule(newSchedule(NOW), 4, NOW)),
+    card('overdue', { ...newSchedule(NOW), due: daysLater(-3), repetitions: 3, lastReviewedAt: daysLater(-9) }),
+  ];
+
+  it('lists due cards, the longest overdue first', () => {
+    assert.deepEqual(dueCards(cards, NOW).map((c) => c.id), ['overdue', 'new']);
+  });
+
+  it('counts total, due, new and learned cards', () => {
+    assert.deepEqual(deckStats(cards, NOW), { total: 3, due: 2, new: 1, learned: 1 });
+  });
+});
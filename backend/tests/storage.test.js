@@ -0,0 +1,121 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Keep the storage singleton off disk
+process.env.STORAGE_DRIVER = 'memory';
+const { Storage } = await import('../src/services/storage.js');
+
+const persistence = (snapshot = null) => ({ load: () => snapshot, save() {}, flush() {} });
+const rejectsWith = (statusCode) => (err) => err.statusCode === statusCode;
+
+describe('NotebookScope', () => {
+  it('gives every owner a default notebook of their own', () => {
+    const storage = new Storage(persistence());
+    const alice = storage.forSession({ sessionId: 'sa', ownerId: 'alice' });
+    const bob = storage.forSession({ sessionId: 'sb', ownerId: 'bob' });
+    alice.addSource({ name: 'Cells.pdf', type: 'text', content: 'Cells divide.' });
+
+    assert.notEqual(alice.notebookId, bob.notebookId);
+    assert.deepEqual(bob.getSources(), []);
+    assert.deepEqual(alice.listNotebooks().map((n) => [n.name, n.isDefault, n.sourceCount]), [['Default Notebook', true, 1]]);
+    assert.deepEqual(bob.listNotebooks().map((n) => n.sourceCount), [0]);
+  });
+
+  it("answers another owner's notebook with 404", () => {
+    const storage = new Storage(persistence());
+    const alice = storage.forSession({ sessionId: 'sa', ownerId: 'alice' });
+    const bob = storage.forSession({ sessionId: 'sb', ownerId: 'bob' });
+    const { id } = alice.createNotebook('Physics');
+
+    assert.throws(() => bob.setActiveNotebook(id), rejectsWith(404));
+    assert.throws(() => bob.renameNotebook(id, 'Mine'), rejectsWith(404));
+    assert.throws(() => bob.deleteNotebook(id), rejectsWith(404));
+    assert.equal(alice.listNotebooks().find((n) => n.id === id).name, 'Physics');
+  });
+
+  it('keeps a separate active notebook per session of the same owner', () => {
+    const storage = new Storage(persistence());
+    const laptop = storage.forSession({ sessionId: 'laptop', ownerId: 'alice' });
+    const physics = laptop.createNotebook('Physics');
+    const phone = storage.forSession({ sessionId: 'phone', ownerId: 'alice' });
+
+    assert.equal(phone.isDefaultActive(), true);
+    assert.equal(storage.forSession({ sessionId: 'laptop', ownerId: 'alice' }).notebookId, physics.id);
+  });
+
+  it('ignores a session that belongs to another owner', () => {
+    const storage = new Storage(persistence());
+    storage.forSession({ sessionId: 'shared', ownerId: 'alice' }).createNotebook('Physics');
+    const bob = storage.forSession({ sessionId: 'shared', ownerId: 'bob' });
+    assert.equal(bob.isDefaultActive(), true);
+    assert.equal(bob.listNotebooks().length, 1);
+  });
+
+  it('moves sessions back to the default notebook when theirs is deleted', () => {
+    const storage = new Storage(persistence());
+    const laptop = storage.forSession({ sessionId: 'laptop', ownerId: 'alice' });
+    const physics = laptop.createNotebook('Physics');
+    const phone = storage.forSession({ sessionId: 'phone', ownerId: 'alice' });
+    phone.setActiveNotebook(physics.id);
+
+    phone.deleteNotebook(physics.id);
+    assert.equal(phone.isDefaultActive(), true);
+    assert.equal(storage.forSession({ sessionId: 'laptop', ownerId: 'alice' }).isDefaultActive(), true);
+    assert.throws(() => phone.deleteNotebook(phone.notebookId), rejectsWith(400));
+  });
+
+  it('keeps a pinned scope on its notebook after the session switches', () => {
+    const storage = new Storage(persistence());
+    const scope = storage.forSession({ sessionId: 'sa', ownerId: 'alice' });
+    const pinned = scope.pin();
+    scope.createNotebook('Physics');
+    pinned.addSource({ name: 'Notes', type: 'text', content: 'Cells divide.' });
+
+    assert.deepEqual(scope.getSources(), []);
+    assert.equal(pinned.isDefaultActive(), true);
+    assert.equal(pinned.getSources().length, 1);
+  });
+});
+
+describe('notebooks from before accounts', () => {
+  const snapshot = () => ({
+    notebooks: [
+      { id: 'old-default', name: 'Default Notebook', ownerId: null, isDefault: true, sources: [] },
+      { id: 'old', name: 'Biology', ownerId: null, sources: [] },
+    ],
+    sessions: {},
+    users: [],
+    authSessions: [],
+  });
+
+  it('go to the first account created', () => {
+    mock.method(console, 'log', () => {});
+    try {
+      const storage = new Storage(persistence(snapshot()));
+      const first = storage.createUser({ email: 'first@example.com', passwordHash: 'x' });
+      const second = storage.createUser({ email: 'second@example.com', passwordHash: 'x' });
+      const names = (ownerId) => storage.forSession({ sessionId: ownerId, ownerId }).listNotebooks().map((n) => n.name);
+      assert.deepEqual(names(first.id), ['Default Notebook', 'Biology']);
+      assert.deepEqual(names(second.id), ['Default Notebook']);
+    } finally {
+      mock.restoreAll();
+    }
+  });
+
+  it('go to the oldest account on load, which keeps a single default notebook', () => {
+    mock.method(console, 'log', () => {});
+    try {
+      const data = snapshot();
+      data.users = [
+        { id: 'newer', email: 'b@example.com', createdAt: '2026-02-01T00:00:00Z' },
+        { id: 'oldest', email: 'a@example.com', createdAt: '2026-01-01T00:00:00Z' },
+      ];
+      data.notebooks.push({ id: 'own-default', name: 'Default Notebook', ownerId: 'oldest', isDefault: true, sources: [] });
+      const storage = new Storage(persistence(data));
+      const notebooks = storage.forSession({ sessionId: 's', ownerId: 'oldest' }).listNotebooks();
+      assert.deepEqual(notebooks.map((n) => [n.id, n.isDefault]), [['old-default', false], ['old', false], ['own-default', true]]);
+    } finally {
+      mock.restoreAll();
+    }
+  });
+});
@@ -0,0 +1,121 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchYouTubeTranscript, parseCaptions, parseTimedText } from '../src/services/transcripts.js';
+import { startFixtureServer } from './fixtureServer.js';
+
+const srt = `1
+00:00:01,500 --> 00:00:04,000
+Osmosis moves <i>water</i>
+across a membrane.
+
+2
+00:01:05,000 --> 00:01:09,250
+Diffusion &amp; active transport
+
+3
+00:01:10,000 --> 00:01:12,000
+
+`;
+
+const vtt = `WEBVTT
+Kind: captions
+
+NOTE written by hand
+
+STYLE
+::cue { color: yellow }
+
+intro
+01:02.5 --> 01:04.000 align:start
+<v Lecturer>Cells divide.</v>
+
+01:04.000 --> 01:06.000
+Cells divide.
+
+1:00:00.000 --> 1:00:02.000
+The end.
+`;
+
+describe('parseCaptions', () => {
+  it('reads SubRip cues, joining lines and dropping tags and empty cues', () => {
+    assert.deepEqual(parseCaptions(srt), [
+      { start: 1.5, end: 4, text: 'Osmosis moves water across a membrane.' },
+      { start: 65, end: 69.25, text: 'Diffusion & active transport' },
+    ]);
+  });
+
+  it('reads WebVTT cues with identifiers and settings, skipping header, NOTE and STYLE blocks', () => {
+    assert.deepEqual(parseCaptions(vtt), [
+      { start: 62.5, end: 66, text: 'Cells divide.' },
+      { start: 3600, end: 3602, text: 'The end.' },
+    ]);
+  });
+
+  it('accepts Windows line endings and ignores anything without cues', () => {
+    assert.deepEqual(parseCaptions(srt.replace(/\n/g, '\r\n')), parseCaptions(srt));
+    assert.deepEqual(parseCaptions('Just some notes\n\nwithout timings'), []);
+    assert.deepEqual(parseCaptions(undefined), []);
+  });
+});
+
+describe('parseTimedText', () => {
+  it('reads start and duration and decodes doubly escaped entities', () => {
+    const xml = '<transcript><text start="0.5" dur="2.1">It&amp;#39;s osmosis</text><text start="3">  </text><text start="4.25">End</text></transcript>';
+    assert.deepEqual(parseTimedText(xml), [
+      { start: 0.5, end: 2.6, text: 'It\'s osmosis' },
+      { start: 4.25, end: 4.25, text: 'End' },
+    ]);
+  });
+});
+
+describe('fetchYouTubeTranscript against a mock YouTube', () => {
+  let server;
+  const env = {};
+  const watchPage = (tracks) => `<html><script>var ytInitialPlayerResponse = {"captions":{"playerCaptionsTracklistRenderer":{"captionTracks":${JSON.stringify(tracks)},"audioTracks":[]}}};</script></html>`;
+
+  before(async () => {
+    server = await startFixtureServer({
+      '/watch': (req, res, url) => {
+        res.setHeader('Content-Type', 'text/html');
+        if (url.searchParams.get('v') === 'nocaptions') return res.end('<html></html>');
+        return res.end(watchPage([
+          { baseUrl: 'https://www.youtube.com/api/timedtext?lang=de', languageCode: 'de' },
+          { baseUrl: 'https://www.youtube.com/api/timedtext?lang=en&kind=asr', languageCode: 'en', kind: 'asr' },
+          { baseUrl: 'https://www.youtube.com/api/timedtext?lang=en', languageCode: 'en' },
+        ]));
+      },
+      '/api/timedtext': (req, res, url) => {
+        res.setHeader('Content-Type', 'text/xml');
+        res.end(`<transcript><text start="1" dur="2">${url.searchParams.get('lang')} ${url.searchParams.get('kind') || 'manual'}</text></transcript>`);
+      },
+    });
+    for (const name of ['YOUTUBE_BASE_URL', 'YOUTUBE_CAPTION_LANG']) env[name] = process.env[name];
+    process.env.YOUTUBE_BASE_URL = server.baseUrl;
+    delete process.env.YOUTUBE_CAPTION_LANG;
+  });
+
+  after(async () => {
+    for (const [name, value] of Object.entries(env)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    await server.close();
+  });
+
+  it('prefers the manual track in the caption language', async () => {
+    assert.deepEqual(await fetchYouTubeTranscript('abc'), [{ start: 1, end: 3, text: 'en manual' }]);
+  });
+
+  it('falls back to another language', async () => {
+    process.env.YOUTUBE_CAPTION_LANG = 'fr';
+    try {
+      assert.deepEqual((await fetchYouTubeTranscript('abc'))[0].text, 'de manual');
+    } finally {
+      delete process.env.YOUTUBE_CAPTION_LANG;
+    }
+  });
+
+  it('reports videos without captions', async () => {
+    await assert.rejects(fetchYouTubeTranscript('nocaptions'), /No captions available/);
+  });
+});
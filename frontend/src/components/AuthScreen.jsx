@@ -0,0 +1,100 @@
+import { useState } from 'react';
+import { Brain, LogIn, UserPlus } from 'lucide-react';
+import GlassCard from './GlassCard.jsx';
+import { login, register, setAuthToken } from '../utils/api.js';
+
+const AuthScreen = ({ onAuthenticated, onError }) => {
+  const [mode, setMode] = useState('login'); // 'login' | 'register'
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [name, setName] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const isRegister = mode === 'register';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const res = isRegister
+        ? await register(email.trim(), password, name.trim())
+        : await login(email.trim(), password);
+      setAuthToken(res.token);
+      onAuthenticated(res.user);
+    } catch (err) {
+      onError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const inputClass = 'w-full rounded-xl border border-slate-600/60 bg-slate-900/60 px-4 py-2.5 text-sm text-coolwhite placeholder:text-slate-500 focus:border-emerald-400/70 focus:outline-none';
+
+  return (
+    <div className="flex min-h-screen w-screen items-center justify-center bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950 p-4 text-coolwhite">
+      <GlassCard hover={false} className="w-full max-w-sm">
+        <div className="mb-6 flex items-center gap-3">
+          <div className="flex h-10 w-10 items-center justify-center rounded-xl bg-gradient-to-br from-emerald-400 to-emerald-600 shadow-lg">
+            <Brain className="h-6 w-6 text-white" />
+          </div>
+          <div>
+            <h1 className="text-lg font-bold gradient-text">
+              {isRegister ? 'Create your account' : 'Welcome back'}
+            </h1>
+            <p className="text-[11px] text-slate-400">Your notebooks are private to your account.</p>
+          </div>
+        </div>
+        <form onSubmit={handleSubmit} className="flex flex-col gap-3">
+          {isRegister && (
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Name (optional)"
+              className={inputClass}
+            />
+          )}
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="Email"
+            autoComplete="email"
+            required
+            className={inputClass}
+          />
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder={isRegister ? 'Password (min. 8 characters)' : 'Password'}
+            autoComplete={isRegister ? 'new-password' : 'current-password'}
+            minLength={isRegister ? 8 : undefined}
+            required
+            className={inputClass}
+          />
+          <button
+            type="submit"
+            disabled={submitting}
+            className="mt-2 inline-flex h-10 items-center justify-center gap-2 rounded-xl border border-emerald-400/70 bg-gradient-to-r from-emerald-500/20 to-emerald-600/20 px-5 text-sm font-semibold text-emerald-200 shadow-lg transition-all hover:from-emerald-500/30 hover:to-emerald-600/30 disabled:cursor-not-allowed disabled:opacity-60"
+          >
+            {isRegister ? <UserPlus size={16} /> : <LogIn size={16} />}
+            {submitting ? 'Please wait...' : isRegister ? 'Sign up' : 'Log in'}
+          </button>
+        </form>
+        <p className="mt-4 text-center text-xs text-slate-400">
+          {isRegister ? 'Already have an account?' : 'New here?'}{' '}
+          <button
+            type="button"
+            onClick={() => setMode(isRegister ? 'login' : 'register')}
+            className="font-medium text-emerald-300 hover:text-emerald-200"
+          >
+            {isRegister ? 'Log in' : 'Create an account'}
+          </button>
+        </p>
+      </GlassCard>
+    </div>
+  );
+};
+
+export default AuthScreen;
@@ -0,0 +1,66 @@
+import { useState } from 'react';
+import { ExternalLink, FileText, Globe, PlayCircle } from 'lucide-react';
+
+// Chip styling per citation verification status (see backend services/citations.js)
+const CITATION_STATUS = {
+  verified: { label: 'Verified against the source', className: 'border-emerald-400/60 text-emerald-300' },
+  unverified: { label: 'Location found, but it does not clearly support the claim', className: 'border-amber-400/60 text-amber-300' },
+  invalid: { label: 'The cited location or source does not exist', className: 'border-red-400/60 text-red-300 line-through' },
+  unverifiable: { label: 'No local text to check this source against', className: 'border-slate-600/60 text-slate-300' },
+};
+
+/**
+ * Citation chips under a grounded answer or card; clicking one shows its
+ * status and quote and calls onCitationClick.
+ */
+const CitationChips = ({ citations, onCitationClick }) => {
+  const [activeId, setActiveId] = useState(null);
+  const active = citations.find((c) => c.id === activeId);
+
+  return (
+    <div className="ml-1 flex flex-col gap-1.5">
+      <div className="flex flex-wrap gap-1.5">
+        {citations.map((c) => {
+          const Icon = c.type === 'timestamp' ? PlayCircle : c.sourceType === 'url' ? Globe : FileText;
+          const status = CITATION_STATUS[c.status] || CITATION_STATUS.unverifiable;
+          return (
+            <button
+              key={c.id}
+              type="button"
+              onClick={() => {
+                setActiveId(activeId === c.id ? null : c.id);
+                onCitationClick?.(c);
+              }}
+              className={`inline-flex max-w-[240px] items-center gap-1 rounded-full border px-2 py-0.5 text-[10px] transition-colors hover:bg-slate-700/60 ${status.className} ${activeId === c.id ? 'bg-slate-700/60' : 'bg-slate-800/50'}`}
+              title={status.label}
+            >
+              <Icon size={11} className="flex-shrink-0" />
+              <span className="truncate">{c.label}</span>
+            </button>
+          );
+        })}
+      </div>
+      {active && (
+        <div className="max-w-[90%] rounded-xl border border-slate-700/50 bg-slate-900/60 px-3 py-2 text-[11px] text-slate-300">
+          <p className="mb-1 text-[10px] uppercase tracking-wider text-slate-400">
+            {active.status}{typeof active.overlap === 'number' ? ` · ${Math.round(active.overlap * 100)}% overlap` : ''}
+          </p>
+          {active.quote ? <p className="italic">“{active.quote}”</p> : <p className="text-slate-400">No quote provided.</p>}
+          {active.url && (
+            <a
+              href={active.url}
+              target="_blank"
+              rel="noreferrer"
+              className="mt-1 inline-flex items-center gap-1 text-emerald-400 hover:underline"
+            >
+              <ExternalLink size={11} />
+              Open {active.type === 'timestamp' ? 'at this moment' : active.type === 'section' ? 'section' : 'source'}
+            </a>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CitationChips;
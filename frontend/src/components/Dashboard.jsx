@@ -1,22 +1,32 @@
 import { useEffect, useState, useRef } from 'react';
-import { Brain, FileText, MessageCircleMore, Waves, FolderPlus, ChevronDown, Plus, Trash2, Edit2, LayoutGrid, PanelLeftClose, PanelRightClose } from 'lucide-react';
+import { Brain, FileText, GraduationCap, Layers, ListChecks, MessageCircleMore, TrendingUp, Waves, FolderPlus, ChevronDown, Plus, Trash2, Edit2, LayoutGrid, PanelLeftClose, PanelRightClose, LogOut } from 'lucide-react';
 import Hero from './Hero.jsx';
 import QAChat from './QAChat.jsx';
 import VoiceDialogue from './VoiceDialogue.jsx';
 import VideoSummary from './VideoSummary.jsx';
+import Flashcards from './Flashcards.jsx';
+import Quiz from './Quiz.jsx';
+import MockExam from './MockExam.jsx';
+import Progress from './Progress.jsx';
 import GlassCard from './GlassCard.jsx';
 import AnimatedBorder from './AnimatedBorder.jsx';
 import SourceUpload from './SourceUpload.jsx';
 import SourceList from './SourceList.jsx';
-import { ingestMaterials, fetchStats, fetchSuggestedQuestions, fetchSources, listNotebooks, createNotebook, activateNotebook, renameNotebook, deleteNotebook, removeSource } from '../utils/api.js';
+import SourcePreview from './SourcePreview.jsx';
+import AuthScreen from './AuthScreen.jsx';
+import { ingestMaterials, fetchStats, fetchSuggestedQuestions, fetchSources, listNotebooks, createNotebook, activateNotebook, renameNotebook, deleteNotebook, removeSource, setSourceEnabled, setExamTemplate, waitForJob, fetchMe, logout, getAuthToken, setAuthToken, AUTH_EXPIRED_EVENT } from '../utils/api.js';
 import useToast from '../hooks/useToast.jsx';
 
 const Dashboard = () => {
   const [mode, setMode] = useState('qa');
+  // Weak topic opened from the progress dashboard: { mode, topic }
+  const [practice, setPractice] = useState(null);
   const [ingesting, setIngesting] = useState(false);
   const [materialLoaded, setMaterialLoaded] = useState(false);
   const [showHero, setShowHero] = useState(true);
   const [showSourceUpload, setShowSourceUpload] = useState(false);
+  // Source open in the preview drawer: { id, citation }
+  const [preview, setPreview] = useState(null);
   const [sourceCount, setSourceCount] = useState(0);
   const [sources, setSources] = useState([]);
   const [suggestedQuestions, setSuggestedQuestions] = useState([]);
@@ -30,11 +40,23 @@ const Dashboard = () => {
   const [rightCollapsed, setRightCollapsed] = useState(false);
   const [mobileTab, setMobileTab] = useState('chat'); // 'sources', 'chat', 'studio'
   const suggestionsRequestIdRef = useRef(0); // Track request IDs to prevent race conditions
+  const [user, setUser] = useState(null);
+  const [checkingAuth, setCheckingAuth] = useState(() => !!getAuthToken());
 
   const handleError = (message) => {
     showToast(message, 'error');
   };
 
+  // Practice links prefill the topic only in the mode they opened
+  useEffect(() => {
+    if (practice && practice.mode !== mode) setPractice(null);
+  }, [mode]);
+
+  const startPractice = (practiceMode, topic) => {
+    setPractice({ mode: practiceMode, topic });
+    setMode(practiceMode);
+  };
+
   const loadStats = async () => {
     try {
       const stats = await fetchStats();
@@ -106,7 +128,27 @@ const Dashboard = () => {
     }
   };
 
+  // Restore the login session from a stored token
+  useEffect(() => {
+    if (!getAuthToken()) return;
+    fetchMe()
+      .then((res) => setUser(res.user))
+      .catch(() => setUser(null))
+      .finally(() => setCheckingAuth(false));
+  }, []);
+
+  // The API client clears the token on 401; drop back to the login screen
+  useEffect(() => {
+    const handleExpired = () => {
+      setUser(null);
+      showToast('Your session has expired. Please log in again.', 'error');
+    };
+    window.addEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+  }, []);
+
   useEffect(() => {
+    if (!user) return;
     const initializeDashboard = async () => {
       await loadStats();
       await loadSources();
@@ -119,7 +161,7 @@ const Dashboard = () => {
       }
     };
     initializeDashboard();
-  }, []);
+  }, [user?.id]);
 
   // Close notebook dropdown when clicking outside
   useEffect(() => {
@@ -153,9 +195,11 @@ const Dashboard = () => {
     setIngesting(true);
     try {
       const res = await ingestMaterials();
+      const job = await waitForJob(res.job.id);
       setMaterialLoaded(true);
-      if (res.stats && res.stats.totalLength) {
-        showToast(`Study material ingested (${(res.stats.totalLength / 1000).toFixed(1)}k chars).`);
+      const stats = job.result?.stats;
+      if (stats?.sourceCount) {
+        showToast(`Study material ingested (${stats.sourceCount} sources, ${stats.chunkCount} chunks).`);
       } else {
         showToast('Study material ingested.');
       }
@@ -229,9 +273,30 @@ const Dashboard = () => {
     }
   };
 
+  const handleLogout = async () => {
+    try {
+      await logout();
+    } catch (err) {
+      console.warn('Logout error', err);
+    }
+    setAuthToken(null);
+    setUser(null);
+    setNotebooks([]);
+    setSources([]);
+    setSuggestedQuestions([]);
+    setMaterialLoaded(false);
+  };
+
+  // Citation chips open the cited source in the preview drawer
+  const openCitation = (c) => c.sourceId && c.status !== 'invalid' && setPreview({ id: c.sourceId, citation: c });
+
   const renderMode = () => {
-    if (mode === 'qa') return <QAChat onError={handleError} suggestedQuestions={suggestedQuestions} loadingSuggestions={loadingSuggestions} onRequestMoreSuggestions={fetchMoreSuggestions} />;
+    if (mode === 'qa') return <QAChat onError={handleError} suggestedQuestions={suggestedQuestions} loadingSuggestions={loadingSuggestions} onRequestMoreSuggestions={fetchMoreSuggestions} onCitationClick={openCitation} />;
     if (mode === 'voice') return <VoiceDialogue onError={handleError} />;
+    if (mode === 'flashcards') return <Flashcards onError={handleError} onCitationClick={openCitation} initialTopic={practice?.topic} />;
+    if (mode === 'quiz') return <Quiz onError={handleError} onCitationClick={openCitation} initialTopic={practice?.topic} />;
+    if (mode === 'exam') return <MockExam sources={sources} onError={handleError} onCitationClick={openCitation} />;
+    if (mode === 'progress') return <Progress onError={handleError} onPractice={startPractice} />;
     return <VideoSummary onError={handleError} />;
   };
 
@@ -282,6 +347,16 @@ const Dashboard = () => {
     );
   }
 
+  if (!user) {
+    if (checkingAuth) return null;
+    return (
+      <>
+        <AuthScreen onAuthenticated={setUser} onError={handleError} />
+        <ToastContainer />
+      </>
+    );
+  }
+
   return (
     <div className="h-screen w-screen overflow-hidden bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950 text-coolwhite">
       <div className="grid h-full grid-rows-[auto_1fr]">
@@ -393,6 +468,15 @@ const Dashboard = () => {
                   </>
                 )}
               </button>
+              <button
+                type="button"
+                onClick={handleLogout}
+                className="inline-flex h-10 items-center gap-2 rounded-xl border border-slate-600/60 bg-slate-800/50 px-3 text-xs font-medium text-slate-200 shadow-md transition-all hover:border-red-400/60 hover:bg-red-500/10 hover:text-red-200"
+                title={`Log out ${user.email}`}
+              >
+                <LogOut size={16} />
+                <span className="hidden xl:inline max-w-[140px] truncate">{user.email}</span>
+              </button>
             </div>
           </div>
           <MobileTabs />
@@ -434,7 +518,7 @@ const Dashboard = () => {
                       </button>
                     </div>
                     <div className="sources-content flex-1 min-h-0 overflow-y-auto">
-                      <SourceList sources={sources} onRemove={async (id) => { try { await removeSource(id); await loadSources(); await loadStats(); showToast('Source removed'); } catch (e) { handleError(e.message); } }} />
+                      <SourceList sources={sources} onRemove={async (id) => { try { const res = await removeSource(id); await loadSources(); showToast('Source removed'); await waitForJob(res.job.id); await loadStats(); } catch (e) { handleError(e.message); } }} onPreview={(id) => setPreview({ id })} onToggle={async (id, enabled) => { try { await setSourceEnabled(id, enabled); await loadSources(); } catch (e) { handleError(e.message); } }} onExamTemplate={async (id, flagged) => { try { await setExamTemplate(id, flagged); await loadSources(); } catch (e) { handleError(e.message); } }} />
                     </div>
                     <div className="mt-2 text-[11px] text-slate-300/70">
                       {sourceCount} sources
@@ -463,6 +547,34 @@ const Dashboard = () => {
                   <Waves size={14} />
                   Voice
                 </button>
+                <button
+                  onClick={() => setMode('flashcards')}
+                  className={`flex items-center justify-center gap-2 flex-1 rounded-lg px-3 py-1.5 text-xs font-medium transition-colors ${mode === 'flashcards' ? 'bg-emerald-500/20 text-emerald-300 border border-emerald-500/30' : 'text-slate-400 hover:bg-white/5 border border-transparent'}`}
+                >
+                  <Layers size={14} />
+                  Cards
+                </button>
+                <button
+                  onClick={() => setMode('quiz')}
+                  className={`flex items-center justify-center gap-2 flex-1 rounded-lg px-3 py-1.5 text-xs font-medium transition-colors ${mode === 'quiz' ? 'bg-emerald-500/20 text-emerald-300 border border-emerald-500/30' : 'text-slate-400 hover:bg-white/5 border border-transparent'}`}
+                >
+                  <ListChecks size={14} />
+                  Quiz
+                </button>
+                <button
+                  onClick={() => setMode('exam')}
+                  className={`flex items-center justify-center gap-2 flex-1 rounded-lg px-3 py-1.5 text-xs font-medium transition-colors ${mode === 'exam' ? 'bg-emerald-500/20 text-emerald-300 border border-emerald-500/30' : 'text-slate-400 hover:bg-white/5 border border-transparent'}`}
+                >
+                  <GraduationCap size={14} />
+                  Exam
+                </button>
+                <button
+                  onClick={() => setMode('progress')}
+                  className={`flex items-center justify-center gap-2 flex-1 rounded-lg px-3 py-1.5 text-xs font-medium transition-colors ${mode === 'progress' ? 'bg-emerald-500/20 text-emerald-300 border border-emerald-500/30' : 'text-slate-400 hover:bg-white/5 border border-transparent'}`}
+                >
+                  <TrendingUp size={14} />
+                  Progress
+                </button>
               </div>
             )}
             <div className="flex-1 min-h-0 h-full">
@@ -513,11 +625,43 @@ const Dashboard = () => {
                     >
                       <FileText size={16} className="text-emerald-300" />
                     </button>
+                    <button
+                      type="button"
+                      onClick={() => setMode('flashcards')}
+                      className={`flex h-8 w-8 items-center justify-center rounded-lg border ${mode === 'flashcards' ? 'border-emerald-400/70 bg-emerald-500/10' : 'border-slate-600/60 bg-slate-900/60 hover:border-emerald-400/60'}`}
+                      title="Flashcards"
+                    >
+                      <Layers size={16} className="text-emerald-300" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setMode('quiz')}
+                      className={`flex h-8 w-8 items-center justify-center rounded-lg border ${mode === 'quiz' ? 'border-emerald-400/70 bg-emerald-500/10' : 'border-slate-600/60 bg-slate-900/60 hover:border-emerald-400/60'}`}
+                      title="Quiz"
+                    >
+                      <ListChecks size={16} className="text-emerald-300" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setMode('exam')}
+                      className={`flex h-8 w-8 items-center justify-center rounded-lg border ${mode === 'exam' ? 'border-emerald-400/70 bg-emerald-500/10' : 'border-slate-600/60 bg-slate-900/60 hover:border-emerald-400/60'}`}
+                      title="Mock exam"
+                    >
+                      <GraduationCap size={16} className="text-emerald-300" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setMode('progress')}
+                      className={`flex h-8 w-8 items-center justify-center rounded-lg border ${mode === 'progress' ? 'border-emerald-400/70 bg-emerald-500/10' : 'border-slate-600/60 bg-slate-900/60 hover:border-emerald-400/60'}`}
+                      title="Progress"
+                    >
+                      <TrendingUp size={16} className="text-emerald-300" />
+                    </button>
                   </div>
                 )}
                 {!rightCollapsed && (
                   <div className="flex flex-1 flex-col gap-2 px-3 pb-2">
-                    <div className="grid grid-cols-3 gap-2 text-xs">
+                    <div className="grid grid-cols-2 gap-2 text-xs">
                       <button
                         type="button"
                         onClick={() => setMode('qa')}
@@ -554,6 +698,54 @@ const Dashboard = () => {
                         <span>Slides</span>
                         <span className="text-[10px] text-slate-300/80">Exam view</span>
                       </button>
+                      <button
+                        type="button"
+                        onClick={() => setMode('flashcards')}
+                        className={`flex flex-col items-start gap-1 rounded-xl border px-3 py-1.5 text-left transition-all ${mode === 'flashcards'
+                          ? 'border-emerald-400/70 bg-emerald-500/15'
+                          : 'border-slate-600/60 bg-slate-900/60 hover:border-emerald-400/60'
+                          }`}
+                      >
+                        <Layers size={16} className="text-emerald-300" />
+                        <span>Flashcards</span>
+                        <span className="text-[10px] text-slate-300/80">Spaced review</span>
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setMode('quiz')}
+                        className={`flex flex-col items-start gap-1 rounded-xl border px-3 py-1.5 text-left transition-all ${mode === 'quiz'
+                          ? 'border-emerald-400/70 bg-emerald-500/15'
+                          : 'border-slate-600/60 bg-slate-900/60 hover:border-emerald-400/60'
+                          }`}
+                      >
+                        <ListChecks size={16} className="text-emerald-300" />
+                        <span>Quiz</span>
+                        <span className="text-[10px] text-slate-300/80">Auto-graded</span>
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setMode('exam')}
+                        className={`flex flex-col items-start gap-1 rounded-xl border px-3 py-1.5 text-left transition-all ${mode === 'exam'
+                          ? 'border-emerald-400/70 bg-emerald-500/15'
+                          : 'border-slate-600/60 bg-slate-900/60 hover:border-emerald-400/60'
+                          }`}
+                      >
+                        <GraduationCap size={16} className="text-emerald-300" />
+                        <span>Mock exam</span>
+                        <span className="text-[10px] text-slate-300/80">Timed paper</span>
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setMode('progress')}
+                        className={`flex flex-col items-start gap-1 rounded-xl border px-3 py-1.5 text-left transition-all ${mode === 'progress'
+                          ? 'border-emerald-400/70 bg-emerald-500/15'
+                          : 'border-slate-600/60 bg-slate-900/60 hover:border-emerald-400/60'
+                          }`}
+                      >
+                        <TrendingUp size={16} className="text-emerald-300" />
+                        <span>Progress</span>
+                        <span className="text-[10px] text-slate-300/80">Weak topics</span>
+                      </button>
                     </div>
                     <GlassCard hover={false} className="bg-slate-900/50 text-xs leading-relaxed">
                       <h3 className="mb-2 text-sm font-semibold text-emerald-300">
@@ -585,6 +777,7 @@ const Dashboard = () => {
           showToast={showToast}
         />
       )}
+      {preview && <SourcePreview sourceId={preview.id} citation={preview.citation} onClose={() => setPreview(null)} />}
     </div>
   );
 };
@@ -71,7 +71,7 @@ const FileDropZone = ({ onFileSelect, accept, maxSize = 10 }) => {
                         {isDragging ? 'Drop file here' : 'Drag & drop or choose file to upload'}
                     </p>
                     <p className="text-xs text-slate-400">
-                        Supported: PDF, .txt, Markdown, .docx (max {maxSize}MB)
+                        Supported: PDF, .docx, .pptx, .epub, HTML, .csv/.xlsx, .txt, Markdown, .srt/.vtt captions, photos (max {maxSize}MB), .mp3/.m4a/.wav lectures (transcribed on the server)
                     </p>
                 </div>
             </label>
@@ -0,0 +1,258 @@
+import { useEffect, useState } from 'react';
+import { Layers, RotateCcw, Sparkles, Trash2 } from 'lucide-react';
+import AnimatedBorder from './AnimatedBorder.jsx';
+import GlassCard from './GlassCard.jsx';
+import LoadingState from './LoadingState.jsx';
+import CitationChips from './CitationChips.jsx';
+import { fetchFlashcards, generateFlashcards, fetchDueFlashcards, gradeFlashcard, deleteFlashcard } from '../utils/api.js';
+
+// Review buttons, as accepted by POST /flashcards/:id/grade
+const RATINGS = [
+  { id: 'again', label: 'Again', hint: 'Forgot', className: 'border-red-400/60 text-red-200 hover:bg-red-500/10' },
+  { id: 'hard', label: 'Hard', hint: 'Struggled', className: 'border-amber-400/60 text-amber-200 hover:bg-amber-500/10' },
+  { id: 'good', label: 'Good', hint: 'Recalled', className: 'border-emerald-400/60 text-emerald-200 hover:bg-emerald-500/10' },
+  { id: 'easy', label: 'Easy', hint: 'Instant', className: 'border-cyan-400/60 text-cyan-200 hover:bg-cyan-500/10' },
+];
+
+const formatDue = (iso) => {
+  const days = Math.ceil((Date.parse(iso) - Date.now()) / (24 * 60 * 60 * 1000));
+  if (days <= 0) return 'due now';
+  return days === 1 ? 'due tomorrow' : `due in ${days} days`;
+};
+
+const Flashcards = ({ onError, onCitationClick, initialTopic }) => {
+  const [cards, setCards] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [count, setCount] = useState(10);
+  // Prefilled when opened from a weak topic on the progress dashboard
+  const [topic, setTopic] = useState(initialTopic || '');
+  const [generating, setGenerating] = useState(false);
+  // Review session: cards still to grade, whether the back is shown, how many were graded
+  const [queue, setQueue] = useState(null);
+  const [revealed, setRevealed] = useState(false);
+  const [reviewed, setReviewed] = useState(0);
+
+  const loadDeck = async () => {
+    try {
+      const res = await fetchFlashcards();
+      setCards(res.cards);
+      setStats(res.stats);
+    } catch (err) {
+      onError?.(err.message);
+    }
+  };
+
+  useEffect(() => {
+    loadDeck();
+  }, []);
+
+  const handleGenerate = async () => {
+    setGenerating(true);
+    try {
+      const res = await generateFlashcards({ count, topic: topic.trim() || undefined });
+      if (res.cards.length === 0) onError?.('No new grounded cards were found; try another topic.');
+      setTopic('');
+      await loadDeck();
+    } catch (err) {
+      onError?.(err.message);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const startReview = async () => {
+    try {
+      const res = await fetchDueFlashcards(50);
+      setQueue(res.cards);
+      setRevealed(false);
+      setReviewed(0);
+    } catch (err) {
+      onError?.(err.message);
+    }
+  };
+
+  const handleGrade = async (rating) => {
+    const [card, ...rest] = queue;
+    try {
+      const res = await gradeFlashcard(card.id, rating);
+      setStats(res.stats);
+      // A forgotten card comes back at the end of this session as well
+      setQueue(rating === 'again' ? [...rest, res.card] : rest);
+      setRevealed(false);
+      setReviewed((n) => n + 1);
+    } catch (err) {
+      onError?.(err.message);
+    }
+  };
+
+  const endReview = async () => {
+    setQueue(null);
+    await loadDeck();
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      const res = await deleteFlashcard(id);
+      setStats(res.stats);
+      setCards((current) => current.filter((c) => c.id !== id));
+    } catch (err) {
+      onError?.(err.message);
+    }
+  };
+
+  const card = queue?.[0];
+
+  return (
+    <AnimatedBorder className="h-full">
+      <div className="flex h-full flex-col p-4 md:p-6">
+        <div className="mb-3 flex items-center justify-between gap-3">
+          <div>
+            <h2 className="text-base md:text-lg font-semibold text-coolwhite">Flashcards</h2>
+            <p className="text-[10px] md:text-xs text-slate-300/70">
+              {stats
+                ? `${stats.total} cards · ${stats.due} due · ${stats.learned} learned`
+                : 'Cards generated from your material, reviewed with spaced repetition.'}
+            </p>
+          </div>
+          {queue && (
+            <button
+              type="button"
+              onClick={endReview}
+              className="inline-flex items-center gap-1 rounded-full border border-slate-600/60 px-3 py-1 text-[11px] text-slate-300/80 hover:border-emerald-400/70 hover:text-emerald-300 transition-colors"
+            >
+              End review
+            </button>
+          )}
+        </div>
+
+        {!queue && (
+          <div className="mb-3 flex flex-wrap items-center gap-2 text-xs">
+            <input
+              type="text"
+              value={topic}
+              onChange={(e) => setTopic(e.target.value)}
+              placeholder="Topic (optional)"
+              className="min-w-0 flex-1 rounded-full border border-slate-600/60 bg-slate-900/60 px-3 py-1.5 text-slate-100 placeholder-slate-500 focus:border-emerald-400 focus:outline-none"
+            />
+            <select
+              value={count}
+              onChange={(e) => setCount(Number(e.target.value))}
+              className="rounded-full border border-slate-600/60 bg-slate-900/60 px-3 py-1.5 text-slate-100 focus:border-emerald-400 focus:outline-none"
+            >
+              {[5, 10, 20].map((n) => <option key={n} value={n}>{n} cards</option>)}
+            </select>
+            <button
+              type="button"
+              onClick={handleGenerate}
+              disabled={generating}
+              className="inline-flex items-center gap-1 rounded-full border border-emerald-400/60 px-3 py-1.5 text-emerald-200 hover:bg-emerald-500/10 transition-colors disabled:opacity-50"
+            >
+              <Sparkles size={13} />
+              {generating ? 'Generating...' : 'Generate'}
+            </button>
+          </div>
+        )}
+
+        <GlassCard hover={false} className="flex-1 min-h-0 bg-slate-900/40">
+          {!queue && (
+            <div className="flex h-full flex-col">
+              <button
+                type="button"
+                onClick={startReview}
+                disabled={!stats?.due}
+                className="mb-3 inline-flex items-center justify-center gap-2 rounded-xl border border-emerald-400/60 px-4 py-2 text-sm text-emerald-200 hover:bg-emerald-500/10 transition-colors disabled:border-slate-600/60 disabled:text-slate-400 disabled:hover:bg-transparent"
+              >
+                <Layers size={15} />
+                {stats?.due ? `Review ${stats.due} due card${stats.due === 1 ? '' : 's'}` : 'Nothing due right now'}
+              </button>
+              {generating && <LoadingState lines={4} />}
+              {!generating && cards.length === 0 && (
+                <p className="text-center text-xs text-slate-400">
+                  No cards yet. Generate some from the notebook&apos;s sources.
+                </p>
+              )}
+              <ul className="flex-1 min-h-0 space-y-2 overflow-y-auto">
+                {cards.map((c) => (
+                  <li key={c.id} className="flex items-start gap-3 rounded-lg border border-slate-700/50 bg-slate-800/30 px-3 py-2 text-xs">
+                    <div className="min-w-0 flex-1">
+                      <p className="text-slate-100">{c.front}</p>
+                      <p className="mt-0.5 text-[10px] text-slate-400">
+                        {formatDue(c.schedule.due)}{c.schedule.lapses > 0 ? ` · forgotten ${c.schedule.lapses}×` : ''}
+                      </p>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(c.id)}
+                      className="flex-shrink-0 rounded p-1 text-slate-500 hover:text-red-400"
+                      title="Delete card"
+                    >
+                      <Trash2 size={13} />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {queue && !card && (
+            <div className="flex h-full flex-col items-center justify-center gap-3 text-center">
+              <p className="text-sm text-slate-200">Session complete: {reviewed} review{reviewed === 1 ? '' : 's'}.</p>
+              <button
+                type="button"
+                onClick={endReview}
+                className="inline-flex items-center gap-1 rounded-full border border-emerald-400/60 px-4 py-1.5 text-xs text-emerald-200 hover:bg-emerald-500/10 transition-colors"
+              >
+                <RotateCcw size={13} />
+                Back to deck
+              </button>
+            </div>
+          )}
+
+          {card && (
+            <div className="flex h-full flex-col">
+              <p className="mb-2 text-[11px] text-slate-400">{queue.length} left in this session</p>
+              <div className="flex-1 min-h-0 overflow-y-auto rounded-2xl bg-slate-900/70 p-4">
+                <p className="text-base leading-7 text-coolwhite">{card.front}</p>
+                {revealed && (
+                  <div className="mt-4 border-t border-slate-700/50 pt-4">
+                    <p className="mb-3 text-sm leading-6 text-slate-200">{card.back}</p>
+                    {card.citations?.length > 0 && (
+                      <CitationChips citations={card.citations} onCitationClick={onCitationClick} />
+                    )}
+                  </div>
+                )}
+              </div>
+              <div className="mt-4 flex-shrink-0">
+                {!revealed ? (
+                  <button
+                    type="button"
+                    onClick={() => setRevealed(true)}
+                    className="w-full rounded-xl border border-emerald-400/60 px-4 py-2 text-sm text-emerald-200 hover:bg-emerald-500/10 transition-colors"
+                  >
+                    Show answer
+                  </button>
+                ) : (
+                  <div className="grid grid-cols-4 gap-2">
+                    {RATINGS.map((r) => (
+                      <button
+                        key={r.id}
+                        type="button"
+                        onClick={() => handleGrade(r.id)}
+                        className={`flex flex-col items-center rounded-xl border px-2 py-1.5 text-xs transition-colors ${r.className}`}
+                      >
+                        <span className="font-medium">{r.label}</span>
+                        <span className="text-[10px] opacity-70">{r.hint}</span>
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+        </GlassCard>
+      </div>
+    </AnimatedBorder>
+  );
+};
+
+export default Flashcards;
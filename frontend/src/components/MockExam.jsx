@@ -0,0 +1,420 @@
+import { useEffect, useRef, useState } from 'react';
+import { BookCheck, Clock, GraduationCap, Sparkles, Trash2 } from 'lucide-react';
+import AnimatedBorder from './AnimatedBorder.jsx';
+import GlassCard from './GlassCard.jsx';
+import LoadingState from './LoadingState.jsx';
+import CitationChips from './CitationChips.jsx';
+import QuestionInput from './QuestionInput.jsx';
+import QuestionResult from './QuestionResult.jsx';
+import {
+  fetchExams,
+  generateExam,
+  startExamAttempt,
+  submitExamAttempt,
+  fetchExamAttempt,
+  fetchMarkingScheme,
+  deleteExam,
+} from '../utils/api.js';
+
+// Time allowed when generating; null keeps the template's
+const DURATIONS = [null, 30, 60, 90, 120, 180];
+
+const formatClock = (seconds) => {
+  const s = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(s / 3600);
+  const mm = String(Math.floor((s % 3600) / 60)).padStart(2, '0');
+  const ss = String(s % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${mm}:${ss}` : `${mm}:${ss}`;
+};
+
+const barClass = (percent) => {
+  if (percent >= 75) return 'bg-emerald-400';
+  if (percent >= 40) return 'bg-amber-400';
+  return 'bg-red-400';
+};
+
+const marksLabel = (marks) => `${marks} mark${marks === 1 ? '' : 's'}`;
+
+/**
+ * Mock exams modeled on the source flagged as exam template: generate a
+ * paper, take it against the clock (it is handed in when time runs out),
+ * then read the per-section report and the marking scheme.
+ */
+const MockExam = ({ sources, onError, onCitationClick }) => {
+  const [exams, setExams] = useState([]);
+  const [durationMinutes, setDurationMinutes] = useState(null);
+  const [generating, setGenerating] = useState(false);
+  // The open exam and what is shown of it: 'taking', 'report' or 'scheme'
+  const [exam, setExam] = useState(null);
+  const [view, setView] = useState(null);
+  const [attempt, setAttempt] = useState(null);
+  const [answers, setAnswers] = useState({});
+  const [remaining, setRemaining] = useState(0);
+  const [submitting, setSubmitting] = useState(false);
+  const [scheme, setScheme] = useState(null);
+  const submitted = useRef(false);
+  // The paper is handed in automatically once; if that fails, the student retries
+  const autoSubmitted = useRef(false);
+  // Server time minus local time, so the countdown follows the server's clock
+  const clockOffset = useRef(0);
+
+  const template = sources?.find((s) => s.examTemplate);
+
+  const loadExams = async () => {
+    try {
+      const res = await fetchExams();
+      setExams(res.exams);
+    } catch (err) {
+      onError?.(err.message);
+    }
+  };
+
+  useEffect(() => {
+    loadExams();
+  }, []);
+
+  const close = () => {
+    setExam(null);
+    setView(null);
+    setAttempt(null);
+    loadExams();
+  };
+
+  const handleGenerate = async () => {
+    setGenerating(true);
+    try {
+      const res = await generateExam({ durationMinutes: durationMinutes || undefined });
+      if (res.skipped > 0) onError?.(`${res.skipped} question${res.skipped === 1 ? '' : 's'} of the template could not be grounded and were left out.`);
+      await loadExams();
+    } catch (err) {
+      onError?.(err.message);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const handleStart = async (id) => {
+    try {
+      const res = await startExamAttempt(id);
+      clockOffset.current = Date.parse(res.attempt.startedAt) - Date.now();
+      submitted.current = false;
+      autoSubmitted.current = false;
+      setExam(res.exam);
+      setAttempt(res.attempt);
+      setAnswers({});
+      setRemaining((Date.parse(res.attempt.endsAt) - Date.parse(res.attempt.startedAt)) / 1000);
+      setView('taking');
+    } catch (err) {
+      onError?.(err.message);
+    }
+  };
+
+  const handleSubmit = async () => {
+    if (submitted.current) return;
+    submitted.current = true;
+    setSubmitting(true);
+    try {
+      const res = await submitExamAttempt(exam.id, attempt.id, answers);
+      setAttempt(res.attempt);
+      setView('report');
+    } catch (err) {
+      submitted.current = false;
+      onError?.(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Count down while the exam is being taken and hand it in at zero
+  useEffect(() => {
+    if (view !== 'taking' || !attempt) return undefined;
+    const tick = () => {
+      const left = (Date.parse(attempt.endsAt) - (Date.now() + clockOffset.current)) / 1000;
+      setRemaining(left);
+      if (left <= 0 && !autoSubmitted.current) {
+        autoSubmitted.current = true;
+        handleSubmit();
+      }
+    };
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [view, attempt, answers]);
+
+  const openReport = async (listed, attemptId) => {
+    try {
+      const res = await fetchExamAttempt(listed.id, attemptId);
+      setExam(listed);
+      setAttempt(res.attempt);
+      setView('report');
+    } catch (err) {
+      onError?.(err.message);
+    }
+  };
+
+  const openScheme = async (listed) => {
+    try {
+      const res = await fetchMarkingScheme(listed.id);
+      setExam(listed);
+      setScheme(res.markingScheme);
+      setView('scheme');
+    } catch (err) {
+      onError?.(err.message);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteExam(id);
+      setExams((current) => current.filter((e) => e.id !== id));
+    } catch (err) {
+      onError?.(err.message);
+    }
+  };
+
+  const answered = exam?.sections.flatMap((s) => s.questions).filter((q) => answers[q.id] !== undefined && answers[q.id] !== '').length || 0;
+  const questionCount = exam?.sections.reduce((n, s) => n + s.questions.length, 0) || 0;
+  const weakest = attempt?.sections?.length > 1
+    ? attempt.sections.reduce((low, s) => (s.percent < low.percent ? s : low))
+    : null;
+
+  return (
+    <AnimatedBorder className="h-full">
+      <div className="flex h-full flex-col p-4 md:p-6">
+        <div className="mb-3 flex items-center justify-between gap-3">
+          <div className="min-w-0">
+            <h2 className="truncate text-base md:text-lg font-semibold text-coolwhite">{exam ? exam.title : 'Mock exam'}</h2>
+            <p className="text-[10px] md:text-xs text-slate-300/70">
+              {exam
+                ? `${exam.totalMarks} marks · ${exam.durationMinutes} minutes`
+                : 'Full practice papers modeled on a past paper.'}
+            </p>
+          </div>
+          {view === 'taking' && (
+            <span className={`inline-flex flex-shrink-0 items-center gap-1 rounded-full border px-3 py-1 font-mono text-sm ${remaining <= 300 ? 'border-red-400/70 text-red-300' : 'border-slate-600/60 text-slate-200'}`}>
+              <Clock size={13} />
+              {formatClock(remaining)}
+            </span>
+          )}
+          {exam && view !== 'taking' && (
+            <button
+              type="button"
+              onClick={close}
+              className="inline-flex flex-shrink-0 items-center gap-1 rounded-full border border-slate-600/60 px-3 py-1 text-[11px] text-slate-300/80 hover:border-emerald-400/70 hover:text-emerald-300 transition-colors"
+            >
+              All exams
+            </button>
+          )}
+        </div>
+
+        <GlassCard hover={false} className="flex-1 min-h-0 bg-slate-900/40">
+          {!exam && (
+            <div className="flex h-full flex-col gap-3">
+              <div className="rounded-xl border border-slate-700/50 bg-slate-800/30 px-3 py-2 text-xs">
+                {template ? (
+                  <p className="flex items-center gap-2 text-slate-200">
+                    <GraduationCap size={14} className="flex-shrink-0 text-amber-300" />
+                    <span className="truncate">Template: {template.name}</span>
+                  </p>
+                ) : (
+                  <p className="text-slate-400">
+                    Upload a past paper and flag it with the <GraduationCap size={12} className="inline text-amber-300" /> button in the sources list.
+                    Exams follow its sections and marks, with questions from the other sources.
+                  </p>
+                )}
+              </div>
+              <div className="flex flex-wrap items-center gap-2 text-xs">
+                <select
+                  value={durationMinutes ?? ''}
+                  onChange={(e) => setDurationMinutes(e.target.value ? Number(e.target.value) : null)}
+                  className="rounded-full border border-slate-600/60 bg-slate-900/60 px-3 py-1.5 text-slate-100 focus:border-emerald-400 focus:outline-none"
+                >
+                  {DURATIONS.map((d) => <option key={d ?? 'template'} value={d ?? ''}>{d ? `${d} minutes` : 'Template timing'}</option>)}
+                </select>
+                <button
+                  type="button"
+                  onClick={handleGenerate}
+                  disabled={generating || !template}
+                  className="inline-flex items-center gap-1 rounded-full border border-emerald-400/60 px-3 py-1.5 text-emerald-200 hover:bg-emerald-500/10 transition-colors disabled:opacity-50"
+                >
+                  <Sparkles size={13} />
+                  {generating ? 'Writing exam...' : 'New mock exam'}
+                </button>
+              </div>
+              {generating && <LoadingState lines={4} />}
+              {!generating && exams.length === 0 && (
+                <p className="text-center text-xs text-slate-400">No mock exams yet.</p>
+              )}
+              <ul className="flex-1 min-h-0 space-y-2 overflow-y-auto">
+                {exams.map((e) => {
+                  const done = e.attempts.filter((a) => a.submittedAt);
+                  const last = done[done.length - 1];
+                  return (
+                    <li key={e.id} className="rounded-lg border border-slate-700/50 bg-slate-800/30 px-3 py-2 text-xs">
+                      <div className="flex items-center gap-3">
+                        <div className="min-w-0 flex-1">
+                          <p className="truncate text-slate-100">{e.title}</p>
+                          <p className="text-[10px] text-slate-400">
+                            {e.sections.length} section{e.sections.length === 1 ? '' : 's'} · {e.totalMarks} marks · {e.durationMinutes} min
+                            {last ? ` · last ${last.percent}%` : ''}
+                          </p>
+                        </div>
+                        <button
+                          type="button"
+                          onClick={() => handleDelete(e.id)}
+                          className="flex-shrink-0 rounded p-1 text-slate-500 hover:text-red-400"
+                          title="Delete exam"
+                        >
+                          <Trash2 size={13} />
+                        </button>
+                      </div>
+                      <div className="mt-2 flex flex-wrap gap-1.5">
+                        <button
+                          type="button"
+                          onClick={() => handleStart(e.id)}
+                          className="rounded-full border border-emerald-400/60 px-3 py-0.5 text-emerald-200 hover:bg-emerald-500/10"
+                        >
+                          {done.length > 0 ? 'Sit again' : 'Start exam'}
+                        </button>
+                        {last && (
+                          <button
+                            type="button"
+                            onClick={() => openReport(e, last.id)}
+                            className="rounded-full border border-slate-600/60 px-3 py-0.5 text-slate-300 hover:border-emerald-400/60"
+                          >
+                            Last report
+                          </button>
+                        )}
+                        {done.length > 0 && (
+                          <button
+                            type="button"
+                            onClick={() => openScheme(e)}
+                            className="rounded-full border border-slate-600/60 px-3 py-0.5 text-slate-300 hover:border-emerald-400/60"
+                          >
+                            Marking scheme
+                          </button>
+                        )}
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          )}
+
+          {exam && view === 'taking' && (
+            <div className="flex h-full flex-col">
+              <div className="flex-1 min-h-0 space-y-5 overflow-y-auto pr-1">
+                {exam.instructions && <p className="text-xs italic text-slate-400">{exam.instructions}</p>}
+                {exam.sections.map((section) => (
+                  <section key={section.id} className="space-y-3">
+                    <div className="border-b border-slate-700/50 pb-1">
+                      <h3 className="text-sm font-semibold text-emerald-300">
+                        {section.title} <span className="text-xs font-normal text-slate-400">({marksLabel(section.marks)})</span>
+                      </h3>
+                      {section.instructions && <p className="text-[11px] text-slate-400">{section.instructions}</p>}
+                    </div>
+                    <ol className="space-y-4">
+                      {section.questions.map((q, i) => (
+                        <li key={q.id} className="space-y-2">
+                          <p className="text-sm text-slate-100">
+                            {i + 1}. {q.question}
+                            <span className="ml-1 text-[11px] text-slate-400">[{marksLabel(q.marks)}]</span>
+                          </p>
+                          <QuestionInput
+                            question={q}
+                            value={answers[q.id]}
+                            onChange={(value) => setAnswers((current) => ({ ...current, [q.id]: value }))}
+                          />
+                        </li>
+                      ))}
+                    </ol>
+                  </section>
+                ))}
+              </div>
+              <button
+                type="button"
+                onClick={handleSubmit}
+                disabled={submitting}
+                className="mt-4 flex-shrink-0 rounded-xl border border-emerald-400/60 px-4 py-2 text-sm text-emerald-200 hover:bg-emerald-500/10 transition-colors disabled:opacity-50"
+              >
+                {submitting ? 'Marking...' : `Hand in (${answered}/${questionCount} answered)`}
+              </button>
+            </div>
+          )}
+
+          {exam && view === 'report' && attempt?.sections && (
+            <div className="h-full space-y-4 overflow-y-auto pr-1">
+              <div>
+                <p className="text-sm text-slate-200">
+                  Total: <span className="text-lg font-semibold text-coolwhite">{attempt.score}/{attempt.maxScore}</span>
+                  <span className="ml-2 text-xs text-slate-400">({attempt.percent}%)</span>
+                </p>
+                <p className="text-[11px] text-slate-400">
+                  Time taken {formatClock(attempt.timeTakenSeconds)}
+                  {attempt.overtime ? ' · handed in after the time allowed' : ''}
+                </p>
+              </div>
+              <div className="space-y-2">
+                {attempt.sections.map((s) => (
+                  <div key={s.id} className="text-xs">
+                    <div className="mb-1 flex justify-between text-slate-300">
+                      <span>
+                        {s.title}
+                        {weakest?.id === s.id && <span className="ml-2 text-amber-300">revise this first</span>}
+                      </span>
+                      <span>{s.score}/{s.maxScore} · {s.percent}%</span>
+                    </div>
+                    <div className="h-1.5 rounded-full bg-slate-800">
+                      <div className={`h-1.5 rounded-full ${barClass(s.percent)}`} style={{ width: `${s.percent}%` }} />
+                    </div>
+                  </div>
+                ))}
+              </div>
+              {attempt.sections.map((s) => (
+                <section key={s.id} className="space-y-2">
+                  <h3 className="text-sm font-semibold text-emerald-300">{s.title}</h3>
+                  {s.results.map((r, i) => (
+                    <QuestionResult key={r.questionId} result={r} index={i} onCitationClick={onCitationClick} />
+                  ))}
+                </section>
+              ))}
+            </div>
+          )}
+
+          {exam && view === 'scheme' && scheme && (
+            <div className="h-full space-y-4 overflow-y-auto pr-1 text-xs">
+              {scheme.sections.map((s) => (
+                <section key={s.id} className="space-y-2">
+                  <h3 className="text-sm font-semibold text-emerald-300">
+                    {s.title} <span className="text-xs font-normal text-slate-400">({marksLabel(s.marks)})</span>
+                  </h3>
+                  {s.questions.map((q, i) => (
+                    <div key={q.id} className="rounded-xl border border-slate-700/50 bg-slate-800/30 p-3">
+                      <p className="mb-1.5 flex items-start gap-2 text-sm text-slate-100">
+                        <BookCheck size={14} className="mt-1 flex-shrink-0 text-emerald-300" />
+                        <span className="flex-1">{i + 1}. {q.question}</span>
+                        <span className="flex-shrink-0 text-[11px] text-slate-400">[{marksLabel(q.marks)}]</span>
+                      </p>
+                      <div className="ml-6 space-y-1.5 text-slate-300">
+                        <p><span className="text-slate-400">Answer: </span><span className="text-emerald-200">{q.answer}</span></p>
+                        <ul className="space-y-0.5">
+                          {q.markingScheme.map((p) => (
+                            <li key={p.point}>• {p.point} <span className="text-slate-400">({marksLabel(p.marks)})</span></li>
+                          ))}
+                        </ul>
+                        {q.explanation && <p className="text-slate-400">{q.explanation}</p>}
+                        {q.citations?.length > 0 && <CitationChips citations={q.citations} onCitationClick={onCitationClick} />}
+                      </div>
+                    </div>
+                  ))}
+                </section>
+              ))}
+            </div>
+          )}
+        </GlassCard>
+      </div>
+    </AnimatedBorder>
+  );
+};
+
+export default MockExam;
@@ -0,0 +1,189 @@
+import { useEffect, useState } from 'react';
+import { Clock, Flame, Layers, ListChecks, RotateCcw, Target } from 'lucide-react';
+import AnimatedBorder from './AnimatedBorder.jsx';
+import GlassCard from './GlassCard.jsx';
+import LoadingState from './LoadingState.jsx';
+import { fetchProgress } from '../utils/api.js';
+
+const LEVELS = {
+  weak: { label: 'Weak', text: 'text-red-300', bar: 'bg-red-400' },
+  learning: { label: 'Learning', text: 'text-amber-300', bar: 'bg-amber-400' },
+  strong: { label: 'Strong', text: 'text-emerald-300', bar: 'bg-emerald-400' },
+  untested: { label: 'Not tested', text: 'text-slate-400', bar: 'bg-slate-500' },
+};
+
+const formatMinutes = (minutes) => {
+  if (minutes < 60) return `${minutes} min`;
+  const h = Math.floor(minutes / 60);
+  return minutes % 60 ? `${h} h ${minutes % 60} min` : `${h} h`;
+};
+
+const Stat = ({ icon: Icon, label, value, detail }) => (
+  <div className="rounded-lg border border-slate-700/50 bg-slate-800/30 px-3 py-2">
+    <p className="flex items-center gap-1 text-[10px] uppercase tracking-wide text-slate-400">
+      <Icon size={11} />
+      {label}
+    </p>
+    <p className="text-lg font-semibold text-slate-100">{value}</p>
+    <p className="text-[10px] text-slate-400">{detail}</p>
+  </div>
+);
+
+/**
+ * Learning progress across sessions: study streak, time studied, and mastery
+ * per topic with the weak topics first, each linked to a quiz or flashcards
+ * on that topic.
+ */
+const Progress = ({ onError, onPractice }) => {
+  const [progress, setProgress] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const load = async () => {
+    setLoading(true);
+    try {
+      const res = await fetchProgress();
+      setProgress(res.progress);
+    } catch (err) {
+      onError?.(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const weak = progress ? progress.topics.filter((t) => progress.weakTopics.includes(t.id)) : [];
+  const others = progress ? progress.topics.filter((t) => !progress.weakTopics.includes(t.id)) : [];
+  const busiestDay = progress ? Math.max(1, ...progress.time.byDay.map((d) => d.minutes)) : 1;
+
+  const renderTopic = (t) => {
+    const level = LEVELS[t.level] || LEVELS.untested;
+    return (
+      <li key={t.id} className="rounded-lg border border-slate-700/50 bg-slate-800/30 px-3 py-2 text-xs">
+        <div className="flex items-center justify-between gap-2">
+          <p className="truncate text-slate-100">{t.name}</p>
+          <span className={`flex-shrink-0 text-[10px] ${level.text}`}>
+            {level.label}{t.level !== 'untested' && ` · ${Math.round(t.mastery * 100)}%`}
+          </span>
+        </div>
+        <div className="mt-1.5 h-1.5 overflow-hidden rounded-full bg-slate-700/60">
+          <div className={`h-full ${level.bar}`} style={{ width: `${Math.round(t.mastery * 100)}%` }} />
+        </div>
+        <div className="mt-1.5 flex items-center justify-between gap-2">
+          <p className="text-[10px] text-slate-400">
+            {t.answers} answer{t.answers === 1 ? '' : 's'} · {t.questionsAsked} question{t.questionsAsked === 1 ? '' : 's'} asked
+            {t.lastPracticedAt && ` · last ${new Date(t.lastPracticedAt).toLocaleDateString()}`}
+          </p>
+          {progress.weakTopics.includes(t.id) && (
+            <div className="flex flex-shrink-0 gap-1">
+              <button
+                type="button"
+                onClick={() => onPractice?.('quiz', t.name)}
+                className="inline-flex items-center gap-1 rounded-full border border-emerald-400/60 px-2 py-0.5 text-[10px] text-emerald-200 hover:bg-emerald-500/10"
+              >
+                <ListChecks size={11} />
+                Quiz me
+              </button>
+              <button
+                type="button"
+                onClick={() => onPractice?.('flashcards', t.name)}
+                className="inline-flex items-center gap-1 rounded-full border border-slate-600/60 px-2 py-0.5 text-[10px] text-slate-300 hover:border-emerald-400/70 hover:text-emerald-300"
+              >
+                <Layers size={11} />
+                Cards
+              </button>
+            </div>
+          )}
+        </div>
+      </li>
+    );
+  };
+
+  return (
+    <AnimatedBorder className="h-full">
+      <div className="flex h-full flex-col p-4 md:p-6">
+        <div className="mb-3 flex items-center justify-between gap-3">
+          <div>
+            <h2 className="text-base md:text-lg font-semibold text-coolwhite">Progress</h2>
+            <p className="text-[10px] md:text-xs text-slate-300/70">
+              Mastery per topic from your questions, quizzes, exams and flashcard reviews.
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={load}
+            disabled={loading}
+            className="inline-flex items-center gap-1 rounded-full border border-slate-600/60 px-3 py-1 text-[11px] text-slate-300/80 hover:border-emerald-400/70 hover:text-emerald-300 transition-colors disabled:opacity-50"
+          >
+            <RotateCcw size={12} />
+            Refresh
+          </button>
+        </div>
+
+        <GlassCard hover={false} className="flex-1 min-h-0 bg-slate-900/40">
+          {loading && !progress && <LoadingState lines={4} />}
+          {progress && (
+            <div className="flex h-full flex-col gap-3 overflow-y-auto pr-1">
+              <div className="grid grid-cols-3 gap-2">
+                <Stat
+                  icon={Flame}
+                  label="Streak"
+                  value={`${progress.streak.current} day${progress.streak.current === 1 ? '' : 's'}`}
+                  detail={progress.streak.activeToday ? `Studied today · best ${progress.streak.longest}` : `Best ${progress.streak.longest}`}
+                />
+                <Stat
+                  icon={Clock}
+                  label="This week"
+                  value={formatMinutes(progress.time.last7DaysMinutes)}
+                  detail={`${formatMinutes(progress.time.totalMinutes)} in total`}
+                />
+                <Stat
+                  icon={Target}
+                  label="Weak topics"
+                  value={progress.weakTopics.length}
+                  detail={`of ${progress.topics.length} topics`}
+                />
+              </div>
+
+              <div>
+                <p className="mb-1 text-[10px] uppercase tracking-wide text-slate-400">Last 14 days</p>
+                <div className="flex h-16 items-end gap-1">
+                  {progress.time.byDay.map((d) => (
+                    <div
+                      key={d.date}
+                      className="flex-1 rounded-t bg-emerald-400/70"
+                      style={{ height: `${Math.max(d.minutes ? 8 : 2, (d.minutes / busiestDay) * 100)}%` }}
+                      title={`${new Date(`${d.date}T00:00:00`).toLocaleDateString()}: ${formatMinutes(d.minutes)}`}
+                    />
+                  ))}
+                </div>
+              </div>
+
+              {progress.topics.length === 0 && (
+                <p className="text-center text-xs text-slate-400">
+                  Add study material to see your topics; ask questions and take quizzes to track your mastery.
+                </p>
+              )}
+              {weak.length > 0 && (
+                <div>
+                  <p className="mb-1 text-[10px] uppercase tracking-wide text-red-300/80">Needs work</p>
+                  <ul className="space-y-2">{weak.map(renderTopic)}</ul>
+                </div>
+              )}
+              {others.length > 0 && (
+                <div>
+                  <p className="mb-1 text-[10px] uppercase tracking-wide text-slate-400">All topics</p>
+                  <ul className="space-y-2">{others.map(renderTopic)}</ul>
+                </div>
+              )}
+            </div>
+          )}
+        </GlassCard>
+      </div>
+    </AnimatedBorder>
+  );
+};
+
+export default Progress;
@@ -2,10 +2,17 @@ import { useState, useEffect } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import { ClipboardCopy, CornerDownLeft, RefreshCw, Trash2, ChevronDown, ChevronUp, FileText, FolderPlus } from 'lucide-react';
+
+const groundingBadgeClass = (score) => {
+  if (score >= 0.75) return 'border-emerald-400/60 text-emerald-300';
+  if (score >= 0.4) return 'border-amber-400/60 text-amber-300';
+  return 'border-red-400/60 text-red-300';
+};
 import GlassCard from './GlassCard.jsx';
 import AnimatedBorder from './AnimatedBorder.jsx';
 import LoadingState from './LoadingState.jsx';
-import { askQuestion } from '../utils/api.js';
+import CitationChips from './CitationChips.jsx';
+import { streamQuestion } from '../utils/api.js';
 
 const CollapsibleQuestions = ({ title, questions, onQuestionClick }) => {
   const [collapsed, setCollapsed] = useState(false);
@@ -52,7 +59,7 @@ const CollapsibleQuestions = ({ title, questions, onQuestionClick }) => {
   );
 };
 
-const QAChat = ({ onError, suggestedQuestions = [], loadingSuggestions = false, onSuggestionClick, onRequestMoreSuggestions }) => {
+const QAChat = ({ onError, suggestedQuestions = [], loadingSuggestions = false, onSuggestionClick, onRequestMoreSuggestions, onCitationClick }) => {
   const [question, setQuestion] = useState('');
   const [messages, setMessages] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -95,17 +102,26 @@ const QAChat = ({ onError, suggestedQuestions = [], loadingSuggestions = false,
       const userMessage = { role: 'user', content: trimmed };
       setMessages((prev) => [...prev, userMessage]);
 
-      const res = await askQuestion(trimmed);
-      const aiMessage = {
-        role: 'assistant',
+      // Placeholder assistant message that fills in as chunks arrive
+      setMessages((prev) => [...prev, { role: 'assistant', content: '', streaming: true }]);
+      const updateStreaming = (update) => {
+        setMessages((prev) => prev.map((m) => (m.streaming ? { ...m, ...update(m) } : m)));
+      };
+
+      const res = await streamQuestion(trimmed, {
+        onChunk: (text) => updateStreaming((m) => ({ content: m.content + text })),
+      });
+      updateStreaming(() => ({
         content: res.answer,
+        streaming: false,
         meta: {
-          isGrounded: res.isGrounded,
+          groundingScore: res.groundingScore,
+          citations: res.citations || [],
           sources: res.sources,
         },
-      };
-      setMessages((prev) => [...prev, aiMessage]);
+      }));
     } catch (err) {
+      setMessages((prev) => prev.filter((m) => !m.streaming));
       onError?.(err.message);
     } finally {
       setLoading(false);
@@ -195,7 +211,7 @@ const QAChat = ({ onError, suggestedQuestions = [], loadingSuggestions = false,
                 </div>
               )}
 
-              {messages.map((m, index) => (
+              {messages.filter((m) => !(m.streaming && !m.content)).map((m, index) => (
                 // eslint-disable-next-line react/no-array-index-key
                 <div key={index} className="flex flex-col gap-1 animate-fade-up">
                   <div
@@ -224,12 +240,12 @@ const QAChat = ({ onError, suggestedQuestions = [], loadingSuggestions = false,
                   {m.role === 'assistant' && m.meta && (
                     <div className="ml-1 flex items-center gap-2 text-[10px] text-slate-300/70">
                       <span
-                        className={`rounded-full border px-2 py-0.5 ${m.meta.isGrounded
-                          ? 'border-emerald-400/60 text-emerald-300'
-                          : 'border-amber-400/60 text-amber-300'
-                          }`}
+                        className={`rounded-full border px-2 py-0.5 ${groundingBadgeClass(m.meta.groundingScore)}`}
+                        title="Share of citations verified against the source text"
                       >
-                        {m.meta.isGrounded ? 'Grounded in material' : 'Not clearly grounded'}
+                        {m.meta.groundingScore > 0
+                          ? `Grounding ${Math.round(m.meta.groundingScore * 100)}%`
+                          : 'Not grounded'}
                       </span>
                       {m.meta.sources && (
                         <span className="truncate">
@@ -238,9 +254,12 @@ const QAChat = ({ onError, suggestedQuestions = [], loadingSuggestions = false,
                       )}
                     </div>
                   )}
+                  {m.role === 'assistant' && m.meta?.citations?.length > 0 && (
+                    <CitationChips citations={m.meta.citations} onCitationClick={onCitationClick} />
+                  )}
                 </div>
               ))}
-              {loading && <LoadingState lines={4} />}
+              {loading && !messages.some((m) => m.streaming && m.content) && <LoadingState lines={4} />}
 
               <div className="pt-2">
                 {loadingSuggestions && (
@@ -0,0 +1,43 @@
+/**
+ * Answer input for a quiz or exam question: options for multiple choice
+ * (answered with the option index) and true/false (answered with a boolean),
+ * a text box for written answers.
+ */
+const QuestionInput = ({ question, value, onChange }) => {
+  if (question.type === 'short_answer' || question.type === 'long_answer') {
+    return (
+      <textarea
+        value={value ?? ''}
+        onChange={(e) => onChange(e.target.value)}
+        rows={question.type === 'long_answer' ? 8 : 3}
+        placeholder="Your answer"
+        className="w-full rounded-xl border border-slate-600/60 bg-slate-900/60 px-3 py-2 text-sm text-slate-100 placeholder-slate-500 focus:border-emerald-400 focus:outline-none"
+      />
+    );
+  }
+  return (
+    <div className="space-y-1.5">
+      {question.options.map((option, i) => {
+        // True/false questions are answered with a boolean, others with the option index
+        const optionValue = question.type === 'true_false' ? i === 0 : i;
+        const selected = value === optionValue;
+        return (
+          <button
+            key={option}
+            type="button"
+            onClick={() => onChange(optionValue)}
+            className={`flex w-full items-start gap-2 rounded-xl border px-3 py-2 text-left text-sm transition-colors ${selected
+              ? 'border-emerald-400/70 bg-emerald-500/10 text-emerald-100'
+              : 'border-slate-700/60 bg-slate-900/40 text-slate-200 hover:border-emerald-400/40'
+              }`}
+          >
+            <span className="mt-0.5 text-[11px] font-semibold text-slate-400">{String.fromCharCode(65 + i)}</span>
+            <span>{option}</span>
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default QuestionInput;
@@ -0,0 +1,47 @@
+import { CheckCircle2, CircleDot, XCircle } from 'lucide-react';
+import CitationChips from './CitationChips.jsx';
+
+/**
+ * A graded quiz or exam question: the score, the student's and the correct
+ * answer, rubric points met, feedback, explanation and citations.
+ */
+const QuestionResult = ({ result, index, onCitationClick }) => {
+  const Icon = result.correct ? CheckCircle2 : result.score > 0 ? CircleDot : XCircle;
+  const iconClass = result.correct ? 'text-emerald-400' : result.score > 0 ? 'text-amber-400' : 'text-red-400';
+  const citations = [...(result.citations || []), ...(result.feedbackCitations || [])];
+  return (
+    <div className="rounded-xl border border-slate-700/50 bg-slate-800/30 p-3 text-xs">
+      <div className="mb-2 flex items-start gap-2">
+        <Icon size={16} className={`mt-0.5 flex-shrink-0 ${iconClass}`} />
+        <p className="flex-1 text-sm text-slate-100">{index + 1}. {result.question}</p>
+        <span className="flex-shrink-0 text-[11px] text-slate-400">{result.score}/{result.maxScore}</span>
+      </div>
+      <div className="ml-6 space-y-1.5 text-slate-300">
+        <p>
+          <span className="text-slate-400">Your answer: </span>
+          {result.yourAnswer ?? <span className="italic text-slate-500">not answered</span>}
+        </p>
+        {!result.correct && (
+          <p>
+            <span className="text-slate-400">{result.rubric ? 'Model answer: ' : 'Correct answer: '}</span>
+            <span className="text-emerald-200">{result.correctAnswer}</span>
+          </p>
+        )}
+        {result.rubric && (
+          <ul className="space-y-0.5">
+            {result.rubric.map((r) => (
+              <li key={r.point} className={r.met ? 'text-emerald-300' : 'text-slate-400'}>
+                {r.met ? '✓' : '✗'} {r.point}{r.marks ? ` (${r.marks} mark${r.marks === 1 ? '' : 's'})` : ''}
+              </li>
+            ))}
+          </ul>
+        )}
+        {result.feedback && <p className="text-amber-100/90">{result.feedback}</p>}
+        {result.explanation && <p className="text-slate-400">{result.explanation}</p>}
+        {citations.length > 0 && <CitationChips citations={citations} onCitationClick={onCitationClick} />}
+      </div>
+    </div>
+  );
+};
+
+export default QuestionResult;
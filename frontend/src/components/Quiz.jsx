@@ -0,0 +1,261 @@
+import { useEffect, useState } from 'react';
+import { ListChecks, RotateCcw, Sparkles, Trash2 } from 'lucide-react';
+import AnimatedBorder from './AnimatedBorder.jsx';
+import GlassCard from './GlassCard.jsx';
+import LoadingState from './LoadingState.jsx';
+import QuestionInput from './QuestionInput.jsx';
+import QuestionResult from './QuestionResult.jsx';
+import { fetchQuizzes, generateQuiz, submitQuiz, deleteQuiz } from '../utils/api.js';
+
+const QUESTION_TYPES = [
+  { id: 'multiple_choice', label: 'Multiple choice' },
+  { id: 'true_false', label: 'True / false' },
+  { id: 'short_answer', label: 'Short answer' },
+];
+
+const scoreClass = (percent) => {
+  if (percent >= 75) return 'text-emerald-300';
+  if (percent >= 40) return 'text-amber-300';
+  return 'text-red-300';
+};
+
+const Quiz = ({ onError, onCitationClick, initialTopic }) => {
+  const [quizzes, setQuizzes] = useState([]);
+  const [count, setCount] = useState(5);
+  const [types, setTypes] = useState(QUESTION_TYPES.map((t) => t.id));
+  // Prefilled when opened from a weak topic on the progress dashboard
+  const [topic, setTopic] = useState(initialTopic || '');
+  const [generating, setGenerating] = useState(false);
+  // The quiz being taken, its answers by question id, and the graded submission
+  const [quiz, setQuiz] = useState(null);
+  const [answers, setAnswers] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const loadQuizzes = async () => {
+    try {
+      const res = await fetchQuizzes();
+      setQuizzes(res.quizzes);
+    } catch (err) {
+      onError?.(err.message);
+    }
+  };
+
+  useEffect(() => {
+    loadQuizzes();
+  }, []);
+
+  const start = (next) => {
+    setQuiz(next);
+    setAnswers({});
+    setResult(null);
+  };
+
+  const toggleType = (id) => {
+    setTypes((current) => (current.includes(id)
+      ? current.filter((t) => t !== id)
+      : QUESTION_TYPES.map((t) => t.id).filter((t) => t === id || current.includes(t))));
+  };
+
+  const handleGenerate = async () => {
+    setGenerating(true);
+    try {
+      const res = await generateQuiz({ count, types, topic: topic.trim() || undefined });
+      setTopic('');
+      start(res.quiz);
+      loadQuizzes();
+    } catch (err) {
+      onError?.(err.message);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    try {
+      setResult(await submitQuiz(quiz.id, answers));
+      loadQuizzes();
+    } catch (err) {
+      onError?.(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteQuiz(id);
+      setQuizzes((current) => current.filter((q) => q.id !== id));
+    } catch (err) {
+      onError?.(err.message);
+    }
+  };
+
+  const answered = quiz ? quiz.questions.filter((q) => answers[q.id] !== undefined && answers[q.id] !== '').length : 0;
+
+  return (
+    <AnimatedBorder className="h-full">
+      <div className="flex h-full flex-col p-4 md:p-6">
+        <div className="mb-3 flex items-center justify-between gap-3">
+          <div>
+            <h2 className="text-base md:text-lg font-semibold text-coolwhite">Quiz</h2>
+            <p className="text-[10px] md:text-xs text-slate-300/70">
+              {quiz
+                ? `${quiz.questions.length} questions${quiz.topic ? ` on ${quiz.topic}` : ''}`
+                : 'Auto-graded questions with explanations from your material.'}
+            </p>
+          </div>
+          {quiz && (
+            <button
+              type="button"
+              onClick={() => setQuiz(null)}
+              className="inline-flex items-center gap-1 rounded-full border border-slate-600/60 px-3 py-1 text-[11px] text-slate-300/80 hover:border-emerald-400/70 hover:text-emerald-300 transition-colors"
+            >
+              All quizzes
+            </button>
+          )}
+        </div>
+
+        <GlassCard hover={false} className="flex-1 min-h-0 bg-slate-900/40">
+          {!quiz && (
+            <div className="flex h-full flex-col gap-3">
+              <div className="space-y-2 text-xs">
+                <div className="flex flex-wrap gap-1.5">
+                  {QUESTION_TYPES.map((t) => (
+                    <button
+                      key={t.id}
+                      type="button"
+                      onClick={() => toggleType(t.id)}
+                      className={`rounded-full border px-3 py-1 transition-colors ${types.includes(t.id)
+                        ? 'border-emerald-400/70 bg-emerald-500/10 text-emerald-200'
+                        : 'border-slate-600/60 text-slate-400 hover:border-emerald-400/40'
+                        }`}
+                    >
+                      {t.label}
+                    </button>
+                  ))}
+                </div>
+                <div className="flex flex-wrap items-center gap-2">
+                  <input
+                    type="text"
+                    value={topic}
+                    onChange={(e) => setTopic(e.target.value)}
+                    placeholder="Topic (optional)"
+                    className="min-w-0 flex-1 rounded-full border border-slate-600/60 bg-slate-900/60 px-3 py-1.5 text-slate-100 placeholder-slate-500 focus:border-emerald-400 focus:outline-none"
+                  />
+                  <select
+                    value={count}
+                    onChange={(e) => setCount(Number(e.target.value))}
+                    className="rounded-full border border-slate-600/60 bg-slate-900/60 px-3 py-1.5 text-slate-100 focus:border-emerald-400 focus:outline-none"
+                  >
+                    {[5, 10, 15].map((n) => <option key={n} value={n}>{n} questions</option>)}
+                  </select>
+                  <button
+                    type="button"
+                    onClick={handleGenerate}
+                    disabled={generating || types.length === 0}
+                    className="inline-flex items-center gap-1 rounded-full border border-emerald-400/60 px-3 py-1.5 text-emerald-200 hover:bg-emerald-500/10 transition-colors disabled:opacity-50"
+                  >
+                    <Sparkles size={13} />
+                    {generating ? 'Generating...' : 'New quiz'}
+                  </button>
+                </div>
+              </div>
+              {generating && <LoadingState lines={4} />}
+              {!generating && quizzes.length === 0 && (
+                <p className="text-center text-xs text-slate-400">No quizzes yet.</p>
+              )}
+              <ul className="flex-1 min-h-0 space-y-2 overflow-y-auto">
+                {quizzes.map((q) => {
+                  const best = q.attempts.reduce((max, a) => Math.max(max, a.percent), -1);
+                  return (
+                    <li key={q.id} className="flex items-center gap-3 rounded-lg border border-slate-700/50 bg-slate-800/30 px-3 py-2 text-xs">
+                      <ListChecks size={14} className="flex-shrink-0 text-emerald-300" />
+                      <div className="min-w-0 flex-1">
+                        <p className="truncate text-slate-100">{q.topic || 'Whole notebook'} · {q.questions.length} questions</p>
+                        <p className="text-[10px] text-slate-400">
+                          {new Date(q.createdAt).toLocaleDateString()}
+                          {best >= 0 ? ` · best ${best}% in ${q.attempts.length} attempt${q.attempts.length === 1 ? '' : 's'}` : ' · not taken yet'}
+                        </p>
+                      </div>
+                      <button
+                        type="button"
+                        onClick={() => start(q)}
+                        className="rounded-full border border-emerald-400/60 px-3 py-0.5 text-emerald-200 hover:bg-emerald-500/10"
+                      >
+                        {q.attempts.length > 0 ? 'Retake' : 'Start'}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleDelete(q.id)}
+                        className="rounded p-1 text-slate-500 hover:text-red-400"
+                        title="Delete quiz"
+                      >
+                        <Trash2 size={13} />
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          )}
+
+          {quiz && !result && (
+            <div className="flex h-full flex-col">
+              <ol className="flex-1 min-h-0 space-y-4 overflow-y-auto pr-1">
+                {quiz.questions.map((q, i) => (
+                  <li key={q.id} className="space-y-2">
+                    <p className="text-sm text-slate-100">
+                      {i + 1}. {q.question}
+                      {q.type === 'true_false' && <span className="ml-1 text-[11px] text-slate-400">(true or false?)</span>}
+                    </p>
+                    <QuestionInput
+                      question={q}
+                      value={answers[q.id]}
+                      onChange={(value) => setAnswers((current) => ({ ...current, [q.id]: value }))}
+                    />
+                  </li>
+                ))}
+              </ol>
+              <button
+                type="button"
+                onClick={handleSubmit}
+                disabled={submitting}
+                className="mt-4 flex-shrink-0 rounded-xl border border-emerald-400/60 px-4 py-2 text-sm text-emerald-200 hover:bg-emerald-500/10 transition-colors disabled:opacity-50"
+              >
+                {submitting ? 'Grading...' : `Submit (${answered}/${quiz.questions.length} answered)`}
+              </button>
+            </div>
+          )}
+
+          {quiz && result && (
+            <div className="flex h-full flex-col">
+              <div className="mb-3 flex flex-shrink-0 items-center justify-between">
+                <p className="text-sm text-slate-200">
+                  Score: <span className={`text-lg font-semibold ${scoreClass(result.percent)}`}>{result.percent}%</span>
+                  <span className="ml-2 text-xs text-slate-400">({result.score} of {result.maxScore})</span>
+                </p>
+                <button
+                  type="button"
+                  onClick={() => start(quiz)}
+                  className="inline-flex items-center gap-1 rounded-full border border-slate-600/60 px-3 py-1 text-[11px] text-slate-300 hover:border-emerald-400/70 hover:text-emerald-300 transition-colors"
+                >
+                  <RotateCcw size={12} />
+                  Retake
+                </button>
+              </div>
+              <div className="flex-1 min-h-0 space-y-2 overflow-y-auto pr-1">
+                {result.results.map((r, i) => (
+                  <QuestionResult key={r.questionId} result={r} index={i} onCitationClick={onCitationClick} />
+                ))}
+              </div>
+            </div>
+          )}
+        </GlassCard>
+      </div>
+    </AnimatedBorder>
+  );
+};
+
+export default Quiz;
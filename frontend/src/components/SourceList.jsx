@@ -1,6 +1,11 @@
-import { FileText, Link as LinkIcon, Trash2, Youtube } from 'lucide-react';
+import { AudioLines, BookOpen, Eye, FileSpreadsheet, FileText, Globe, GraduationCap, Link as LinkIcon, Presentation, ToggleLeft, ToggleRight, Trash2, Youtube } from 'lucide-react';
 
-const SourceList = ({ sources, onRemove }) => {
+/**
+ * Notebook sources. `onToggle(id, enabled)` switches a source in or out of
+ * answers without removing it; `onExamTemplate(id, flagged)` flags the past
+ * paper mock exams are modeled on.
+ */
+const SourceList = ({ sources, onRemove, onPreview, onToggle, onExamTemplate }) => {
     if (!sources || sources.length === 0) {
         return (
             <div className="sources-empty flex h-full items-center justify-center px-4 text-center text-sm text-slate-300/70 opacity-60">
@@ -9,18 +14,33 @@ const SourceList = ({ sources, onRemove }) => {
         );
     }
 
-    const getSourceIcon = (type) => {
+    const getSourceIcon = (type, fileType) => {
+        switch (fileType) {
+            case 'pptx':
+                return <Presentation className="h-4 w-4 text-orange-400" />;
+            case 'epub':
+                return <BookOpen className="h-4 w-4 text-violet-400" />;
+            case 'spreadsheet':
+                return <FileSpreadsheet className="h-4 w-4 text-green-400" />;
+            case 'audio':
+                return <AudioLines className="h-4 w-4 text-amber-400" />;
+            default:
+                break;
+        }
         switch (type) {
             case 'file':
             case 'pdf':
             case 'docx':
             case 'text':
             case 'markdown':
+            case 'html':
                 return <FileText className="h-4 w-4 text-emerald-400" />;
             case 'youtube':
                 return <Youtube className="h-4 w-4 text-red-400" />;
             case 'drive':
                 return <LinkIcon className="h-4 w-4 text-blue-400" />;
+            case 'url':
+                return <Globe className="h-4 w-4 text-sky-400" />;
             default:
                 return <FileText className="h-4 w-4 text-slate-400" />;
         }
@@ -42,17 +62,56 @@ const SourceList = ({ sources, onRemove }) => {
                         key={source.id}
                         className="flex items-center gap-3 rounded-lg border border-slate-700/50 bg-slate-900/40 p-3 transition-colors hover:bg-slate-900/60"
                     >
-                        <div className="flex-shrink-0">{getSourceIcon(source.type)}</div>
+                        <div className={`flex-shrink-0 ${source.enabled === false ? 'opacity-40' : ''}`}>{getSourceIcon(source.type, source.fileType)}</div>
 
-                        <div className="min-w-0 flex-1">
+                        <div className={`min-w-0 flex-1 ${source.enabled === false ? 'opacity-50' : ''}`}>
                             <p className="truncate text-sm font-medium text-coolwhite">
                                 {source.name || source.fileName || 'Unnamed source'}
                             </p>
                             <p className="text-xs text-slate-400">
                                 {source.type} {source.size ? `• ${formatSize(source.size)}` : ''}
+                                {source.enabled === false ? ' • not used in answers' : ''}
+                                {source.examTemplate ? ' • exam template' : ''}
                             </p>
                         </div>
 
+                        {onToggle && (
+                            <button
+                                type="button"
+                                role="switch"
+                                aria-checked={source.enabled !== false}
+                                onClick={() => onToggle(source.id, source.enabled === false)}
+                                className="flex-shrink-0 rounded-lg p-1.5 text-slate-400 transition-colors hover:bg-slate-800 hover:text-coolwhite"
+                                title={source.enabled === false ? 'Use in answers' : 'Leave out of answers'}
+                            >
+                                {source.enabled === false
+                                    ? <ToggleLeft className="h-4 w-4" />
+                                    : <ToggleRight className="h-4 w-4 text-emerald-400" />}
+                            </button>
+                        )}
+
+                        {onExamTemplate && (
+                            <button
+                                type="button"
+                                aria-pressed={!!source.examTemplate}
+                                onClick={() => onExamTemplate(source.id, !source.examTemplate)}
+                                className={`flex-shrink-0 rounded-lg p-1.5 transition-colors hover:bg-slate-800 ${source.examTemplate ? 'text-amber-300' : 'text-slate-400 hover:text-coolwhite'}`}
+                                title={source.examTemplate ? 'Stop using as exam template' : 'Use as exam template for mock exams'}
+                            >
+                                <GraduationCap className="h-4 w-4" />
+                            </button>
+                        )}
+
+                        {onPreview && (
+                            <button
+                                type="button"
+                                onClick={() => onPreview(source.id)}
+                                className="flex-shrink-0 rounded-lg p-1.5 text-slate-400 transition-colors hover:bg-emerald-500/10 hover:text-emerald-300"
+                                title="Preview extracted text"
+                            >
+                                <Eye className="h-4 w-4" />
+                            </button>
+                        )}
                         <button
                             type="button"
                             onClick={() => onRemove(source.id)}
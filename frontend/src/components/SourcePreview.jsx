@@ -0,0 +1,249 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { X, Search, Loader2, AlertCircle, CheckCircle2, Circle } from 'lucide-react';
+import { fetchSource } from '../utils/api.js';
+
+const PAGE_SIZE = 100;
+
+const STRUCTURE_LABELS = {
+    pages: 'pages',
+    units: 'sections',
+    segments: 'transcript segments',
+    text: 'text block',
+    chunks: 'excerpts',
+    none: 'sections',
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whether a section is where a citation points (see backend services/citations.js)
+const matchesCitation = (section, citation) => {
+    if (!citation) return false;
+    const { location } = section;
+    switch (citation.type) {
+        case 'page':
+        case 'slide':
+        case 'chapter':
+        case 'sheet':
+        case 'section':
+            return location[citation.type] != null && location[citation.type] === citation[citation.type];
+        case 'timestamp':
+            return typeof location.start === 'number' && citation.start >= location.start && citation.start <= location.end;
+        default:
+            return false;
+    }
+};
+
+const Highlighted = ({ text, terms }) => {
+    const active = terms.filter((t) => t && t.trim());
+    if (active.length === 0) return text;
+    const pattern = new RegExp(`(${active.map((t) => escapeRegExp(t.trim())).join('|')})`, 'gi');
+    return text.split(pattern).map((part, i) =>
+        i % 2 === 1
+            // eslint-disable-next-line react/no-array-index-key
+            ? <mark key={i} className="rounded bg-amber-400/30 px-0.5 text-coolwhite">{part}</mark>
+            : part,
+    );
+};
+
+const StatusBadge = ({ status }) => {
+    const { state, error, cached, percent } = status;
+    if (state === 'failed') {
+        return (
+            <div className="flex items-start gap-2 rounded-lg border border-red-400/40 bg-red-500/10 px-3 py-2 text-xs text-red-200">
+                <AlertCircle className="mt-0.5 h-3.5 w-3.5 flex-shrink-0" />
+                <span>Ingestion failed: {error}</span>
+            </div>
+        );
+    }
+    const label = {
+        done: `Ingested${cached ? ' (from cache)' : ''}`,
+        processing: `Ingesting${percent != null ? ` · ${percent}%` : '...'}`,
+        pending: 'Waiting to ingest',
+        not_ingested: 'Not ingested yet',
+    }[state] || state;
+    const Icon = state === 'done' ? CheckCircle2 : state === 'processing' ? Loader2 : Circle;
+    return (
+        <span className="inline-flex items-center gap-1.5 text-xs text-slate-300">
+            <Icon className={`h-3.5 w-3.5 ${state === 'done' ? 'text-emerald-400' : 'text-slate-400'} ${state === 'processing' ? 'animate-spin' : ''}`} />
+            {label}
+        </span>
+    );
+};
+
+/**
+ * Drawer showing what was extracted from a source, with search. Opened on a
+ * citation, it scrolls to the cited location and marks the quote.
+ */
+const SourcePreview = ({ sourceId, citation = null, onClose }) => {
+    const [data, setData] = useState(null);
+    const [error, setError] = useState(null);
+    const [query, setQuery] = useState('');
+    const [visible, setVisible] = useState(PAGE_SIZE);
+    const focusRef = useRef(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        let timer = null;
+        setData(null);
+        setError(null);
+        setQuery('');
+
+        const load = async () => {
+            try {
+                const result = await fetchSource(sourceId);
+                if (cancelled) return;
+                setData(result);
+                // Follow a running ingestion until it settles
+                if (['pending', 'processing'].includes(result.status.state)) timer = setTimeout(load, 3000);
+            } catch (err) {
+                if (!cancelled) setError(err.message);
+            }
+        };
+        load();
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [sourceId]);
+
+    const sections = data?.sections || [];
+    const focusIndex = useMemo(() => sections.findIndex((s) => matchesCitation(s, citation)), [sections, citation]);
+
+    const term = query.trim().toLowerCase();
+    const shown = useMemo(
+        () => sections
+            .map((section, index) => ({ section, index }))
+            .filter(({ section }) => !term || section.text.toLowerCase().includes(term) || section.label.toLowerCase().includes(term)),
+        [sections, term],
+    );
+    const matchCount = useMemo(
+        () => (term ? shown.reduce((sum, { section }) => sum + section.text.toLowerCase().split(term).length - 1, 0) : 0),
+        [shown, term],
+    );
+
+    useEffect(() => {
+        if (focusIndex >= visible) setVisible(focusIndex + 1);
+    }, [focusIndex, visible]);
+
+    useEffect(() => {
+        focusRef.current?.scrollIntoView({ block: 'start' });
+    }, [focusIndex]);
+
+    const stats = data?.stats;
+
+    return (
+        <div className="fixed inset-0 z-[120] flex justify-end bg-black/40 backdrop-blur-sm" onClick={onClose}>
+            <div
+                className="flex h-full w-full max-w-xl flex-col border-l border-slate-700/50 bg-slate-900 shadow-2xl"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="flex items-start justify-between gap-3 border-b border-slate-700/50 p-4">
+                    <div className="min-w-0">
+                        <h2 className="truncate text-base font-semibold text-coolwhite">
+                            {data?.source.name || 'Source preview'}
+                        </h2>
+                        {data && (
+                            <p className="mt-0.5 text-xs text-slate-400">
+                                {[data.source.fileType || data.source.type, data.source.pdfExtraction && `${data.source.pdfExtraction} extraction`, data.source.transcriptOrigin && `transcript from ${data.source.transcriptOrigin}`]
+                                    .filter(Boolean)
+                                    .join(' · ')}
+                            </p>
+                        )}
+                    </div>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="rounded-lg p-1 text-slate-400 transition-colors hover:bg-slate-800 hover:text-coolwhite"
+                    >
+                        <X className="h-5 w-5" />
+                    </button>
+                </div>
+
+                {!data && !error && (
+                    <div className="flex flex-1 items-center justify-center">
+                        <Loader2 className="h-5 w-5 animate-spin text-emerald-400" />
+                    </div>
+                )}
+                {error && <p className="p-4 text-sm text-red-300">{error}</p>}
+
+                {data && (
+                    <>
+                        <div className="space-y-3 border-b border-slate-700/50 p-4">
+                            <StatusBadge status={data.status} />
+                            <p className="text-xs text-slate-400">
+                                {[
+                                    `${stats.sections} ${STRUCTURE_LABELS[data.structure]}`,
+                                    `${stats.words.toLocaleString()} words`,
+                                    `~${stats.tokens.toLocaleString()} tokens`,
+                                    stats.chunks > 0 && `${stats.chunks} retrieval chunks`,
+                                    stats.fileTokens && `~${stats.fileTokens.toLocaleString()} tokens as a Gemini file`,
+                                    stats.ocrPages > 0 && `${stats.ocrPages} OCR pages`,
+                                ].filter(Boolean).join(' · ')}
+                            </p>
+                            <div className="relative">
+                                <Search className="pointer-events-none absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-slate-500" />
+                                <input
+                                    type="search"
+                                    value={query}
+                                    onChange={(e) => {
+                                        setQuery(e.target.value);
+                                        setVisible(PAGE_SIZE);
+                                    }}
+                                    placeholder="Search in this source"
+                                    className="w-full rounded-lg border border-slate-700 bg-slate-800/50 py-2 pl-9 pr-4 text-sm text-coolwhite placeholder-slate-500 focus:border-emerald-400 focus:outline-none focus:ring-1 focus:ring-emerald-400"
+                                />
+                            </div>
+                            {term && (
+                                <p className="text-xs text-slate-400">
+                                    {matchCount} match{matchCount === 1 ? '' : 'es'} in {shown.length} {STRUCTURE_LABELS[data.structure]}
+                                </p>
+                            )}
+                        </div>
+
+                        <div className="flex-1 space-y-3 overflow-y-auto p-4">
+                            {sections.length === 0 && (
+                                <p className="text-sm text-slate-400">
+                                    No text was extracted from this source. The model reads it from the uploaded file, if at all.
+                                </p>
+                            )}
+                            {shown.slice(0, visible).map(({ section, index }) => {
+                                const focused = index === focusIndex;
+                                return (
+                                    <div
+                                        key={index}
+                                        ref={focused ? focusRef : undefined}
+                                        className={`rounded-xl border p-3 ${focused ? 'border-emerald-400/60 bg-emerald-500/5' : 'border-slate-700/50 bg-slate-800/30'}`}
+                                    >
+                                        <div className="mb-1.5 flex items-center justify-between text-[11px] text-slate-400">
+                                            <span className="font-medium text-emerald-300/90">{section.label}</span>
+                                            <span>
+                                                {section.ocrConfidence != null && `OCR ${section.ocrConfidence}% · `}
+                                                ~{section.tokens} tokens
+                                            </span>
+                                        </div>
+                                        <p className="whitespace-pre-wrap break-words text-xs leading-relaxed text-slate-200">
+                                            {section.text
+                                                ? <Highlighted text={section.text} terms={[query, focused ? citation?.quote : null]} />
+                                                : <span className="italic text-slate-500">No text</span>}
+                                        </p>
+                                    </div>
+                                );
+                            })}
+                            {shown.length > visible && (
+                                <button
+                                    type="button"
+                                    onClick={() => setVisible((v) => v + PAGE_SIZE)}
+                                    className="w-full rounded-lg bg-slate-800/60 px-4 py-2 text-xs text-slate-300 hover:bg-slate-800"
+                                >
+                                    Show more ({shown.length - visible} left)
+                                </button>
+                            )}
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SourcePreview;
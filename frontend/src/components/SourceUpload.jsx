@@ -1,19 +1,105 @@
 import { useState, useEffect } from 'react';
-import { X, Upload, Link as LinkIcon, FileText, Type } from 'lucide-react';
+import { X, Upload, Link as LinkIcon, FileText, Type, Globe, Circle, Loader2, CheckCircle2, AlertCircle, AlertTriangle } from 'lucide-react';
 import FileDropZone from './FileDropZone.jsx';
 import SourceList from './SourceList.jsx';
-import { uploadFile, addSource, fetchSources, removeSource } from '../utils/api.js';
+import SourcePreview from './SourcePreview.jsx';
+import { uploadFile, addSource, fetchSources, removeSource, setSourceEnabled, setExamTemplate, waitForJob } from '../utils/api.js';
+
+const ITEM_ICONS = {
+    pending: <Circle className="h-3.5 w-3.5 text-slate-500" />,
+    processing: <Loader2 className="h-3.5 w-3.5 animate-spin text-emerald-400" />,
+    done: <CheckCircle2 className="h-3.5 w-3.5 text-emerald-400" />,
+    failed: <AlertCircle className="h-3.5 w-3.5 text-red-400" />,
+};
+
+const IngestProgress = ({ job }) => {
+    const finished = job.status === 'completed' || job.status === 'failed';
+    const title = {
+        queued: 'Waiting to ingest...',
+        running: `Ingesting sources (${job.progress.completed}/${job.progress.total})`,
+        completed: 'Study material updated',
+        failed: `Ingestion failed: ${job.error}`,
+    }[job.status];
+
+    return (
+        <div className="mb-4 rounded-xl border border-slate-700/50 bg-slate-800/40 p-3">
+            <div className="mb-2 flex items-center justify-between text-xs">
+                <span className={job.status === 'failed' ? 'text-red-300' : 'text-slate-300'}>{title}</span>
+                <span className="text-slate-400">{job.progress.percent}%</span>
+            </div>
+            <div className="h-1.5 overflow-hidden rounded-full bg-slate-700/60">
+                <div
+                    className={`h-full rounded-full transition-all duration-300 ${job.status === 'failed' ? 'bg-red-400' : 'bg-emerald-400'} ${!finished && job.progress.total === 0 ? 'animate-pulse w-1/4' : ''}`}
+                    style={job.progress.total > 0 || finished ? { width: `${job.progress.percent}%` } : undefined}
+                />
+            </div>
+            {job.items.length > 0 && (
+                <ul className="mt-2 space-y-1">
+                    {job.items.filter(Boolean).map((item, i) => (
+                        // eslint-disable-next-line react/no-array-index-key
+                        <li key={item.sourceId || i} className="flex items-start gap-2 text-xs text-slate-300">
+                            <span className="mt-0.5">{ITEM_ICONS[item.status] || ITEM_ICONS.pending}</span>
+                            <span className="flex-1 truncate">{item.name}</span>
+                            {item.cached && <span className="text-slate-500">cached</span>}
+                            {item.status === 'processing' && item.percent != null && (
+                                <span className="text-emerald-300">{item.percent}%</span>
+                            )}
+                            {item.error && <span className="max-w-[50%] truncate text-red-300" title={item.error}>{item.error}</span>}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+// Newly added sources that largely repeat existing ones (kept, but worth a look)
+const NearDuplicateWarning = ({ warnings, onRemove, onDismiss }) => (
+    <div className="mb-4 rounded-xl border border-amber-400/40 bg-amber-500/10 p-3">
+        <div className="mb-2 flex items-center justify-between text-xs">
+            <span className="flex items-center gap-2 font-medium text-amber-200">
+                <AlertTriangle className="h-3.5 w-3.5" />
+                Possible duplicate content
+            </span>
+            <button type="button" onClick={onDismiss} className="text-slate-400 hover:text-coolwhite">
+                <X className="h-3.5 w-3.5" />
+            </button>
+        </div>
+        <ul className="space-y-1.5">
+            {warnings.map((warning) => (
+                <li key={`${warning.source.id}-${warning.similarTo.id}`} className="flex items-center gap-2 text-xs text-slate-300">
+                    <span className="flex-1">
+                        "{warning.source.name}" overlaps {Math.round(warning.similarity * 100)}% with "{warning.similarTo.name}"
+                    </span>
+                    <button
+                        type="button"
+                        onClick={() => onRemove(warning.source.id)}
+                        className="rounded-md px-2 py-0.5 text-amber-200 hover:bg-amber-500/20"
+                    >
+                        Remove new
+                    </button>
+                </li>
+            ))}
+        </ul>
+    </div>
+);
 
 const SourceUpload = ({ onClose, onSourcesUpdated, showToast }) => {
     const [activeTab, setActiveTab] = useState('file');
     const [sources, setSources] = useState([]);
     const [loading, setLoading] = useState(false);
+    const [job, setJob] = useState(null);
+    const [nearDuplicates, setNearDuplicates] = useState([]);
+    const [previewId, setPreviewId] = useState(null);
 
     // Form states
     const [driveUrl, setDriveUrl] = useState('');
     const [youtubeUrl, setYoutubeUrl] = useState('');
+    const [webUrl, setWebUrl] = useState('');
+    const [captionsFile, setCaptionsFile] = useState(null);
     const [textContent, setTextContent] = useState('');
     const [textName, setTextName] = useState('');
+    const [pdfExtraction, setPdfExtraction] = useState('');
 
     useEffect(() => {
         loadSources();
@@ -28,13 +114,35 @@ const SourceUpload = ({ onClose, onSourcesUpdated, showToast }) => {
         }
     };
 
+    // Follow the ingestion job a source change queued, without blocking the forms
+    const trackJob = async (queued) => {
+        if (!queued) return;
+        setJob(queued);
+        try {
+            const finished = await waitForJob(queued.id, { onUpdate: setJob });
+            const failed = finished.items.filter((item) => item?.status === 'failed');
+            if (failed.length > 0) {
+                showToast(`${failed.length} source(s) could not be ingested`, 'error');
+            }
+            // Near duplicates are found once the job has extracted the new sources' text
+            if (finished.result?.nearDuplicates?.length > 0) {
+                setNearDuplicates(finished.result.nearDuplicates);
+            }
+            onSourcesUpdated?.();
+            setTimeout(() => setJob((current) => (current?.id === finished.id ? null : current)), 3000);
+        } catch (err) {
+            showToast(err.message, 'error');
+        }
+    };
+
     const handleFileSelect = async (file) => {
         setLoading(true);
         try {
-            await uploadFile(file);
+            const res = await uploadFile(file, { pdfExtraction });
             showToast(`File "${file.name}" uploaded successfully`);
+            setNearDuplicates([]);
             await loadSources();
-            onSourcesUpdated?.();
+            trackJob(res.job);
         } catch (err) {
             showToast(err.message, 'error');
         } finally {
@@ -48,15 +156,42 @@ const SourceUpload = ({ onClose, onSourcesUpdated, showToast }) => {
 
         setLoading(true);
         try {
-            await addSource({
-                type: 'drive',
-                url: driveUrl,
-                name: 'Google Drive PDF',
-            });
-            showToast('Google Drive link added successfully');
+            const res = await addSource({ type: 'drive', url: driveUrl });
+            const added = res.sources?.length || 1;
+            showToast(added > 1 ? `Added ${added} files from the Google Drive folder` : 'Google Drive link added successfully');
+            if (res.inaccessible?.length > 0) {
+                const names = res.inaccessible.map((file) => file.name).join(', ');
+                showToast(`Not publicly shared, skipped: ${names}`, 'error');
+            }
+            if (res.duplicates?.length > 0) {
+                showToast(`Already in the notebook, skipped: ${res.duplicates.map((file) => file.name).join(', ')}`);
+            }
             setDriveUrl('');
+            setNearDuplicates([]);
             await loadSources();
-            onSourcesUpdated?.();
+            trackJob(res.job);
+        } catch (err) {
+            showToast(err.message, 'error');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleAddWebPage = async (e) => {
+        e.preventDefault();
+        if (!webUrl.trim()) return;
+
+        setLoading(true);
+        try {
+            const res = await addSource({
+                type: 'url',
+                url: webUrl.trim(),
+            });
+            showToast('Web page added successfully');
+            setWebUrl('');
+            setNearDuplicates([]);
+            await loadSources();
+            trackJob(res.job);
         } catch (err) {
             showToast(err.message, 'error');
         } finally {
@@ -70,15 +205,18 @@ const SourceUpload = ({ onClose, onSourcesUpdated, showToast }) => {
 
         setLoading(true);
         try {
-            await addSource({
+            const res = await addSource({
                 type: 'youtube',
                 url: youtubeUrl,
                 name: 'YouTube Video',
+                captions: captionsFile ? await captionsFile.text() : undefined,
             });
             showToast('YouTube link added successfully');
             setYoutubeUrl('');
+            setCaptionsFile(null);
+            setNearDuplicates([]);
             await loadSources();
-            onSourcesUpdated?.();
+            trackJob(res.job);
         } catch (err) {
             showToast(err.message, 'error');
         } finally {
@@ -92,7 +230,7 @@ const SourceUpload = ({ onClose, onSourcesUpdated, showToast }) => {
 
         setLoading(true);
         try {
-            await addSource({
+            const res = await addSource({
                 type: 'text',
                 content: textContent,
                 name: textName.trim() || 'Pasted Text',
@@ -100,8 +238,9 @@ const SourceUpload = ({ onClose, onSourcesUpdated, showToast }) => {
             showToast('Text content added successfully');
             setTextContent('');
             setTextName('');
+            setNearDuplicates([]);
             await loadSources();
-            onSourcesUpdated?.();
+            trackJob(res.job);
         } catch (err) {
             showToast(err.message, 'error');
         } finally {
@@ -111,8 +250,30 @@ const SourceUpload = ({ onClose, onSourcesUpdated, showToast }) => {
 
     const handleRemoveSource = async (id) => {
         try {
-            await removeSource(id);
+            const res = await removeSource(id);
             showToast('Source removed');
+            setNearDuplicates((current) => current.filter((w) => w.source.id !== id && w.similarTo.id !== id));
+            await loadSources();
+            onSourcesUpdated?.();
+            trackJob(res.job);
+        } catch (err) {
+            showToast(err.message, 'error');
+        }
+    };
+
+    const handleToggleSource = async (id, enabled) => {
+        try {
+            await setSourceEnabled(id, enabled);
+            await loadSources();
+            onSourcesUpdated?.();
+        } catch (err) {
+            showToast(err.message, 'error');
+        }
+    };
+
+    const handleExamTemplate = async (id, flagged) => {
+        try {
+            await setExamTemplate(id, flagged);
             await loadSources();
             onSourcesUpdated?.();
         } catch (err) {
@@ -124,6 +285,7 @@ const SourceUpload = ({ onClose, onSourcesUpdated, showToast }) => {
         { id: 'file', label: 'Upload File', icon: Upload },
         { id: 'drive', label: 'Google Drive', icon: LinkIcon },
         { id: 'youtube', label: 'YouTube', icon: FileText },
+        { id: 'url', label: 'Web Page', icon: Globe },
         { id: 'text', label: 'Paste Text', icon: Type },
     ];
 
@@ -167,13 +329,38 @@ const SourceUpload = ({ onClose, onSourcesUpdated, showToast }) => {
 
                 {/* Content */}
                 <div className="p-4 md:p-6">
+                    {job && <IngestProgress job={job} />}
+                    {nearDuplicates.length > 0 && (
+                        <NearDuplicateWarning
+                            warnings={nearDuplicates}
+                            onRemove={handleRemoveSource}
+                            onDismiss={() => setNearDuplicates([])}
+                        />
+                    )}
                     {activeTab === 'file' && (
                         <div className="space-y-4">
                             <FileDropZone
                                 onFileSelect={handleFileSelect}
-                                accept=".pdf,.txt,.md,.docx"
+                                accept=".pdf,.docx,.pptx,.epub,.html,.htm,.csv,.xlsx,.txt,.md,.srt,.vtt,.jpg,.jpeg,.png,.webp,.mp3,.m4a,.wav"
                                 maxSize={10}
                             />
+                            <div>
+                                <label className="mb-2 block text-sm font-medium text-slate-300">
+                                    PDF text
+                                </label>
+                                <select
+                                    value={pdfExtraction}
+                                    onChange={(e) => setPdfExtraction(e.target.value)}
+                                    className="w-full rounded-lg border border-slate-700 bg-slate-800/50 px-4 py-2.5 text-sm text-coolwhite focus:border-emerald-400 focus:outline-none focus:ring-1 focus:ring-emerald-400"
+                                >
+                                    <option value="">Server default</option>
+                                    <option value="gemini">Gemini File API (reads layout and images)</option>
+                                    <option value="local">Local extraction (text per page, any model)</option>
+                                </select>
+                                <p className="mt-1.5 text-xs text-slate-400">
+                                    In local mode, scanned pages and photos are read with OCR while the source is ingested.
+                                </p>
+                            </div>
                             {loading && (
                                 <p className="text-center text-sm text-emerald-400">Uploading...</p>
                             )}
@@ -195,7 +382,7 @@ const SourceUpload = ({ onClose, onSourcesUpdated, showToast }) => {
                                     required
                                 />
                                 <p className="mt-1.5 text-xs text-slate-400">
-                                    Paste the shareable link to your Google Drive PDF
+                                    Paste the shareable link to a PDF, Google Doc, Slides deck, Sheet or a whole folder
                                 </p>
                             </div>
                             <button
@@ -208,6 +395,34 @@ const SourceUpload = ({ onClose, onSourcesUpdated, showToast }) => {
                         </form>
                     )}
 
+                    {activeTab === 'url' && (
+                        <form onSubmit={handleAddWebPage} className="space-y-4">
+                            <div>
+                                <label className="mb-2 block text-sm font-medium text-slate-300">
+                                    Article or lecture notes URL
+                                </label>
+                                <input
+                                    type="url"
+                                    value={webUrl}
+                                    onChange={(e) => setWebUrl(e.target.value)}
+                                    placeholder="https://example.com/lecture-notes"
+                                    className="w-full rounded-lg border border-slate-700 bg-slate-800/50 px-4 py-2.5 text-sm text-coolwhite placeholder-slate-500 focus:border-emerald-400 focus:outline-none focus:ring-1 focus:ring-emerald-400"
+                                    required
+                                />
+                                <p className="mt-1.5 text-xs text-slate-400">
+                                    The page is saved once, without menus and ads, and cited by section
+                                </p>
+                            </div>
+                            <button
+                                type="submit"
+                                disabled={loading || !webUrl.trim()}
+                                className="w-full rounded-lg bg-emerald-500/15 px-4 py-2.5 text-sm font-medium text-emerald-300 transition-colors hover:bg-emerald-500/25 disabled:opacity-50"
+                            >
+                                {loading ? 'Adding...' : 'Add Web Page'}
+                            </button>
+                        </form>
+                    )}
+
                     {activeTab === 'youtube' && (
                         <form onSubmit={handleAddYouTube} className="space-y-4">
                             <div>
@@ -223,7 +438,21 @@ const SourceUpload = ({ onClose, onSourcesUpdated, showToast }) => {
                                     required
                                 />
                                 <p className="mt-1.5 text-xs text-slate-400">
-                                    Paste the YouTube video URL. We use the link directly (no transcript scraping).
+                                    Paste the YouTube video URL. Its captions are fetched and used as a timestamped transcript.
+                                </p>
+                            </div>
+                            <div>
+                                <label className="mb-2 block text-sm font-medium text-slate-300">
+                                    Captions file (optional)
+                                </label>
+                                <input
+                                    type="file"
+                                    accept=".srt,.vtt"
+                                    onChange={(e) => setCaptionsFile(e.target.files?.[0] || null)}
+                                    className="w-full text-xs text-slate-400 file:mr-3 file:rounded-lg file:border-0 file:bg-slate-800 file:px-3 file:py-2 file:text-slate-200 hover:file:bg-slate-700"
+                                />
+                                <p className="mt-1.5 text-xs text-slate-400">
+                                    Upload an .srt or .vtt file if the video has no captions or YouTube is unreachable.
                                 </p>
                             </div>
                             <button
@@ -275,7 +504,7 @@ const SourceUpload = ({ onClose, onSourcesUpdated, showToast }) => {
 
                     {/* Source List */}
                     <div className="mt-6">
-                        <SourceList sources={sources} onRemove={handleRemoveSource} />
+                        <SourceList sources={sources} onRemove={handleRemoveSource} onPreview={setPreviewId} onToggle={handleToggleSource} onExamTemplate={handleExamTemplate} />
                     </div>
                 </div>
 
@@ -290,6 +519,7 @@ const SourceUpload = ({ onClose, onSourcesUpdated, showToast }) => {
                     </button>
                 </div>
             </div>
+            {previewId && <SourcePreview sourceId={previewId} onClose={() => setPreviewId(null)} />}
         </div>
     );
 };
@@ -5,6 +5,38 @@ const api = axios.create({
   timeout: 120000, // Increased to 120 seconds for Gemini API calls
 });
 
+// Bearer token for the signed-in user; the server scopes every request
+// (and the active notebook) to this login session.
+const AUTH_STORAGE_KEY = 'studyAuthToken';
+
+export const getAuthToken = () => localStorage.getItem(AUTH_STORAGE_KEY);
+
+export const setAuthToken = (token) => {
+  if (token) localStorage.setItem(AUTH_STORAGE_KEY, token);
+  else localStorage.removeItem(AUTH_STORAGE_KEY);
+};
+
+// Fired when the server rejects the token so the UI can return to login
+export const AUTH_EXPIRED_EVENT = 'auth:expired';
+
+// Drop a token the server rejected (401) and tell the UI
+const expireSession = (status) => {
+  if (status === 401 && getAuthToken()) {
+    setAuthToken(null);
+    window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+  }
+};
+
+const authHeaders = () => {
+  const token = getAuthToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+api.interceptors.request.use((config) => {
+  Object.assign(config.headers, authHeaders());
+  return config;
+});
+
 api.interceptors.response.use(
   (response) => response,
   (error) => {
@@ -15,6 +47,8 @@ api.interceptors.response.use(
       message: error.message
     });
 
+    expireSession(error.response?.status);
+
     const message =
       error.response?.data?.message ||
       error.message ||
@@ -27,20 +61,102 @@ api.interceptors.response.use(
   },
 );
 
+// Account APIs
+export const register = (email, password, name) =>
+  api.post('/auth/register', { email, password, name }).then((res) => res.data);
+export const login = (email, password) =>
+  api.post('/auth/login', { email, password }).then((res) => res.data);
+export const logout = () => api.post('/auth/logout').then((res) => res.data);
+export const fetchMe = () => api.get('/auth/me').then((res) => res.data);
+
 export const ingestMaterials = () => api.post('/ingest').then((res) => res.data);
-export const askQuestion = (question) =>
-  api.post('/ask', { question }).then((res) => res.data);
-export const dialogueTurn = (message) =>
-  api.post('/dialogue', { message }).then((res) => res.data);
-export const fetchSummary = () => api.post('/summary').then((res) => res.data);
+// `sourceIds` limits an answer, dialogue turn or summary to those sources
+export const askQuestion = (question, { sourceIds } = {}) =>
+  api.post('/ask', { question, sourceIds }).then((res) => res.data);
+/**
+ * Stream a grounded answer over Server-Sent Events.
+ * Axios cannot consume a streaming body in the browser, so this uses fetch.
+ * @param {string} question
+ * @param {Object} handlers - { onChunk(text), signal, sourceIds }
+ * @returns {Promise<Object>} the final `done` payload ({ answer, groundingScore, citations, sources })
+ */
+export const streamQuestion = async (question, { onChunk, signal, sourceIds } = {}) => {
+  const response = await fetch(`${api.defaults.baseURL}/ask/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream', ...authHeaders() },
+    body: JSON.stringify({ question, sourceIds }),
+    signal,
+  });
+
+  if (!response.ok || !response.body) {
+    expireSession(response.status);
+    let message = 'Something went wrong. Please try again.';
+    try {
+      const data = await response.json();
+      message = data.message || message;
+    } catch {
+      // non-JSON error body
+    }
+    const err = new Error(message);
+    err.status = response.status;
+    throw err;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let final = null;
+
+  const handleFrame = (frame) => {
+    let event = 'message';
+    let data = '';
+    for (const line of frame.split('\n')) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data += line.slice(5).trim();
+    }
+    if (!data) return;
+    const payload = JSON.parse(data);
+    if (event === 'chunk') {
+      onChunk?.(payload.text);
+    } else if (event === 'done') {
+      final = payload;
+    } else if (event === 'error') {
+      const err = new Error(payload.message);
+      err.status = payload.statusCode;
+      throw err;
+    }
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      handleFrame(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
+  if (buffer.trim()) handleFrame(buffer);
+
+  if (!final) {
+    throw new Error('Answer stream ended unexpectedly. Please try again.');
+  }
+  return final;
+};
+export const dialogueTurn = (message, { sourceIds } = {}) =>
+  api.post('/dialogue', { message, sourceIds }).then((res) => res.data);
+export const fetchSummary = ({ sourceIds } = {}) => api.post('/summary', { sourceIds }).then((res) => res.data);
 export const fetchStats = () => api.get('/stats').then((res) => res.data);
 export const fetchHistory = () => api.get('/history').then((res) => res.data);
 export const clearHistory = () => api.post('/clear-history').then((res) => res.data);
 export const testGemini = () => api.get('/test-gemini').then((res) => res.data);
 
 // Source management APIs
-export const uploadFile = (file) => {
+export const uploadFile = (file, { pdfExtraction } = {}) => {
   const formData = new FormData();
+  if (pdfExtraction) formData.append('pdfExtraction', pdfExtraction);
   formData.append('file', file);
   return api.post('/upload', formData, {
     headers: { 'Content-Type': 'multipart/form-data' },
@@ -52,6 +168,15 @@ export const addSource = (sourceData) =>
 
 export const fetchSources = () => api.get('/sources').then((res) => res.data);
 
+export const fetchSource = (id) => api.get(`/sources/${id}`).then((res) => res.data);
+
+// Disabled sources stay in the notebook but are left out of answers
+export const setSourceEnabled = (id, enabled) =>
+  api.patch(`/sources/${id}`, { enabled }).then((res) => res.data);
+
+export const setExamTemplate = (id, examTemplate) =>
+  api.patch(`/sources/${id}`, { examTemplate }).then((res) => res.data);
+
 export const removeSource = (id) =>
   api.delete(`/sources/${id}`).then((res) => res.data);
 
@@ -74,6 +199,65 @@ export const fetchSuggestedQuestions = async () => {
   }
 };
 
+// Flashcard APIs (reviews are scheduled with SM-2; see backend services/spacedRepetition.js)
+export const fetchFlashcards = () => api.get('/flashcards').then((res) => res.data);
+export const generateFlashcards = ({ count, topic, sourceIds } = {}) =>
+  api.post('/flashcards/generate', { count, topic, sourceIds }).then((res) => res.data);
+export const fetchDueFlashcards = (limit = 20) =>
+  api.get('/flashcards/review', { params: { limit } }).then((res) => res.data);
+export const gradeFlashcard = (id, grade) =>
+  api.post(`/flashcards/${id}/grade`, { grade }).then((res) => res.data);
+export const deleteFlashcard = (id) => api.delete(`/flashcards/${id}`).then((res) => res.data);
+
+// Quiz APIs (questions come without answers; submitting returns the graded results)
+export const fetchQuizzes = () => api.get('/quizzes').then((res) => res.data);
+export const generateQuiz = ({ count, types, topic, sourceIds } = {}) =>
+  api.post('/quizzes', { count, types, topic, sourceIds }).then((res) => res.data);
+export const submitQuiz = (id, answers) =>
+  api.post(`/quizzes/${id}/submit`, { answers }).then((res) => res.data);
+export const deleteQuiz = (id) => api.delete(`/quizzes/${id}`).then((res) => res.data);
+
+// Mock exam APIs (modeled on the source flagged as exam template; attempts are timed by the server)
+export const fetchExams = () => api.get('/exams').then((res) => res.data);
+export const generateExam = ({ durationMinutes, sourceIds } = {}) =>
+  api.post('/exams', { durationMinutes, sourceIds }).then((res) => res.data);
+export const startExamAttempt = (id) => api.post(`/exams/${id}/attempts`).then((res) => res.data);
+export const submitExamAttempt = (id, attemptId, answers) =>
+  api.post(`/exams/${id}/attempts/${attemptId}/submit`, { answers }).then((res) => res.data);
+export const fetchExamAttempt = (id, attemptId) =>
+  api.get(`/exams/${id}/attempts/${attemptId}`).then((res) => res.data);
+export const fetchMarkingScheme = (id) => api.get(`/exams/${id}/marking-scheme`).then((res) => res.data);
+export const deleteExam = (id) => api.delete(`/exams/${id}`).then((res) => res.data);
+
+// Progress API (mastery per topic, streaks and time studied; days follow the browser's time zone)
+export const fetchProgress = () =>
+  api.get('/progress', { params: { tzOffset: new Date().getTimezoneOffset() } }).then((res) => res.data);
+
+// Background job APIs (ingestion runs as a job; see backend services/jobQueue.js)
+export const fetchJob = (id) => api.get(`/jobs/${id}`).then((res) => res.data.job);
+
+/**
+ * Poll a job until it finishes, or give up after `timeoutMs` (default 30
+ * minutes, long enough to transcribe a long recording) so a job stuck on
+ * the server does not leave the UI waiting forever.
+ * @param {string} id
+ * @param {Object} options - { onUpdate(job), intervalMs, timeoutMs }
+ * @returns {Promise<Object>} the completed job; rejects if the job failed or timed out
+ */
+export const waitForJob = async (id, { onUpdate, intervalMs = 1000, timeoutMs = 30 * 60 * 1000 } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const job = await fetchJob(id);
+    onUpdate?.(job);
+    if (job.status === 'completed') return job;
+    if (job.status === 'failed') throw new Error(job.error || 'Ingestion failed');
+    if (Date.now() >= deadline) {
+      throw new Error('Ingestion is taking too long. Check the source list later or try again.');
+    }
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+};
+
 // Notebook management APIs
 export const listNotebooks = () => api.get('/notebooks').then((res) => res.data);
 export const createNotebook = (name) => api.post('/notebooks', { name }).then((res) => res.data);